@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'todo_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Tokens are signed with AUTH_SECRET. Without it a random secret is used, which
+// logs everyone out on restart and does not work across several instances.
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  logger.warn('AUTH_SECRET is not set, sessions will not survive a restart');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+// Passwords are stored as "scrypt$<salt>$<hash>" (hex), with a fresh salt each time
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const hash = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'hex');
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// A token is "<base64url JSON { sub, exp }>.<HMAC-SHA256 signature>"
+function createToken(userId) {
+  const payload = Buffer.from(JSON.stringify({ sub: userId, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the user id a valid, unexpired token was issued for, or null
+function verifyToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof sub === 'string' && exp > Date.now() ? sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The session token from the cookie, or from an "Authorization: Bearer" header
+function tokenFromRequest(req) {
+  const header = req.get('authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+
+  const cookies = (req.get('cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, userId) {
+  res.cookie(SESSION_COOKIE, createToken(userId), {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict' });
+}
+
+// Middleware: rejects the request with 401 unless it carries a valid session.
+// getUserById resolves the token's user so deleted accounts are locked out.
+function requireAuth(getUserById) {
+  return async (req, res, next) => {
+    try {
+      const userId = verifyToken(tokenFromRequest(req));
+      const user = userId ? await getUserById(userId) : null;
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Middleware: lets a request through only with "Authorization: Bearer <token>"
+// for the token getToken() returns at the time. Without a configured token the
+// routes behind it answer 404, as if they did not exist, or with `optional`
+// are open to everyone.
+function requireToken(getToken, { optional = false } = {}) {
+  return (req, res, next) => {
+    const token = getToken();
+    if (!token && optional) {
+      return next();
+    }
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Route not found'
+      });
+    }
+
+    const header = req.get('authorization') || '';
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(header);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({
+        success: false,
+        error: 'A valid token is required'
+      });
+    }
+    next();
+  };
+}
+
+// The user fields that are safe to send to clients
+function publicUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth,
+  requireToken,
+  publicUser
+};
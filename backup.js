@@ -0,0 +1,109 @@
+// Take, list, check and restore snapshots of the store STORAGE_DRIVER names
+// (see storage/snapshots.js), without the server:
+//
+//   node backup.js create                      save a snapshot to BACKUP_DIR
+//   node backup.js list                        the snapshots in BACKUP_DIR, newest first
+//   node backup.js verify <file>               check a snapshot's checksum and contents
+//   node backup.js restore <file> --mode replace|merge
+//
+// <file> is a path, or the name of a snapshot in BACKUP_DIR.
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+const snapshots = require('./storage/snapshots');
+
+const USAGE = 'Usage: node backup.js create | list | verify <file> | restore <file> --mode replace|merge';
+
+const archive = new snapshots.SnapshotArchive(process.env.BACKUP_DIR || snapshots.DEFAULT_BACKUP_DIR, {
+  keep: parseInt(process.env.BACKUP_KEEP, 10) || snapshots.DEFAULT_KEEP
+});
+
+// The configured store, connected. Redis is used without the failover wrapper
+// so that an unreachable Redis is an error rather than an empty in-memory store.
+async function openStore() {
+  const driver = process.env.STORAGE_DRIVER || 'redis';
+  if (driver === 'memory') {
+    throw new Error('The memory driver keeps its data inside the running server; use the /api/admin snapshot endpoints instead');
+  }
+
+  const store = driver === 'redis' ? require('./redis-service') : createStore(driver);
+  if (!(await store.connect())) {
+    throw new Error(`Could not connect to ${driver} storage`);
+  }
+  return store;
+}
+
+// A snapshot file by path or by its name in the archive, checked
+async function readSnapshot(file) {
+  if (!file) throw new Error(USAGE);
+
+  const filePath = fs.existsSync(file) ? file : archive.pathOf(file);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`No snapshot at ${file}`);
+  }
+
+  const { snapshot, error } = snapshots.parseSnapshot(await fs.promises.readFile(filePath, 'utf8'));
+  if (error) throw new Error(`${filePath}: ${error}`);
+  return snapshot;
+}
+
+function describe(counts) {
+  return `${counts.users} users, ${counts.lists} shared lists, ${counts.todos} todos, ${counts.trash} in the trash`;
+}
+
+// --mode replace or --mode=replace
+function option(args, name) {
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) return undefined;
+  return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
+async function main([command, ...args]) {
+  switch (command) {
+    case 'create': {
+      const store = await openStore();
+      try {
+        const snapshot = snapshots.createSnapshot(await store.exportSnapshot(), store.driver);
+        const file = await archive.save(snapshot);
+        console.log(`💾 Saved ${path.join(archive.dir, file.name)}: ${describe(snapshots.summarize(snapshot))}`);
+      } finally {
+        await store.disconnect();
+      }
+      return;
+    }
+    case 'list':
+      for (const file of await archive.list()) {
+        console.log(`${file.name}\t${file.createdAt}\t${file.size} bytes`);
+      }
+      return;
+    case 'verify': {
+      const snapshot = await readSnapshot(args[0]);
+      console.log(`✅ Valid snapshot of ${snapshot.driver} storage from ${snapshot.createdAt}: ${describe(snapshots.summarize(snapshot))}`);
+      return;
+    }
+    case 'restore': {
+      const { mode, error } = snapshots.parseRestoreMode(option(args, 'mode'));
+      if (error) throw new Error(error);
+
+      const snapshot = await readSnapshot(args.find(arg => !arg.startsWith('--') && arg !== option(args, 'mode')));
+      const store = await openStore();
+      try {
+        const restored = await store.restoreSnapshot(snapshot.data, mode);
+        console.log(`♻️  Restored the snapshot from ${snapshot.createdAt} (${mode}), adding ${describe(restored)}`);
+      } finally {
+        await store.disconnect();
+      }
+      return;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2)).then(
+  () => process.exit(0),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
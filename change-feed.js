@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const CHANNEL = 'todos:changes';
+
+// Fans todo changes out to every client watching a list. A change reaches this
+// instance's watchers straight away; once a store with pub/sub (Redis) is
+// attached it is also published there, so watchers on other instances get it too.
+//
+// A change is { type: 'created' | 'updated', todo } or { type: 'deleted', id }.
+class ChangeFeed {
+  constructor() {
+    this.instanceId = crypto.randomUUID();
+    this.watchers = new EventEmitter();
+    // One listener per open event stream
+    this.watchers.setMaxListeners(0);
+    this.bus = null;
+  }
+
+  // Relay changes through the store's pub/sub, if it has one
+  async attach(store) {
+    if (typeof store.subscribe !== 'function') return;
+
+    this.bus = store;
+    await store.subscribe(CHANNEL, message => this.receive(message));
+  }
+
+  // Call listener(changes) for every batch of changes to the list in `scope`.
+  // Returns a function that stops watching.
+  watch(scope, listener) {
+    this.watchers.on(scope, listener);
+    return () => this.watchers.off(scope, listener);
+  }
+
+  publish(scope, changes) {
+    if (changes.length === 0) return;
+
+    this.watchers.emit(scope, changes);
+    if (this.bus) {
+      const message = JSON.stringify({ origin: this.instanceId, scope, changes });
+      this.bus.publish(CHANNEL, message).catch(error => {
+        logger.error('Failed to publish todo changes', { error: error.message });
+      });
+    }
+  }
+
+  // A message from the bus; our own were delivered when they were published
+  receive(message) {
+    try {
+      const { origin, scope, changes } = JSON.parse(message);
+      if (origin !== this.instanceId) {
+        this.watchers.emit(scope, changes);
+      }
+    } catch (error) {
+      logger.warn('Ignoring malformed todo change message', { error: error.message });
+    }
+  }
+}
+
+module.exports = { ChangeFeed, CHANNEL };
@@ -0,0 +1,206 @@
+const { performance } = require('perf_hooks');
+const { version } = require('./package.json');
+
+// Liveness and readiness reports in the Health Check Response Format for HTTP
+// APIs (draft-inadarei-api-health-check):
+//
+//   { status: 'pass' | 'warn' | 'fail', version, releaseId, description,
+//     checks: { 'component:measurement': [{ status, observedValue, ... }] } }
+//
+// The report is as bad as its worst check. 'warn' still answers 200, so the
+// instance keeps its traffic; 'fail' answers 503.
+
+const CONTENT_TYPE = 'application/health+json';
+const STATUSES = ['pass', 'warn', 'fail'];
+const STATUS_CODES = { pass: 200, warn: 200, fail: 503 };
+const EVENT_LOOP_INTERVAL_MS = 500;
+// Thresholds in milliseconds
+const DEFAULT_THRESHOLDS = {
+  storageWarnMs: 100,
+  storageFailMs: 1000,
+  eventLoopWarnMs: 200,
+  eventLoopFailMs: 1000
+};
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (
+    STATUSES.indexOf(status) > STATUSES.indexOf(worst) ? status : worst
+  ), 'pass');
+}
+
+function thresholdStatus(value, warnAt, failAt) {
+  if (value >= failAt) return 'fail';
+  if (value >= warnAt) return 'warn';
+  return 'pass';
+}
+
+function healthReport(checks) {
+  return {
+    status: worstStatus(Object.values(checks).flat().map(check => check.status)),
+    version: version.split('.')[0],
+    releaseId: version,
+    description: 'DevOps To-Do App',
+    checks
+  };
+}
+
+// Rejects once `ms` have passed without `promise` settling
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(message), { code: 'ETIMEDOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// How late a timer fires tells how long the event loop was blocked: by slow
+// synchronous work, or by more of it than the process can keep up with
+class EventLoopMonitor {
+  constructor(intervalMs = EVENT_LOOP_INTERVAL_MS) {
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.last = null;
+    this.worst = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.last = performance.now();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick(now = performance.now()) {
+    this.worst = Math.max(this.worst, now - this.last - this.intervalMs);
+    this.last = now;
+  }
+
+  // The longest delay (ms) since the last call
+  takeDelay() {
+    const worst = this.worst;
+    this.worst = 0;
+    return Math.max(0, worst);
+  }
+}
+
+// The checks behind /health/live and /health/ready. Readiness covers the
+// store (reachable, and how fast it answers), the event loop, and whether the
+// server is draining before it shuts down. Liveness only says that the process
+// still answers, so that a slow store never gets it restarted.
+class HealthChecks {
+  constructor(service, { thresholds = {}, requireRedis = false, eventLoop = new EventLoopMonitor() } = {}) {
+    this.service = service;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.requireRedis = requireRedis;
+    this.eventLoop = eventLoop;
+    this.draining = false;
+  }
+
+  start() {
+    this.eventLoop.start();
+  }
+
+  stop() {
+    this.eventLoop.stop();
+  }
+
+  // From now on the server reports not ready, so load balancers stop sending it
+  // requests before it closes
+  drain() {
+    this.draining = true;
+  }
+
+  live() {
+    return healthReport({
+      'process:uptime': [{
+        componentType: 'system',
+        observedValue: process.uptime(),
+        observedUnit: 's',
+        status: 'pass',
+        time: new Date().toISOString()
+      }]
+    });
+  }
+
+  async ready() {
+    const time = new Date().toISOString();
+    return healthReport({
+      ...(await this.storageChecks(time)),
+      'eventLoop:delay': [this.eventLoopCheck(time)],
+      'server:draining': [{
+        componentType: 'system',
+        observedValue: this.draining,
+        status: this.draining ? 'fail' : 'pass',
+        ...(this.draining && { output: 'Shutting down' }),
+        time
+      }]
+    });
+  }
+
+  async storageChecks(time) {
+    const { storageWarnMs, storageFailMs } = this.thresholds;
+    const started = performance.now();
+    let health;
+    let timedOut = false;
+    try {
+      health = await withTimeout(this.service.healthCheck(), storageFailMs, `Storage did not answer within ${storageFailMs}ms`);
+    } catch (error) {
+      health = { status: 'error', message: error.message };
+      timedOut = error.code === 'ETIMEDOUT';
+    }
+    // The timer can fire a fraction of a millisecond early by this clock
+    const elapsed = timedOut ? Math.max(performance.now() - started, storageFailMs) : performance.now() - started;
+
+    // With failover, the Redis driver is served from memory while Redis is away
+    const componentId = health.failover ? health.failover.activeDriver : this.service.store.driver;
+    const connection = { componentId, componentType: 'datastore', time };
+    if (health.status === 'error' || health.status === 'disconnected') {
+      Object.assign(connection, { status: 'fail', output: health.message });
+    } else if (health.mode === 'fallback') {
+      Object.assign(connection, {
+        status: this.requireRedis ? 'fail' : 'warn',
+        output: `Redis is unreachable; serving from memory with ${health.failover.journaledWrites} journaled write(s)`
+      });
+    } else {
+      connection.status = 'pass';
+    }
+
+    return {
+      'storage:connection': [connection],
+      'storage:responseTime': [{
+        componentId,
+        componentType: 'datastore',
+        observedValue: Math.round(elapsed * 100) / 100,
+        observedUnit: 'ms',
+        status: thresholdStatus(elapsed, storageWarnMs, storageFailMs),
+        time
+      }]
+    };
+  }
+
+  eventLoopCheck(time) {
+    const { eventLoopWarnMs, eventLoopFailMs } = this.thresholds;
+    const delay = this.eventLoop.takeDelay();
+    return {
+      componentType: 'system',
+      observedValue: Math.round(delay * 100) / 100,
+      observedUnit: 'ms',
+      status: thresholdStatus(delay, eventLoopWarnMs, eventLoopFailMs),
+      time
+    };
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  STATUS_CODES,
+  DEFAULT_THRESHOLDS,
+  EventLoopMonitor,
+  HealthChecks
+};
@@ -1,20 +1,59 @@
 const http = require('http');
 
+// Container health check against one of the server's probes:
+//
+//   node healthcheck.js [live|ready]
+//
+// The probe defaults to HEALTHCHECK_PROBE, or live: a container is only
+// unhealthy when the process stops answering, not while Redis is slow or
+// away. Exits 0 when the probe answers 200 (a 'warn' report included) and 1
+// otherwise, printing the checks that did not pass.
+const PROBES = {
+  live: '/health/live',
+  ready: '/health/ready'
+};
+
+const probe = process.argv[2] || process.env.HEALTHCHECK_PROBE || 'live';
+if (!PROBES[probe]) {
+  console.log(`Unknown probe "${probe}", expected live or ready`);
+  process.exit(1);
+}
+
 const options = {
   host: 'localhost',
   port: process.env.PORT || 3000,
-  path: '/health',
+  path: PROBES[probe],
   timeout: 2000,
   method: 'GET'
 };
 
-const request = http.request(options, (res) => {
-  console.log(`Health check status: ${res.statusCode}`);
-  if (res.statusCode === 200) {
-    process.exit(0);
-  } else {
-    process.exit(1);
+// "storage:connection: warn (Redis is unreachable...)" for every check that did not pass
+function describeChecks(body) {
+  try {
+    const { checks = {} } = JSON.parse(body);
+    return Object.entries(checks).flatMap(([name, results]) => results
+      .filter(result => result.status !== 'pass')
+      .map(result => `${name}: ${result.status}${result.output ? ` (${result.output})` : ''}`));
+  } catch (error) {
+    return [];
   }
+}
+
+const request = http.request(options, (res) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    body += chunk;
+  });
+  res.on('end', () => {
+    console.log(`Health check (${probe}) status: ${res.statusCode}`);
+    describeChecks(body).forEach(line => console.log(line));
+    process.exit(res.statusCode === 200 ? 0 : 1);
+  });
+});
+
+request.on('timeout', () => {
+  request.destroy(new Error(`no answer within ${options.timeout}ms`));
 });
 
 request.on('error', function(err) {
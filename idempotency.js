@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A claim whose request never answers (a crash, a hung store) frees the key after this
+const IN_FLIGHT_TTL_MS = 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'DELETE'];
+// Response headers replayed along with the status and body
+const REPLAYED_HEADERS = ['ETag'];
+
+// Identifies what a request asks for, so a key reused for something else is caught
+function fingerprintOf(req) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.get('If-Match') || null, req.body || null]))
+    .digest('hex');
+}
+
+// Middleware: a POST, PUT or DELETE sent again with the same Idempotency-Key
+// gets the first response back instead of running twice. Keys belong to the
+// signed-in user and are kept for IDEMPOTENCY_TTL_HOURS. store provides the
+// idempotency methods of the storage adapter contract (storage/index.js).
+function idempotent(store) {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined || !IDEMPOTENT_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key must be 1 to 255 visible ASCII characters'
+      });
+    }
+
+    const recordKey = `${req.user.id}:${key}`;
+    const fingerprint = fingerprintOf(req);
+
+    try {
+      const existing = await store.claimIdempotencyKey(recordKey, fingerprint, IN_FLIGHT_TTL_MS);
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used for a different request'
+          });
+        }
+        if (!existing.response) {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still in progress'
+          });
+        }
+
+        const { status, headers, body } = existing.response;
+        res.set(headers);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(status).json(body);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // Store the response before sending it, so a retry that arrives after
+    // the client has its answer always finds it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        if (res.get(name) !== undefined) headers[name] = res.get(name);
+      }
+
+      // Server errors are not final: free the key so the client can retry
+      const saved = res.statusCode >= 500
+        ? store.releaseIdempotencyKey(recordKey)
+        : store.saveIdempotentResponse(recordKey, fingerprint, { status: res.statusCode, headers, body }, IDEMPOTENCY_TTL_MS);
+
+      saved
+        .catch(error => logger.error('Failed to store idempotent response', { error: error.message }))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = { idempotent };
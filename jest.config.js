@@ -6,6 +6,7 @@ module.exports = {
   coverageReporters: ['text', 'lcov', 'html'],
   collectCoverageFrom: [
     'server.js',
+    'storage/**/*.js',
     '!node_modules/**',
     '!coverage/**',
     '!tests/**'
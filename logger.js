@@ -0,0 +1,113 @@
+const { currentContext } = require('./request-context');
+
+// Structured logging: every entry is one line of JSON,
+//
+//   {"time":"...","level":"error","msg":"Error creating todo","requestId":"...",
+//    "method":"POST","path":"/api/todos","userId":"...","error":{...}}
+//
+// Entries written while a request is handled carry its id, method and path and
+// the signed-in user (see request-context.js), so storage code logs them without
+// being passed the request. LOG_LEVEL (error, warn, info or debug; default info)
+// is the least severe level written, and silent writes nothing.
+//
+// Todo contents (text and notes, at any depth) are written as "[redacted]"
+// unless LOG_TODO_CONTENTS is true. Passwords, tokens, cookies and push
+// subscription keys always are.
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+const REDACTED = '[redacted]';
+const TODO_CONTENT_FIELDS = ['text', 'notes'];
+const SECRET_FIELDS = ['password', 'passwordHash', 'token', 'authorization', 'cookie', 'secret', 'keys'];
+// Nesting past this is written as "[too deep]"
+const MAX_DEPTH = 8;
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return level in LEVELS ? LEVELS[level] : LEVELS[DEFAULT_LEVEL];
+}
+
+function redactedFields() {
+  return process.env.LOG_TODO_CONTENTS === 'true' ? SECRET_FIELDS : [...SECRET_FIELDS, ...TODO_CONTENT_FIELDS];
+}
+
+// A copy of `value` that is safe to log: redacted fields replaced, and errors
+// turned into plain objects (JSON.stringify would drop their message and stack)
+function redact(value, fields = redactedFields(), depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      stack: value.stack
+    };
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[too deep]';
+  if (Array.isArray(value)) return value.map(item => redact(item, fields, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = fields.includes(key) && item !== undefined && item !== null ? REDACTED : redact(item, fields, depth + 1);
+  }
+  return copy;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] > threshold()) return;
+
+  const { requestId, method, path, actor } = currentContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { requestId, method, path }),
+    ...(actor && { userId: actor.id }),
+    ...redact(fields)
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // A circular or otherwise unserialisable field: keep the entry, not the fields
+    line = JSON.stringify({ time: entry.time, level, msg, requestId, unserialisable: error.message });
+  }
+
+  if (LEVELS[level] <= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Middleware: logs every request once it is answered, in place of an access log
+function requestLogger() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      // Only the path: query strings can hold search text
+      write('info', 'Request', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+        ...(req.user && { userId: req.user.id }),
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  LEVELS,
+  redact,
+  requestLogger,
+  error: (msg, fields) => write('error', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  debug: (msg, fields) => write('debug', msg, fields)
+};
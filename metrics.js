@@ -0,0 +1,229 @@
+// Metrics in the Prometheus text format (version 0.0.4), served at /metrics.
+// Counters, gauges and histograms keep one series per combination of label
+// values; collectors refresh gauges that are read from elsewhere (the store,
+// the process) just before each scrape.
+
+const logger = require('./logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Upper bounds in seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const REDIS_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// '{name="value",...}' for the given names and values, or '' without labels
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, index) => `${name}="${escapeLabel(values[index])}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // JSON of the label values -> the series
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : labels[name]));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...[...this.series.values()].flatMap(series => this.sampleLines(series))
+    ];
+  }
+
+  sampleLines(series) {
+    return [`${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  // For totals counted elsewhere (the CPU time of the process) and read when
+  // they are scraped
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = HTTP_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  sampleLines(series) {
+    const labelNames = [...this.labelNames, 'le'];
+    return [
+      ...this.buckets.map((bound, index) => (
+        `${this.name}_bucket${formatLabels(labelNames, [...series.values, formatValue(bound)])} ${series.counts[index]}`
+      )),
+      `${this.name}_bucket${formatLabels(labelNames, [...series.values, '+Inf'])} ${series.count}`,
+      `${this.name}_sum${formatLabels(this.labelNames, series.values)} ${series.sum}`,
+      `${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`
+    ];
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // collect() runs before every scrape; a failing one is logged and its
+  // metrics keep their last values
+  addCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  async render() {
+    for (const collect of this.collectors) {
+      try {
+        await collect();
+      } catch (error) {
+        logger.error('Failed to collect metrics', { error: error.message });
+      }
+    }
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// CPU time, memory and start time of this process, under the names other
+// Prometheus clients use
+function addProcessMetrics(registry) {
+  const cpuUser = registry.counter('process_cpu_user_seconds_total', 'User CPU time spent in seconds.');
+  const cpuSystem = registry.counter('process_cpu_system_seconds_total', 'System CPU time spent in seconds.');
+  const residentMemory = registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.');
+  const heapTotal = registry.gauge('nodejs_heap_size_total_bytes', 'Process heap size from Node.js in bytes.');
+  const heapUsed = registry.gauge('nodejs_heap_size_used_bytes', 'Process heap size used from Node.js in bytes.');
+  const startTime = registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds.');
+
+  registry.addCollector(() => {
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    cpuUser.set({}, cpu.user / 1e6);
+    cpuSystem.set({}, cpu.system / 1e6);
+    residentMemory.set({}, memory.rss);
+    heapTotal.set({}, memory.heapTotal);
+    heapUsed.set({}, memory.heapUsed);
+    startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+  });
+}
+
+// Middleware: counts and times every request by method, route and status.
+// routeOf(req) names the route as a pattern, so that ids do not become labels.
+function httpMetrics(registry, routeOf) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests answered.', ['method', 'route', 'status']);
+  const duration = registry.histogram(
+    'http_request_duration_seconds',
+    'Time taken to answer HTTP requests in seconds.',
+    ['method', 'route', 'status']
+  );
+
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeOf(req), status: res.statusCode };
+      requests.inc(labels);
+      duration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+// Time and count the failures of the operations the Redis service reports
+// through its 'command' events
+function observeRedis(registry, redisService) {
+  const duration = registry.histogram(
+    'redis_command_duration_seconds',
+    'Time taken by Redis storage operations in seconds.',
+    ['command'],
+    REDIS_BUCKETS
+  );
+  const errors = registry.counter('redis_command_errors_total', 'Redis storage operations that failed.', ['command']);
+
+  redisService.on('command', ({ command, seconds, failed }) => {
+    duration.observe({ command }, seconds);
+    if (failed) errors.inc({ command });
+  });
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  addProcessMetrics,
+  httpMetrics,
+  observeRedis
+};
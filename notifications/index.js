@@ -0,0 +1,80 @@
+const { WebPushChannel, generateVapidKeys } = require('./web-push');
+const { WebhookChannel } = require('./webhook');
+const { parseAllowedHosts } = require('./outbound');
+const { SmtpChannel } = require('./smtp');
+const logger = require('../logger');
+
+/*
+ * Notification channels
+ *
+ * A channel delivers a notification to one user, going by their notification
+ * settings (see storage/reminders.js). Every channel has
+ *
+ *   name                       'push' | 'webhook' | 'email'
+ *   wants(settings)         -> true when the user has set the channel up
+ *   send(settings, notification)
+ *                           -> { expired? } once delivered (expired lists push
+ *                              endpoints that are gone); throws when it could not be
+ *
+ * A notification is { type, title, body, url, todo, listId?, lead? }; it is
+ * what push messages and webhooks carry as JSON.
+ */
+
+// Sends a notification through every channel a user has set up. One channel
+// failing does not stop the others.
+class Notifier {
+  constructor(channels, { vapidPublicKey = null } = {}) {
+    this.channels = channels;
+    this.vapidPublicKey = vapidPublicKey;
+  }
+
+  get channelNames() {
+    return this.channels.map(channel => channel.name);
+  }
+
+  channel(name) {
+    return this.channels.find(candidate => candidate.name === name) || null;
+  }
+
+  // Returns { delivered, failed } (channel names) and the `expired` push endpoints
+  async send(settings, notification) {
+    const outcome = { delivered: [], failed: [], expired: [] };
+    for (const channel of this.channels.filter(candidate => candidate.wants(settings))) {
+      try {
+        const { expired = [] } = await channel.send(settings, notification);
+        outcome.delivered.push(channel.name);
+        outcome.expired.push(...expired);
+      } catch (error) {
+        logger.error('Error sending notification', { type: notification.type, channel: channel.name, error: error.message });
+        outcome.failed.push(channel.name);
+      }
+    }
+    return outcome;
+  }
+}
+
+// The channels configured by the environment: push and webhooks always, email
+// when SMTP_HOST names a server. Push and webhooks only reach internal hosts
+// named in NOTIFICATION_ALLOWED_HOSTS. Push needs a VAPID key pair; without one
+// a random pair is made at startup, which breaks every push subscription on restart.
+function createNotifier(env = process.env) {
+  let vapid = { publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY };
+  if (!vapid.publicKey || !vapid.privateKey) {
+    logger.warn('VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY are not set, push subscriptions will not survive a restart');
+    vapid = generateVapidKeys();
+  }
+  vapid.subject = env.VAPID_SUBJECT || 'mailto:admin@localhost';
+
+  const allowedHosts = parseAllowedHosts(env.NOTIFICATION_ALLOWED_HOSTS);
+  const channels = [new WebPushChannel(vapid, { allowedHosts }), new WebhookChannel({ allowedHosts })];
+  if (env.SMTP_HOST) {
+    channels.push(new SmtpChannel({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || undefined,
+      from: env.SMTP_FROM || 'todo-app@localhost'
+    }));
+  }
+  return new Notifier(channels, { vapidPublicKey: vapid.publicKey });
+}
+
+module.exports = { Notifier, createNotifier };
@@ -0,0 +1,99 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Requests to URLs that users hand in (webhook URLs, push subscription
+// endpoints) must not reach inside the network the server runs in.
+
+// Addresses never sent to: this host, private networks (RFC 1918, RFC 4193
+// unique-local), link-local (the cloud metadata service at 169.254.169.254
+// among them) and the other special-use ranges. IPv4-mapped IPv6 addresses
+// are checked as IPv4.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// NOTIFICATION_ALLOWED_HOSTS: host names and addresses, separated by commas,
+// that may be reached even though they are internal
+function parseAllowedHosts(value = '') {
+  return value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// The host of a URL without the brackets of an IPv6 address
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '');
+}
+
+// Refuses hosts that resolve to a blocked address, unless `allowedHosts`
+// names them
+class AddressGuard {
+  constructor(allowedHosts = []) {
+    this.allowedHosts = allowedHosts;
+  }
+
+  isAllowedHost(host) {
+    return this.allowedHosts.includes(host.toLowerCase());
+  }
+
+  // Why `url` may not be requested, going by the addresses its host resolves
+  // to now: 'internal', 'unresolved', or null when it may
+  async check(url) {
+    const host = hostOf(url);
+    if (this.isAllowedHost(host)) return null;
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      return 'unresolved';
+    }
+    return addresses.some(({ address }) => isBlockedAddress(address)) ? 'internal' : null;
+  }
+
+  // dns.lookup for the request itself, refusing blocked addresses, so that a
+  // host that resolves differently since check() (DNS rebinding) is not reached
+  lookup(url) {
+    if (this.isAllowedHost(hostOf(url))) return dns.lookup;
+
+    return (name, options, callback) => dns.lookup(name, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address }];
+      if (addresses.some(resolved => isBlockedAddress(resolved.address))) {
+        return callback(new Error(`${name} resolves to an internal address`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // POST `body` to `url`, connecting through lookup(); check() it first.
+  // Resolves with the status the receiver answers; redirects are not followed.
+  async post(url, headers, body, timeoutMs) {
+    const { request } = url.startsWith('https:') ? https : http;
+    return await new Promise((resolve, reject) => {
+      const req = request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: this.lookup(url),
+        signal: AbortSignal.timeout(timeoutMs)
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+module.exports = { AddressGuard, isBlockedAddress, parseAllowedHosts };
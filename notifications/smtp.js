@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+
+const DEFAULT_PORT = 25;
+const TIMEOUT_MS = 10000;
+
+// Reads SMTP replies off a socket: each is a three-digit code with one or
+// more lines of text ("250-..." continues, "250 ..." ends)
+class SmtpConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('timeout', () => this.fail(new Error('SMTP server timed out')));
+    socket.on('close', () => this.fail(new Error('SMTP server closed the connection')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let end;
+    while ((end = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        this.replies.push({ code: Number(line.slice(0, 3)), text: this.lines.join(' ') });
+        this.lines = [];
+      }
+    }
+    this.settle();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.settle();
+  }
+
+  settle() {
+    if (!this.waiting) return;
+
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  // The next reply, which must have one of the `expected` codes
+  async reply(expected) {
+    const reply = await new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.settle();
+    });
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP server answered ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  async command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return await this.reply(expected);
+  }
+}
+
+// Header values never carry line breaks; non-ASCII text is encoded (RFC 2047)
+function headerValue(text) {
+  const value = String(text).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// A plain text message; the body is base64 so it needs no dot-stuffing or 8BITMIME
+function buildMessage({ from, to, subject, text }, domain) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Hand one message to an SMTP server, without TLS or authentication: this is
+// meant for a relay on the same host or network (Postfix, a Mailpit container)
+async function sendMail({ host, port = DEFAULT_PORT, heloName = os.hostname(), timeoutMs = TIMEOUT_MS }, message) {
+  const socket = net.connect({ host, port });
+  socket.setTimeout(timeoutMs);
+  const connection = new SmtpConnection(socket);
+
+  try {
+    await connection.reply([220]);
+    await connection.command(`EHLO ${heloName}`, [250]);
+    await connection.command(`MAIL FROM:<${message.from}>`, [250]);
+    await connection.command(`RCPT TO:<${message.to}>`, [250, 251]);
+    await connection.command('DATA', [354]);
+    await connection.command(`${buildMessage(message, heloName)}\r\n.`, [250]);
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+// Emails notifications to the address a user configured, through the SMTP
+// server in SMTP_HOST
+class SmtpChannel {
+  constructor({ host, port, from }) {
+    this.name = 'email';
+    this.server = { host, port };
+    this.from = from;
+  }
+
+  wants(settings) {
+    return Boolean(settings.email);
+  }
+
+  async send(settings, notification) {
+    await sendMail(this.server, {
+      from: this.from,
+      to: settings.email,
+      subject: notification.title,
+      text: [notification.body, notification.url].filter(Boolean).join('\n\n')
+    });
+    return {};
+  }
+}
+
+module.exports = { SmtpChannel, sendMail, buildMessage };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { AddressGuard } = require('./outbound');
+
+// Web Push (RFC 8030) with the payload encrypted for the browser (RFC 8291,
+// aes128gcm) and the sender identified by a VAPID key pair (RFC 8292). The
+// public key is handed to the browser when it subscribes, so changing the key
+// pair makes every existing subscription stop working.
+
+const RECORD_SIZE = 4096;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// A VAPID key pair as base64url strings: the uncompressed P-256 public key and
+// the raw private key
+function generateVapidKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = privateKey.export({ format: 'jwk' });
+  return {
+    publicKey: base64url(publicKey.export({ format: 'der', type: 'spki' }).subarray(-65)),
+    privateKey: jwk.d
+  };
+}
+
+// Encrypt `payload` for a subscription's keys. `salt` and `senderKeys` (an
+// ECDH object) are fresh for every message; they can be passed in for tests.
+function encryptPayload(payload, { p256dh, auth }, { salt = crypto.randomBytes(16), senderKeys } = {}) {
+  const ecdh = senderKeys || crypto.createECDH('prime256v1');
+  if (!senderKeys) ecdh.generateKeys();
+
+  const receiverKey = Buffer.from(p256dh, 'base64url');
+  const senderKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(receiverKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+  const ikm = hkdf(Buffer.from(auth, 'base64url'), sharedSecret, keyInfo, 32);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // A single record, ended by the 0x02 delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+  return Buffer.concat([header, senderKey, ciphertext]);
+}
+
+// The Authorization header for a push service: a signed JWT naming the push
+// service's origin, and our public key
+function vapidAuthorization(endpoint, { publicKey, privateKey, subject }, now = Date.now()) {
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TOKEN_SECONDS,
+    sub: subject
+  }));
+
+  const raw = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: { kty: 'EC', crv: 'P-256', d: privateKey, x: base64url(raw.subarray(1, 33)), y: base64url(raw.subarray(33, 65)) }
+  });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${base64url(signature)}, k=${publicKey}`;
+}
+
+// Delivers notifications to the browsers a user subscribed through the
+// service worker (public/sw.js shows them). The endpoints come from the
+// browser, so like webhook URLs they may not point at internal addresses
+// unless `allowedHosts` names them (see outbound.js).
+class WebPushChannel {
+  constructor(vapid, { allowedHosts = [] } = {}) {
+    this.name = 'push';
+    this.vapid = vapid;
+    this.guard = new AddressGuard(allowedHosts);
+  }
+
+  wants(settings) {
+    return Boolean(settings.push && settings.push.length > 0);
+  }
+
+  // Whether notifications may be pushed to `endpoint`. Returns {} or { error }.
+  async checkUrl(endpoint) {
+    const reason = await this.guard.check(endpoint);
+    if (reason === 'unresolved') {
+      return { error: `Push service ${new URL(endpoint).hostname} could not be found` };
+    }
+    if (reason === 'internal') {
+      return { error: 'Push endpoints cannot point at private, loopback or link-local addresses' };
+    }
+    return {};
+  }
+
+  // Returns { expired } with the endpoints the push service no longer knows;
+  // throws when no subscription could be reached
+  async send(settings, notification) {
+    const payload = JSON.stringify(notification);
+    const expired = [];
+    const errors = [];
+
+    for (const subscription of settings.push) {
+      try {
+        const { error } = await this.checkUrl(subscription.endpoint);
+        if (error) {
+          errors.push(error);
+          continue;
+        }
+
+        const status = await this.guard.post(subscription.endpoint, {
+          Authorization: vapidAuthorization(subscription.endpoint, this.vapid),
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          TTL: String(PUSH_TTL_SECONDS),
+          Urgency: 'high'
+        }, encryptPayload(payload, subscription.keys), REQUEST_TIMEOUT_MS);
+
+        if (status === 404 || status === 410) {
+          expired.push(subscription.endpoint);
+        } else if (status < 200 || status >= 300) {
+          errors.push(`push service answered ${status}`);
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (errors.length === settings.push.length) {
+      throw new Error(errors.join('; '));
+    }
+    return { expired };
+  }
+}
+
+module.exports = { WebPushChannel, generateVapidKeys, encryptPayload, vapidAuthorization };
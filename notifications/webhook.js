@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { AddressGuard } = require('./outbound');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// "sha256=<hex HMAC-SHA256 of the body>", keyed with the webhook's secret
+function signBody(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// POSTs notifications as JSON to the URL a user configured, signed in the
+// X-Todo-Signature header so the receiver can check where they came from.
+// Hosts that resolve to an internal address are refused unless `allowedHosts`
+// names them (see outbound.js).
+class WebhookChannel {
+  constructor({ allowedHosts = [] } = {}) {
+    this.name = 'webhook';
+    this.guard = new AddressGuard(allowedHosts);
+  }
+
+  wants(settings) {
+    return Boolean(settings.webhook);
+  }
+
+  // Whether webhooks may be sent to `url`. Returns {} or { error }.
+  async checkUrl(url) {
+    const reason = await this.guard.check(url);
+    if (reason === 'unresolved') {
+      return { error: `Webhook host ${new URL(url).hostname} could not be found` };
+    }
+    if (reason === 'internal') {
+      return { error: 'Webhook URLs cannot point at private, loopback or link-local addresses' };
+    }
+    return {};
+  }
+
+  async send(settings, notification) {
+    const { error } = await this.checkUrl(settings.webhook.url);
+    if (error) throw new Error(error);
+
+    const body = JSON.stringify(notification);
+    const status = await this.guard.post(settings.webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'todo-app-webhook',
+      'X-Todo-Signature': signBody(body, settings.webhook.secret)
+    }, body, REQUEST_TIMEOUT_MS);
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`webhook answered ${status}`);
+    }
+    return {};
+  }
+}
+
+module.exports = { WebhookChannel, signBody };
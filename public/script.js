@@ -1,5 +1,9 @@
 // API Base URL
 const API_BASE = '/api';
+const PAGE_SIZE = 50;
+const SEARCH_DELAY = 250;
+// Import formats by file extension
+const IMPORT_FORMATS = { json: 'json', csv: 'csv', md: 'md', markdown: 'md', ics: 'ics' };
 
 // DOM Elements
 const todoInput = document.getElementById('todoInput');
@@ -13,9 +17,86 @@ const healthIndicator = document.getElementById('health-indicator');
 const healthText = document.getElementById('health-text');
 const deploymentTime = document.getElementById('deploymentTime');
 const toast = document.getElementById('toast');
+const bulkActions = document.getElementById('bulkActions');
+const selectedCount = document.getElementById('selectedCount');
+const loadMoreSentinel = document.getElementById('loadMoreSentinel');
+const searchInput = document.getElementById('searchInput');
+const appMain = document.getElementById('appMain');
+const authSection = document.getElementById('authSection');
+const authForm = document.getElementById('authForm');
+const usernameInput = document.getElementById('usernameInput');
+const passwordInput = document.getElementById('passwordInput');
+const authMessage = document.getElementById('authMessage');
+const userBar = document.getElementById('userBar');
+const currentUsername = document.getElementById('currentUsername');
+const logoutBtn = document.getElementById('logoutBtn');
+const listSelect = document.getElementById('listSelect');
+const listRole = document.getElementById('listRole');
+const shareListBtn = document.getElementById('shareListBtn');
+const newListBtn = document.getElementById('newListBtn');
+const sharePanel = document.getElementById('sharePanel');
+const trashBtn = document.getElementById('trashBtn');
+const trashPanel = document.getElementById('trashPanel');
+const trashHint = document.getElementById('trashHint');
+const trashList = document.getElementById('trashList');
+const transferBtn = document.getElementById('transferBtn');
+const transferPanel = document.getElementById('transferPanel');
+const exportLinks = document.getElementById('exportLinks');
+const importSection = document.getElementById('importSection');
+const importFile = document.getElementById('importFile');
+const importPreview = document.getElementById('importPreview');
+const importSummary = document.getElementById('importSummary');
+const importProblems = document.getElementById('importProblems');
+const importConfirmBtn = document.getElementById('importConfirmBtn');
+const memberList = document.getElementById('memberList');
+const inviteSection = document.getElementById('inviteSection');
+const inviteRole = document.getElementById('inviteRole');
+const createInviteBtn = document.getElementById('createInviteBtn');
+const inviteList = document.getElementById('inviteList');
+const renameListBtn = document.getElementById('renameListBtn');
+const deleteListBtn = document.getElementById('deleteListBtn');
+const leaveListBtn = document.getElementById('leaveListBtn');
+const syncBadge = document.getElementById('syncBadge');
+const syncCount = document.getElementById('syncCount');
+const dueDateInput = document.getElementById('dueDateInput');
+const priorityInput = document.getElementById('priorityInput');
+const recurrenceInput = document.getElementById('recurrenceInput');
+const remindersInput = document.getElementById('remindersInput');
+const notificationsBtn = document.getElementById('notificationsBtn');
+const notificationPanel = document.getElementById('notificationPanel');
+const pushStatus = document.getElementById('pushStatus');
+const pushToggleBtn = document.getElementById('pushToggleBtn');
+const notificationForm = document.getElementById('notificationForm');
+const notifyEmailInput = document.getElementById('notifyEmailInput');
+const webhookUrlInput = document.getElementById('webhookUrlInput');
+const webhookSecret = document.getElementById('webhookSecret');
+const testNotificationBtn = document.getElementById('testNotificationBtn');
+const tagsInput = document.getElementById('tagsInput');
+const notesInput = document.getElementById('notesInput');
+const priorityFilter = document.getElementById('priorityFilter');
+const overdueFilter = document.getElementById('overdueFilter');
+const tagFilter = document.getElementById('tagFilter');
 
 // State
+let currentUser = null;
+let lists = [];
+let currentList = null; // null while showing the user's own todos
 let todos = [];
+let selectedIds = new Set();
+let nextCursor = null;
+let pendingImport = null; // { format, content } of a file previewed but not imported yet
+let loadingMore = false;
+let searchQuery = '';
+let searchTimer = null;
+let changeStream = null;
+let changeStreamDropped = false;
+let pendingWrites = 0; // changes queued by the service worker while offline
+let filters = { tag: '', priority: '', overdue: false };
+let editingDetailsId = null; // the todo whose details form is open
+let expandedIds = new Set(); // todos whose checklist is open
+let draggedId = null; // the todo being dragged to a new place
+let notificationSettings = null; // where reminders go, once the panel has loaded it
+let toastTimer = null;
 
 // Initialize the app
 document.addEventListener('DOMContentLoaded', () => {
@@ -32,6 +113,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     initializeApp();
     setupEventListeners();
+    setupInfiniteScroll();
     setDeploymentInfo();
 });
 
@@ -39,8 +121,14 @@ document.addEventListener('DOMContentLoaded', () => {
 async function initializeApp() {
     console.log('🚀 Initializing application...');
     await checkHealth();
-    await loadTodos();
     setInterval(checkHealth, 30000); // Check health every 30 seconds
+
+    currentUser = await loadCurrentUser();
+    if (currentUser) {
+        await enterApp();
+    } else {
+        showAuth();
+    }
     console.log('✅ Application initialized');
 }
 
@@ -53,6 +141,110 @@ function setupEventListeners() {
         }
     });
     clearCompleted.addEventListener('click', handleClearCompleted);
+    authForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        // The clicked button decides between logging in and registering
+        const mode = e.submitter && e.submitter.dataset.auth === 'register' ? 'register' : 'login';
+        handleAuth(mode);
+    });
+    logoutBtn.addEventListener('click', handleLogout);
+    listSelect.addEventListener('change', () => switchList(listSelect.value));
+    newListBtn.addEventListener('click', handleNewList);
+    shareListBtn.addEventListener('click', toggleSharePanel);
+    trashBtn.addEventListener('click', toggleTrashPanel);
+    trashPanel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'restore') {
+            restoreTodos([button.dataset.id]);
+        } else if (button.dataset.action === 'purge') {
+            purgeTodo(button.dataset.id);
+        }
+    });
+    transferBtn.addEventListener('click', toggleTransferPanel);
+    importFile.addEventListener('change', previewImport);
+    importConfirmBtn.addEventListener('click', confirmImport);
+    notificationsBtn.addEventListener('click', toggleNotificationPanel);
+    pushToggleBtn.addEventListener('click', togglePush);
+    notificationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveNotificationSettings();
+    });
+    testNotificationBtn.addEventListener('click', sendTestNotification);
+    createInviteBtn.addEventListener('click', handleCreateInvite);
+    renameListBtn.addEventListener('click', handleRenameList);
+    deleteListBtn.addEventListener('click', handleDeleteList);
+    leaveListBtn.addEventListener('click', () => removeMember(currentUser.id));
+    sharePanel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'remove':
+                removeMember(button.dataset.memberId);
+                break;
+            case 'copy':
+                copyInviteLink(button.dataset.token);
+                break;
+            case 'revoke':
+                revokeInvite(button.dataset.token);
+                break;
+        }
+    });
+    sharePanel.addEventListener('change', (e) => {
+        if (e.target.dataset.action === 'role') {
+            changeMemberRole(e.target.dataset.memberId, e.target.value);
+        }
+    });
+    bulkActions.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-bulk]');
+        if (button) {
+            handleBulkAction(button.dataset.bulk);
+        }
+    });
+    // Search as the user types, once they pause
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(searchTodos, SEARCH_DELAY);
+    });
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && searchInput.value) {
+            searchInput.value = '';
+            clearTimeout(searchTimer);
+            searchTodos();
+        }
+    });
+    priorityFilter.addEventListener('change', () => setFilter('priority', priorityFilter.value));
+    overdueFilter.addEventListener('change', () => setFilter('overdue', overdueFilter.checked));
+    tagFilter.addEventListener('click', () => setFilter('tag', ''));
+    todosList.addEventListener('submit', (e) => {
+        if (e.target.classList.contains('details-form')) {
+            e.preventDefault();
+            saveTodoDetails(e.target);
+        } else if (e.target.classList.contains('subtask-form')) {
+            e.preventDefault();
+            addSubtask(e.target);
+        }
+    });
+    // Manual order: drag a todo by its handle, or focus the handle and use the arrow keys
+    todosList.addEventListener('dragstart', handleDragStart);
+    todosList.addEventListener('dragover', handleDragOver);
+    todosList.addEventListener('drop', handleDrop);
+    todosList.addEventListener('dragend', clearDropMarker);
+    todosList.addEventListener('keydown', handleMoveKey);
+}
+
+// Load the next page whenever the sentinel below the list scrolls into view
+function setupInfiniteScroll() {
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreTodos();
+        }
+    }, { rootMargin: '200px' });
+    observer.observe(loadMoreSentinel);
 }
 
 // Setup event listeners for todo items (using event delegation)
@@ -75,6 +267,12 @@ function setupTodoEventListeners() {
         
         if (!todoId) return;
         
+        // Let the native checkbox keep its own checked state
+        if (action === 'select') {
+            toggleSelection(todoId, actionElement.checked);
+            return;
+        }
+        
         e.preventDefault();
         e.stopPropagation();
         
@@ -85,141 +283,1660 @@ function setupTodoEventListeners() {
             case 'edit':
                 editTodo(todoId);
                 break;
+            case 'details':
+                editingDetailsId = editingDetailsId === todoId ? null : todoId;
+                renderTodos();
+                break;
             case 'delete':
                 deleteTodo(todoId);
                 break;
+            case 'tag':
+                setFilter('tag', actionElement.dataset.tag);
+                break;
+            case 'subtasks':
+                toggleChecklist(todoId);
+                break;
+            case 'subtask-toggle':
+                toggleSubtask(todoId, actionElement.dataset.subtaskId);
+                break;
+            case 'subtask-delete':
+                changeSubtasks(todoId, `/subtasks/${actionElement.dataset.subtaskId}`, 'DELETE');
+                break;
+            case 'auto-complete':
+                toggleAutoComplete(todoId);
+                break;
+        }
+    };
+    
+    // Store reference to handler for cleanup
+    todosList._todoEventHandler = todoEventHandler;
+    
+    // Add event listener
+    todosList.addEventListener('click', todoEventHandler);
+}
+
+// Health check
+async function checkHealth() {
+    try {
+        const response = await fetch('/health');
+        const data = await response.json();
+        
+        if (data.status === 'OK') {
+            healthIndicator.className = 'health-dot healthy';
+            healthText.textContent = `Healthy • Uptime: ${formatUptime(data.uptime)}`;
+        } else {
+            throw new Error('Health check failed');
+        }
+    } catch (error) {
+        healthIndicator.className = 'health-dot error';
+        healthText.textContent = 'Service unavailable';
+        console.error('Health check failed:', error);
+    }
+}
+
+// The signed-in user, or null when there is no valid session
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE}/auth/me`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.success ? data.data : null;
+    } catch (error) {
+        console.error('Failed to load session:', error);
+        return null;
+    }
+}
+
+// fetch() for API calls that need a session: a 401 sends the user back to the login form
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        currentUser = null;
+        showAuth('Your session has expired. Please log in again.');
+        throw new Error('Not signed in');
+    }
+    return response;
+}
+
+function showApp() {
+    authSection.hidden = true;
+    appMain.hidden = false;
+    userBar.hidden = false;
+    currentUsername.textContent = currentUser.username;
+}
+
+function showAuth(message = '') {
+    appMain.hidden = true;
+    userBar.hidden = true;
+    authSection.hidden = false;
+    authMessage.textContent = message;
+    usernameInput.focus();
+}
+
+// Log in or create an account with the form's credentials
+async function handleAuth(mode) {
+    try {
+        const response = await fetch(`${API_BASE}/auth/${mode}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                username: usernameInput.value,
+                password: passwordInput.value
+            }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            currentUser = data.data;
+            passwordInput.value = '';
+            await enterApp();
+            showToast(mode === 'register' ? 'Account created!' : `Welcome back, ${currentUser.username}!`, 'success');
+        } else {
+            authMessage.textContent = data.error || 'Failed to sign in';
+        }
+    } catch (error) {
+        console.error('Failed to sign in:', error);
+        authMessage.textContent = 'Failed to sign in';
+    }
+}
+
+async function handleLogout() {
+    if (pendingWrites > 0 && !confirm(`${pendingWrites} change(s) made offline have not been saved yet and will be lost. Log out anyway?`)) {
+        return;
+    }
+
+    try {
+        await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Failed to log out:', error);
+    }
+
+    // Forget everything that belonged to the previous user
+    stopWatchingChanges();
+    currentUser = null;
+    lists = [];
+    currentList = null;
+    renderListSelect();
+    sharePanel.hidden = true;
+    trashPanel.hidden = true;
+    transferPanel.hidden = true;
+    notificationPanel.hidden = true;
+    notificationSettings = null;
+    todos = [];
+    selectedIds = new Set();
+    nextCursor = null;
+    searchQuery = '';
+    searchInput.value = '';
+    todosList.innerHTML = '';
+    showAuth();
+}
+
+// Show the app once the user is signed in
+async function enterApp() {
+    showApp();
+    await loadLists();
+    await acceptPendingInvite();
+    await loadTodos();
+    watchChanges();
+}
+
+// Todo API URL for the list on screen: the user's own todos or a shared list
+function todosUrl(path = '') {
+    const base = currentList ? `${API_BASE}/lists/${currentList.id}/todos` : `${API_BASE}/todos`;
+    return `${base}${path}`;
+}
+
+// Trash API URL for the list on screen
+function trashUrl(path = '') {
+    const base = currentList ? `${API_BASE}/lists/${currentList.id}/trash` : `${API_BASE}/trash`;
+    return `${base}${path}`;
+}
+
+// Export and import API URL for the list on screen
+function transferUrl(path) {
+    const base = currentList ? `${API_BASE}/lists/${currentList.id}` : API_BASE;
+    return `${base}${path}`;
+}
+
+// Viewers of a shared list can read it but not change it
+function canEdit() {
+    return !currentList || currentList.role !== 'viewer';
+}
+
+// Load the shared lists the user belongs to into the list switcher
+async function loadLists() {
+    try {
+        const response = await apiFetch(`${API_BASE}/lists`);
+        const data = await response.json();
+
+        if (data.success) {
+            lists = data.data;
+            // Pick up role changes, or drop a list the user no longer belongs to
+            currentList = currentList ? lists.find(list => list.id === currentList.id) || null : null;
+            renderListSelect();
+        } else {
+            throw new Error(data.error || 'Failed to load lists');
+        }
+    } catch (error) {
+        console.error('Failed to load lists:', error);
+    }
+}
+
+function renderListSelect() {
+    listSelect.innerHTML = '<option value="">My todos</option>' + lists.map(list => `
+        <option value="${list.id}">${escapeHtml(list.name)}</option>
+    `).join('');
+    listSelect.value = currentList ? currentList.id : '';
+    listRole.hidden = !currentList;
+    listRole.textContent = currentList ? currentList.role : '';
+    shareListBtn.hidden = !currentList;
+    appMain.classList.toggle('read-only', !canEdit());
+}
+
+// Show another list from a clean slate ('' is the user's own todos)
+async function switchList(listId) {
+    currentList = lists.find(list => list.id === listId) || null;
+    selectedIds = new Set();
+    nextCursor = null;
+    searchQuery = '';
+    searchInput.value = '';
+    sharePanel.hidden = true;
+    trashPanel.hidden = true;
+    transferPanel.hidden = true;
+    renderListSelect();
+    await loadTodos();
+    watchChanges();
+}
+
+// Follow changes other tabs and users make to the list on screen
+function watchChanges() {
+    stopWatchingChanges();
+    changeStream = new EventSource(todosUrl('/events'));
+
+    changeStream.addEventListener('changes', event => {
+        applyChanges(JSON.parse(event.data));
+    });
+
+    // The browser reconnects by itself; changes made in the meantime were
+    // missed, so reload once the stream is back
+    changeStream.addEventListener('error', () => {
+        changeStreamDropped = true;
+    });
+    changeStream.addEventListener('open', () => {
+        if (changeStreamDropped) {
+            changeStreamDropped = false;
+            loadTodos();
+        }
+    });
+}
+
+function stopWatchingChanges() {
+    if (changeStream) {
+        changeStream.close();
+        changeStream = null;
+    }
+    changeStreamDropped = false;
+}
+
+// Apply changes from the server to the todos already loaded
+function applyChanges(changes) {
+    for (const change of changes) {
+        if (change.type === 'deleted') {
+            todos = todos.filter(t => t.id !== change.id);
+        } else if (change.type === 'updated') {
+            if (todos.some(t => t.id === change.todo.id)) {
+                putTodo(change.todo);
+            }
+        } else if (change.type === 'created' && !searchQuery && !filterParams()) {
+            putTodo(change.todo);
+        }
+    }
+    renderTodos();
+    updateStats();
+}
+
+// Add a todo, or replace it if it is already there (its change may have
+// arrived before the response that created it). New and moved todos go to
+// their place in the manual order.
+function putTodo(todo) {
+    const todoIndex = todos.findIndex(t => t.id === todo.id);
+    if (todoIndex !== -1 && todos[todoIndex].position === todo.position) {
+        todos[todoIndex] = todo;
+        return;
+    }
+
+    todos = todos.filter(t => t.id !== todo.id);
+    const index = todos.findIndex(t => comparePositions(todo, t) < 0);
+    todos.splice(index === -1 ? todos.length : index, 0, todo);
+}
+
+// The server's order: by position, then by id. Todos added offline have no
+// position yet and stay on top.
+function comparePositions(a, b) {
+    const positionA = a.position || '';
+    const positionB = b.position || '';
+    if (positionA !== positionB) return positionA < positionB ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+async function handleNewList() {
+    const name = prompt('Name of the new shared list:');
+    if (name === null) return;
+
+    if (!name.trim()) {
+        showToast('List name cannot be empty', 'warning');
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/lists`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name: name.trim() }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            lists.push(data.data);
+            await switchList(data.data.id);
+            showToast('List created! Use Members to invite people.', 'success');
+        } else {
+            throw new Error(data.error || 'Failed to create list');
+        }
+    } catch (error) {
+        console.error('Failed to create list:', error);
+        showToast('Failed to create list', 'error');
+    }
+}
+
+// Join the list of the invitation link the app was opened with (/?invite=<token>)
+async function acceptPendingInvite() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('invite');
+    if (!token) return;
+
+    // Links are single use, so take it out of the address bar either way
+    params.delete('invite');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    try {
+        const response = await apiFetch(`${API_BASE}/invites/${encodeURIComponent(token)}/accept`, {
+            method: 'POST',
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            await loadLists();
+            currentList = lists.find(list => list.id === data.data.id) || null;
+            renderListSelect();
+            showToast(`You joined "${data.data.name}"!`, 'success');
+        } else {
+            showToast(data.error || 'Failed to accept invitation', 'error');
+        }
+    } catch (error) {
+        console.error('Failed to accept invitation:', error);
+        showToast('Failed to accept invitation', 'error');
+    }
+}
+
+async function toggleNotificationPanel() {
+    if (notificationPanel.hidden) {
+        await loadNotificationPanel();
+    } else {
+        notificationPanel.hidden = true;
+    }
+}
+
+// Where the user's reminders go: push on this device, email and a webhook
+async function loadNotificationPanel() {
+    try {
+        const response = await apiFetch(`${API_BASE}/notifications`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load reminder settings');
+        }
+
+        notificationSettings = data.data;
+        renderNotificationPanel();
+        notificationPanel.hidden = false;
+    } catch (error) {
+        console.error('Failed to load reminder settings:', error);
+        showToast('Failed to load reminder settings', 'error');
+    }
+}
+
+function renderNotificationPanel() {
+    const { email, webhook, channels } = notificationSettings;
+    // Email needs an SMTP server on the server side
+    notifyEmailInput.hidden = !channels.includes('email');
+    notifyEmailInput.value = email || '';
+    webhookUrlInput.value = webhook ? webhook.url : '';
+    webhookSecret.hidden = !webhook;
+    webhookSecret.textContent = webhook ? `Webhook requests are signed with the secret ${webhook.secret} (X-Todo-Signature)` : '';
+    renderPushStatus();
+}
+
+function pushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// This browser's push subscription, if it has one the server knows
+async function currentPushSubscription() {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    return subscription && notificationSettings.push.subscriptions.includes(subscription.endpoint) ? subscription : null;
+}
+
+async function renderPushStatus() {
+    if (!pushSupported()) {
+        pushStatus.textContent = 'This browser cannot receive push notifications';
+        pushToggleBtn.hidden = true;
+        return;
+    }
+
+    const subscribed = Boolean(await currentPushSubscription());
+    pushStatus.textContent = subscribed ? 'Push notifications are on for this device' : 'Push notifications are off for this device';
+    pushToggleBtn.textContent = subscribed ? 'Turn off' : 'Turn on';
+    pushToggleBtn.dataset.subscribed = subscribed ? 'true' : '';
+    pushToggleBtn.hidden = false;
+}
+
+// The server's public key as the bytes PushManager.subscribe() expects
+function serverKeyBytes(base64url) {
+    const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function togglePush() {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+        let response;
+
+        if (pushToggleBtn.dataset.subscribed) {
+            response = await apiFetch(`${API_BASE}/notifications/push`, {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endpoint: subscription.endpoint }),
+            });
+            await subscription.unsubscribe();
+        } else {
+            if (await Notification.requestPermission() !== 'granted') {
+                showToast('Notifications are blocked for this site in the browser settings', 'warning');
+                return;
+            }
+
+            // A subscription made for another server key (one that changed) cannot be reused
+            const key = serverKeyBytes(notificationSettings.push.publicKey);
+            const subscribedKey = subscription && subscription.options.applicationServerKey;
+            if (subscribedKey && new Uint8Array(subscribedKey).join() !== key.join()) {
+                await subscription.unsubscribe();
+                subscription = null;
+            }
+            subscription = subscription || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+
+            response = await apiFetch(`${API_BASE}/notifications/push`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(subscription.toJSON()),
+            });
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to change push notifications');
+        }
+        notificationSettings = data.data;
+        await renderPushStatus();
+    } catch (error) {
+        console.error('Failed to change push notifications:', error);
+        showToast('Failed to change push notifications', 'error');
+    }
+}
+
+async function saveNotificationSettings() {
+    const body = { webhookUrl: webhookUrlInput.value.trim() || null };
+    if (!notifyEmailInput.hidden) {
+        body.email = notifyEmailInput.value.trim() || null;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/notifications`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            notificationSettings = data.data;
+            renderNotificationPanel();
+            showToast('Reminder settings saved', 'success');
+        } else {
+            showToast(data.error || 'Failed to save reminder settings', 'warning');
+        }
+    } catch (error) {
+        console.error('Failed to save reminder settings:', error);
+        showToast('Failed to save reminder settings', 'error');
+    }
+}
+
+async function sendTestNotification() {
+    try {
+        const response = await apiFetch(`${API_BASE}/notifications/test`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            showToast(data.error || 'Failed to send a test notification', 'warning');
+        } else if (data.data.failed.length > 0) {
+            showToast(`Could not send by ${data.data.failed.join(', ')}`, 'warning');
+        } else {
+            showToast(`Test sent by ${data.data.delivered.join(', ')}`, 'success');
+        }
+    } catch (error) {
+        console.error('Failed to send a test notification:', error);
+        showToast('Failed to send a test notification', 'error');
+    }
+}
+
+async function toggleTrashPanel() {
+    if (trashPanel.hidden) {
+        await loadTrash();
+    } else {
+        trashPanel.hidden = true;
+    }
+}
+
+// Deleted todos of the current list, which can be restored until they are purged
+async function loadTrash() {
+    try {
+        const response = await apiFetch(trashUrl());
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load trash');
+        }
+
+        trashHint.textContent = `Deleted todos are removed for good after ${data.retentionDays} days.`;
+        renderTrash(data.data);
+        trashPanel.hidden = false;
+    } catch (error) {
+        console.error('Failed to load trash:', error);
+        showToast('Failed to load trash', 'error');
+    }
+}
+
+function renderTrash(trashedTodos) {
+    if (trashedTodos.length === 0) {
+        trashList.innerHTML = '<li class="share-hint">The trash is empty</li>';
+        return;
+    }
+
+    trashList.innerHTML = trashedTodos.map(todo => `
+        <li>
+            <span class="trash-text">${escapeHtml(todo.text)}</span>
+            <span class="trash-date">${formatDate(todo.deletedAt)}</span>
+            <button class="action-btn edit-btn" data-id="${todo.id}" data-action="restore" title="Restore" ${canEdit() ? '' : 'hidden'}>
+                <i class="fas fa-undo"></i>
+            </button>
+            <button class="action-btn delete-btn" data-id="${todo.id}" data-action="purge" title="Delete forever" ${canEdit() ? '' : 'hidden'}>
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `).join('');
+}
+
+// Put deleted todos back in the list, from the trash or a toast's Undo
+async function restoreTodos(ids) {
+    let restored = 0;
+
+    try {
+        for (const id of ids) {
+            const response = await apiFetch(trashUrl(`/${id}/restore`), {
+                method: 'POST',
+            });
+            const data = await response.json();
+
+            // A 409 means the todo is back in the list already
+            if (data.success || response.status === 409) {
+                putTodo(data.data);
+                restored++;
+            }
+        }
+
+        renderTodos();
+        updateStats();
+        if (!trashPanel.hidden) {
+            await loadTrash();
+        }
+        if (restored === ids.length) {
+            showToast(`${restored} todo(s) restored`, 'success');
+        } else {
+            showToast('Some todos could not be restored', 'warning');
+        }
+    } catch (error) {
+        console.error('Failed to restore todos:', error);
+        showToast('Failed to restore todos', 'error');
+    }
+}
+
+async function purgeTodo(id) {
+    if (!confirm('Delete this todo forever? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch(trashUrl(`/${id}`), {
+            method: 'DELETE',
+        });
+        const data = await response.json();
+
+        if (data.success || response.status === 404) {
+            await loadTrash();
+        } else {
+            throw new Error(data.error || 'Failed to delete todo');
+        }
+    } catch (error) {
+        console.error('Failed to purge todo:', error);
+        showToast('Failed to delete todo', 'error');
+    }
+}
+
+function toggleTransferPanel() {
+    if (transferPanel.hidden) {
+        exportLinks.querySelectorAll('a[data-format]').forEach(link => {
+            link.href = transferUrl(`/export?format=${link.dataset.format}`);
+        });
+        importSection.hidden = !canEdit();
+        resetImport();
+        transferPanel.hidden = false;
+    } else {
+        transferPanel.hidden = true;
+    }
+}
+
+function resetImport() {
+    pendingImport = null;
+    importFile.value = '';
+    importPreview.hidden = true;
+}
+
+// Send the chosen file to the import endpoint, as a preview unless confirmed
+async function sendImport(dryRun) {
+    const response = await apiFetch(transferUrl(`/import?format=${pendingImport.format}&dryRun=${dryRun}`), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'text/plain',
+        },
+        body: pendingImport.content,
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to import todos');
+    }
+    return data;
+}
+
+// Show what the chosen file would add before importing it
+async function previewImport() {
+    const file = importFile.files[0];
+    if (!file) return;
+
+    const format = IMPORT_FORMATS[file.name.split('.').pop().toLowerCase()];
+    if (!format) {
+        showToast('Choose a .json, .csv, .md or .ics file', 'error');
+        resetImport();
+        return;
+    }
+
+    try {
+        pendingImport = { format, content: await file.text() };
+        renderImportPreview(await sendImport(true));
+    } catch (error) {
+        console.error('Failed to preview import:', error);
+        showToast(error.message, 'error');
+        resetImport();
+    }
+}
+
+function renderImportPreview({ data, summary }) {
+    importSummary.textContent = `${summary.imported} new todo(s), ${summary.duplicates} already in the list, ${summary.invalid} with problems.`;
+    importProblems.innerHTML = data.filter(row => row.status === 'invalid').map(row => `
+        <li>
+            <span class="trash-text">${row.line ? `Line ${row.line}` : `Todo ${row.row}`}: ${escapeHtml(row.error)}</span>
+        </li>
+    `).join('');
+    importConfirmBtn.textContent = `Import ${summary.imported} todo(s)`;
+    importConfirmBtn.disabled = summary.imported === 0;
+    importPreview.hidden = false;
+}
+
+async function confirmImport() {
+    if (!pendingImport) return;
+
+    try {
+        const { summary } = await sendImport(false);
+        resetImport();
+        transferPanel.hidden = true;
+        await loadTodos();
+        showToast(`${summary.imported} todo(s) imported`, 'success');
+    } catch (error) {
+        console.error('Failed to import todos:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function toggleSharePanel() {
+    if (sharePanel.hidden) {
+        await loadSharePanel();
+    } else {
+        sharePanel.hidden = true;
+    }
+}
+
+// Members of the current list, plus its invitation links for the owner
+async function loadSharePanel() {
+    if (!currentList) return;
+
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load list');
+        }
+
+        const isOwner = data.data.role === 'owner';
+        renderMembers(data.data.members, isOwner);
+        inviteSection.hidden = !isOwner;
+        renameListBtn.hidden = !isOwner;
+        deleteListBtn.hidden = !isOwner;
+        leaveListBtn.hidden = isOwner;
+        if (isOwner) {
+            await loadInvites();
+        }
+        sharePanel.hidden = false;
+    } catch (error) {
+        console.error('Failed to load list members:', error);
+        showToast('Failed to load list members', 'error');
+    }
+}
+
+function renderMembers(members, isOwner) {
+    memberList.innerHTML = members.map(member => {
+        const name = escapeHtml(member.username || 'Deleted account');
+
+        if (!isOwner || member.role === 'owner') {
+            return `
+                <li>
+                    <span class="member-name">${name}</span>
+                    <span class="role-badge">${member.role}</span>
+                </li>
+            `;
+        }
+
+        return `
+            <li>
+                <span class="member-name">${name}</span>
+                <select data-member-id="${member.userId}" data-action="role" aria-label="Role of ${name}">
+                    <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>Can edit</option>
+                    <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>Can view</option>
+                </select>
+                <button class="action-btn delete-btn" data-member-id="${member.userId}" data-action="remove" title="Remove from list">
+                    <i class="fas fa-user-minus"></i>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function loadInvites() {
+    const response = await apiFetch(`${API_BASE}/lists/${currentList.id}/invites`);
+    const data = await response.json();
+
+    if (data.success) {
+        renderInvites(data.data);
+    }
+}
+
+function inviteLink(token) {
+    return `${window.location.origin}/?invite=${encodeURIComponent(token)}`;
+}
+
+function renderInvites(invites) {
+    if (invites.length === 0) {
+        inviteList.innerHTML = '<li class="share-hint">No open invitation links</li>';
+        return;
+    }
+
+    inviteList.innerHTML = invites.map(invite => `
+        <li>
+            <span class="role-badge">${invite.role}</span>
+            <span class="invite-link">${escapeHtml(inviteLink(invite.token))}</span>
+            <button class="action-btn edit-btn" data-token="${invite.token}" data-action="copy" title="Copy link">
+                <i class="fas fa-copy"></i>
+            </button>
+            <button class="action-btn delete-btn" data-token="${invite.token}" data-action="revoke" title="Revoke link">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `).join('');
+}
+
+async function handleCreateInvite() {
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}/invites`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ role: inviteRole.value }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            await loadInvites();
+            await copyInviteLink(data.data.token);
+        } else {
+            throw new Error(data.error || 'Failed to create invitation');
+        }
+    } catch (error) {
+        console.error('Failed to create invitation:', error);
+        showToast('Failed to create invitation link', 'error');
+    }
+}
+
+async function copyInviteLink(token) {
+    try {
+        await navigator.clipboard.writeText(inviteLink(token));
+        showToast('Invitation link copied!', 'success');
+    } catch (error) {
+        // Clipboard access needs a secure context; let the user copy it by hand
+        prompt('Copy this invitation link:', inviteLink(token));
+    }
+}
+
+async function revokeInvite(token) {
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}/invites/${encodeURIComponent(token)}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            await loadInvites();
+            showToast('Invitation link revoked', 'success');
+        } else {
+            throw new Error(data.error || 'Failed to revoke invitation');
+        }
+    } catch (error) {
+        console.error('Failed to revoke invitation:', error);
+        showToast('Failed to revoke invitation link', 'error');
+    }
+}
+
+async function changeMemberRole(userId, role) {
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}/members/${userId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ role }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            showToast('Role updated!', 'success');
+        } else {
+            throw new Error(data.error || 'Failed to update role');
+        }
+    } catch (error) {
+        console.error('Failed to update role:', error);
+        showToast('Failed to update role', 'error');
+        await loadSharePanel();
+    }
+}
+
+// Remove a member, or leave the list when it is the current user
+async function removeMember(userId) {
+    const leaving = userId === currentUser.id;
+    const question = leaving
+        ? `Leave "${currentList.name}"? You will need a new invitation to come back.`
+        : 'Remove this member from the list?';
+    if (!confirm(question)) return;
+
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}/members/${userId}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to remove member');
+        }
+
+        if (leaving) {
+            showToast(`You left "${currentList.name}"`, 'success');
+            lists = lists.filter(list => list.id !== currentList.id);
+            await switchList('');
+        } else {
+            showToast('Member removed', 'success');
+            await loadSharePanel();
+        }
+    } catch (error) {
+        console.error('Failed to remove member:', error);
+        showToast('Failed to remove member', 'error');
+    }
+}
+
+async function handleRenameList() {
+    const name = prompt('Rename list:', currentList.name);
+    if (name === null || name.trim() === currentList.name) return;
+
+    if (!name.trim()) {
+        showToast('List name cannot be empty', 'warning');
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name: name.trim() }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            await loadLists();
+            showToast('List renamed!', 'success');
+        } else {
+            throw new Error(data.error || 'Failed to rename list');
+        }
+    } catch (error) {
+        console.error('Failed to rename list:', error);
+        showToast('Failed to rename list', 'error');
+    }
+}
+
+async function handleDeleteList() {
+    if (!confirm(`Delete "${currentList.name}" and all of its todos for every member?`)) return;
+
+    try {
+        const response = await apiFetch(`${API_BASE}/lists/${currentList.id}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            showToast('List deleted', 'success');
+            lists = lists.filter(list => list.id !== currentList.id);
+            await switchList('');
+        } else {
+            throw new Error(data.error || 'Failed to delete list');
+        }
+    } catch (error) {
+        console.error('Failed to delete list:', error);
+        showToast('Failed to delete list', 'error');
+    }
+}
+
+// Format uptime
+function formatUptime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes}m`;
+}
+
+// Load todos from API
+async function loadTodos() {
+    // While a search is active the list shows its results instead
+    if (searchQuery) {
+        return searchTodos();
+    }
+
+    try {
+        console.log('🔄 Loading todos from API...');
+        showLoading();
+        const response = await apiFetch(todosUrl(`?sort=position&limit=${PAGE_SIZE}${filterParams()}`));
+
+        // The shared list was deleted, or the user was removed from it
+        if (response.status === 404 && currentList) {
+            showToast(`"${currentList.name}" is no longer shared with you`, 'warning');
+            await loadLists();
+            return switchList('');
+        }
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        console.log('📨 API Response:', data);
+        
+        if (data.success) {
+            if (data.offline) {
+                showToast('You are offline. Showing the todos saved on this device.', 'warning');
+            }
+            todos = data.data;
+            nextCursor = data.nextCursor;
+            loadMoreSentinel.hidden = !nextCursor;
+            console.log('✅ Todos loaded:', todos.length, 'of', data.total, 'items');
+            console.log('📋 Todos data:', todos);
+            renderTodos();
+            updateStats();
+        } else {
+            throw new Error(data.error || 'Failed to load todos');
+        }
+    } catch (error) {
+        console.error('❌ Failed to load todos:', error);
+        showToast('Failed to load todos', 'error');
+        showEmptyState('Failed to load todos. Please refresh the page.');
+    }
+}
+
+// Append the next page of todos
+async function loadMoreTodos() {
+    if (!nextCursor || loadingMore) return;
+
+    loadingMore = true;
+    try {
+        const response = await apiFetch(todosUrl(`?sort=position&limit=${PAGE_SIZE}${filterParams()}&cursor=${encodeURIComponent(nextCursor)}`));
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (data.success) {
+            // Skip anything already shown (e.g. todos added since the first page)
+            const knownIds = new Set(todos.map(t => t.id));
+            todos = todos.concat(data.data.filter(todo => !knownIds.has(todo.id)));
+            nextCursor = data.nextCursor;
+            loadMoreSentinel.hidden = !nextCursor;
+            renderTodos();
+            updateStats();
+        } else {
+            throw new Error(data.error || 'Failed to load more todos');
+        }
+    } catch (error) {
+        console.error('Failed to load more todos:', error);
+        showToast('Failed to load more todos', 'error');
+    } finally {
+        loadingMore = false;
+    }
+
+    // The observer only fires on changes, so keep going while the sentinel is still visible
+    if (nextCursor && loadMoreSentinel.getBoundingClientRect().top < window.innerHeight) {
+        loadMoreTodos();
+    }
+}
+
+// Query string for the filters in use (tag, priority, overdue)
+function filterParams() {
+    const params = new URLSearchParams();
+    if (filters.tag) params.set('tag', filters.tag);
+    if (filters.priority) params.set('priority', filters.priority);
+    if (filters.overdue) params.set('overdue', 'true');
+    const query = params.toString();
+    return query ? `&${query}` : '';
+}
+
+// Change one filter and reload the list with it
+function setFilter(name, value) {
+    filters = { ...filters, [name]: value };
+    priorityFilter.value = filters.priority;
+    overdueFilter.checked = filters.overdue;
+    tagFilter.hidden = !filters.tag;
+    tagFilter.innerHTML = filters.tag ? `#${escapeHtml(filters.tag)} <i class="fas fa-times"></i>` : '';
+    loadTodos();
+}
+
+// Replace the list with search results, or go back to the full list when the box is empty
+async function searchTodos() {
+    const query = searchInput.value.trim();
+    searchQuery = query;
+
+    if (!query) {
+        await loadTodos();
+        return;
+    }
+
+    try {
+        const response = await apiFetch(todosUrl(`/search?q=${encodeURIComponent(query)}`));
+        const data = await response.json();
+
+        // Ignore results for a query the user has already typed past
+        if (query !== searchQuery) return;
+
+        // A query with no searchable words (only punctuation) simply matches nothing
+        todos = data.success ? data.data : [];
+        nextCursor = null;
+        loadMoreSentinel.hidden = true;
+        renderTodos();
+        updateStats();
+    } catch (error) {
+        console.error('Failed to search todos:', error);
+        showToast('Failed to search todos', 'error');
+    }
+}
+
+// Show loading state
+function showLoading() {
+    todosList.innerHTML = `
+        <div class="loading">
+            <i class="fas fa-spinner fa-spin"></i>
+            Loading todos...
+        </div>
+    `;
+}
+
+// Show empty state
+function showEmptyState(message = "No todos yet. Add one above!") {
+    todosList.innerHTML = `
+        <div class="empty-state">
+            <i class="fas fa-clipboard-list"></i>
+            <p>${message}</p>
+        </div>
+    `;
+}
+
+// Render todos
+function renderTodos() {
+    console.log('🎨 renderTodos called with todos:', todos.length, 'items');
+    console.log('📋 Todos array:', todos);
+    
+    // Drop selections for todos that no longer exist
+    selectedIds = new Set(todos.filter(todo => selectedIds.has(todo.id)).map(todo => todo.id));
+    updateBulkActions();
+    
+    if (todos.length === 0) {
+        console.log('⚠️ No todos found, showing empty state');
+        showEmptyState(searchQuery ? `No todos match "${escapeHtml(searchQuery)}"` : undefined);
+        return;
+    }
+
+    console.log('✅ Rendering', todos.length, 'todos');
+    // Search results are ranked by relevance, so they cannot be reordered
+    const canMove = canEdit() && !searchQuery;
+    const todosHTML = todos.map(todo => `
+        <div class="todo-item ${todo.completed ? 'completed' : ''} ${isOverdue(todo) ? 'overdue' : ''} ${selectedIds.has(todo.id) ? 'selected' : ''}" data-id="${todo.id}">
+            ${canMove ? `<button class="drag-handle" draggable="true" data-todo-id="${todo.id}" title="Drag to move, or use the arrow keys" aria-label="Move todo with the arrow keys"><i class="fas fa-grip-vertical"></i></button>` : ''}
+            <input type="checkbox" class="todo-select" data-todo-id="${todo.id}" data-action="select" aria-label="Select todo" ${selectedIds.has(todo.id) ? 'checked' : ''}>
+            <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" data-todo-id="${todo.id}" data-action="toggle">
+                ${todo.completed ? '<i class="fas fa-check"></i>' : ''}
+            </div>
+            <div class="todo-body">
+                <div class="todo-text ${todo.completed ? 'completed' : ''}">${highlightMatches(todo.text)}</div>
+                ${renderTodoDetails(todo)}
+            </div>
+            <div class="todo-meta">${formatDate(todo.createdAt)}</div>
+            <div class="todo-actions">
+                <button class="action-btn edit-btn" data-todo-id="${todo.id}" data-action="edit" title="Edit">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="action-btn details-btn" data-todo-id="${todo.id}" data-action="details" title="Due date, priority, tags and notes">
+                    <i class="fas fa-sliders-h"></i>
+                </button>
+                <button class="action-btn details-btn" data-todo-id="${todo.id}" data-action="subtasks" title="Checklist">
+                    <i class="fas fa-list-ul"></i>
+                </button>
+                <button class="action-btn delete-btn" data-todo-id="${todo.id}" data-action="delete" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            ${todo.id === editingDetailsId ? renderDetailsForm(todo) : ''}
+            ${expandedIds.has(todo.id) ? renderChecklist(todo) : ''}
+        </div>
+    `).join('');
+
+    todosList.innerHTML = todosHTML;
+    console.log('🎨 HTML rendered to todosList element');
+    
+    // Add event delegation for todo actions
+    setupTodoEventListeners();
+}
+
+// Repeat choices offered in the forms, as recurrence rules
+const RECURRENCES = [
+    ['FREQ=DAILY', 'Daily'],
+    ['FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', 'Every weekday'],
+    ['FREQ=WEEKLY', 'Weekly'],
+    ['FREQ=MONTHLY', 'Monthly'],
+    ['FREQ=YEARLY', 'Yearly']
+];
+
+// Reminder choices offered in the forms, as lead times in minutes
+const REMINDERS = [
+    ['0', 'At the due time'],
+    ['15', '15 minutes before'],
+    ['60', '1 hour before'],
+    ['1440', '1 day before']
+];
+
+// The earliest reminder in words ("15 minutes before"), plus how many more
+function describeReminders(leads) {
+    const [first, ...others] = leads;
+    const known = REMINDERS.find(([value]) => Number(value) === first);
+    const label = known ? known[1] : `${first} minutes before`;
+    return others.length > 0 ? `${label} +${others.length}` : label;
+}
+
+// A rule in words, for the ones the forms offer (occurrences keep the day of
+// the month they started on, so monthly rules come back pinned to it)
+function describeRecurrence(rule) {
+    const known = RECURRENCES.find(([value]) => value === rule.replace(/;BYMONTHDAY=\d+$/, ''));
+    return known ? known[1] : 'Repeats';
+}
+
+// Due date, priority, tags and notes under the todo text
+function renderTodoDetails(todo) {
+    const badges = [];
+    if (todo.subtasks) {
+        const done = todo.subtasks.filter(subtask => subtask.completed).length;
+        badges.push(`<button class="progress-badge" data-todo-id="${todo.id}" data-action="subtasks" title="${done} of ${todo.subtasks.length} done"><i class="fas fa-tasks"></i> ${done}/${todo.subtasks.length}</button>`);
+    }
+    if (todo.dueDate) {
+        badges.push(`<span class="due-badge" title="Due"><i class="fas fa-calendar-alt"></i> ${formatDueDate(todo.dueDate)}</span>`);
+    }
+    if (todo.reminders) {
+        badges.push(`<span class="reminder-badge" title="Reminders"><i class="fas fa-bell"></i> ${describeReminders(todo.reminders)}</span>`);
+    }
+    if (todo.recurrence) {
+        badges.push(`<span class="recurrence-badge" title="${escapeHtml(todo.recurrence)}"><i class="fas fa-redo"></i> ${describeRecurrence(todo.recurrence)}</span>`);
+    }
+    if (todo.priority) {
+        badges.push(`<span class="priority-badge ${todo.priority}">${todo.priority}</span>`);
+    }
+    for (const tag of todo.tags || []) {
+        badges.push(`<button class="tag-chip" data-todo-id="${todo.id}" data-action="tag" data-tag="${escapeHtml(tag)}" title="Show todos tagged #${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`);
+    }
+
+    return (badges.length > 0 ? `<div class="todo-badges">${badges.join('')}</div>` : '') +
+        (todo.notes ? `<div class="todo-notes">${escapeHtml(todo.notes)}</div>` : '');
+}
+
+// Inline form for changing a todo's details
+function renderDetailsForm(todo) {
+    const priorities = ['low', 'medium', 'high', 'urgent'];
+    // A rule set through the API that the choices do not cover stays selectable
+    const recurrences = todo.recurrence && !RECURRENCES.some(([value]) => value === todo.recurrence)
+        ? [...RECURRENCES, [todo.recurrence, describeRecurrence(todo.recurrence)]]
+        : RECURRENCES;
+    // Several lead times or other ones set through the API, likewise
+    const currentReminders = (todo.reminders || []).join(',');
+    const reminderChoices = currentReminders && !REMINDERS.some(([value]) => value === currentReminders)
+        ? [...REMINDERS, [currentReminders, describeReminders(todo.reminders)]]
+        : REMINDERS;
+    return `
+        <form class="details-form" data-todo-id="${todo.id}">
+            <input type="datetime-local" name="dueDate" value="${todo.dueDate ? toLocalInputValue(todo.dueDate) : ''}" aria-label="Due date">
+            <select name="priority" aria-label="Priority">
+                <option value="">No priority</option>
+                ${priorities.map(priority => `<option value="${priority}" ${todo.priority === priority ? 'selected' : ''}>${priority}</option>`).join('')}
+            </select>
+            <select name="reminders" aria-label="Reminder">
+                <option value="">No reminder</option>
+                ${reminderChoices.map(([value, label]) => `<option value="${value}" ${currentReminders === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+            <select name="recurrence" aria-label="Repeat">
+                <option value="">Does not repeat</option>
+                ${recurrences.map(([value, label]) => `<option value="${escapeHtml(value)}" ${todo.recurrence === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+            <input type="text" name="tags" value="${escapeHtml((todo.tags || []).join(', '))}" placeholder="Tags, comma separated" aria-label="Tags">
+            <textarea name="notes" rows="3" maxlength="5000" placeholder="Notes" aria-label="Notes">${escapeHtml(todo.notes || '')}</textarea>
+            <div class="details-form-buttons">
+                <button type="submit" class="add-btn">Save</button>
+                <button type="button" class="secondary-btn" data-todo-id="${todo.id}" data-action="details">Cancel</button>
+            </div>
+        </form>
+    `;
+}
+
+// The expandable checklist of a todo's subtasks
+function renderChecklist(todo) {
+    const disabled = canEdit() ? '' : 'disabled';
+    const items = (todo.subtasks || []).map(subtask => `
+        <li class="subtask ${subtask.completed ? 'completed' : ''}">
+            <input type="checkbox" data-todo-id="${todo.id}" data-subtask-id="${subtask.id}" data-action="subtask-toggle" aria-label="Done" ${subtask.completed ? 'checked' : ''} ${disabled}>
+            <span>${escapeHtml(subtask.text)}</span>
+            ${canEdit() ? `<button class="subtask-delete" data-todo-id="${todo.id}" data-subtask-id="${subtask.id}" data-action="subtask-delete" title="Remove item"><i class="fas fa-times"></i></button>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <div class="checklist">
+            <ul>${items}</ul>
+            ${canEdit() ? `
+                <form class="subtask-form" data-todo-id="${todo.id}">
+                    <input type="text" name="text" placeholder="Add an item..." maxlength="200" aria-label="New checklist item">
+                    <button type="submit" class="secondary-btn"><i class="fas fa-plus"></i> Add</button>
+                </form>
+                <label class="auto-complete">
+                    <input type="checkbox" data-todo-id="${todo.id}" data-action="auto-complete" ${todo.autoComplete ? 'checked' : ''}>
+                    Complete this todo when every item is done
+                </label>
+            ` : ''}
+        </div>
+    `;
+}
+
+function toggleChecklist(id) {
+    if (expandedIds.has(id)) {
+        expandedIds.delete(id);
+    } else {
+        expandedIds.add(id);
+    }
+    renderTodos();
+
+    const input = todosList.querySelector(`.subtask-form[data-todo-id="${id}"] input`);
+    if (input) input.focus();
+}
+
+async function addSubtask(form) {
+    const text = form.elements.text.value.trim();
+    if (!text) return;
+
+    if (await changeSubtasks(form.dataset.todoId, '/subtasks', 'POST', { text })) {
+        const input = todosList.querySelector(`.subtask-form[data-todo-id="${form.dataset.todoId}"] input`);
+        if (input) input.focus();
+    }
+}
+
+function toggleSubtask(todoId, subtaskId) {
+    const todo = todos.find(t => t.id === todoId);
+    const subtask = todo && (todo.subtasks || []).find(s => s.id === subtaskId);
+    if (!subtask) return;
+
+    changeSubtasks(todoId, `/subtasks/${subtaskId}`, 'PUT', { completed: !subtask.completed });
+}
+
+async function toggleAutoComplete(id) {
+    const todo = todos.find(t => t.id === id);
+    if (!todo) return;
+
+    try {
+        const response = await apiFetch(todosUrl(`/${id}`), {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ autoComplete: !todo.autoComplete }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            putTodo(data.data);
+            renderTodos();
+        } else {
+            throw new Error(data.error || 'Failed to update todo');
+        }
+    } catch (error) {
+        console.error('Failed to change auto-complete:', error);
+        showToast('Failed to update todo', 'error');
+    }
+}
+
+// Send a subtask request; the server answers with the whole parent todo.
+// Returns true when it worked.
+async function changeSubtasks(todoId, path, method, body) {
+    try {
+        const response = await apiFetch(todosUrl(`/${todoId}${path}`), {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            putTodo(data.todo);
+            renderTodos();
+            updateStats();
+            return true;
         }
+        showToast(data.error || 'Failed to update the checklist', 'warning');
+    } catch (error) {
+        console.error('Failed to update subtasks:', error);
+        showToast('Failed to update the checklist', 'error');
+    }
+    return false;
+}
+
+// Details as the API expects them; empty fields clear a detail
+function readDetails({ dueDate, priority, reminders, recurrence, tags, notes }) {
+    return {
+        dueDate: dueDate.value ? new Date(dueDate.value).toISOString() : null,
+        priority: priority.value || null,
+        reminders: reminders.value ? reminders.value.split(',').map(Number) : null,
+        recurrence: recurrence.value || null,
+        tags: tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+        notes: notes.value.trim() || null
     };
-    
-    // Store reference to handler for cleanup
-    todosList._todoEventHandler = todoEventHandler;
-    
-    // Add event listener
-    todosList.addEventListener('click', todoEventHandler);
 }
 
-// Health check
-async function checkHealth() {
+// Save the details form, as long as nobody changed the todo since it was loaded
+async function saveTodoDetails(form) {
+    const todo = todos.find(t => t.id === form.dataset.todoId);
+    if (!todo) return;
+
     try {
-        const response = await fetch('/health');
+        const response = await apiFetch(todosUrl(`/${todo.id}`), {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${todo.version}"`,
+            },
+            body: JSON.stringify(readDetails(form.elements)),
+        });
+
         const data = await response.json();
-        
-        if (data.status === 'OK') {
-            healthIndicator.className = 'health-dot healthy';
-            healthText.textContent = `Healthy • Uptime: ${formatUptime(data.uptime)}`;
+
+        if (response.status === 412) {
+            putTodo(data.data);
+            renderTodos();
+            showToast('Someone else changed this todo. Check the details and save again.', 'warning');
+            return;
+        }
+
+        if (data.success) {
+            editingDetailsId = null;
+            putTodo(data.data);
+            renderTodos();
+            showToast('Todo updated successfully!', 'success');
         } else {
-            throw new Error('Health check failed');
+            showToast(data.error || 'Failed to update todo', 'warning');
         }
     } catch (error) {
-        healthIndicator.className = 'health-dot error';
-        healthText.textContent = 'Service unavailable';
-        console.error('Health check failed:', error);
+        console.error('Failed to save todo details:', error);
+        showToast('Failed to update todo', 'error');
     }
 }
 
-// Format uptime
-function formatUptime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    return `${hours}h ${minutes}m`;
+function handleDragStart(e) {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle) return;
+
+    draggedId = handle.dataset.todoId;
+    const item = handle.closest('.todo-item');
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedId);
+    e.dataTransfer.setDragImage(item, 0, 0);
 }
 
-// Load todos from API
-async function loadTodos() {
+// Mark where the dragged todo would land: above or below the one under the pointer
+function handleDragOver(e) {
+    const item = draggedId && e.target.closest('.todo-item');
+    if (!item || item.dataset.id === draggedId) return;
+
+    e.preventDefault();
+    const below = e.clientY > item.getBoundingClientRect().top + item.offsetHeight / 2;
+    if (!item.classList.contains(below ? 'drop-after' : 'drop-before')) {
+        clearDropMarker();
+        item.classList.add(below ? 'drop-after' : 'drop-before');
+    }
+}
+
+function handleDrop(e) {
+    const item = draggedId && e.target.closest('.todo-item');
+    if (!item || item.dataset.id === draggedId) return;
+
+    e.preventDefault();
+    const below = item.classList.contains('drop-after');
+    const id = draggedId;
+    clearDropMarker();
+
+    const others = todos.filter(t => t.id !== id);
+    moveTodo(id, others.findIndex(t => t.id === item.dataset.id) + (below ? 1 : 0));
+}
+
+function clearDropMarker() {
+    todosList.querySelectorAll('.dragging, .drop-before, .drop-after').forEach((item) => {
+        item.classList.remove('dragging', 'drop-before', 'drop-after');
+    });
+    draggedId = null;
+}
+
+// Keyboard alternative to dragging: arrow keys on a todo's handle move it one
+// place, Home and End to the top and bottom
+function handleMoveKey(e) {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle) return;
+
+    const id = handle.dataset.todoId;
+    const index = todos.findIndex(t => t.id === id);
+    const target = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: todos.length - 1 }[e.key];
+    if (target === undefined) return;
+
+    e.preventDefault();
+    moveTodo(id, target, { refocus: true });
+}
+
+// Move a todo to `index` in the list without it and save the move. The server
+// places it just after the todo now above it, or on top.
+async function moveTodo(id, index, { refocus = false } = {}) {
+    const todo = todos.find(t => t.id === id);
+    const others = todos.filter(t => t.id !== id);
+    if (!todo || index < 0 || index > others.length || todos[index] === todo) return;
+
+    const previousTodos = todos;
+    const show = () => {
+        renderTodos();
+        const handle = refocus && todosList.querySelector(`.drag-handle[data-todo-id="${id}"]`);
+        if (handle) handle.focus();
+    };
+    todos = [...others.slice(0, index), todo, ...others.slice(index)];
+    show();
+
     try {
-        console.log('🔄 Loading todos from API...');
-        showLoading();
-        const response = await fetch(`${API_BASE}/todos`);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
+        const response = await apiFetch(todosUrl('/reorder'), {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${todo.version}"`,
+            },
+            body: JSON.stringify({ id, after: index > 0 ? others[index - 1].id : null }),
+        });
+
         const data = await response.json();
-        console.log('📨 API Response:', data);
-        
+
         if (data.success) {
-            todos = data.data;
-            console.log('✅ Todos loaded:', todos.length, 'items');
-            console.log('📋 Todos data:', todos);
-            renderTodos();
-            updateStats();
+            putTodo(data.data);
+        } else if (response.status === 412) {
+            showToast('Someone else changed this todo. Moved it back, try again.', 'warning');
+            todos = previousTodos;
+            putTodo(data.data);
         } else {
-            throw new Error(data.error || 'Failed to load todos');
+            showToast(data.error || 'Failed to move todo', 'error');
+            todos = previousTodos;
         }
     } catch (error) {
-        console.error('❌ Failed to load todos:', error);
-        showToast('Failed to load todos', 'error');
-        showEmptyState('Failed to load todos. Please refresh the page.');
+        console.error('Failed to move todo:', error);
+        showToast('Failed to move todo', 'error');
+        todos = previousTodos;
     }
+    show();
 }
 
-// Show loading state
-function showLoading() {
-    todosList.innerHTML = `
-        <div class="loading">
-            <i class="fas fa-spinner fa-spin"></i>
-            Loading todos...
-        </div>
-    `;
+// Toggle a todo in the multi-select set
+function toggleSelection(id, selected) {
+    if (selected) {
+        selectedIds.add(id);
+    } else {
+        selectedIds.delete(id);
+    }
+
+    const item = todosList.querySelector(`.todo-item[data-id="${id}"]`);
+    if (item) {
+        item.classList.toggle('selected', selected);
+    }
+    updateBulkActions();
 }
 
-// Show empty state
-function showEmptyState(message = "No todos yet. Add one above!") {
-    todosList.innerHTML = `
-        <div class="empty-state">
-            <i class="fas fa-clipboard-list"></i>
-            <p>${message}</p>
-        </div>
-    `;
+// Show the bulk action bar while todos are selected
+function updateBulkActions() {
+    bulkActions.hidden = selectedIds.size === 0;
+    selectedCount.textContent = `${selectedIds.size} selected`;
 }
 
-// Render todos
-function renderTodos() {
-    console.log('🎨 renderTodos called with todos:', todos.length, 'items');
-    console.log('📋 Todos array:', todos);
-    
-    if (todos.length === 0) {
-        console.log('⚠️ No todos found, showing empty state');
-        showEmptyState();
+// Apply an action to every selected todo through the batch API
+async function handleBulkAction(action) {
+    if (action === 'clear') {
+        selectedIds.clear();
+        renderTodos();
         return;
     }
 
-    console.log('✅ Rendering', todos.length, 'todos');
-    const todosHTML = todos.map(todo => `
-        <div class="todo-item ${todo.completed ? 'completed' : ''}" data-id="${todo.id}">
-            <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" data-todo-id="${todo.id}" data-action="toggle">
-                ${todo.completed ? '<i class="fas fa-check"></i>' : ''}
-            </div>
-            <div class="todo-text ${todo.completed ? 'completed' : ''}">${escapeHtml(todo.text)}</div>
-            <div class="todo-meta">${formatDate(todo.createdAt)}</div>
-            <div class="todo-actions">
-                <button class="action-btn edit-btn" data-todo-id="${todo.id}" data-action="edit" title="Edit">
-                    <i class="fas fa-edit"></i>
-                </button>
-                <button class="action-btn delete-btn" data-todo-id="${todo.id}" data-action="delete" title="Delete">
-                    <i class="fas fa-trash"></i>
-                </button>
-            </div>
-        </div>
-    `).join('');
+    const ids = [...selectedIds];
+    if (ids.length === 0) return;
 
-    todosList.innerHTML = todosHTML;
-    console.log('🎨 HTML rendered to todosList element');
-    
-    // Add event delegation for todo actions
-    setupTodoEventListeners();
+    if (action === 'delete' && !confirm(`Are you sure you want to delete ${ids.length} todo(s)?`)) return;
+
+    const operations = ids.map(id => action === 'delete'
+        ? { op: 'delete', id }
+        : { op: 'update', id, completed: action === 'complete' });
+
+    try {
+        const response = await apiFetch(todosUrl('/batch'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ operations }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            for (const result of data.data) {
+                if (result.op === 'delete') {
+                    todos = todos.filter(t => t.id !== result.data.id);
+                } else {
+                    const todoIndex = todos.findIndex(t => t.id === result.data.id);
+                    todos[todoIndex] = result.data;
+                }
+            }
+            selectedIds.clear();
+            renderTodos();
+            updateStats();
+            if (action === 'delete') {
+                showToast(`${data.count} todo(s) moved to the trash`, 'success', undoAction(data.data.map(result => result.data.id)));
+            } else {
+                showToast(`${data.count} todo(s) updated!`, 'success');
+            }
+        } else {
+            throw new Error(data.error || 'Failed to apply changes');
+        }
+    } catch (error) {
+        console.error('Failed to apply bulk action:', error);
+        showToast('Failed to update selected todos', 'error');
+        // Reload to ensure consistency
+        await loadTodos();
+    }
 }
 
 // Update statistics
-function updateStats() {
-    const total = todos.length;
-    const completed = todos.filter(todo => todo.completed).length;
-    const pending = total - completed;
+async function updateStats() {
+    let total = todos.length;
+    let completed = todos.filter(todo => todo.completed).length;
+
+    // Only part of the list is loaded, so ask the server for the real numbers
+    if (nextCursor || searchQuery) {
+        try {
+            const response = await apiFetch(todosUrl('/stats'));
+            const data = await response.json();
+            if (data.success) {
+                ({ total, completed } = data.data);
+            }
+        } catch (error) {
+            console.error('Failed to load stats:', error);
+        }
+    }
 
     totalCount.textContent = total;
     completedCount.textContent = completed;
-    pendingCount.textContent = pending;
+    pendingCount.textContent = total - completed;
 }
 
 // Handle add todo
@@ -241,22 +1958,31 @@ async function handleAddTodo() {
         addBtn.disabled = true;
         addBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Adding...';
 
-        const response = await fetch(`${API_BASE}/todos`, {
+        const response = await apiFetch(todosUrl(), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ text }),
+            // Our own id makes the create safe to retry, including from the
+            // offline outbox (randomUUID needs a secure context, as the worker does)
+            body: JSON.stringify({
+                id: crypto.randomUUID ? crypto.randomUUID() : undefined,
+                text,
+                ...readDetails({ dueDate: dueDateInput, priority: priorityInput, reminders: remindersInput, recurrence: recurrenceInput, tags: tagsInput, notes: notesInput })
+            }),
         });
 
         const data = await response.json();
 
         if (data.success) {
-            todos.push(data.data);
+            putTodo(data.data);
             todoInput.value = '';
+            [dueDateInput, priorityInput, remindersInput, recurrenceInput, tagsInput, notesInput].forEach(input => { input.value = ''; });
             renderTodos();
             updateStats();
             showToast('Todo added successfully!', 'success');
+        } else if (response.status === 400) {
+            showToast(data.error, 'warning');
         } else {
             throw new Error(data.error || 'Failed to add todo');
         }
@@ -276,7 +2002,7 @@ async function toggleTodo(id) {
     if (!todo) return;
 
     try {
-        const response = await fetch(`${API_BASE}/todos/${id}`, {
+        const response = await apiFetch(todosUrl(`/${id}`), {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json',
@@ -289,11 +2015,15 @@ async function toggleTodo(id) {
         if (data.success) {
             const todoIndex = todos.findIndex(t => t.id === id);
             todos[todoIndex] = data.data;
+            // Completing a recurring todo starts its next occurrence
+            if (data.next) {
+                putTodo(data.next);
+            }
             renderTodos();
             updateStats();
             
             const action = data.data.completed ? 'completed' : 'uncompleted';
-            showToast(`Todo ${action}!`, 'success');
+            showToast(data.next ? `Todo completed! Next one due ${formatDueDate(data.next.dueDate)}` : `Todo ${action}!`, 'success');
         } else {
             throw new Error(data.error || 'Failed to update todo');
         }
@@ -321,20 +2051,45 @@ async function editTodo(id) {
         return;
     }
 
+    await saveTodoText(todo, newText.trim());
+}
+
+// Save new text for the version of the todo the user edited. If someone else
+// changed it in the meantime, let the user choose whose text to keep.
+async function saveTodoText(todo, text) {
     try {
-        const response = await fetch(`${API_BASE}/todos/${id}`, {
+        const response = await apiFetch(todosUrl(`/${todo.id}`), {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json',
+                'If-Match': `"${todo.version}"`,
             },
-            body: JSON.stringify({ text: newText.trim() }),
+            body: JSON.stringify({ text }),
         });
 
         const data = await response.json();
 
+        if (response.status === 412) {
+            const current = data.data;
+            putTodo(current);
+            renderTodos();
+            updateStats();
+
+            if (current.text === text) return;
+            const keepMine = confirm(
+                `Someone else changed this todo while you were editing it.\n\n` +
+                `Theirs: ${current.text}\nYours: ${text}\n\n` +
+                'OK saves your text, Cancel keeps theirs.'
+            );
+            if (keepMine) {
+                return saveTodoText(current, text);
+            }
+            showToast('Kept the other change', 'warning');
+            return;
+        }
+
         if (data.success) {
-            const todoIndex = todos.findIndex(t => t.id === id);
-            todos[todoIndex] = data.data;
+            putTodo(data.data);
             renderTodos();
             showToast('Todo updated successfully!', 'success');
         } else {
@@ -346,22 +2101,43 @@ async function editTodo(id) {
     }
 }
 
-// Delete todo
-async function deleteTodo(id) {
-    if (!confirm('Are you sure you want to delete this todo?')) return;
+// Delete todo, as long as nobody changed it since it was loaded
+async function deleteTodo(id, confirmed = false) {
+    const todo = todos.find(t => t.id === id);
+    if (!todo) return;
+
+    if (!confirmed && !confirm('Are you sure you want to delete this todo?')) return;
 
     try {
-        const response = await fetch(`${API_BASE}/todos/${id}`, {
+        const response = await apiFetch(todosUrl(`/${id}`), {
             method: 'DELETE',
+            headers: {
+                'If-Match': `"${todo.version}"`,
+            },
         });
 
         const data = await response.json();
 
+        if (response.status === 412) {
+            putTodo(data.data);
+            renderTodos();
+            updateStats();
+            if (confirm(`Someone else changed this todo to "${data.data.text}". Delete it anyway?`)) {
+                return deleteTodo(id, true);
+            }
+            return;
+        }
+
         if (data.success) {
             todos = todos.filter(t => t.id !== id);
             renderTodos();
             updateStats();
-            showToast('Todo deleted successfully!', 'success');
+            // Deletes queued offline reach the trash only once they are sent
+            if (data.queued) {
+                showToast('Todo deleted successfully!', 'success');
+            } else {
+                showToast('Todo moved to the trash', 'success', undoAction([id]));
+            }
         } else {
             throw new Error(data.error || 'Failed to delete todo');
         }
@@ -373,15 +2149,6 @@ async function deleteTodo(id) {
 
 // Clear completed todos
 async function handleClearCompleted() {
-    // First, refresh the todo list to get current state
-    try {
-        await loadTodos();
-    } catch (error) {
-        console.error('Failed to refresh todos before clearing:', error);
-        showToast('Failed to refresh todo list', 'error');
-        return;
-    }
-
     const completedTodos = todos.filter(todo => todo.completed);
     
     if (completedTodos.length === 0) {
@@ -392,65 +2159,59 @@ async function handleClearCompleted() {
     if (!confirm(`Are you sure you want to delete ${completedTodos.length} completed todo(s)?`)) return;
 
     try {
-        // Delete completed todos one by one with better error handling
-        let deletedCount = 0;
-        let failedCount = 0;
-        
-        for (const todo of completedTodos) {
-            try {
-                const response = await fetch(`${API_BASE}/todos/${todo.id}`, { 
-                    method: 'DELETE' 
-                });
-                
-                if (response.ok) {
-                    deletedCount++;
-                } else if (response.status === 404) {
-                    // Todo already deleted - count as success
-                    deletedCount++;
-                    console.log(`Todo ${todo.id} was already deleted`);
-                } else {
-                    failedCount++;
-                    console.error(`Failed to delete todo ${todo.id}: ${response.status}`);
-                }
-            } catch (error) {
-                failedCount++;
-                console.error(`Error deleting todo ${todo.id}:`, error);
-            }
-        }
+        // The server removes every completed todo in one atomic step
+        const response = await apiFetch(todosUrl('?completed=true'), {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
 
-        // Update the UI based on results
-        if (failedCount === 0) {
-            showToast(`${deletedCount} completed todo(s) cleared successfully!`, 'success');
-        } else if (deletedCount > 0) {
-            showToast(`${deletedCount} todos cleared, ${failedCount} failed`, 'warning');
+        if (data.success) {
+            const deletedIds = new Set(data.data.map(todo => todo.id));
+            todos = todos.filter(t => !deletedIds.has(t.id));
+            renderTodos();
+            updateStats();
+            showToast(`${data.count} completed todo(s) cleared successfully!`, 'success', undoAction([...deletedIds]));
         } else {
-            showToast(`Failed to clear todos`, 'error');
+            throw new Error(data.error || 'Failed to clear completed todos');
         }
-
-        // Refresh the todo list to show current state
-        await loadTodos();
-
     } catch (error) {
         console.error('Failed to clear completed todos:', error);
         showToast('Failed to clear completed todos', 'error');
-        // Reload to ensure consistency
-        await loadTodos();
     }
 }
 
-// Show toast notification
-function showToast(message, type = 'success') {
+// Show toast notification, optionally with a button ({ label, run }).
+// Toasts with a button stay up longer so there is time to use it.
+function showToast(message, type = 'success', action = null) {
     toast.textContent = message;
     toast.className = `toast ${type}`;
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.classList.remove('show');
+            action.run();
+        });
+        toast.appendChild(button);
+    }
     
     // Trigger reflow to ensure the class is applied
     toast.offsetHeight;
     
     toast.classList.add('show');
     
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, action ? 6000 : 3000);
+}
+
+// Toast button that brings just-deleted todos back from the trash
+function undoAction(ids) {
+    return { label: 'Undo', run: () => restoreTodos(ids) };
 }
 
 // Utility functions
@@ -460,6 +2221,46 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escape todo text and wrap the words that start with a search term in <mark>
+function highlightMatches(text) {
+    const terms = searchQuery.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (terms.length === 0) {
+        return escapeHtml(text);
+    }
+
+    // Longest terms first so "deploy" wins over "de" at the same position
+    terms.sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})`, 'giu');
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(lastIndex, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+// Past its due date and not done yet
+function isOverdue(todo) {
+    return !todo.completed && Boolean(todo.dueDate) && new Date(todo.dueDate) < new Date();
+}
+
+function formatDueDate(dateString) {
+    return new Date(dateString).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// An ISO timestamp as a datetime-local input value, in the user's time zone
+function toLocalInputValue(dateString) {
+    const date = new Date(dateString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
 function formatDate(dateString) {
     const date = new Date(dateString);
     const now = new Date();
@@ -516,5 +2317,39 @@ if ('serviceWorker' in navigator) {
             .catch((registrationError) => {
                 console.log('SW registration failed: ', registrationError);
             });
+
+        navigator.serviceWorker.addEventListener('message', handleOutboxMessage);
+        navigator.serviceWorker.ready.then((registration) => {
+            registration.active.postMessage({ type: 'replay' });
+        });
+    });
+
+    // Browsers without Background Sync replay the outbox when we say so
+    window.addEventListener('online', () => {
+        if (navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'replay' });
+        }
     });
 }
+
+// The service worker reports how many offline changes are waiting, and what
+// happened when it sent them
+function handleOutboxMessage(event) {
+    if (!event.data || event.data.type !== 'outbox') return;
+
+    const { pending, synced, conflicts, failed } = event.data;
+    pendingWrites = pending;
+    syncBadge.hidden = pending === 0;
+    syncCount.textContent = pending;
+
+    if (synced === undefined || !currentUser) return;
+
+    if (conflicts > 0 || failed > 0) {
+        showToast(`${conflicts + failed} offline change(s) could not be saved because the todos changed meanwhile`, 'warning');
+    } else if (synced > 0) {
+        showToast(`${synced} offline change(s) saved`, 'success');
+    }
+    if (synced + conflicts + failed > 0) {
+        loadTodos();
+    }
+}
@@ -1,11 +1,17 @@
 // Service Worker for Todo App
-const CACHE_NAME = 'todo-app-v2'; // Updated version to force cache refresh
+const CACHE_NAME = 'todo-app-v14'; // Updated version to force cache refresh
+const DB_NAME = 'todo-app';
+const DB_VERSION = 1;
+const SYNC_TAG = 'todo-outbox';
+// A todo list's URL, optionally followed by a todo id
+const TODO_URL_PATTERN = /^(\/api\/(?:todos|lists\/[^/]+\/todos))(?:\/([^/]+))?$/;
+const SESSION_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/logout'];
 const urlsToCache = [
   '/',
   '/style.css',
   '/script.js',
   '/fallback-icons.css'
-  // Removed '/api/todos' - API should never be cached for real-time data
+  // API responses are kept in IndexedDB instead (see handleApiRequest)
 ];
 
 // Install event
@@ -37,16 +43,16 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // NEVER cache API calls - always fetch fresh data
+  // Live update streams go straight to the network; they never finish, so
+  // passing them through here would only keep the worker alive
+  if (event.request.headers.get('Accept') === 'text/event-stream') {
+    return;
+  }
+
+  // API reads come from the network, falling back to the last copy while
+  // offline; todo writes made offline are queued in the outbox
   if (requestUrl.pathname.startsWith('/api/')) {
-    event.respondWith(
-      fetch(event.request).catch(() => {
-        return new Response('API not available offline', { 
-          status: 503,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      })
-    );
+    event.respondWith(handleApiRequest(event.request, requestUrl));
     return;
   }
 
@@ -88,3 +94,311 @@ self.addEventListener('activate', (event) => {
     })
   );
 });
+
+// Offline storage. IndexedDB holds the last response to every API read
+// ("responses", keyed by URL) and the todo writes waiting to be sent
+// ("outbox", in the order they were made).
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('responses', { keyPath: 'url' });
+      request.result.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `work(store)` in a transaction and resolve with its result once committed
+async function withStore(name, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    let result;
+    Promise.resolve(work(transaction.objectStore(name))).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function handleApiRequest(request, url) {
+  if (request.method === 'GET') {
+    return readThroughCache(request, url);
+  }
+  if (isQueueableWrite(request.method, url.pathname)) {
+    return sendOrQueue(request, url);
+  }
+
+  try {
+    const response = await fetch(request);
+    // Cached data and queued writes belong to the account that made them
+    if (response.ok && SESSION_PATHS.includes(url.pathname)) {
+      const keepOutbox = url.pathname === '/api/auth/login' && (await isSameUser(response.clone()));
+      await withStore('responses', 'readwrite', store => store.clear());
+      if (!keepOutbox) {
+        await withStore('outbox', 'readwrite', store => store.clear());
+        await broadcastOutbox();
+      }
+    }
+    return response;
+  } catch (error) {
+    return jsonResponse({ success: false, error: 'You are offline' }, 503);
+  }
+}
+
+// Writes that can be made offline: creating a todo, and updating or deleting one
+function isQueueableWrite(method, pathname) {
+  const match = pathname.match(TODO_URL_PATTERN);
+  if (!match) return false;
+
+  const id = match[2];
+  return method === 'POST' ? !id : ['PUT', 'DELETE'].includes(method) && Boolean(id);
+}
+
+// Logging back in as the same user keeps the changes they queued
+async function isSameUser(response) {
+  const cached = await withStore('responses', 'readonly', store => idbRequest(store.get('/api/auth/me')));
+  const data = await response.json();
+  return Boolean(cached && data.data && cached.body.data && cached.body.data.id === data.data.id);
+}
+
+async function readThroughCache(request, url) {
+  const key = url.pathname + url.search;
+  try {
+    const response = await fetch(request);
+    if (response.ok && (response.headers.get('Content-Type') || '').includes('application/json')) {
+      const body = await response.clone().json();
+      await withStore('responses', 'readwrite', store => store.put({ url: key, body }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await withStore('responses', 'readonly', store => idbRequest(store.get(key)));
+    if (cached) {
+      return jsonResponse({ ...cached.body, offline: true }, 200);
+    }
+    return jsonResponse({ success: false, error: 'You are offline' }, 503);
+  }
+}
+
+// Send a todo write, or queue it when the network is down. Writes also queue
+// while older ones are still waiting, so they reach the server in order.
+async function sendOrQueue(request, url) {
+  const entry = {
+    url: url.pathname + url.search,
+    method: request.method,
+    headers: {},
+    body: request.method === 'DELETE' ? null : await request.clone().text()
+  };
+  for (const header of ['Content-Type', 'If-Match', 'Idempotency-Key']) {
+    if (request.headers.has(header)) {
+      entry.headers[header] = request.headers.get(header);
+    }
+  }
+  // The server answers a write it has already done with its first response, so
+  // a write whose response was lost can be queued and sent again safely
+  if (!entry.headers['Idempotency-Key']) {
+    entry.headers['Idempotency-Key'] = self.crypto.randomUUID();
+  }
+  // Creates also carry the todo's id, which the outbox needs to show it
+  if (entry.method === 'POST') {
+    const input = JSON.parse(entry.body || '{}');
+    if (!input.id) {
+      entry.body = JSON.stringify({ ...input, id: self.crypto.randomUUID() });
+    }
+  }
+
+  const pending = await withStore('outbox', 'readonly', store => idbRequest(store.count()));
+  if (pending === 0) {
+    try {
+      return await sendEntry(entry);
+    } catch (error) {
+      // Offline: fall through and queue it
+    }
+  }
+
+  const todo = await applyOffline(entry);
+  if (!todo) {
+    return jsonResponse({ success: false, error: 'Todo not found' }, 404);
+  }
+  await withStore('outbox', 'readwrite', store => store.add(entry));
+  await broadcastOutbox();
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(() => {});
+  } else if (pending > 0) {
+    // Queued behind older writes rather than because the network is down
+    replayOutbox();
+  }
+  return jsonResponse({ success: true, data: todo, queued: true }, 202);
+}
+
+// Apply a queued write to the cached todo lists, so the app (and a reload)
+// shows it straight away. Returns the todo as the server would, or null.
+async function applyOffline(entry) {
+  const [, base, id] = entry.url.split('?')[0].match(TODO_URL_PATTERN);
+  const input = entry.body ? JSON.parse(entry.body) : {};
+
+  return withStore('responses', 'readwrite', async (store) => {
+    const cached = await idbRequest(store.getAll());
+    const lists = cached.filter(({ url, body }) => url.split('?')[0] === base && Array.isArray(body.data));
+    const current = lists.flatMap(({ body }) => body.data).find(todo => todo.id === id);
+
+    let todo;
+    if (entry.method === 'POST') {
+      todo = applyDetails({
+        id: input.id,
+        text: String(input.text || '').trim(),
+        completed: false,
+        createdAt: new Date().toISOString(),
+        version: 1
+      }, input);
+    } else if (!current) {
+      return null;
+    } else if (entry.method === 'PUT') {
+      // The server bumps the version the same way, so later queued writes
+      // for this todo carry the If-Match it will expect
+      todo = { ...current, updatedAt: new Date().toISOString(), version: current.version + 1 };
+      if (input.text !== undefined) todo.text = String(input.text).trim();
+      if (input.completed !== undefined) todo.completed = input.completed;
+      applyDetails(todo, input);
+    } else {
+      todo = current;
+    }
+
+    for (const list of lists) {
+      const others = list.body.data.filter(other => other.id !== todo.id);
+      list.body.data = entry.method === 'DELETE'
+        ? others
+        : entry.method === 'POST' ? [todo, ...others] : list.body.data.map(other => (other.id === todo.id ? todo : other));
+      store.put(list);
+    }
+    return todo;
+  });
+}
+
+// Copy the due date, priority, reminders, repeat rule, notes and tags a write
+// sets onto a todo; empty ones are left out, as the server does
+function applyDetails(todo, input) {
+  for (const field of ['dueDate', 'priority', 'reminders', 'recurrence', 'notes', 'tags']) {
+    if (input[field] === undefined) continue;
+
+    const empty = input[field] === null || input[field] === '' || (Array.isArray(input[field]) && input[field].length === 0);
+    if (empty) {
+      delete todo[field];
+    } else {
+      todo[field] = input[field];
+    }
+  }
+  return todo;
+}
+
+// Send queued writes in order. Stops at the first network failure (or expired
+// session) and leaves the rest for the next attempt.
+let replaying = null;
+
+function replayOutbox() {
+  if (!replaying) {
+    replaying = sendOutbox().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+async function sendOutbox() {
+  const result = { synced: 0, conflicts: 0, failed: 0 };
+  for (;;) {
+    const [entry] = await withStore('outbox', 'readonly', store => idbRequest(store.getAll(null, 1)));
+    if (!entry) break;
+
+    let response;
+    try {
+      response = await sendEntry(entry);
+    } catch (error) {
+      break;
+    }
+    if (response.status === 401 || response.status >= 500) break;
+
+    // Changed by someone else meanwhile: their version wins
+    if (response.status === 409 || response.status === 412) {
+      result.conflicts++;
+    } else if (response.ok || response.status === 404) {
+      result.synced++;
+    } else {
+      result.failed++;
+    }
+    await withStore('outbox', 'readwrite', store => store.delete(entry.seq));
+  }
+
+  await broadcastOutbox(result);
+  return result;
+}
+
+function sendEntry(entry) {
+  return fetch(entry.url, {
+    method: entry.method,
+    headers: entry.headers,
+    body: entry.body,
+    credentials: 'same-origin'
+  });
+}
+
+// Tell every open page how many writes are waiting (and what the last replay did)
+async function broadcastOutbox(result = {}) {
+  const pending = await withStore('outbox', 'readonly', store => idbRequest(store.count()));
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'outbox', pending, ...result }));
+}
+
+// Background Sync retries the outbox once the browser is back online, even
+// after the page was closed
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+// Pages ask for a replay when they load and when they come back online, for
+// browsers without Background Sync
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'replay') {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+// Reminders pushed by the server (notifications/web-push.js), shown even when
+// no page is open; a newer reminder for the same todo replaces the last one
+self.addEventListener('push', (event) => {
+  const notification = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(notification.title || 'To-Do reminder', {
+    body: notification.body,
+    tag: notification.todo ? `todo-${notification.todo.id}` : 'todo-app',
+    data: { url: notification.url || '/' }
+  }));
+});
+
+// Clicking a reminder brings the app up, in an open tab if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+    return open ? open.focus() : self.clients.openWindow(event.notification.data.url);
+  })());
+});
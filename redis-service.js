@@ -1,314 +1,2151 @@
+const EventEmitter = require('events');
 const redis = require('redis');
+const { applyQuery, hasFilters, toPage } = require('./storage/todo-query');
+const { indexEntries, tokenize, rank, DEFAULT_SEARCH_LIMIT } = require('./storage/search-index');
+const { sharedListScope } = require('./storage/lists');
+const { defaultRank, positionOf } = require('./storage/ranks');
+const { scheduleEntry, parseScheduleEntry } = require('./storage/recurrence');
+const { reminderEntry, parseReminderEntry } = require('./storage/reminders');
+const { MAX_TODO_HISTORY, MAX_AUDIT_ENTRIES } = require('./storage/history');
+const logger = require('./logger');
 
-class RedisService {
+const SCHEMA_VERSION = 4;
+
+/*
+ * Data model (schema version 4)
+ *
+ *   todos:all                    sorted set of todo ids, scored by createdAt (ms since epoch)
+ *   todos:positions              sorted set of "{position}/{id}" entries, all scored 0,
+ *                                so that it is in the manual order and read by
+ *                                member (ZRANGE BYLEX); see positionEntry
+ *   todo:{id}                    hash with the todo fields (see serializeTodo),
+ *                                including a `version` bumped by every update
+ *                                and its `position` in the manual order
+ *   todos:stats                  hash with `completed` and `pending` counters
+ *   todos:schema                 schema version, used by migrate()
+ *   todos:search:term:{word}     set of ids whose text contains the word
+ *   todos:search:prefix:{start}  set of ids with a word starting with `start`
+ *   todos:search:doc:{id}        set of the search keys a todo is listed in
+ *   todos:trash                  sorted set of deleted todo ids, scored by deletedAt (ms)
+ *   todos:trash:{id}             hash with a deleted todo, as it was plus `deletedAt`
+ *   todos:audit                  stream of history entries (storage/history.js), each
+ *                                as JSON in an `entry` field next to its `todoId`
+ *   todos:history:{id}           list of a todo's history entries as JSON, newest first
+ *
+ * Those keys hold the list from before accounts existed. Each user's own list
+ * and each shared list has the same layout under its own names (see keysFor):
+ *
+ *   user:{id}:todos, user:{id}:todo:{todoId}, user:{id}:positions, user:{id}:todos:stats,
+ *   user:{id}:search:*, user:{id}:trash, user:{id}:trash:{todoId}, user:{id}:audit,
+ *   user:{id}:history:{todoId}
+ *   list:{id}:todos, list:{id}:todo:{todoId}, list:{id}:positions, list:{id}:todos:stats,
+ *   list:{id}:search:*, list:{id}:trash, list:{id}:trash:{todoId}, list:{id}:audit,
+ *   list:{id}:history:{todoId}
+ *
+ * Accounts and shared lists live in
+ *
+ *   users:byname        hash of username -> user id
+ *   user:{id}           hash with id, username, passwordHash and createdAt
+ *   user:{id}:lists     set of the shared list ids the user is a member of
+ *   user:{id}:notifications  JSON with the user's notification settings
+ *   lists:all           set of every shared list id
+ *   list:{id}           hash with id, name, ownerId and createdAt
+ *   list:{id}:members   hash of user id -> role
+ *   list:{id}:invites   set of the list's invitation tokens
+ *   invite:{token}      hash with token, listId, role, createdBy and createdAt
+ *
+ * and the recurrence and reminder schedules in
+ *
+ *   recurrences:due     sorted set of JSON [scope, todo id] entries, scored by
+ *                       when the recurring todo is due (ms since epoch)
+ *   reminders:due       sorted set of JSON [scope, todo id, due date, lead time]
+ *                       entries, scored by when the reminder is due (ms)
+ *   trash:expiry        sorted set of JSON [scope, todo id] entries for every
+ *                       list's trash, scored by when the todo was deleted (ms)
+ *
+ * Every write goes through a Lua script so the indexes, the hash, the counters
+ * and the search index always change together.
+ */
+
+// Shared Lua helpers. KEYS[1] is the index, KEYS[2] the counters hash, ARGV[1]
+// the todo hash prefix and ARGV[2] the search key prefix.
+const LUA_HELPERS = `
+local function count(status, delta)
+    redis.call('HINCRBY', KEYS[2], status == 'true' and 'completed' or 'pending', delta)
+end
+local function unindex(id)
+    local doc = ARGV[2] .. 'doc:' .. id
+    for _, key in ipairs(redis.call('SMEMBERS', doc)) do
+        redis.call('SREM', key, id)
+    end
+    redis.call('DEL', doc)
+end
+local function index(id, keys)
+    unindex(id)
+    for _, key in ipairs(keys) do
+        redis.call('SADD', key, id)
+        redis.call('SADD', ARGV[2] .. 'doc:' .. id, key)
+    end
+end
+local function hset_fields(key, fields)
+    local args = {}
+    for field, value in pairs(fields) do
+        table.insert(args, field)
+        table.insert(args, value)
+    end
+    if #args > 0 then
+        redis.call('HSET', key, unpack(args))
+    end
+end
+`;
+
+// Keeping the manual order index, which is the last of KEYS, in step with the
+// todo hash `key`. Call unplace before the position may change and place after.
+const LUA_POSITIONS = `
+local function position_entry(key, id)
+    local position = redis.call('HGET', key, 'position')
+    return position and (position .. '/' .. id)
+end
+local function place(key, id)
+    local entry = position_entry(key, id)
+    if entry then
+        redis.call('ZADD', KEYS[#KEYS], 0, entry)
+    end
+end
+local function unplace(key, id)
+    local entry = position_entry(key, id)
+    if entry then
+        redis.call('ZREM', KEYS[#KEYS], entry)
+    end
+end
+`;
+
+// Moving todos to the trash. KEYS[3] is the list's trash index, KEYS[4] the
+// expiry index of every list and KEYS[5] the manual order index; trash_bin(n)
+// reads ARGV[n] to ARGV[n + 3]: the trash hash prefix, the expiry entry prefix
+// (see trashEntryPrefix) and when the todos were deleted, as an ISO string and
+// in ms. Returns the trashed hash.
+const LUA_TRASH = `
+local function trash_bin(n)
+    return { prefix = ARGV[n], entry = ARGV[n + 1], deletedAt = ARGV[n + 2], score = ARGV[n + 3] }
+end
+local function trash(id, bin)
+    local key = ARGV[1] .. id
+    count(redis.call('HGET', key, 'completed'), -1)
+    redis.call('ZREM', KEYS[1], id)
+    unplace(key, id)
+    unindex(id)
+    redis.call('HSET', key, 'deletedAt', bin.deletedAt)
+    redis.call('RENAME', key, bin.prefix .. id)
+    redis.call('ZADD', KEYS[3], bin.score, id)
+    redis.call('ZADD', KEYS[4], bin.score, bin.entry .. cjson.encode(id) .. ']')
+    return redis.call('HGETALL', bin.prefix .. id)
+end
+`;
+
+// KEYS: the index, the counters hash, the manual order index. ARGV: prefix,
+// search prefix, id, score, JSON search keys, then field/value pairs
+const CREATE_SCRIPT = LUA_HELPERS + LUA_POSITIONS + `
+local key = ARGV[1] .. ARGV[3]
+local previous = redis.call('HGET', key, 'completed')
+if previous then
+    count(previous, -1)
+    unplace(key, ARGV[3])
+    redis.call('DEL', key)
+end
+redis.call('HSET', key, unpack(ARGV, 6))
+redis.call('ZADD', KEYS[1], ARGV[4], ARGV[3])
+place(key, ARGV[3])
+index(ARGV[3], cjson.decode(ARGV[5]))
+count(redis.call('HGET', key, 'completed'), 1)
+return redis.call('HGETALL', key)
+`;
+
+// Todos written before versions existed count as version 1
+const LUA_VERSION_OF = `
+local function version_of(key)
+    return tonumber(redis.call('HGET', key, 'version')) or 1
+end
+`;
+
+// KEYS: the index, the counters hash, the manual order index. ARGV: prefix,
+// search prefix, id, JSON search keys (empty when the text is unchanged),
+// expected version (empty for any), then field/value pairs. Returns nil for
+// unknown ids, otherwise { 1, updated hash } or, when the todo is at another
+// version, { 0, current hash } without writing.
+const UPDATE_SCRIPT = LUA_HELPERS + LUA_POSITIONS + LUA_VERSION_OF + `
+local key = ARGV[1] .. ARGV[3]
+local previous = redis.call('HGET', key, 'completed')
+if not previous then
+    return nil
+end
+local version = version_of(key)
+if ARGV[5] ~= '' and tonumber(ARGV[5]) ~= version then
+    return {0, redis.call('HGETALL', key)}
+end
+unplace(key, ARGV[3])
+redis.call('HSET', key, 'version', version + 1, unpack(ARGV, 6))
+place(key, ARGV[3])
+if ARGV[4] ~= '' then
+    index(ARGV[3], cjson.decode(ARGV[4]))
+end
+local current = redis.call('HGET', key, 'completed')
+if current ~= previous then
+    count(previous, -1)
+    count(current, 1)
+end
+return {1, redis.call('HGETALL', key)}
+`;
+
+// Moves a todo to the trash. ARGV: prefix, search prefix, id, expected version
+// (empty for any), then the trash bin. Returns nil for unknown ids, otherwise
+// { 1, trashed hash } or, when the todo is at another version, { 0, current
+// hash } without deleting.
+const DELETE_SCRIPT = LUA_HELPERS + LUA_POSITIONS + LUA_VERSION_OF + LUA_TRASH + `
+local key = ARGV[1] .. ARGV[3]
+local fields = redis.call('HGETALL', key)
+if #fields == 0 then
+    return nil
+end
+if ARGV[4] ~= '' and tonumber(ARGV[4]) ~= version_of(key) then
+    return {0, fields}
+end
+return {1, trash(ARGV[3], trash_bin(5))}
+`;
+
+// Moves every completed todo to the trash and returns their trashed hashes.
+// ARGV: prefix, search prefix, then the trash bin
+const CLEAR_COMPLETED_SCRIPT = LUA_HELPERS + LUA_POSITIONS + LUA_TRASH + `
+local ids = redis.call('ZRANGE', KEYS[1], 0, -1)
+local bin = trash_bin(3)
+local removed = {}
+for _, id in ipairs(ids) do
+    if redis.call('HGET', ARGV[1] .. id, 'completed') == 'true' then
+        table.insert(removed, trash(id, bin))
+    end
+end
+redis.call('HSET', KEYS[2], 'completed', 0)
+return removed
+`;
+
+// Validates every operation first, then applies them all; nothing is written
+// unless the whole batch can succeed. ARGV: prefix, search prefix, JSON
+// operations, then the trash bin for deletes
+const APPLY_BATCH_SCRIPT = LUA_HELPERS + LUA_POSITIONS + LUA_VERSION_OF + LUA_TRASH + `
+local operations = cjson.decode(ARGV[3])
+local bin = trash_bin(4)
+local alive = {}
+for i, operation in ipairs(operations) do
+    if operation.op == 'create' then
+        alive[operation.id] = true
+    else
+        if alive[operation.id] == nil then
+            alive[operation.id] = redis.call('EXISTS', ARGV[1] .. operation.id) == 1
+        end
+        if not alive[operation.id] then
+            return {0, i - 1}
+        end
+        if operation.op == 'delete' then
+            alive[operation.id] = false
+        end
+    end
+end
+
+local results = {}
+for _, operation in ipairs(operations) do
+    local key = ARGV[1] .. operation.id
+    if operation.op == 'create' then
+        hset_fields(key, operation.fields)
+        redis.call('ZADD', KEYS[1], operation.score, operation.id)
+        place(key, operation.id)
+        index(operation.id, operation.searchKeys)
+        count(redis.call('HGET', key, 'completed'), 1)
+        table.insert(results, redis.call('HGETALL', key))
+    elseif operation.op == 'update' then
+        local previous = redis.call('HGET', key, 'completed')
+        unplace(key, operation.id)
+        redis.call('HSET', key, 'version', version_of(key) + 1)
+        hset_fields(key, operation.fields)
+        place(key, operation.id)
+        if operation.searchKeys then
+            index(operation.id, operation.searchKeys)
+        end
+        local current = redis.call('HGET', key, 'completed')
+        if current ~= previous then
+            count(previous, -1)
+            count(current, 1)
+        end
+        table.insert(results, redis.call('HGETALL', key))
+    else
+        table.insert(results, trash(operation.id, bin))
+    end
+end
+return {1, results}
+`;
+
+// Moves a todo from the trash back to its list with its version bumped. KEYS
+// and ARGV[1..2] as for LUA_TRASH; ARGV: prefix, search prefix, id, trash hash
+// prefix, expiry entry prefix, index score, JSON search keys, updatedAt.
+// Returns nil when it is not in the trash, otherwise { 1, restored hash } or,
+// when the list has a todo with its id, { 0, that todo's hash }.
+const RESTORE_SCRIPT = LUA_HELPERS + LUA_POSITIONS + LUA_VERSION_OF + `
+local trashed = ARGV[4] .. ARGV[3]
+if redis.call('EXISTS', trashed) == 0 then
+    return nil
+end
+local key = ARGV[1] .. ARGV[3]
+if redis.call('EXISTS', key) == 1 then
+    return {0, redis.call('HGETALL', key)}
+end
+redis.call('ZREM', KEYS[3], ARGV[3])
+redis.call('ZREM', KEYS[4], ARGV[5] .. cjson.encode(ARGV[3]) .. ']')
+redis.call('RENAME', trashed, key)
+redis.call('HDEL', key, 'deletedAt')
+redis.call('HSET', key, 'version', version_of(key) + 1, 'updatedAt', ARGV[8])
+redis.call('ZADD', KEYS[1], ARGV[6], ARGV[3])
+place(key, ARGV[3])
+index(ARGV[3], cjson.decode(ARGV[7]))
+count(redis.call('HGET', key, 'completed'), 1)
+return {1, redis.call('HGETALL', key)}
+`;
+
+// Removes a todo from the trash for good, with its history. KEYS: the list's
+// trash index, the expiry index. ARGV: trash hash prefix, id, expiry entry
+// prefix, history prefix. The index entries go even when the hash is missing.
+// Returns the hash, or nil.
+const PURGE_SCRIPT = `
+redis.call('ZREM', KEYS[1], ARGV[2])
+redis.call('ZREM', KEYS[2], ARGV[3] .. cjson.encode(ARGV[2]) .. ']')
+local fields = redis.call('HGETALL', ARGV[1] .. ARGV[2])
+if #fields == 0 then
+    return nil
+end
+redis.call('DEL', ARGV[1] .. ARGV[2], ARGV[4] .. ARGV[2])
+return fields
+`;
+
+// Appends history entries to a list's audit stream (KEYS[1]) and to the history
+// of their todos. ARGV: history prefix, entries kept per todo, entries kept in
+// the stream (trimmed approximately, which is cheaper), then the entries as
+// JSON, oldest first. A purge is not added to the history the purge removed.
+const APPEND_HISTORY_SCRIPT = `
+for i = 4, #ARGV do
+    local entry = cjson.decode(ARGV[i])
+    redis.call('XADD', KEYS[1], 'MAXLEN', '~', ARGV[3], '*', 'todoId', entry.todoId, 'entry', ARGV[i])
+    if entry.action ~= 'purged' then
+        local key = ARGV[1] .. entry.todoId
+        redis.call('LPUSH', key, ARGV[i])
+        redis.call('LTRIM', key, 0, tonumber(ARGV[2]) - 1)
+    end
+end
+return #ARGV - 3
+`;
+
+// Upgrades a schema 1 index (a plain set of ids) to a sorted set in place and
+// rebuilds the counters. ARGV: prefix, JSON map of id -> score, fallback score,
+// schema version. KEYS[3] is the schema key.
+const MIGRATE_SCRIPT = `
+local scores = cjson.decode(ARGV[2])
+if redis.call('TYPE', KEYS[1]).ok == 'set' then
+    local ids = redis.call('SMEMBERS', KEYS[1])
+    redis.call('DEL', KEYS[1])
+    for _, id in ipairs(ids) do
+        if redis.call('EXISTS', ARGV[1] .. id) == 1 then
+            redis.call('ZADD', KEYS[1], scores[id] or ARGV[3], id)
+        end
+    end
+end
+
+local completed = 0
+local pending = 0
+for _, id in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+    if redis.call('HGET', ARGV[1] .. id, 'completed') == 'true' then
+        completed = completed + 1
+    else
+        pending = pending + 1
+    end
+end
+redis.call('HSET', KEYS[2], 'completed', completed, 'pending', pending)
+redis.call('SET', KEYS[3], ARGV[4])
+return completed + pending
+`;
+
+// Builds the search index for todos written before it existed. ARGV: prefix,
+// search prefix, JSON map of id -> search keys, schema version. KEYS[3] is the
+// schema key.
+const REINDEX_SCRIPT = LUA_HELPERS + `
+local entries = cjson.decode(ARGV[3])
+local indexed = 0
+for id, keys in pairs(entries) do
+    index(id, keys)
+    indexed = indexed + 1
+end
+redis.call('SET', KEYS[3], ARGV[4])
+return indexed
+`;
+
+// Builds a list's manual order index (KEYS[1]) for todos written before it
+// existed, storing the position that todos without one have been sorting at.
+// ARGV: todo prefix, trash hash prefix, JSON map of id -> position for the
+// list's todos and trashed todos. Returns how many todos were placed.
+const INDEX_POSITIONS_SCRIPT = LUA_POSITIONS + `
+local placed = 0
+for id, position in pairs(cjson.decode(ARGV[3])) do
+    if redis.call('EXISTS', ARGV[1] .. id) == 1 then
+        redis.call('HSETNX', ARGV[1] .. id, 'position', position)
+        place(ARGV[1] .. id, id)
+        placed = placed + 1
+    elseif redis.call('EXISTS', ARGV[2] .. id) == 1 then
+        redis.call('HSETNX', ARGV[2] .. id, 'position', position)
+    end
+end
+return placed
+`;
+
+// Claims a username and stores the account. KEYS[1] is the username map.
+// ARGV: user key, username, id, then field/value pairs. Returns 0 when taken.
+const CREATE_USER_SCRIPT = `
+if redis.call('HSETNX', KEYS[1], ARGV[2], ARGV[3]) == 0 then
+    return 0
+end
+redis.call('HSET', ARGV[1], unpack(ARGV, 4))
+return 1
+`;
+
+// Stores a shared list and makes its creator the owner. KEYS[1] is the set of
+// all lists. ARGV: list key, list id, owner id, owner's lists key, then
+// field/value pairs.
+const CREATE_LIST_SCRIPT = `
+redis.call('HSET', ARGV[1], unpack(ARGV, 5))
+redis.call('HSET', ARGV[1] .. ':members', ARGV[3], 'owner')
+redis.call('SADD', ARGV[4], ARGV[2])
+redis.call('SADD', KEYS[1], ARGV[2])
+return 1
+`;
+
+// ARGV: list key, name. Returns the renamed hash, or nil for unknown lists.
+const RENAME_LIST_SCRIPT = `
+if redis.call('EXISTS', ARGV[1]) == 0 then
+    return nil
+end
+redis.call('HSET', ARGV[1], 'name', ARGV[2])
+return redis.call('HGETALL', ARGV[1])
+`;
+
+// Removes a shared list with its todos, trash, history, search index, members
+// and invitations. KEYS: the list's todo index, its counters hash, the set of
+// all lists, the list's trash index, the trash expiry index, its audit stream,
+// its manual order index.
+// ARGV: todo prefix, search prefix (as LUA_HELPERS expect), list id, list key,
+// user key prefix, invitation key prefix, trash hash prefix, expiry entry
+// prefix, history prefix. Returns the list hash, or nil.
+const DELETE_LIST_SCRIPT = LUA_HELPERS + `
+local list = redis.call('HGETALL', ARGV[4])
+if #list == 0 then
+    return nil
+end
+for _, id in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+    redis.call('DEL', ARGV[1] .. id, ARGV[9] .. id)
+    unindex(id)
+end
+for _, id in ipairs(redis.call('ZRANGE', KEYS[4], 0, -1)) do
+    redis.call('DEL', ARGV[7] .. id, ARGV[9] .. id)
+    redis.call('ZREM', KEYS[5], ARGV[8] .. cjson.encode(id) .. ']')
+end
+for _, userId in ipairs(redis.call('HKEYS', ARGV[4] .. ':members')) do
+    redis.call('SREM', ARGV[5] .. userId .. ':lists', ARGV[3])
+end
+for _, token in ipairs(redis.call('SMEMBERS', ARGV[4] .. ':invites')) do
+    redis.call('DEL', ARGV[6] .. token)
+end
+redis.call('DEL', KEYS[1], KEYS[2], KEYS[4], KEYS[6], KEYS[7], ARGV[4] .. ':members', ARGV[4] .. ':invites')
+redis.call('SREM', KEYS[3], ARGV[3])
+return list
+`;
+
+// ARGV: list key, user's lists key, list id, user id, role. Returns 0 for unknown lists.
+const SET_MEMBER_SCRIPT = `
+if redis.call('EXISTS', ARGV[1]) == 0 then
+    return 0
+end
+redis.call('HSET', ARGV[1] .. ':members', ARGV[4], ARGV[5])
+redis.call('SADD', ARGV[2], ARGV[3])
+return 1
+`;
+
+// ARGV: list key, user's lists key, list id, user id. Returns 0 for non-members.
+const REMOVE_MEMBER_SCRIPT = `
+if redis.call('HDEL', ARGV[1] .. ':members', ARGV[4]) == 0 then
+    return 0
+end
+redis.call('SREM', ARGV[2], ARGV[3])
+return 1
+`;
+
+// ARGV: list key, invitation key, token, then field/value pairs. Returns 0 for
+// unknown lists.
+const CREATE_INVITE_SCRIPT = `
+if redis.call('EXISTS', ARGV[1]) == 0 then
+    return 0
+end
+redis.call('HSET', ARGV[2], unpack(ARGV, 4))
+redis.call('SADD', ARGV[1] .. ':invites', ARGV[3])
+return 1
+`;
+
+// ARGV: invitation key, token, list id, list key. Returns the invitation hash,
+// or nil when the list has no such invitation.
+const REVOKE_INVITE_SCRIPT = `
+if redis.call('HGET', ARGV[1], 'listId') ~= ARGV[3] then
+    return nil
+end
+local fields = redis.call('HGETALL', ARGV[1])
+redis.call('DEL', ARGV[1])
+redis.call('SREM', ARGV[4] .. ':invites', ARGV[2])
+return fields
+`;
+
+// Uses up an invitation and adds the user to its list, keeping a higher role
+// they already have (the ranks follow ROLES in storage/lists.js). ARGV:
+// invitation key, token, list key prefix, user's lists key, user id. Returns
+// { list id, role }, or nil for unknown tokens.
+const ACCEPT_INVITE_SCRIPT = `
+local listId = redis.call('HGET', ARGV[1], 'listId')
+if not listId then
+    return nil
+end
+local role = redis.call('HGET', ARGV[1], 'role')
+local list = ARGV[3] .. listId
+redis.call('DEL', ARGV[1])
+redis.call('SREM', list .. ':invites', ARGV[2])
+
+local rank = { viewer = 1, editor = 2, owner = 3 }
+local current = redis.call('HGET', list .. ':members', ARGV[5])
+if current and rank[current] >= rank[role] then
+    return { listId, current }
+end
+redis.call('HSET', list .. ':members', ARGV[5], role)
+redis.call('SADD', ARGV[4], listId)
+return { listId, role }
+`;
+
+// Claims an idempotency key unless it is already taken. ARGV: record key,
+// record JSON, TTL in ms. Returns nil once claimed, or the existing record.
+const CLAIM_IDEMPOTENCY_KEY_SCRIPT = `
+local existing = redis.call('GET', ARGV[1])
+if existing then
+    return existing
+end
+redis.call('SET', ARGV[1], ARGV[2], 'PX', ARGV[3])
+return nil
+`;
+
+// Reads every todo list (with its trash) and both schedules at once, for a
+// snapshot. KEYS: the recurrence schedule, the reminder schedule. ARGV[1]: JSON
+// array of { todos, prefix, trash, trashPrefix } key names, one per list.
+// Returns JSON { lists = [{ todos, trash }] of HGETALL replies, recurrences,
+// reminders } with the schedules as flat entry/score pairs. cjson encodes
+// empty arrays as {}.
+const SNAPSHOT_SCRIPT = `
+local function hashes(index, prefix)
+    local found = {}
+    for _, id in ipairs(redis.call('ZRANGE', index, 0, -1)) do
+        table.insert(found, redis.call('HGETALL', prefix .. id))
+    end
+    return found
+end
+local lists = {}
+for _, keys in ipairs(cjson.decode(ARGV[1])) do
+    table.insert(lists, { todos = hashes(keys.todos, keys.prefix), trash = hashes(keys.trash, keys.trashPrefix) })
+end
+return cjson.encode({
+    lists = lists,
+    recurrences = redis.call('ZRANGE', KEYS[1], 0, -1, 'WITHSCORES'),
+    reminders = redis.call('ZRANGE', KEYS[2], 0, -1, 'WITHSCORES')
+})
+`;
+
+// Adds the todos and trashed todos of a snapshot that a list does not have,
+// leaving the ones whose id it knows (in the list or its trash) alone. KEYS:
+// the list's todo index, its counters hash, its trash index, the trash expiry
+// index, its manual order index. ARGV: todo prefix, search prefix (as
+// LUA_HELPERS expect), trash hash prefix, expiry entry prefix, then JSON
+// { todos = [{ id, score, searchKeys, fields }], trash = [{ id, score, fields }] }.
+// Returns { todos, trashed } added.
+const RESTORE_LIST_SCRIPT = LUA_HELPERS + LUA_POSITIONS + `
+local data = cjson.decode(ARGV[5])
+local function known(id)
+    return redis.call('EXISTS', ARGV[1] .. id, ARGV[3] .. id) > 0
+end
+local added, trashed = 0, 0
+for _, todo in ipairs(data.todos) do
+    if not known(todo.id) then
+        hset_fields(ARGV[1] .. todo.id, todo.fields)
+        redis.call('ZADD', KEYS[1], todo.score, todo.id)
+        place(ARGV[1] .. todo.id, todo.id)
+        index(todo.id, todo.searchKeys)
+        count(todo.fields.completed, 1)
+        added = added + 1
+    end
+end
+for _, todo in ipairs(data.trash) do
+    if not known(todo.id) then
+        hset_fields(ARGV[3] .. todo.id, todo.fields)
+        redis.call('ZADD', KEYS[3], todo.score, todo.id)
+        redis.call('ZADD', KEYS[4], todo.score, ARGV[4] .. cjson.encode(todo.id) .. ']')
+        trashed = trashed + 1
+    end
+end
+return { added, trashed }
+`;
+
+// Keys a replacing restore leaves alone: the schema version, audit logs and
+// todo history
+const KEPT_ON_RESTORE = /^todos:schema$|:audit$|:history:/;
+
+// Flatten a todo (or a partial update) into Redis hash fields
+function serializeTodo(todo) {
+    const fields = {};
+    if (todo.id !== undefined) fields.id = todo.id;
+    if (todo.text !== undefined) fields.text = todo.text;
+    if (todo.completed !== undefined) fields.completed = todo.completed.toString();
+    if (todo.createdAt !== undefined) fields.createdAt = todo.createdAt;
+    if (todo.updatedAt !== undefined) fields.updatedAt = todo.updatedAt;
+    if (todo.version !== undefined) fields.version = todo.version.toString();
+    if (todo.position !== undefined) fields.position = todo.position;
+    // Cleared details (null) are stored empty and left out when read back
+    if (todo.dueDate !== undefined) fields.dueDate = todo.dueDate || '';
+    if (todo.priority !== undefined) fields.priority = todo.priority || '';
+    if (todo.notes !== undefined) fields.notes = todo.notes || '';
+    if (todo.tags !== undefined) fields.tags = todo.tags ? JSON.stringify(todo.tags) : '';
+    if (todo.subtasks !== undefined) fields.subtasks = todo.subtasks ? JSON.stringify(todo.subtasks) : '';
+    if (todo.autoComplete !== undefined) fields.autoComplete = todo.autoComplete ? 'true' : '';
+    if (todo.recurrence !== undefined) fields.recurrence = todo.recurrence || '';
+    if (todo.reminders !== undefined) fields.reminders = todo.reminders ? JSON.stringify(todo.reminders) : '';
+    return fields;
+}
+
+function todoFromHash(todoData) {
+    if (!todoData || !todoData.id) {
+        return null;
+    }
+    const todo = {
+        id: todoData.id,
+        text: todoData.text,
+        completed: todoData.completed === 'true',
+        createdAt: todoData.createdAt,
+        updatedAt: todoData.updatedAt || todoData.createdAt,
+        version: Number(todoData.version) || 1
+    };
+    // Todos stored before positions existed keep their newest-first order
+    todo.position = todoData.position || defaultRank(todo);
+    if (todoData.dueDate) todo.dueDate = todoData.dueDate;
+    if (todoData.priority) todo.priority = todoData.priority;
+    if (todoData.notes) todo.notes = todoData.notes;
+    if (todoData.tags) todo.tags = JSON.parse(todoData.tags);
+    if (todoData.subtasks) todo.subtasks = JSON.parse(todoData.subtasks);
+    if (todoData.autoComplete === 'true') todo.autoComplete = true;
+    if (todoData.recurrence) todo.recurrence = todoData.recurrence;
+    if (todoData.reminders) todo.reminders = JSON.parse(todoData.reminders);
+    if (todoData.deletedAt) todo.deletedAt = todoData.deletedAt;
+    return todo;
+}
+
+// Converts a flat HGETALL reply from a Lua script into a hash object
+function hashFromFields(fields) {
+    const data = {};
+    for (let i = 0; i < fields.length; i += 2) {
+        data[fields[i]] = fields[i + 1];
+    }
+    return data;
+}
+
+// Converts a flat HGETALL reply from a Lua script into a todo object
+function todoFromFields(fields) {
+    if (!fields) {
+        return null;
+    }
+    return todoFromHash(hashFromFields(fields));
+}
+
+// Converts the { applied, hash } reply of a conditional write: the todo, or
+// { conflict: true, todo } when it was at another version
+function conditionalResult(reply) {
+    if (!reply) {
+        return null;
+    }
+    const [applied, fields] = reply;
+    return applied === 1 ? todoFromFields(fields) : { conflict: true, todo: todoFromFields(fields) };
+}
+
+function scoreOf(todo) {
+    return Date.parse(todo.createdAt) || 0;
+}
+
+// The hash fields of a new todo. Every stored todo has a position, so it has
+// an entry in the manual order index.
+function newTodoFields(todo) {
+    return serializeTodo({ ...todo, position: positionOf(todo) });
+}
+
+// Entry of the manual order index. "/" sorts before every base-36 digit, so a
+// position that starts another one still comes first, as in the plain string
+// order, and equal positions are ordered by id like cursors are.
+function positionEntry(position, id) {
+    return `${position}/${id}`;
+}
+
+function idOfPositionEntry(entry) {
+    return entry.slice(entry.indexOf('/') + 1);
+}
+
+// Every todo list: the one from before accounts, each user's and each shared list's
+function todoListScopes(users, lists) {
+    return [null, ...users.map(user => user.id), ...lists.map(list => sharedListScope(list.id))];
+}
+
+// Entries of the trash expiry index are JSON [scope, id]; the scripts append
+// the JSON of the id and the closing bracket to this
+function trashEntryPrefix(scope) {
+    return `[${JSON.stringify(scope || null)},`;
+}
+
+// The search index sets a todo with this text belongs in
+function searchKeysFor(text, searchPrefix) {
+    const { terms, prefixes } = indexEntries(text);
+    return [
+        ...terms.map(term => `${searchPrefix}term:${term}`),
+        ...prefixes.map(prefix => `${searchPrefix}prefix:${prefix}`)
+    ];
+}
+
+function userFromHash(userData) {
+    if (!userData || !userData.id) {
+        return null;
+    }
+    return {
+        id: userData.id,
+        username: userData.username,
+        passwordHash: userData.passwordHash,
+        createdAt: userData.createdAt
+    };
+}
+
+function listFromHash(listData) {
+    if (!listData || !listData.id) {
+        return null;
+    }
+    return {
+        id: listData.id,
+        name: listData.name,
+        ownerId: listData.ownerId,
+        createdAt: listData.createdAt
+    };
+}
+
+function inviteFromHash(inviteData) {
+    if (!inviteData || !inviteData.token) {
+        return null;
+    }
+    return {
+        token: inviteData.token,
+        listId: inviteData.listId,
+        role: inviteData.role,
+        createdBy: inviteData.createdBy,
+        createdAt: inviteData.createdAt
+    };
+}
+
+// Arrays in a cjson reply; empty ones come back as {}
+function arrayFrom(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+// [entry, at] pairs from a flat WITHSCORES reply
+function scheduleFromFields(fields) {
+    const entries = [];
+    for (let i = 0; i < fields.length; i += 2) {
+        entries.push([fields[i], Number(fields[i + 1])]);
+    }
+    return entries;
+}
+
+function byCreatedAt(a, b) {
+    return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+class RedisService extends EventEmitter {
     constructor() {
+        super();
+        this.driver = 'redis';
         this.client = null;
+        this.subscriber = null;
+        this.subscriptions = new Map();
         this.isConnected = false;
         this.TODOS_KEY = 'todos:all';
         this.TODO_PREFIX = 'todo:';
+        this.STATS_KEY = 'todos:stats';
+        this.SEARCH_PREFIX = 'todos:search:';
+        this.SCHEMA_KEY = 'todos:schema';
+        this.USERS_KEY = 'users:byname';
+        this.USER_PREFIX = 'user:';
+        this.LISTS_KEY = 'lists:all';
+        this.LIST_PREFIX = 'list:';
+        this.INVITE_PREFIX = 'invite:';
+        this.IDEMPOTENCY_PREFIX = 'idempotency:';
+        this.RECURRENCES_KEY = 'recurrences:due';
+        this.REMINDERS_KEY = 'reminders:due';
+        this.TRASH_EXPIRY_KEY = 'trash:expiry';
+    }
+
+    // Key names for a scoped todo list (see the storage adapter contract), or
+    // for the pre-accounts list without a scope
+    keysFor(scope) {
+        if (!scope) {
+            return {
+                todos: this.TODOS_KEY,
+                prefix: this.TODO_PREFIX,
+                positions: 'todos:positions',
+                stats: this.STATS_KEY,
+                search: this.SEARCH_PREFIX,
+                trash: 'todos:trash',
+                trashPrefix: 'todos:trash:',
+                audit: 'todos:audit',
+                historyPrefix: 'todos:history:'
+            };
+        }
+        // Shared lists are scoped as "list:{id}", a user's own list by the user id
+        const namespace = scope.startsWith(this.LIST_PREFIX) ? `${scope}:` : `${this.USER_PREFIX}${scope}:`;
+        return {
+            todos: `${namespace}todos`,
+            prefix: `${namespace}todo:`,
+            positions: `${namespace}positions`,
+            stats: `${namespace}todos:stats`,
+            search: `${namespace}search:`,
+            trash: `${namespace}trash`,
+            trashPrefix: `${namespace}trash:`,
+            audit: `${namespace}audit`,
+            historyPrefix: `${namespace}history:`
+        };
+    }
+
+    // The trash arguments of the scripts that delete todos (see LUA_TRASH)
+    trashBin(scope, deletedAt = new Date()) {
+        return [
+            this.keysFor(scope).trashPrefix,
+            trashEntryPrefix(scope),
+            deletedAt.toISOString(),
+            deletedAt.getTime().toString()
+        ];
+    }
+
+    async connect() {
+        try {
+            // Redis connection configuration
+            const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+
+            // Drop any client left over from a previous connection
+            if (this.client && this.client.isOpen) {
+                this.client.destroy();
+            }
+            
+            const client = redis.createClient({
+                url: redisUrl,
+                socket: {
+                    connectTimeout: 5000,
+                    // Reconnection is owned by the FailoverStore supervisor, which
+                    // also switches traffic to in-memory storage while Redis is away
+                    reconnectStrategy: false
+                }
+            });
+
+            this.client = client;
+
+            // Events from a replaced client must not affect the current one
+            client.on('error', (err) => {
+                logger.error('Redis client error', { error: err.message });
+                if (this.client === client) this.markDisconnected();
+            });
+
+            client.on('connect', () => {
+                logger.info('Connected to Redis');
+                if (this.client === client) this.isConnected = true;
+            });
+
+            client.on('ready', () => {
+                logger.info('Redis client ready');
+            });
+
+            client.on('end', () => {
+                logger.warn('Redis connection ended');
+                if (this.client === client) this.markDisconnected();
+            });
+
+            await client.connect();
+            await this.migrate();
+            await this.connectSubscriber();
+            
+            return true;
+        } catch (error) {
+            logger.error('Failed to connect to Redis', { error: error.message });
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    // Flag the connection as lost and tell listeners (once per outage)
+    markDisconnected() {
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        if (wasConnected) {
+            this.emit('disconnected');
+        }
+    }
+
+    async disconnect() {
+        if (this.client) {
+            // Clear the flag first so a deliberate close is not reported as an outage
+            this.isConnected = false;
+            if (this.subscriber && this.subscriber.isOpen) {
+                await this.subscriber.close();
+            }
+            if (this.client.isOpen) {
+                await this.client.close();
+            }
+            logger.info('Disconnected from Redis');
+        }
+    }
+
+    // A connection in subscribe mode cannot run other commands, so
+    // subscriptions get a connection of their own. It is opened again, with
+    // every subscription, each time the main client connects.
+    async connectSubscriber() {
+        if (this.subscriber && this.subscriber.isOpen) {
+            this.subscriber.destroy();
+        }
+        if (this.subscriptions.size === 0) return;
+
+        const subscriber = this.client.duplicate();
+        this.subscriber = subscriber;
+        subscriber.on('error', (err) => {
+            logger.error('Redis subscriber error', { error: err.message });
+        });
+
+        await subscriber.connect();
+        for (const [channel, listener] of this.subscriptions) {
+            await subscriber.subscribe(channel, listener);
+        }
+    }
+
+    async publish(channel, message) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        await this.client.publish(channel, message);
+    }
+
+    // Messages published while Redis is away are lost; the subscription itself
+    // is restored on the next connect
+    async subscribe(channel, listener) {
+        this.subscriptions.set(channel, listener);
+        if (this.isConnected) {
+            await this.connectSubscriber();
+        }
+    }
+
+    // Bring data written by older versions up to the current schema
+    async migrate() {
+        const version = Number(await this.client.get(this.SCHEMA_KEY)) || 1;
+        if (version >= SCHEMA_VERSION) {
+            return;
+        }
+
+        logger.info('Migrating Redis data', { from: version, to: SCHEMA_VERSION });
+
+        if (version < 2) {
+            await this.migrateToSortedSet();
+        }
+        if (version < 3) {
+            await this.buildSearchIndex();
+        }
+        const placed = await this.buildPositionIndex();
+
+        logger.info('Migrated Redis data', { todos: placed, schema: SCHEMA_VERSION });
+    }
+
+    // Schema 2: the index becomes a sorted set and stats become counters
+    async migrateToSortedSet() {
+        // Scores are computed here because Lua cannot parse ISO dates
+        const scores = {};
+        if ((await this.client.type(this.TODOS_KEY)) === 'set') {
+            const ids = await this.client.sMembers(this.TODOS_KEY);
+            const multi = this.client.multi();
+            ids.forEach(id => multi.hGet(`${this.TODO_PREFIX}${id}`, 'createdAt'));
+            const createdAts = await multi.exec();
+            ids.forEach((id, index) => {
+                scores[id] = Date.parse(createdAts[index]) || 0;
+            });
+        }
+
+        await this.client.eval(MIGRATE_SCRIPT, {
+            keys: [this.TODOS_KEY, this.STATS_KEY, this.SCHEMA_KEY],
+            arguments: [this.TODO_PREFIX, JSON.stringify(scores), Date.now().toString(), '2']
+        });
+    }
+
+    // Schema 3: every existing todo is added to the search index
+    async buildSearchIndex() {
+        const todoIds = await this.client.zRange(this.TODOS_KEY, 0, -1);
+        const entries = {};
+        (await this.getTodosByIds(todoIds)).forEach(todo => {
+            entries[todo.id] = searchKeysFor(todo.text, this.SEARCH_PREFIX);
+        });
+
+        return await this.client.eval(REINDEX_SCRIPT, {
+            keys: [this.TODOS_KEY, this.STATS_KEY, this.SCHEMA_KEY],
+            arguments: [this.TODO_PREFIX, this.SEARCH_PREFIX, JSON.stringify(entries), '3']
+        });
+    }
+
+    // Schema 4: every list gets its manual order index. Returns how many todos
+    // were placed in one.
+    async buildPositionIndex() {
+        const scopes = todoListScopes(await this.getAllUsers(), await this.getAllLists());
+        let placed = 0;
+        for (const scope of scopes) {
+            const keys = this.keysFor(scope);
+            // Read back without a stored position, todos get the one they sort at
+            const positions = {};
+            [...await this.getAllTodos(scope), ...await this.getTrash(scope)].forEach((todo) => {
+                positions[todo.id] = todo.position;
+            });
+
+            placed += await this.client.eval(INDEX_POSITIONS_SCRIPT, {
+                keys: [keys.positions],
+                arguments: [keys.prefix, keys.trashPrefix, JSON.stringify(positions)]
+            });
+        }
+
+        await this.client.set(this.SCHEMA_KEY, SCHEMA_VERSION.toString());
+        return placed;
+    }
+
+    async createUser(user) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const created = await this.client.eval(CREATE_USER_SCRIPT, {
+                keys: [this.USERS_KEY],
+                arguments: [
+                    `${this.USER_PREFIX}${user.id}`,
+                    user.username,
+                    user.id,
+                    ...Object.entries(user).flat()
+                ]
+            });
+
+            return created ? user : null;
+        } catch (error) {
+            logger.error('Error creating user in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getUserByUsername(username) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const id = await this.client.hGet(this.USERS_KEY, username);
+            return id ? await this.getUserById(id) : null;
+        } catch (error) {
+            logger.error('Error getting user from Redis', { error });
+            throw error;
+        }
+    }
+
+    async getUserById(id) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            return userFromHash(await this.client.hGetAll(`${this.USER_PREFIX}${id}`));
+        } catch (error) {
+            logger.error('Error getting user from Redis', { error });
+            throw error;
+        }
+    }
+
+    async getAllUsers() {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const ids = await this.client.hVals(this.USERS_KEY);
+            if (ids.length === 0) {
+                return [];
+            }
+
+            const multi = this.client.multi();
+            ids.forEach(id => multi.hGetAll(`${this.USER_PREFIX}${id}`));
+            return (await multi.exec()).map(userFromHash).filter(Boolean);
+        } catch (error) {
+            logger.error('Error getting users from Redis', { error });
+            throw error;
+        }
+    }
+
+    async createList(list) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            await this.client.eval(CREATE_LIST_SCRIPT, {
+                keys: [this.LISTS_KEY],
+                arguments: [
+                    `${this.LIST_PREFIX}${list.id}`,
+                    list.id,
+                    list.ownerId,
+                    `${this.USER_PREFIX}${list.ownerId}:lists`,
+                    ...Object.entries(list).flat()
+                ]
+            });
+
+            return list;
+        } catch (error) {
+            logger.error('Error creating list in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getList(id) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            return listFromHash(await this.client.hGetAll(`${this.LIST_PREFIX}${id}`));
+        } catch (error) {
+            logger.error('Error getting list from Redis', { error });
+            throw error;
+        }
+    }
+
+    async renameList(id, name) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const renamed = await this.client.eval(RENAME_LIST_SCRIPT, {
+                arguments: [`${this.LIST_PREFIX}${id}`, name]
+            });
+
+            return renamed ? listFromHash(hashFromFields(renamed)) : null;
+        } catch (error) {
+            logger.error('Error renaming list in Redis', { error });
+            throw error;
+        }
+    }
+
+    async deleteList(id) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const scope = sharedListScope(id);
+            const keys = this.keysFor(scope);
+            const deleted = await this.client.eval(DELETE_LIST_SCRIPT, {
+                keys: [keys.todos, keys.stats, this.LISTS_KEY, keys.trash, this.TRASH_EXPIRY_KEY, keys.audit, keys.positions],
+                arguments: [
+                    keys.prefix,
+                    keys.search,
+                    id,
+                    `${this.LIST_PREFIX}${id}`,
+                    this.USER_PREFIX,
+                    this.INVITE_PREFIX,
+                    keys.trashPrefix,
+                    trashEntryPrefix(scope),
+                    keys.historyPrefix
+                ]
+            });
+
+            return deleted ? listFromHash(hashFromFields(deleted)) : null;
+        } catch (error) {
+            logger.error('Error deleting list from Redis', { error });
+            throw error;
+        }
+    }
+
+    async getListsForUser(userId) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const ids = await this.client.sMembers(`${this.USER_PREFIX}${userId}:lists`);
+            if (ids.length === 0) {
+                return [];
+            }
+
+            const multi = this.client.multi();
+            ids.forEach(id => {
+                multi.hGetAll(`${this.LIST_PREFIX}${id}`);
+                multi.hGet(`${this.LIST_PREFIX}${id}:members`, userId);
+            });
+            const replies = await multi.exec();
+
+            return ids
+                .map((id, index) => {
+                    const list = listFromHash(replies[index * 2]);
+                    const role = replies[index * 2 + 1];
+                    return list && role ? { ...list, role } : null;
+                })
+                .filter(Boolean)
+                .sort(byCreatedAt);
+        } catch (error) {
+            logger.error('Error getting lists from Redis', { error });
+            throw error;
+        }
+    }
+
+    async getListRole(id, userId) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            return await this.client.hGet(`${this.LIST_PREFIX}${id}:members`, userId);
+        } catch (error) {
+            logger.error('Error getting list role from Redis', { error });
+            throw error;
+        }
+    }
+
+    async getListMembers(id) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const members = await this.client.hGetAll(`${this.LIST_PREFIX}${id}:members`);
+            return Object.entries(members).map(([userId, role]) => ({ userId, role }));
+        } catch (error) {
+            logger.error('Error getting list members from Redis', { error });
+            throw error;
+        }
+    }
+
+    async setListMember(id, userId, role) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const stored = await this.client.eval(SET_MEMBER_SCRIPT, {
+                arguments: [`${this.LIST_PREFIX}${id}`, `${this.USER_PREFIX}${userId}:lists`, id, userId, role]
+            });
+
+            return stored ? { userId, role } : null;
+        } catch (error) {
+            logger.error('Error setting list member in Redis', { error });
+            throw error;
+        }
+    }
+
+    async removeListMember(id, userId) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const removed = await this.client.eval(REMOVE_MEMBER_SCRIPT, {
+                arguments: [`${this.LIST_PREFIX}${id}`, `${this.USER_PREFIX}${userId}:lists`, id, userId]
+            });
+
+            return removed === 1;
+        } catch (error) {
+            logger.error('Error removing list member from Redis', { error });
+            throw error;
+        }
+    }
+
+    async createInvite(invite) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const created = await this.client.eval(CREATE_INVITE_SCRIPT, {
+                arguments: [
+                    `${this.LIST_PREFIX}${invite.listId}`,
+                    `${this.INVITE_PREFIX}${invite.token}`,
+                    invite.token,
+                    ...Object.entries(invite).flat()
+                ]
+            });
+
+            return created ? invite : null;
+        } catch (error) {
+            logger.error('Error creating invitation in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getInvites(listId) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const tokens = await this.client.sMembers(`${this.LIST_PREFIX}${listId}:invites`);
+            if (tokens.length === 0) {
+                return [];
+            }
+
+            const multi = this.client.multi();
+            tokens.forEach(token => multi.hGetAll(`${this.INVITE_PREFIX}${token}`));
+            return (await multi.exec()).map(inviteFromHash).filter(Boolean).sort(byCreatedAt);
+        } catch (error) {
+            logger.error('Error getting invitations from Redis', { error });
+            throw error;
+        }
+    }
+
+    async revokeInvite(listId, token) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const revoked = await this.client.eval(REVOKE_INVITE_SCRIPT, {
+                arguments: [`${this.INVITE_PREFIX}${token}`, token, listId, `${this.LIST_PREFIX}${listId}`]
+            });
+
+            return revoked ? inviteFromHash(hashFromFields(revoked)) : null;
+        } catch (error) {
+            logger.error('Error revoking invitation in Redis', { error });
+            throw error;
+        }
+    }
+
+    async acceptInvite(token, userId) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const accepted = await this.client.eval(ACCEPT_INVITE_SCRIPT, {
+                arguments: [
+                    `${this.INVITE_PREFIX}${token}`,
+                    token,
+                    this.LIST_PREFIX,
+                    `${this.USER_PREFIX}${userId}:lists`,
+                    userId
+                ]
+            });
+
+            return accepted ? { listId: accepted[0], role: accepted[1] } : null;
+        } catch (error) {
+            logger.error('Error accepting invitation in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getAllLists() {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const ids = await this.client.sMembers(this.LISTS_KEY);
+            const lists = [];
+            for (const id of ids) {
+                const list = await this.getList(id);
+                if (list) {
+                    lists.push({
+                        ...list,
+                        members: await this.getListMembers(id),
+                        invites: await this.getInvites(id)
+                    });
+                }
+            }
+            return lists.sort(byCreatedAt);
+        } catch (error) {
+            logger.error('Error getting lists from Redis', { error });
+            throw error;
+        }
+    }
+
+    // Fetch many todo hashes in one round trip, keeping the given order
+    async getTodosByIds(ids, keys = this.keysFor()) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const multi = this.client.multi();
+        ids.forEach(id => multi.hGetAll(`${keys.prefix}${id}`));
+        const hashes = await multi.exec();
+
+        return hashes.map(todoFromHash).filter(Boolean);
+    }
+
+    async getAllTodos(scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            // The index is already ordered by creation date (newest first with REV)
+            const keys = this.keysFor(scope);
+            const todoIds = await this.client.zRange(keys.todos, 0, -1, { REV: true });
+            return await this.getTodosByIds(todoIds, keys);
+        } catch (error) {
+            logger.error('Error getting todos from Redis', { error });
+            throw error;
+        }
+    }
+
+    async listTodos(query, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            // Filters and the other sort orders need the full list; creation
+            // order is served straight from the index and the manual order
+            // from the manual order index
+            if (hasFilters(query) || !['createdAt', 'position'].includes(query.sort)) {
+                return applyQuery(await this.getAllTodos(scope), query);
+            }
+
+            const keys = this.keysFor(scope);
+            if (query.sort === 'position') {
+                return await this.listByPosition(query, keys);
+            }
+
+            const descending = query.order === 'desc';
+            const total = await this.client.zCard(keys.todos);
+            const offset = query.cursor ? await this.rankAfterCursor(keys.todos, query.cursor, descending) : 0;
+            const stop = query.limit === null ? -1 : offset + query.limit - 1;
+
+            const todoIds = await this.client.zRange(keys.todos, offset, stop, { REV: descending });
+            return toPage(await this.getTodosByIds(todoIds, keys), total, offset, query);
+        } catch (error) {
+            logger.error('Error listing todos from Redis', { error });
+            throw error;
+        }
+    }
+
+    // A page of the manual order, read by member from the manual order index
+    // starting just past the cursor's entry
+    async listByPosition(query, keys) {
+        const descending = query.order === 'desc';
+        const cursorEntry = query.cursor ? positionEntry(query.cursor.value, query.cursor.id) : null;
+        const from = cursorEntry ? `(${cursorEntry}` : (descending ? '+' : '-');
+        const to = descending ? '-' : '+';
+        // The entries at or before the cursor's, to tell whether more follow the page
+        const passed = !cursorEntry ? null : descending ? [`[${cursorEntry}`, '+'] : ['-', `[${cursorEntry}`];
+
+        const [total, offset, entries] = await Promise.all([
+            this.client.zCard(keys.positions),
+            passed ? this.client.zLexCount(keys.positions, ...passed) : 0,
+            this.client.zRange(keys.positions, from, to, {
+                BY: 'LEX',
+                REV: descending,
+                LIMIT: query.limit === null ? undefined : { offset: 0, count: query.limit }
+            })
+        ]);
+        return toPage(await this.getTodosByIds(entries.map(idOfPositionEntry), keys), total, offset, query);
+    }
+
+    // Number of index entries that sort at or before a cursor position. Redis
+    // orders equal scores by member, which matches the id tie-break used by cursors.
+    async rankAfterCursor(indexKey, cursor, descending) {
+        const score = Date.parse(cursor.value);
+        const [before, ties] = await Promise.all([
+            descending
+                ? this.client.zCount(indexKey, `(${score}`, '+inf')
+                : this.client.zCount(indexKey, '-inf', `(${score}`),
+            this.client.zRange(indexKey, score, score, { BY: 'SCORE' })
+        ]);
+        const passedTies = ties.filter(id => (descending ? id >= cursor.id : id <= cursor.id));
+        return before + passedTies.length;
+    }
+
+    // Words are looked up in the prefix sets; the term sets tell exact matches apart
+    async searchTodos(text, limit = DEFAULT_SEARCH_LIMIT, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const tokens = tokenize(text);
+            if (tokens.length === 0) {
+                return [];
+            }
+
+            const keys = this.keysFor(scope);
+            const multi = this.client.multi();
+            multi.sInter(tokens.map(token => `${keys.search}prefix:${token}`));
+            tokens.forEach(token => multi.sMembers(`${keys.search}term:${token}`));
+            const [candidates, ...exactMatches] = await multi.exec();
+            if (candidates.length === 0) {
+                return [];
+            }
+
+            // Rank on the index scores and only load the todos that are returned
+            const createdAts = await this.client.zmScore(keys.todos, candidates);
+            const createdAtById = new Map(candidates.map((id, i) => [id, createdAts[i] || 0]));
+            const ranked = rank(candidates, exactMatches.map(ids => new Set(ids)), id => createdAtById.get(id))
+                .slice(0, limit);
+
+            const todos = await this.getTodosByIds(ranked.map(result => result.id), keys);
+            const todosById = new Map(todos.map(todo => [todo.id, todo]));
+            return ranked
+                .filter(result => todosById.has(result.id))
+                .map(result => ({ todo: todosById.get(result.id), score: result.score }));
+        } catch (error) {
+            logger.error('Error searching todos in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getTodoById(id, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            return todoFromHash(await this.client.hGetAll(`${this.keysFor(scope).prefix}${id}`));
+        } catch (error) {
+            logger.error('Error getting todo by ID from Redis', { error });
+            throw error;
+        }
     }
 
-    async connect() {
+    async createTodo(todo, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
         try {
-            // Redis connection configuration
-            const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-            
-            this.client = redis.createClient({
-                url: redisUrl,
-                retry_strategy: (options) => {
-                    if (options.error && options.error.code === 'ECONNREFUSED') {
-                        // End reconnecting on a specific error and flush all commands with
-                        // a individual error
-                        return new Error('The Redis server refused the connection');
-                    }
-                    if (options.total_retry_time > 1000 * 60 * 60) {
-                        // End reconnecting after a specific timeout and flush all commands
-                        // with a individual error
-                        return new Error('Retry time exhausted');
-                    }
-                    if (options.attempt > 10) {
-                        // End reconnecting with built in error
-                        return undefined;
-                    }
-                    // reconnect after
-                    return Math.min(options.attempt * 100, 3000);
-                }
+            const keys = this.keysFor(scope);
+            const fields = newTodoFields(todo);
+            const stored = await this.client.eval(CREATE_SCRIPT, {
+                keys: [keys.todos, keys.stats, keys.positions],
+                arguments: [
+                    keys.prefix,
+                    keys.search,
+                    todo.id,
+                    scoreOf(todo).toString(),
+                    JSON.stringify(searchKeysFor(todo.text, keys.search)),
+                    ...Object.entries(fields).flat()
+                ]
             });
 
-            this.client.on('error', (err) => {
-                console.error('Redis Client Error:', err);
-                this.isConnected = false;
-            });
+            return todoFromFields(stored);
+        } catch (error) {
+            logger.error('Error creating todo in Redis', { error });
+            throw error;
+        }
+    }
 
-            this.client.on('connect', () => {
-                console.log('✅ Connected to Redis');
-                this.isConnected = true;
-            });
+    async updateTodo(id, updates, scope, expectedVersion) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const fields = serializeTodo({ ...updates, updatedAt: new Date().toISOString() });
 
-            this.client.on('ready', () => {
-                console.log('🚀 Redis client ready');
+            // Existence and version checks, write, counter and search index
+            // update happen atomically
+            const keys = this.keysFor(scope);
+            const searchKeys = updates.text !== undefined ? JSON.stringify(searchKeysFor(updates.text, keys.search)) : '';
+            const updated = await this.client.eval(UPDATE_SCRIPT, {
+                keys: [keys.todos, keys.stats, keys.positions],
+                arguments: [
+                    keys.prefix,
+                    keys.search,
+                    id,
+                    searchKeys,
+                    expectedVersion === undefined ? '' : expectedVersion.toString(),
+                    ...Object.entries(fields).flat()
+                ]
             });
 
-            this.client.on('end', () => {
-                console.log('❌ Redis connection ended');
-                this.isConnected = false;
+            return conditionalResult(updated);
+        } catch (error) {
+            logger.error('Error updating todo in Redis', { error });
+            throw error;
+        }
+    }
+
+    async deleteTodo(id, scope, expectedVersion) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const keys = this.keysFor(scope);
+            const deleted = await this.client.eval(DELETE_SCRIPT, {
+                keys: [keys.todos, keys.stats, keys.trash, this.TRASH_EXPIRY_KEY, keys.positions],
+                arguments: [
+                    keys.prefix,
+                    keys.search,
+                    id,
+                    expectedVersion === undefined ? '' : expectedVersion.toString(),
+                    ...this.trashBin(scope)
+                ]
             });
 
-            await this.client.connect();
-            
-            // Initialize with default todos if database is empty
-            await this.initializeDefaultTodos();
-            
-            return true;
+            return conditionalResult(deleted);
         } catch (error) {
-            console.error('Failed to connect to Redis:', error.message);
-            console.log('⚠️  Falling back to in-memory storage');
-            this.isConnected = false;
-            return false;
+            logger.error('Error deleting todo from Redis', { error });
+            throw error;
         }
     }
 
-    async disconnect() {
-        if (this.client) {
-            await this.client.disconnect();
-            this.isConnected = false;
-            console.log('📴 Disconnected from Redis');
-        }
-    }
-
-    async initializeDefaultTodos() {
-        try {
-            const existingTodos = await this.getAllTodos();
-            if (existingTodos.length === 0) {
-                console.log('🔄 Initializing default todos in Redis...');
-                
-                const defaultTodos = [
-                    {
-                        id: require('uuid').v4(),
-                        text: 'Welcome to your DevOps To-Do App with Redis!',
-                        completed: false,
-                        createdAt: new Date().toISOString()
-                    },
-                    {
-                        id: require('uuid').v4(),
-                        text: 'Set up CI/CD pipeline with Redis database',
-                        completed: true,
-                        createdAt: new Date().toISOString()
-                    }
-                ];
-
-                for (const todo of defaultTodos) {
-                    await this.createTodo(todo);
-                }
-                
-                console.log('✅ Default todos initialized');
-            }
+    async getStats(scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            // Counters are maintained by the write scripts, so this is O(1)
+            const counters = await this.client.hGetAll(this.keysFor(scope).stats);
+            const completed = Number(counters.completed) || 0;
+            const pending = Number(counters.pending) || 0;
+            return {
+                total: completed + pending,
+                completed,
+                pending
+            };
         } catch (error) {
-            console.error('Error initializing default todos:', error);
+            logger.error('Error getting stats from Redis', { error });
+            throw error;
         }
     }
 
-    async getAllTodos() {
+    async clearCompleted(scope) {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            console.log('🔍 Getting all todo IDs from Redis...');
-            const todoIds = await this.client.sMembers(this.TODOS_KEY);
-            console.log('📋 Found todo IDs:', todoIds.length, todoIds);
-            
-            if (todoIds.length === 0) {
-                console.log('⚠️ No todo IDs found in SET');
-                return [];
-            }
+            // Select completed todos and move them to the trash in a single atomic script
+            const keys = this.keysFor(scope);
+            const removed = await this.client.eval(CLEAR_COMPLETED_SCRIPT, {
+                keys: [keys.todos, keys.stats, keys.trash, this.TRASH_EXPIRY_KEY, keys.positions],
+                arguments: [keys.prefix, keys.search, ...this.trashBin(scope)]
+            });
+
+            return removed.map(todoFromFields);
+        } catch (error) {
+            logger.error('Error clearing completed todos from Redis', { error });
+            throw error;
+        }
+    }
+
+    async applyBatch(operations, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
 
-            const todos = [];
-            for (const id of todoIds) {
-                console.log(`🔍 Fetching todo data for ID: ${id}`);
-                const todoData = await this.client.hGetAll(`${this.TODO_PREFIX}${id}`);
-                console.log(`📄 Todo data for ${id}:`, todoData);
-                
-                if (todoData && todoData.id) {
-                    const todo = {
-                        id: todoData.id,
-                        text: todoData.text,
-                        completed: todoData.completed === 'true',
-                        createdAt: todoData.createdAt,
-                        updatedAt: todoData.updatedAt || todoData.createdAt
+        try {
+            const keys = this.keysFor(scope);
+            const now = new Date().toISOString();
+            const payload = operations.map(operation => {
+                if (operation.op === 'create') {
+                    const { todo } = operation;
+                    return {
+                        op: 'create',
+                        id: todo.id,
+                        score: scoreOf(todo),
+                        fields: newTodoFields(todo),
+                        searchKeys: searchKeysFor(todo.text, keys.search)
                     };
-                    console.log(`✅ Adding todo to list:`, todo);
-                    todos.push(todo);
-                } else {
-                    console.log(`⚠️ Skipping todo ${id} - invalid data:`, todoData);
                 }
+                if (operation.op === 'update') {
+                    return {
+                        op: 'update',
+                        id: operation.id,
+                        fields: serializeTodo({ ...operation.updates, updatedAt: now }),
+                        searchKeys: operation.updates.text !== undefined
+                            ? searchKeysFor(operation.updates.text, keys.search)
+                            : undefined
+                    };
+                }
+                return { op: 'delete', id: operation.id };
+            });
+
+            const [committed, outcome] = await this.client.eval(APPLY_BATCH_SCRIPT, {
+                keys: [keys.todos, keys.stats, keys.trash, this.TRASH_EXPIRY_KEY, keys.positions],
+                arguments: [keys.prefix, keys.search, JSON.stringify(payload), ...this.trashBin(scope)]
+            });
+
+            if (!committed) {
+                return { committed: false, failedIndex: outcome, error: 'Todo not found' };
             }
 
-            console.log(`📊 Final todos list: ${todos.length} items`);
-            // Sort by creation date (newest first)
-            return todos.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            return { committed: true, results: outcome.map(todoFromFields) };
+        } catch (error) {
+            logger.error('Error applying batch in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getTrash(scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const keys = this.keysFor(scope);
+            const todoIds = await this.client.zRange(keys.trash, 0, -1, { REV: true });
+            return await this.getTodosByIds(todoIds, { prefix: keys.trashPrefix });
         } catch (error) {
-            console.error('Error getting todos from Redis:', error);
+            logger.error('Error getting trash from Redis', { error });
             throw error;
         }
     }
 
-    async getTodoById(id) {
+    async restoreTodo(id, scope) {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            const todoData = await this.client.hGetAll(`${this.TODO_PREFIX}${id}`);
-            if (!todoData || !todoData.id) {
+            const keys = this.keysFor(scope);
+            // The text and creation date of a trashed todo never change, so its
+            // index score and search keys can be worked out before the script runs
+            const trashed = todoFromHash(await this.client.hGetAll(`${keys.trashPrefix}${id}`));
+            if (!trashed) {
                 return null;
             }
 
-            return {
-                id: todoData.id,
-                text: todoData.text,
-                completed: todoData.completed === 'true',
-                createdAt: todoData.createdAt,
-                updatedAt: todoData.updatedAt || todoData.createdAt
-            };
+            const restored = await this.client.eval(RESTORE_SCRIPT, {
+                keys: [keys.todos, keys.stats, keys.trash, this.TRASH_EXPIRY_KEY, keys.positions],
+                arguments: [
+                    keys.prefix,
+                    keys.search,
+                    id,
+                    keys.trashPrefix,
+                    trashEntryPrefix(scope),
+                    scoreOf(trashed).toString(),
+                    JSON.stringify(searchKeysFor(trashed.text, keys.search)),
+                    new Date().toISOString()
+                ]
+            });
+
+            return conditionalResult(restored);
         } catch (error) {
-            console.error('Error getting todo by ID from Redis:', error);
+            logger.error('Error restoring todo in Redis', { error });
             throw error;
         }
     }
 
-    async createTodo(todo) {
+    async purgeTodo(id, scope) {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            const todoKey = `${this.TODO_PREFIX}${todo.id}`;
-            
-            // Store todo data as hash
-            await this.client.hSet(todoKey, {
-                id: todo.id,
-                text: todo.text,
-                completed: todo.completed.toString(),
-                createdAt: todo.createdAt
+            const keys = this.keysFor(scope);
+            const purged = await this.client.eval(PURGE_SCRIPT, {
+                keys: [keys.trash, this.TRASH_EXPIRY_KEY],
+                arguments: [keys.trashPrefix, id, trashEntryPrefix(scope), keys.historyPrefix]
             });
 
-            // Add todo ID to the set of all todos
-            await this.client.sAdd(this.TODOS_KEY, todo.id);
+            return todoFromFields(purged);
+        } catch (error) {
+            logger.error('Error purging todo from Redis', { error });
+            throw error;
+        }
+    }
+
+    async expiredTrash(before, limit) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
 
-            return todo;
+        try {
+            const entries = await this.client.zRangeWithScores(this.TRASH_EXPIRY_KEY, 0, before, {
+                BY: 'SCORE',
+                LIMIT: { offset: 0, count: limit }
+            });
+            return entries.map(({ value, score }) => {
+                const [scope, id] = JSON.parse(value);
+                return { scope, id, at: score };
+            });
         } catch (error) {
-            console.error('Error creating todo in Redis:', error);
+            logger.error('Error reading expired trash from Redis', { error });
             throw error;
         }
     }
 
-    async updateTodo(id, updates) {
+    async appendHistory(entries, scope) {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            const todoKey = `${this.TODO_PREFIX}${id}`;
-            
-            // Check if todo exists
-            const exists = await this.client.exists(todoKey);
-            if (!exists) {
-                return null;
-            }
+            const keys = this.keysFor(scope);
+            await this.client.eval(APPEND_HISTORY_SCRIPT, {
+                keys: [keys.audit],
+                arguments: [
+                    keys.historyPrefix,
+                    MAX_TODO_HISTORY.toString(),
+                    MAX_AUDIT_ENTRIES.toString(),
+                    ...entries.map(entry => JSON.stringify(entry))
+                ]
+            });
+        } catch (error) {
+            logger.error('Error appending history in Redis', { error });
+            throw error;
+        }
+    }
 
-            // Get current todo data
-            const currentTodo = await this.getTodoById(id);
-            
-            // Prepare update data
-            const updateData = {
-                updatedAt: new Date().toISOString()
-            };
+    async getTodoHistory(id, limit, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
 
-            if (updates.text !== undefined) {
-                updateData.text = updates.text;
-            }
-            
-            if (updates.completed !== undefined) {
-                updateData.completed = updates.completed.toString();
-            }
+        try {
+            const entries = await this.client.lRange(`${this.keysFor(scope).historyPrefix}${id}`, 0, limit - 1);
+            return entries.map(entry => JSON.parse(entry));
+        } catch (error) {
+            logger.error('Error getting todo history from Redis', { error });
+            throw error;
+        }
+    }
 
-            // Update the todo
-            await this.client.hSet(todoKey, updateData);
+    // Stream ids start with the time they were added (ms), so the range is
+    // read straight off the stream
+    async getAuditLog({ from, to, limit }, scope) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
 
-            // Return updated todo
-            return await this.getTodoById(id);
+        try {
+            const entries = await this.client.xRevRange(
+                this.keysFor(scope).audit,
+                to === null ? '+' : to.toString(),
+                from === null ? '-' : from.toString(),
+                { COUNT: limit }
+            );
+            return entries.map(({ message }) => JSON.parse(message.entry));
         } catch (error) {
-            console.error('Error updating todo in Redis:', error);
+            logger.error('Error reading audit log from Redis', { error });
             throw error;
         }
     }
 
-    async deleteTodo(id) {
+    async claimIdempotencyKey(key, fingerprint, ttlMs) {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            const todoKey = `${this.TODO_PREFIX}${id}`;
-            
-            // Get todo before deletion
-            const todo = await this.getTodoById(id);
-            if (!todo) {
-                return null;
-            }
+            const existing = await this.client.eval(CLAIM_IDEMPOTENCY_KEY_SCRIPT, {
+                arguments: [
+                    `${this.IDEMPOTENCY_PREFIX}${key}`,
+                    JSON.stringify({ fingerprint, response: null }),
+                    String(ttlMs)
+                ]
+            });
+            return existing ? JSON.parse(existing) : null;
+        } catch (error) {
+            logger.error('Error claiming idempotency key in Redis', { error });
+            throw error;
+        }
+    }
 
-            // Delete todo hash
-            await this.client.del(todoKey);
-            
-            // Remove todo ID from the set
-            await this.client.sRem(this.TODOS_KEY, id);
+    async saveIdempotentResponse(key, fingerprint, response, ttlMs) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            await this.client.set(
+                `${this.IDEMPOTENCY_PREFIX}${key}`,
+                JSON.stringify({ fingerprint, response }),
+                { PX: ttlMs }
+            );
+        } catch (error) {
+            logger.error('Error saving idempotent response in Redis', { error });
+            throw error;
+        }
+    }
+
+    async releaseIdempotencyKey(key) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            await this.client.del(`${this.IDEMPOTENCY_PREFIX}${key}`);
+        } catch (error) {
+            logger.error('Error releasing idempotency key in Redis', { error });
+            throw error;
+        }
+    }
+
+    async scheduleRecurrence(scope, id, at) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            await this.client.zAdd(this.RECURRENCES_KEY, { score: at, value: scheduleEntry(scope, id) });
+        } catch (error) {
+            logger.error('Error scheduling recurrence in Redis', { error });
+            throw error;
+        }
+    }
+
+    async unscheduleRecurrence(scope, id) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            await this.client.zRem(this.RECURRENCES_KEY, scheduleEntry(scope, id));
+        } catch (error) {
+            logger.error('Error unscheduling recurrence in Redis', { error });
+            throw error;
+        }
+    }
+
+    async dueRecurrences(now, limit) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const entries = await this.client.zRangeWithScores(this.RECURRENCES_KEY, 0, now, {
+                BY: 'SCORE',
+                LIMIT: { offset: 0, count: limit }
+            });
+            return entries.map(({ value, score }) => parseScheduleEntry(value, score));
+        } catch (error) {
+            logger.error('Error reading due recurrences from Redis', { error });
+            throw error;
+        }
+    }
+
+    async scheduleReminder(reminder, at) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            await this.client.zAdd(this.REMINDERS_KEY, { score: at, value: reminderEntry(reminder) });
+        } catch (error) {
+            logger.error('Error scheduling reminder in Redis', { error });
+            throw error;
+        }
+    }
+
+    async dueReminders(now, limit) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const entries = await this.client.zRangeWithScores(this.REMINDERS_KEY, 0, now, {
+                BY: 'SCORE',
+                LIMIT: { offset: 0, count: limit }
+            });
+            return entries.map(({ value, score }) => parseReminderEntry(value, score));
+        } catch (error) {
+            logger.error('Error reading due reminders from Redis', { error });
+            throw error;
+        }
+    }
+
+    // ZREM is atomic, so of all the instances that see a reminder come due only
+    // the one that removes it sends it
+    async claimReminder(reminder) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            return await this.client.zRem(this.REMINDERS_KEY, reminderEntry(reminder)) === 1;
+        } catch (error) {
+            logger.error('Error claiming reminder in Redis', { error });
+            throw error;
+        }
+    }
+
+    async getNotificationSettings(userId) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        try {
+            const settings = await this.client.get(`${this.USER_PREFIX}${userId}:notifications`);
+            return settings ? JSON.parse(settings) : null;
+        } catch (error) {
+            logger.error('Error fetching notification settings from Redis', { error });
+            throw error;
+        }
+    }
+
+    async setNotificationSettings(userId, settings) {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
 
-            return todo;
+        try {
+            await this.client.set(`${this.USER_PREFIX}${userId}:notifications`, JSON.stringify(settings));
         } catch (error) {
-            console.error('Error deleting todo from Redis:', error);
+            logger.error('Error saving notification settings in Redis', { error });
             throw error;
         }
     }
 
-    async getStats() {
+    // Accounts and shared lists are read first, then every list's todos and
+    // both schedules in one script, so the todos are consistent with each other
+    async exportSnapshot() {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            const todos = await this.getAllTodos();
+            const users = await this.getAllUsers();
+            const lists = await this.getAllLists();
+            const notificationSettings = {};
+            for (const user of users) {
+                const settings = await this.getNotificationSettings(user.id);
+                if (settings) notificationSettings[user.id] = settings;
+            }
+
+            const scopes = todoListScopes(users, lists);
+            const reply = JSON.parse(await this.client.eval(SNAPSHOT_SCRIPT, {
+                keys: [this.RECURRENCES_KEY, this.REMINDERS_KEY],
+                arguments: [JSON.stringify(scopes.map((scope) => {
+                    const { todos, prefix, trash, trashPrefix } = this.keysFor(scope);
+                    return { todos, prefix, trash, trashPrefix };
+                }))]
+            }));
+            const todosFrom = hashes => arrayFrom(hashes).map(fields => todoFromFields(arrayFrom(fields))).filter(Boolean);
+
             return {
-                total: todos.length,
-                completed: todos.filter(todo => todo.completed).length,
-                pending: todos.filter(todo => !todo.completed).length
+                users,
+                lists,
+                notificationSettings,
+                todoLists: arrayFrom(reply.lists).map((list, index) => ({
+                    scope: scopes[index],
+                    todos: todosFrom(list.todos),
+                    trash: todosFrom(list.trash)
+                })),
+                recurrences: scheduleFromFields(arrayFrom(reply.recurrences)),
+                reminders: scheduleFromFields(arrayFrom(reply.reminders))
             };
         } catch (error) {
-            console.error('Error getting stats from Redis:', error);
+            logger.error('Error exporting snapshot from Redis', { error });
             throw error;
         }
     }
 
-    async clearCompleted() {
+    // Same outcome as MemoryStore.restoreSnapshot. Replacing first deletes
+    // every key the app keeps data in, except the ones in KEPT_ON_RESTORE; it
+    // is not atomic, so the app should not be taking writes while it runs.
+    // Each list's todos are then added in one script.
+    async restoreSnapshot(data, mode) {
         if (!this.isConnected) {
             throw new Error('Redis not connected');
         }
 
         try {
-            const todos = await this.getAllTodos();
-            const completedTodos = todos.filter(todo => todo.completed);
-            
-            for (const todo of completedTodos) {
-                await this.deleteTodo(todo.id);
+            if (mode === 'replace') {
+                await this.deleteAppData();
             }
 
-            return completedTodos;
+            const restored = { users: 0, lists: 0, todos: 0, trash: 0 };
+            for (const user of data.users) {
+                if (await this.getUserById(user.id)) continue;
+                if (await this.createUser(user)) restored.users++;
+            }
+            for (const { members, invites, ...list } of data.lists) {
+                if (await this.getList(list.id)) continue;
+                await this.createList(list);
+                for (const { userId, role } of members) {
+                    await this.setListMember(list.id, userId, role);
+                }
+                for (const invite of invites) {
+                    await this.createInvite(invite);
+                }
+                restored.lists++;
+            }
+            for (const [userId, settings] of Object.entries(data.notificationSettings)) {
+                if (!(await this.getNotificationSettings(userId))) {
+                    await this.setNotificationSettings(userId, settings);
+                }
+            }
+            for (const list of data.todoLists) {
+                const [todos, trash] = await this.restoreTodoList(list);
+                restored.todos += todos;
+                restored.trash += trash;
+            }
+            for (const [key, entries] of [[this.RECURRENCES_KEY, data.recurrences], [this.REMINDERS_KEY, data.reminders]]) {
+                if (entries.length > 0) {
+                    await this.client.zAdd(key, entries.map(([value, score]) => ({ score, value })), { condition: 'NX' });
+                }
+            }
+            return restored;
         } catch (error) {
-            console.error('Error clearing completed todos from Redis:', error);
+            logger.error('Error restoring snapshot into Redis', { error });
             throw error;
         }
     }
 
+    async deleteAppData() {
+        const patterns = ['todos:*', 'todo:*', 'users:*', 'user:*', 'lists:*', 'list:*', 'invite:*',
+            this.RECURRENCES_KEY, this.REMINDERS_KEY, this.TRASH_EXPIRY_KEY];
+        for (const pattern of patterns) {
+            for await (const keys of this.client.scanIterator({ MATCH: pattern, COUNT: 1000 })) {
+                const doomed = keys.filter(key => !KEPT_ON_RESTORE.test(key));
+                if (doomed.length > 0) {
+                    await this.client.del(doomed);
+                }
+            }
+        }
+    }
+
+    // Returns how many todos and trashed todos were added to the list
+    async restoreTodoList({ scope, todos, trash }) {
+        const keys = this.keysFor(scope);
+        const payload = {
+            todos: todos.map(todo => ({
+                id: todo.id,
+                score: scoreOf(todo).toString(),
+                searchKeys: searchKeysFor(todo.text, keys.search),
+                fields: newTodoFields(todo)
+            })),
+            trash: trash.map(todo => ({
+                id: todo.id,
+                score: (Date.parse(todo.deletedAt) || 0).toString(),
+                fields: { ...newTodoFields(todo), deletedAt: todo.deletedAt }
+            }))
+        };
+        return await this.client.eval(RESTORE_LIST_SCRIPT, {
+            keys: [keys.todos, keys.stats, keys.trash, this.TRASH_EXPIRY_KEY, keys.positions],
+            arguments: [keys.prefix, keys.search, keys.trashPrefix, trashEntryPrefix(scope), JSON.stringify(payload)]
+        });
+    }
+
     // Health check method
     async healthCheck() {
         if (!this.isConnected) {
@@ -333,6 +2170,30 @@ class RedisService {
     }
 }
 
+// Every storage operation tells 'command' listeners (see metrics.js) how long
+// it took and whether it failed, { command, seconds, failed }, and logs the
+// same at debug level. Opening and closing connections is not timed.
+const UNTIMED_METHODS = ['connect', 'disconnect', 'connectSubscriber', 'subscribe'];
+for (const name of Object.getOwnPropertyNames(RedisService.prototype)) {
+    const method = RedisService.prototype[name];
+    if (UNTIMED_METHODS.includes(name) || method.constructor.name !== 'AsyncFunction') continue;
+
+    RedisService.prototype[name] = async function (...args) {
+        const started = process.hrtime.bigint();
+        let failed = false;
+        try {
+            return await method.apply(this, args);
+        } catch (error) {
+            failed = true;
+            throw error;
+        } finally {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.emit('command', { command: name, seconds, failed });
+            logger.debug('Redis command', { command: name, durationMs: seconds * 1000, failed });
+        }
+    };
+}
+
 // Create singleton instance
 const redisService = new RedisService();
 
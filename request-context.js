@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids from clients and proxies are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// What code deep in a request (TodoService, the stores, the logger) may need to
+// know about the request it runs for, without every call passing it along: its
+// id, method and path, and the signed-in user
+const storage = new AsyncLocalStorage();
+
+// Middleware: names the request by its X-Request-Id header, or a new id,
+// answers with the same header, and runs the rest of the request in its context
+function requestContext() {
+  return (req, res, next) => {
+    const sent = req.get(REQUEST_ID_HEADER);
+    req.id = sent && REQUEST_ID_PATTERN.test(sent) ? sent : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+    storage.run({ requestId: req.id, method: req.method, path: req.path, actor: null }, next);
+  };
+}
+
+// Name the signed-in user as the one making this request's changes
+function setActor(user) {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = { id: user.id, username: user.username };
+  }
+}
+
+// The context of the request being handled; empty for work the app does by
+// itself, such as the schedulers
+function currentContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = { requestContext, setActor, currentContext };
@@ -0,0 +1,163 @@
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 100;
+// Reminders that come up later than this (the app was down, say) are dropped
+const DEFAULT_MAX_REMINDER_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Checks the store on an interval for work that has come due. What is due
+// lives in the store (sorted sets in Redis), not in this process, so work that
+// fell due while the app was down is picked up on the first check after it
+// starts. Subclasses say what is due (due(now, limit)) and what to do with each
+// entry (handle(entry, now), true when it did something); handling an entry
+// takes it off the schedule.
+class Scheduler {
+  constructor(service, { intervalMs = DEFAULT_INTERVAL_MS, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    this.service = service;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Checking for due work never keeps the process alive
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Handle everything due by `now`. A check still running when the next one
+  // starts is left to finish. Returns how many entries did something.
+  async tick(now = Date.now()) {
+    if (this.running) return 0;
+
+    this.running = true;
+    let done = 0;
+    try {
+      let due;
+      let handledAny;
+      do {
+        due = await this.due(now, this.batchSize);
+        handledAny = false;
+        for (const entry of due) {
+          try {
+            if (await this.handle(entry, now)) done++;
+            handledAny = true;
+          } catch (error) {
+            logger.error('Error handling scheduled work', { work: this.description, todoId: entry.id, error: error.message });
+          }
+        }
+        // Handled entries leave the schedule, so a full page means more may be
+        // waiting; stop if none of the page could be handled
+      } while (due.length === this.batchSize && handledAny);
+    } catch (error) {
+      logger.error('Error checking for scheduled work', { work: this.description, error: error.message });
+    } finally {
+      this.running = false;
+    }
+    return done;
+  }
+}
+
+// Starts the next occurrence of recurring todos that fell due without being
+// completed. Every instance may run one: handing a rule on is a conditional
+// write, so each occurrence is only made once.
+class RecurrenceScheduler extends Scheduler {
+  get description() {
+    return 'recurring todos';
+  }
+
+  async due(now, limit) {
+    return await this.service.dueRecurrences(now, limit);
+  }
+
+  async handle({ scope, id }) {
+    const advanced = await this.service.advanceRecurrence(id, scope);
+    return Boolean(advanced && advanced.next);
+  }
+}
+
+// Sends the reminders of todos coming due. Every instance may run one: a
+// reminder is claimed (taken off the schedule atomically) before it is sent,
+// so each one goes out once.
+class ReminderScheduler extends Scheduler {
+  constructor(service, { maxDelayMs = DEFAULT_MAX_REMINDER_DELAY_MS, ...options } = {}) {
+    super(service, options);
+    this.maxDelayMs = maxDelayMs;
+  }
+
+  get description() {
+    return 'reminders';
+  }
+
+  async due(now, limit) {
+    return await this.service.dueReminders(now, limit);
+  }
+
+  async handle(reminder, now) {
+    const todo = await this.service.claimReminder(reminder);
+    if (!todo || now - reminder.at > this.maxDelayMs) return false;
+
+    return await this.service.sendReminder(reminder, todo);
+  }
+}
+
+// Deletes todos for good once they have been in the trash for the retention
+// period. Every instance may run one: purging a todo that is already gone
+// does nothing.
+class TrashScheduler extends Scheduler {
+  constructor(service, { retentionMs = DEFAULT_TRASH_RETENTION_MS, ...options } = {}) {
+    super(service, options);
+    this.retentionMs = retentionMs;
+  }
+
+  get description() {
+    return 'expired trash';
+  }
+
+  async due(now, limit) {
+    return await this.service.expiredTrash(now - this.retentionMs, limit);
+  }
+
+  async handle({ scope, id }) {
+    return Boolean(await this.service.purgeTodo(id, scope));
+  }
+}
+
+// Saves a snapshot of the store to the archive (storage/snapshots.js) once the
+// newest one there is `everyMs` old. The archive is the schedule, so a restart
+// does not reset it; instances sharing a store should not share a directory,
+// or each would take its own snapshots.
+class BackupScheduler extends Scheduler {
+  constructor(service, { archive, everyMs, ...options }) {
+    super(service, options);
+    this.archive = archive;
+    this.everyMs = everyMs;
+  }
+
+  get description() {
+    return 'scheduled backups';
+  }
+
+  async due(now) {
+    const latest = await this.archive.latest();
+    if (latest && now - Date.parse(latest.createdAt) < this.everyMs) return [];
+    return [{ id: 'snapshot', at: now }];
+  }
+
+  async handle() {
+    await this.archive.save(await this.service.createSnapshot());
+    return true;
+  }
+}
+
+module.exports = { RecurrenceScheduler, ReminderScheduler, TrashScheduler, BackupScheduler };
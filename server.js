@@ -1,31 +1,91 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { createStore, MemoryStore } = require('./storage');
+const { createDefaultTodos } = require('./storage/memory-store');
+const { parseListQuery, DEFAULT_QUERY } = require('./storage/todo-query');
+const { parseSearchQuery } = require('./storage/search-index');
+const { ROLES, hasRole, sharedListScope, sharedListId, parseListName, parseMemberRole } = require('./storage/lists');
+const { parseTodoText, parseTodoDetails, applyTodoDetails } = require('./storage/todo-fields');
+const { rankBetween, positionOf } = require('./storage/ranks');
+const { nextOccurrence, pinRule } = require('./storage/recurrence');
+const reminders = require('./storage/reminders');
+const subtasks = require('./storage/subtasks');
+const history = require('./storage/history');
+const { FORMATS, MAX_IMPORT_ROWS, parseImportOptions, formatTodos, parseImport, importedTodo, duplicateChecker } = require('./storage/todo-formats');
+const snapshots = require('./storage/snapshots');
+const { legacyTodosOwner, adoptLegacyTodos } = require('./storage/legacy-todos');
+const auth = require('./auth');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const health = require('./health');
 const redisService = require('./redis-service');
+const { idempotent } = require('./idempotency');
+const { requestContext, setActor, currentContext } = require('./request-context');
+const { ChangeFeed } = require('./change-feed');
+const { RecurrenceScheduler, ReminderScheduler, TrashScheduler, BackupScheduler } = require('./scheduler');
+const { createNotifier } = require('./notifications');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_BATCH_SIZE = 100;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const INVITE_TOKEN_BYTES = 24;
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+const MAX_SUBTASK_ATTEMPTS = 5;
+const MAX_RECURRENCE_ATTEMPTS = 5;
+const RECURRENCE_CHECK_MS = (parseInt(process.env.RECURRENCE_CHECK_SECONDS, 10) || 60) * 1000;
+const REMINDER_CHECK_MS = (parseInt(process.env.REMINDER_CHECK_SECONDS, 10) || 30) * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_CHECK_MS = 60 * 60 * 1000;
+const IMPORT_PATHS = ['/api/import', '/api/lists/:listId/import'];
+const MAX_IMPORT_SIZE = '1mb';
+// Hours between scheduled snapshots; without it snapshots are only taken on request
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS) || 0;
+const BACKUP_CHECK_MS = 5 * 60 * 1000;
+const MAX_SNAPSHOT_SIZE = '50mb';
+// Readiness thresholds in ms (see health.js)
+const HEALTH_THRESHOLDS = {
+  storageWarnMs: Number(process.env.HEALTH_STORAGE_WARN_MS) || health.DEFAULT_THRESHOLDS.storageWarnMs,
+  storageFailMs: Number(process.env.HEALTH_STORAGE_FAIL_MS) || health.DEFAULT_THRESHOLDS.storageFailMs,
+  eventLoopWarnMs: Number(process.env.HEALTH_EVENT_LOOP_WARN_MS) || health.DEFAULT_THRESHOLDS.eventLoopWarnMs,
+  eventLoopFailMs: Number(process.env.HEALTH_EVENT_LOOP_FAIL_MS) || health.DEFAULT_THRESHOLDS.eventLoopFailMs
+};
+// How long to keep serving, while reporting not ready, between a shutdown
+// signal and closing, so that load balancers stop sending requests first
+const SHUTDOWN_DRAIN_MS = (Number(process.env.SHUTDOWN_DRAIN_SECONDS) || 0) * 1000;
+// Counting the todos of every list takes a store call per list, so the totals
+// in /metrics are counted at most this often
+const TODO_TOTALS_TTL_MS = (Number(process.env.METRICS_TODO_TOTALS_SECONDS) || 300) * 1000;
 
-// Data storage - Redis with in-memory fallback
-let inMemoryTodos = [
-  {
-    id: uuidv4(),
-    text: 'Welcome to your DevOps To-Do App!',
-    completed: false,
-    createdAt: new Date().toISOString()
-  },
-  {
-    id: uuidv4(),
-    text: 'Set up CI/CD pipeline',
-    completed: true,
-    createdAt: new Date().toISOString()
-  }
-];
+// Data storage - selected by STORAGE_DRIVER, in-memory until it connects
+const configuredStore = createStore();
+const fallbackStore = new MemoryStore();
+const changeFeed = new ChangeFeed();
+const notifier = createNotifier();
+const snapshotArchive = new snapshots.SnapshotArchive(process.env.BACKUP_DIR || snapshots.DEFAULT_BACKUP_DIR, {
+  keep: parseInt(process.env.BACKUP_KEEP, 10) || snapshots.DEFAULT_KEEP
+});
+// Admin routes are there only when ADMIN_TOKEN is set, and need it as a bearer token
+const requireAdmin = auth.requireToken(() => process.env.ADMIN_TOKEN);
+// /metrics is open unless METRICS_TOKEN is set, which scrapers then send as a bearer token
+const requireMetricsToken = auth.requireToken(() => process.env.METRICS_TOKEN, { optional: true });
+const metricsRegistry = new metrics.Registry();
+metrics.addProcessMetrics(metricsRegistry);
+metrics.observeRedis(metricsRegistry, redisService);
 
-let useRedis = false;
+// The route a request matched, as a pattern for the request metrics. Shared
+// list routers are mounted under the list's id, which is put back as :listId.
+function routeOf(req) {
+  if (!req.route) return 'unmatched';
+
+  const base = req.listId ? req.baseUrl.replace(req.listId, ':listId') : req.baseUrl;
+  return `${base}${req.route.path}`;
+}
 
 // Middleware
 app.use(helmet({
@@ -43,107 +103,665 @@ app.use(helmet({
   }
 }));
 app.use(cors());
-app.use(morgan('combined'));
+app.use(requestContext());
+app.use(logger.requestLogger());
+app.use(metrics.httpMetrics(metricsRegistry, routeOf));
+// Admin requests are checked before their bodies are read, as an uploaded
+// snapshot may be much larger than other requests
+app.use('/api/admin', requireAdmin);
+app.use('/api/admin/restore', express.json({ limit: MAX_SNAPSHOT_SIZE }));
+// Imported files may be larger than other requests, and need not be JSON
+app.use(IMPORT_PATHS, express.json({ limit: MAX_IMPORT_SIZE }), express.text({ type: 'text/*', limit: MAX_IMPORT_SIZE }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Database abstraction layer
+// Database abstraction layer - delegates to the active storage adapter
+// (see storage/index.js for the contract every store implements). Todo methods
+// take the scope of the list they work on: a user id or a shared list's scope.
+// Every change to a list is published on the change feed for its live clients
+// and recorded in the list's audit log, and reminders go out through the
+// notifier's channels.
 class TodoService {
-  async getAllTodos() {
-    if (useRedis) {
-      return await redisService.getAllTodos();
-    }
-    return inMemoryTodos.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  constructor(store, changes, notifier) {
+    this.store = store;
+    this.changes = changes;
+    this.notifier = notifier;
+    this.todoTotals = null;
+  }
+
+  async createUser(user) {
+    return await this.store.createUser(user);
+  }
+
+  async getUserByUsername(username) {
+    return await this.store.getUserByUsername(username);
+  }
+
+  async getUserById(id) {
+    return await this.store.getUserById(id);
   }
 
-  async getTodoById(id) {
-    if (useRedis) {
-      return await redisService.getTodoById(id);
+  // A new account starts with the welcome todos, except the one
+  // LEGACY_TODOS_OWNER names, which takes over the todos created before
+  // accounts existed (see storage/legacy-todos.js) if there are any
+  async setUpAccount(user) {
+    if (user.username === legacyTodosOwner() && (await adoptLegacyTodos(this.store, user.id)) > 0) {
+      logger.info('Legacy todos handed over', { username: user.username });
+      return;
     }
-    return inMemoryTodos.find(todo => todo.id === id) || null;
+
+    await this.store.applyBatch(createDefaultTodos().map(todo => ({ op: 'create', todo })), user.id);
   }
 
-  async createTodo(todo) {
-    if (useRedis) {
-      return await redisService.createTodo(todo);
+  // At startup: hand the legacy todos to LEGACY_TODOS_OWNER if that account
+  // exists already, or say that they are waiting for one
+  async handOverLegacyTodos() {
+    const username = legacyTodosOwner();
+    const owner = username && await this.store.getUserByUsername(username);
+    if (owner) {
+      const moved = await adoptLegacyTodos(this.store, owner.id);
+      if (moved > 0) logger.info('Legacy todos handed over', { username, todos: moved });
+      return;
     }
-    inMemoryTodos.push(todo);
-    return todo;
+
+    const waiting = (await this.store.getAllTodos()).length;
+    if (waiting > 0) {
+      logger.warn('Todos from before accounts are waiting for their owner; set LEGACY_TODOS_OWNER to a username', { todos: waiting });
+    }
+  }
+
+  async createList(list) {
+    return await this.store.createList(list);
+  }
+
+  async getList(id) {
+    return await this.store.getList(id);
+  }
+
+  async renameList(id, name) {
+    return await this.store.renameList(id, name);
+  }
+
+  async deleteList(id) {
+    return await this.store.deleteList(id);
+  }
+
+  async getListsForUser(userId) {
+    return await this.store.getListsForUser(userId);
+  }
+
+  async getListRole(id, userId) {
+    return await this.store.getListRole(id, userId);
+  }
+
+  // Members with their usernames, the owner first
+  async getListMembers(id) {
+    const members = await this.store.getListMembers(id);
+    const users = await Promise.all(members.map(member => this.store.getUserById(member.userId)));
+    return members
+      .map((member, index) => ({ ...member, username: users[index] ? users[index].username : null }))
+      .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || String(a.username).localeCompare(String(b.username)));
+  }
+
+  async setListMember(id, userId, role) {
+    return await this.store.setListMember(id, userId, role);
+  }
+
+  async removeListMember(id, userId) {
+    return await this.store.removeListMember(id, userId);
   }
 
-  async updateTodo(id, updates) {
-    if (useRedis) {
-      return await redisService.updateTodo(id, updates);
+  async createInvite(invite) {
+    return await this.store.createInvite(invite);
+  }
+
+  async getInvites(listId) {
+    return await this.store.getInvites(listId);
+  }
+
+  async revokeInvite(listId, token) {
+    return await this.store.revokeInvite(listId, token);
+  }
+
+  async acceptInvite(token, userId) {
+    return await this.store.acceptInvite(token, userId);
+  }
+
+  async getAllTodos(scope) {
+    return await this.store.getAllTodos(scope);
+  }
+
+  async listTodos(query, scope) {
+    return await this.store.listTodos(query, scope);
+  }
+
+  async searchTodos(text, limit, scope) {
+    return await this.store.searchTodos(text, limit, scope);
+  }
+
+  async getTodoById(id, scope) {
+    return await this.store.getTodoById(id, scope);
+  }
+
+  // Every todo of the list in its manual order, for an export
+  async exportTodos(scope) {
+    const { items } = await this.store.listTodos({ ...DEFAULT_QUERY, sort: 'position', order: 'asc' }, scope);
+    return items;
+  }
+
+  // Create the todos of an imported file's rows (see storage/todo-formats.js)
+  // in one batch, on top of the list in the file's order. Rows that are invalid
+  // or repeat a todo already there are left out. Returns { committed, rows }
+  // with each row's `status`; a dry run works them out without writing.
+  async importTodos(rows, scope, { match, dryRun }) {
+    const isDuplicate = duplicateChecker(await this.getAllTodos(scope), match);
+    const results = rows.map(({ row, line, fields, error }) => {
+      const parsed = error ? { error } : importedTodo(fields);
+      if (parsed.error) {
+        return { row, line, status: 'invalid', error: parsed.error };
+      }
+      const duplicate = isDuplicate(parsed.todo);
+      if (duplicate) {
+        return { row, line, status: 'duplicate', ...duplicate };
+      }
+      return { row, line, status: 'imported', todo: parsed.todo };
+    });
+
+    const imported = results.filter(result => result.status === 'imported');
+    let top = await this.firstPosition(scope);
+    for (const result of [...imported].reverse()) {
+      top = rankBetween(null, top);
+      result.todo.position = top;
+    }
+    if (dryRun || imported.length === 0) {
+      return { committed: true, rows: results };
     }
-    
-    const todoIndex = inMemoryTodos.findIndex(todo => todo.id === id);
-    if (todoIndex === -1) return null;
 
-    if (updates.text !== undefined) {
-      inMemoryTodos[todoIndex].text = updates.text;
+    const outcome = await this.applyBatch(imported.map(({ todo }) => ({ op: 'create', todo })), scope);
+    if (!outcome.committed) {
+      return outcome;
     }
-    if (updates.completed !== undefined) {
-      inMemoryTodos[todoIndex].completed = updates.completed;
+    outcome.results.forEach((todo, index) => { imported[index].todo = todo; });
+    return { committed: true, rows: results };
+  }
+
+  // New todos go on top of the list's manual order
+  async createTodo(todo, scope) {
+    const position = todo.position || rankBetween(null, await this.firstPosition(scope));
+    const createdTodo = await this.store.createTodo({ ...todo, position }, scope);
+    this.changes.publish(scope, [{ type: 'created', todo: createdTodo }]);
+    await this.trackSchedules(createdTodo, createdTodo, scope);
+    await this.recordHistory(scope, [history.created(createdTodo)]);
+    return createdTodo;
+  }
+
+  async updateTodo(id, updates, scope, expectedVersion) {
+    const before = await this.getSnapshot(id, scope);
+    const updatedTodo = await this.store.updateTodo(id, updates, scope, expectedVersion);
+    if (updatedTodo && !updatedTodo.conflict) {
+      this.changes.publish(scope, [{ type: 'updated', todo: updatedTodo }]);
+      await this.trackSchedules(updatedTodo, updates, scope);
+      await this.recordHistory(scope, [history.updated(before, updatedTodo, updates)]);
     }
-    inMemoryTodos[todoIndex].updatedAt = new Date().toISOString();
+    return updatedTodo;
+  }
 
-    return inMemoryTodos[todoIndex];
+  // A copy of the todo as it is before a write, for its history (the
+  // in-memory stores hand out the stored todo, which the write changes)
+  async getSnapshot(id, scope) {
+    const todo = await this.store.getTodoById(id, scope);
+    return todo && { ...todo };
   }
 
-  async deleteTodo(id) {
-    if (useRedis) {
-      return await redisService.deleteTodo(id);
+  // Append what writes did (see storage/history.js) to the list's audit log,
+  // in the name of the request being handled
+  async recordHistory(scope, records) {
+    const context = currentContext();
+    const entries = records
+      .filter(Boolean)
+      .map(({ action, todo, changes }) => history.historyEntry(action, todo, changes, context));
+    if (entries.length > 0) {
+      await this.store.appendHistory(entries, scope);
     }
-    
-    const todoIndex = inMemoryTodos.findIndex(todo => todo.id === id);
-    if (todoIndex === -1) return null;
+  }
+
+  async getTodoHistory(id, scope) {
+    return await this.store.getTodoHistory(id, history.MAX_TODO_HISTORY, scope);
+  }
+
+  async getAuditLog(query, scope) {
+    return await this.store.getAuditLog(query, scope);
+  }
 
-    return inMemoryTodos.splice(todoIndex, 1)[0];
+  // After a write that set `changes`, schedule what the todo now needs
+  async trackSchedules(todo, changes, scope) {
+    await this.trackRecurrence(todo, changes, scope);
+    await this.trackReminders(todo, changes, scope);
   }
 
-  async getStats() {
-    if (useRedis) {
-      return await redisService.getStats();
+  // Keep the schedule entry of a recurring todo in step with its rule and due
+  // date. The scheduler advances the series once the todo is due.
+  async trackRecurrence(todo, changes, scope) {
+    if (changes.recurrence === undefined && changes.dueDate === undefined) return;
+
+    if (todo.recurrence && todo.dueDate) {
+      await this.store.scheduleRecurrence(scope, todo.id, Date.parse(todo.dueDate));
+    } else {
+      await this.store.unscheduleRecurrence(scope, todo.id);
     }
-    
-    return {
-      total: inMemoryTodos.length,
-      completed: inMemoryTodos.filter(todo => todo.completed).length,
-      pending: inMemoryTodos.filter(todo => !todo.completed).length
+  }
+
+  // Start the next occurrence of a recurring todo: a copy with the next due
+  // date (counted from this one's, or from now without one) takes over the
+  // rule, and this todo stays as it is without it. Handing the rule on is a
+  // write conditional on the todo's version, so when a completion races the
+  // scheduler (or two instances) only one of them creates the next occurrence.
+  // Returns { todo, next } (next is null once the rule has run out) or null
+  // when the todo does not recur.
+  async advanceRecurrence(id, scope) {
+    for (let attempt = 0; attempt < MAX_RECURRENCE_ATTEMPTS; attempt++) {
+      const todo = await this.store.getTodoById(id, scope);
+      if (!todo || !todo.recurrence) {
+        await this.store.unscheduleRecurrence(scope, id);
+        return null;
+      }
+
+      // The in-memory stores hand out the stored todo, which the update changes
+      const { recurrence, ...details } = todo;
+      const anchor = todo.dueDate || new Date().toISOString();
+      const dueDate = nextOccurrence(recurrence, anchor);
+      const handedOver = await this.updateTodo(id, { recurrence: null }, scope, todo.version || 1);
+      if (!handedOver) return null;
+      if (handedOver.conflict) continue;
+      if (!dueDate) return { todo: handedOver, next: null };
+
+      const next = await this.createTodo(applyTodoDetails({
+        id: uuidv4(),
+        text: details.text,
+        completed: false,
+        createdAt: new Date().toISOString(),
+        version: 1
+      }, {
+        priority: details.priority,
+        notes: details.notes,
+        tags: details.tags,
+        subtasks: details.subtasks && details.subtasks.map(subtask => ({ ...subtask, completed: false })),
+        autoComplete: details.autoComplete,
+        reminders: details.reminders,
+        recurrence: pinRule(recurrence, anchor),
+        dueDate
+      }), scope);
+      return { todo: handedOver, next };
+    }
+    return null;
+  }
+
+  // Schedule the todo's reminders that are still ahead. Entries for an old due
+  // date or lead time are left on the schedule and dropped when they come up
+  // (see claimReminder), and reminders already sent are in the past, so
+  // reopening a todo does not send them again.
+  async trackReminders(todo, changes, scope) {
+    if (changes.dueDate === undefined && changes.reminders === undefined && changes.completed === undefined) return;
+
+    for (const { lead, at } of reminders.reminderTimes(todo)) {
+      if (at > Date.now()) {
+        await this.store.scheduleReminder({ scope, id: todo.id, dueDate: todo.dueDate, lead }, at);
+      }
+    }
+  }
+
+  async dueReminders(now, limit) {
+    return await this.store.dueReminders(now, limit);
+  }
+
+  // Take a due reminder off the schedule. Returns its todo when this call got
+  // the reminder and the todo still wants it, null otherwise.
+  async claimReminder(reminder) {
+    if (!(await this.store.claimReminder(reminder))) return null;
+
+    const todo = await this.store.getTodoById(reminder.id, reminder.scope);
+    return reminders.isCurrentReminder(reminder, todo) ? todo : null;
+  }
+
+  // Notify everyone the todo's list belongs to. Returns true when it reached
+  // at least one of them.
+  async sendReminder(reminder, todo) {
+    const listId = sharedListId(reminder.scope);
+    const notification = {
+      type: 'reminder',
+      title: `Reminder: ${todo.text}`,
+      body: reminders.describeLead(reminder.lead),
+      url: '/',
+      todo: { id: todo.id, text: todo.text, dueDate: todo.dueDate },
+      lead: reminder.lead,
+      ...(listId && { listId })
     };
+
+    // The list from before accounts has nobody to remind
+    const userIds = listId
+      ? (await this.store.getListMembers(listId)).map(member => member.userId)
+      : [reminder.scope].filter(Boolean);
+    let reached = false;
+    for (const userId of userIds) {
+      const { delivered } = await this.notify(userId, notification);
+      reached = reached || delivered.length > 0;
+    }
+    return reached;
+  }
+
+  // Send a notification through the user's channels, forgetting push
+  // subscriptions their push service no longer knows
+  async notify(userId, notification) {
+    const settings = await this.store.getNotificationSettings(userId);
+    if (!settings) return { delivered: [], failed: [] };
+
+    const { delivered, failed, expired } = await this.notifier.send(settings, notification);
+    if (expired.length > 0) {
+      await this.store.setNotificationSettings(userId, reminders.withoutPushSubscriptions(settings, expired));
+    }
+    return { delivered, failed };
+  }
+
+  async getNotificationSettings(userId) {
+    return await this.store.getNotificationSettings(userId) || {};
+  }
+
+  async setNotificationSettings(userId, settings) {
+    await this.store.setNotificationSettings(userId, settings);
+    return settings;
+  }
+
+  // Completing a recurring todo starts its next occurrence straight away
+  async advanceIfCompleted(todo, scope) {
+    if (!todo || todo.conflict || !todo.completed || !todo.recurrence) return null;
+    return await this.advanceRecurrence(todo.id, scope);
+  }
+
+  async dueRecurrences(now, limit) {
+    return await this.store.dueRecurrences(now, limit);
+  }
+
+  // Subtasks are stored on their todo, so changing them updates the todo.
+  // change(subtasks) returns { subtasks, subtask } or { error, status }; it
+  // runs against the version just read, and again if another write got in
+  // first. Returns { todo, subtask }, { error, status } or null for unknown todos.
+  async changeSubtasks(id, scope, change) {
+    for (let attempt = 0; attempt < MAX_SUBTASK_ATTEMPTS; attempt++) {
+      const todo = await this.store.getTodoById(id, scope);
+      if (!todo) return null;
+
+      const outcome = change(todo.subtasks || []);
+      if (outcome.error) return outcome;
+
+      const updates = { subtasks: outcome.subtasks.length > 0 ? outcome.subtasks : null };
+      if (todo.autoComplete && outcome.subtasks.length > 0) {
+        updates.completed = outcome.subtasks.every(subtask => subtask.completed);
+      }
+
+      const updatedTodo = await this.updateTodo(id, updates, scope, todo.version || 1);
+      if (!updatedTodo) return null;
+      if (!updatedTodo.conflict) {
+        const advanced = await this.advanceIfCompleted(updatedTodo, scope);
+        return { todo: advanced ? advanced.todo : updatedTodo, subtask: outcome.subtask };
+      }
+    }
+    return { error: 'Todo is being changed by someone else, please try again', status: 409 };
+  }
+
+  // Move a todo in the manual order: just after the todo `after`, or just
+  // before the todo `before` (null for the top or the bottom of the list). Only
+  // the moved todo is written. Returns the todo (or { conflict, todo }),
+  // { error, status } or null when the todo does not exist.
+  async moveTodo(id, { after, before }, scope, expectedVersion) {
+    const todo = await this.store.getTodoById(id, scope);
+    if (!todo) return null;
+
+    const anchorId = after !== undefined ? after : before;
+    const anchor = anchorId === null ? null : await this.store.getTodoById(anchorId, scope);
+    if (anchorId !== null && !anchor) {
+      return { error: 'Todo to move next to not found', status: 404 };
+    }
+
+    // The todo on the other side of the gap the moved one goes into
+    const other = await this.nextInOrder(anchor, after !== undefined ? 'asc' : 'desc', scope, id);
+    const [above, below] = after !== undefined ? [anchor, other] : [other, anchor];
+    const abovePosition = above ? positionOf(above) : null;
+    const belowPosition = below ? positionOf(below) : null;
+    if (above && below && abovePosition >= belowPosition) {
+      return { error: 'The todos around the new place have the same position', status: 409 };
+    }
+
+    return await this.updateTodo(id, { position: rankBetween(abovePosition, belowPosition) }, scope, expectedVersion);
+  }
+
+  async firstPosition(scope) {
+    const first = await this.nextInOrder(null, 'asc', scope);
+    return first ? positionOf(first) : null;
+  }
+
+  // The todo that follows `from` in the manual order (going up for 'desc'), or
+  // the first one when from is null; skipId is left out
+  async nextInOrder(from, order, scope, skipId = null) {
+    const cursor = from ? { sort: 'position', order, value: positionOf(from), id: from.id } : null;
+    const page = await this.store.listTodos({ ...DEFAULT_QUERY, sort: 'position', order, limit: 2, cursor }, scope);
+    return page.items.find(todo => todo.id !== skipId) || null;
+  }
+
+  async deleteTodo(id, scope, expectedVersion) {
+    const deletedTodo = await this.store.deleteTodo(id, scope, expectedVersion);
+    if (deletedTodo && !deletedTodo.conflict) {
+      this.changes.publish(scope, [{ type: 'deleted', id }]);
+      if (deletedTodo.recurrence) {
+        await this.store.unscheduleRecurrence(scope, id);
+      }
+      await this.recordHistory(scope, [history.removed('deleted', deletedTodo)]);
+    }
+    return deletedTodo;
+  }
+
+  async clearCompleted(scope) {
+    const deletedTodos = await this.store.clearCompleted(scope);
+    this.changes.publish(scope, deletedTodos.map(todo => ({ type: 'deleted', id: todo.id })));
+    for (const todo of deletedTodos.filter(deleted => deleted.recurrence)) {
+      await this.store.unscheduleRecurrence(scope, todo.id);
+    }
+    await this.recordHistory(scope, deletedTodos.map(todo => history.removed('deleted', todo)));
+    return deletedTodos;
+  }
+
+  async getTrash(scope) {
+    return await this.store.getTrash(scope);
+  }
+
+  // Put a todo back in its list, where it shows up like a new one, and schedule
+  // its recurrence and reminders again
+  async restoreTodo(id, scope) {
+    const restoredTodo = await this.store.restoreTodo(id, scope);
+    if (restoredTodo && !restoredTodo.conflict) {
+      this.changes.publish(scope, [{ type: 'created', todo: restoredTodo }]);
+      await this.trackSchedules(restoredTodo, restoredTodo, scope);
+      await this.recordHistory(scope, [history.removed('restored', restoredTodo)]);
+    }
+    return restoredTodo;
+  }
+
+  async purgeTodo(id, scope) {
+    const purgedTodo = await this.store.purgeTodo(id, scope);
+    if (purgedTodo) {
+      await this.recordHistory(scope, [history.removed('purged', purgedTodo)]);
+    }
+    return purgedTodo;
+  }
+
+  async expiredTrash(before, limit) {
+    return await this.store.expiredTrash(before, limit);
+  }
+
+  async applyBatch(batch, scope) {
+    const operations = await this.withPositions(batch, scope);
+    // What the updated todos were before, for their history
+    const befores = await Promise.all(operations.map(operation => (
+      operation.op === 'update' ? this.getSnapshot(operation.id, scope) : null
+    )));
+    const outcome = await this.store.applyBatch(operations, scope);
+    if (outcome.committed) {
+      this.changes.publish(scope, outcome.results.map((todo, index) => (
+        operations[index].op === 'delete'
+          ? { type: 'deleted', id: todo.id }
+          : { type: operations[index].op === 'create' ? 'created' : 'updated', todo }
+      )));
+      await this.recordHistory(scope, outcome.results.map((todo, index) => {
+        const operation = operations[index];
+        if (operation.op === 'create') return history.created(todo);
+        if (operation.op === 'delete') return history.removed('deleted', todo);
+        return history.updated(befores[index], todo, operation.updates);
+      }));
+
+      for (const [index, todo] of outcome.results.entries()) {
+        const operation = operations[index];
+        if (operation.op === 'delete') {
+          if (todo.recurrence) await this.store.unscheduleRecurrence(scope, todo.id);
+          continue;
+        }
+        await this.trackSchedules(todo, operation.op === 'create' ? todo : operation.updates, scope);
+        await this.advanceIfCompleted(todo, scope);
+      }
+    }
+    return outcome;
+  }
+
+  // Todos a batch creates go on top like single ones, so the last comes first
+  async withPositions(operations, scope) {
+    if (!operations.some(operation => operation.op === 'create' && !operation.todo.position)) {
+      return operations;
+    }
+
+    let top = await this.firstPosition(scope);
+    return operations.map((operation) => {
+      if (operation.op !== 'create' || operation.todo.position) return operation;
+      top = rankBetween(null, top);
+      return { ...operation, todo: { ...operation.todo, position: top } };
+    });
+  }
+
+  async getStats(scope) {
+    return await this.store.getStats(scope);
+  }
+
+  async claimIdempotencyKey(key, fingerprint, ttlMs) {
+    return await this.store.claimIdempotencyKey(key, fingerprint, ttlMs);
+  }
+
+  async saveIdempotentResponse(key, fingerprint, response, ttlMs) {
+    return await this.store.saveIdempotentResponse(key, fingerprint, response, ttlMs);
+  }
+
+  async releaseIdempotencyKey(key) {
+    return await this.store.releaseIdempotencyKey(key);
+  }
+
+  // A snapshot of everything in the store (see storage/snapshots.js)
+  async createSnapshot() {
+    return snapshots.createSnapshot(await this.store.exportSnapshot(), this.store.driver);
+  }
+
+  // Open clients are not told; they see the restored todos once they reload
+  async restoreSnapshot(snapshot, mode) {
+    return await this.store.restoreSnapshot(snapshot.data, mode);
   }
 
   async healthCheck() {
-    if (useRedis) {
-      return await redisService.healthCheck();
+    return await this.store.healthCheck();
+  }
+
+  // Completed and pending todos across every list, counted at most once every
+  // TODO_TOTALS_TTL_MS. Scrapes that arrive while they are counted share the count.
+  async getTodoTotals(now = Date.now()) {
+    if (!this.todoTotals || now >= this.todoTotals.expiresAt) {
+      const counting = this.countTodos();
+      this.todoTotals = { totals: counting, expiresAt: now + TODO_TOTALS_TTL_MS };
+      // A failed count is not kept
+      counting.catch(() => {
+        if (this.todoTotals && this.todoTotals.totals === counting) this.todoTotals = null;
+      });
     }
-    return {
-      status: 'in-memory',
-      message: 'Using in-memory storage'
-    };
+    return await this.todoTotals.totals;
+  }
+
+  // The list from before accounts, each user's own and each shared list
+  async countTodos() {
+    const users = await this.store.getAllUsers();
+    const lists = await this.store.getAllLists();
+    const scopes = [null, ...users.map(user => user.id), ...lists.map(list => sharedListScope(list.id))];
+
+    const totals = { completed: 0, pending: 0 };
+    for (const scope of scopes) {
+      const stats = await this.store.getStats(scope);
+      totals.completed += stats.completed;
+      totals.pending += stats.pending;
+    }
+    return totals;
   }
 }
 
-const todoService = new TodoService();
+const todoService = new TodoService(fallbackStore, changeFeed, notifier);
+const recurrenceScheduler = new RecurrenceScheduler(todoService, { intervalMs: RECURRENCE_CHECK_MS });
+const reminderScheduler = new ReminderScheduler(todoService, { intervalMs: REMINDER_CHECK_MS });
+const trashScheduler = new TrashScheduler(todoService, {
+  intervalMs: TRASH_CHECK_MS,
+  retentionMs: TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+});
+const backupScheduler = new BackupScheduler(todoService, {
+  archive: snapshotArchive,
+  intervalMs: BACKUP_CHECK_MS,
+  everyMs: BACKUP_INTERVAL_HOURS * 60 * 60 * 1000
+});
+const healthChecks = new health.HealthChecks(todoService, {
+  thresholds: HEALTH_THRESHOLDS,
+  requireRedis: process.env.HEALTH_REQUIRE_REDIS === 'true'
+});
+
+// Storage and todo metrics are read from the store when they are scraped
+const storageMode = metricsRegistry.gauge(
+  'todo_storage_mode',
+  'Storage the app is serving from: 1 for the one in use (redis, memory or file), 0 for the others.',
+  ['mode']
+);
+const todoTotals = metricsRegistry.gauge('todo_todos', 'Todos in every list by state.', ['state']);
+metricsRegistry.addCollector(async () => {
+  const health = await todoService.healthCheck();
+  // With failover, the Redis driver is served from memory while Redis is away
+  const mode = health.failover ? health.failover.activeDriver : todoService.store.driver;
+  for (const driver of ['redis', 'memory', 'file']) {
+    storageMode.set({ mode: driver }, driver === mode ? 1 : 0);
+  }
+});
+metricsRegistry.addCollector(async () => {
+  const totals = await todoService.getTodoTotals();
+  todoTotals.set({ state: 'completed' }, totals.completed);
+  todoTotals.set({ state: 'pending' }, totals.pending);
+});
 
 // Routes
 
-// Health check endpoint (important for deployment monitoring)
+// Health check endpoint for the status badge and older monitors. It answers
+// with the readiness probe's status code, so a store that is down is a 503.
 app.get('/health', async (req, res) => {
   try {
+    const report = await healthChecks.ready();
     const dbHealth = await todoService.healthCheck();
-    const stats = await todoService.getStats();
-    
-    res.status(200).json({
-      status: 'OK',
+
+    res.status(health.STATUS_CODES[report.status]).json({
+      status: report.status === 'fail' ? 'ERROR' : 'OK',
+      readiness: report.status,
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       environment: process.env.NODE_ENV || 'development',
-      database: dbHealth,
-      stats: stats
+      storage: todoService.store.driver,
+      database: dbHealth
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(503).json({
       status: 'ERROR',
       timestamp: new Date().toISOString(),
       error: 'Health check failed',
@@ -152,187 +770,1852 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Get all todos
-app.get('/api/todos', async (req, res) => {
+// Health reports are never cached, and answer 503 when they fail
+function sendHealthReport(res, report) {
+  res.status(health.STATUS_CODES[report.status])
+    .type(health.CONTENT_TYPE)
+    .set('Cache-Control', 'no-store')
+    .json(report);
+}
+
+// Liveness probe: the process is up and answering
+app.get('/health/live', (req, res) => {
+  sendHealthReport(res, healthChecks.live());
+});
+
+// Readiness probe: whether this instance should get traffic (see health.js)
+app.get('/health/ready', async (req, res) => {
   try {
-    // Add cache-busting headers for real-time data
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
-    
-    const todos = await todoService.getAllTodos();
-    res.json({
-      success: true,
-      data: todos,
-      count: todos.length
-    });
+    sendHealthReport(res, await healthChecks.ready());
   } catch (error) {
-    console.error('Error fetching todos:', error);
+    logger.error('Error checking readiness', { error });
+    sendHealthReport(res, { status: 'fail', output: 'Readiness check failed' });
+  }
+});
+
+// Prometheus metrics (see metrics.js)
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    res.type(metrics.CONTENT_TYPE).send(await metricsRegistry.render());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch todos'
+      error: 'Failed to render metrics'
     });
   }
 });
 
-// Create a new todo
-app.post('/api/todos', async (req, res) => {
+// Validate register/login credentials. Returns { credentials } or { error }.
+function parseCredentials(body = {}) {
+  const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  if (!username || !password) {
+    return { error: 'Username and password are required' };
+  }
+  return { credentials: { username, password } };
+}
+
+// Create an account and sign it in
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const { text } = req.body;
-    
-    if (!text || text.trim() === '') {
+    const { credentials, error } = parseCredentials(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const { username, password } = credentials;
+    if (!USERNAME_PATTERN.test(username)) {
       return res.status(400).json({
         success: false,
-        error: 'Todo text is required'
+        error: 'Username must be 3-32 characters: letters, digits, ".", "_" or "-"'
+      });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
       });
     }
 
-    const newTodo = {
+    const user = await todoService.createUser({
       id: uuidv4(),
-      text: text.trim(),
-      completed: false,
+      username,
+      passwordHash: await auth.hashPassword(password),
       createdAt: new Date().toISOString()
-    };
+    });
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username is already taken'
+      });
+    }
 
-    const createdTodo = await todoService.createTodo(newTodo);
+    await todoService.setUpAccount(user);
+    auth.setSessionCookie(req, res, user.id);
 
     res.status(201).json({
       success: true,
-      data: createdTodo
+      data: auth.publicUser(user)
     });
   } catch (error) {
-    console.error('Error creating todo:', error);
+    logger.error('Error registering user', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to create todo'
+      error: 'Failed to register'
     });
   }
 });
 
-// Update todo (toggle completion)
-app.put('/api/todos/:id', async (req, res) => {
+// Sign in with a username and password
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { text, completed } = req.body;
-
-    const updatedTodo = await todoService.updateTodo(id, { text, completed });
-    
-    if (!updatedTodo) {
-      return res.status(404).json({
+    const { credentials, error } = parseCredentials(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Todo not found'
+        error
       });
     }
 
-    res.json({
-      success: true,
-      data: updatedTodo
-    });
-  } catch (error) {
-    console.error('Error updating todo:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update todo'
-    });
-  }
-});
+    const user = await todoService.getUserByUsername(credentials.username);
 
-// Delete todo
-app.delete('/api/todos/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const deletedTodo = await todoService.deleteTodo(id);
-    
-    if (!deletedTodo) {
-      return res.status(404).json({
+    // Same answer for unknown users and wrong passwords
+    if (!user || !(await auth.verifyPassword(credentials.password, user.passwordHash))) {
+      return res.status(401).json({
         success: false,
-        error: 'Todo not found'
+        error: 'Invalid username or password'
       });
     }
 
+    auth.setSessionCookie(req, res, user.id);
+
     res.json({
       success: true,
-      data: deletedTodo
+      data: auth.publicUser(user)
     });
   } catch (error) {
-    console.error('Error deleting todo:', error);
+    logger.error('Error logging in', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to delete todo'
+      error: 'Failed to log in'
     });
   }
 });
 
-// Serve the frontend
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Sign out (sessions are stateless, so this just drops the cookie)
+app.post('/api/auth/logout', (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({
+    success: true
+  });
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found'
+const requireAuth = auth.requireAuth(id => todoService.getUserById(id));
+
+// The signed-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: auth.publicUser(req.user)
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    error: 'Something went wrong!'
-  });
+// Everything below needs a session
+app.use(['/api/todos', '/api/trash', '/api/audit', '/api/export', '/api/import', '/api/lists', '/api/invites', '/api/notifications'], requireAuth, (req, res, next) => {
+  // History entries name the user who made each change
+  setActor(req.user);
+  next();
 });
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`🚀 Todo App running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🌐 App URL: http://localhost:${PORT}`);
-  
-  // Try to connect to Redis
-  console.log('🔄 Attempting to connect to Redis...');
-  const redisConnected = await redisService.connect();
-  
-  if (redisConnected) {
-    useRedis = true;
-    console.log('✅ Using Redis for data persistence');
-  } else {
-    useRedis = false;
-    console.log('⚠️  Using in-memory storage (data will not persist)');
+// Work out which todo list a request is for and the user's role on it: their
+// own list under /api/todos, a shared list under /api/lists/:listId
+app.use(['/api/todos', '/api/trash', '/api/audit', '/api/export', '/api/import'], (req, res, next) => {
+  req.todoScope = req.user.id;
+  req.listRole = 'owner';
+  next();
+});
+
+app.use('/api/lists/:listId', async (req, res, next) => {
+  try {
+    const role = await todoService.getListRole(req.params.listId, req.user.id);
+
+    // Lists the user is not a member of look the same as lists that do not exist
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    req.listId = req.params.listId;
+    req.todoScope = sharedListScope(req.params.listId);
+    req.listRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Middleware: rejects the request with 403 unless the user's role on the list
+// is at least `required`
+function requireRole(required, error) {
+  return (req, res, next) => {
+    if (!hasRole(req.listRole, required)) {
+      return res.status(403).json({
+        success: false,
+        error
+      });
+    }
+    next();
+  };
+}
+
+const requireEditor = requireRole('editor', 'Viewers cannot change the todos in this list');
+const requireOwner = requireRole('owner', 'Only the list owner can do that');
+
+// Todo routes, mounted for personal and shared lists alike
+const todoRoutes = express.Router();
+
+// Open event streams, ended on shutdown so the server can close
+const eventStreams = new Set();
+
+// Retried writes that carry an Idempotency-Key get the first response back
+todoRoutes.use(idempotent(todoService));
+
+// List todos with optional filtering, sorting and cursor pagination
+todoRoutes.get('/', async (req, res) => {
+  try {
+    // Add cache-busting headers for real-time data
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0'
+    });
+
+    const { query, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const page = await todoService.listTodos(query, req.todoScope);
+    res.json({
+      success: true,
+      data: page.items,
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    logger.error('Error fetching todos', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch todos'
+    });
+  }
+});
+
+// Completed / pending counters for the whole list
+todoRoutes.get('/stats', async (req, res) => {
+  try {
+    const stats = await todoService.getStats(req.todoScope);
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Error fetching stats', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stats'
+    });
+  }
+});
+
+// Full-text search over todo text, best match first
+todoRoutes.get('/search', async (req, res) => {
+  try {
+    const { search, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const results = await todoService.searchTodos(search.text, search.limit, req.todoScope);
+    res.json({
+      success: true,
+      data: results.map(({ todo, score }) => ({ ...todo, score })),
+      count: results.length,
+      query: search.text
+    });
+  } catch (error) {
+    logger.error('Error searching todos', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search todos'
+    });
+  }
+});
+
+// Server-Sent Events stream of changes to the list, so every open client can
+// apply them as they happen. Each event carries an array of changes (see
+// change-feed.js).
+todoRoutes.get('/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unwatch = changeFeed.watch(req.todoScope, changes => {
+    res.write(`event: changes\ndata: ${JSON.stringify(changes)}\n\n`);
+  });
+
+  // The comment keeps proxies from dropping an idle stream. A member removed
+  // from a shared list loses the stream here.
+  const heartbeat = setInterval(async () => {
+    try {
+      if (req.listId && !(await todoService.getListRole(req.listId, req.user.id))) {
+        return res.end();
+      }
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      logger.error('Error checking event stream access', { error: error.message });
+    }
+  }, EVENT_STREAM_HEARTBEAT_MS);
+
+  eventStreams.add(res);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unwatch();
+    eventStreams.delete(res);
+  });
+});
+
+// Each todo's ETag is its version, which every update bumps
+function etagFor(todo) {
+  return `"${todo.version}"`;
+}
+
+// The version a write expects the todo to be at: from If-Match (a mismatch is
+// answered with 412) or a `version` in the body (409). Returns { version,
+// status }, {} for unconditional writes, or { error }.
+function parsePrecondition(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch !== undefined) {
+    if (ifMatch.trim() === '*') {
+      return {};
+    }
+    const match = ifMatch.trim().match(/^"(\d+)"$/);
+    if (!match) {
+      return { error: 'If-Match must be "*" or a single ETag returned by this API' };
+    }
+    return { version: Number(match[1]), status: 412 };
+  }
+
+  const version = req.body ? req.body.version : undefined;
+  if (version !== undefined) {
+    if (!Number.isInteger(version) || version < 1) {
+      return { error: 'Version must be a positive integer' };
+    }
+    return { version, status: 409 };
+  }
+  return {};
+}
+
+// A write lost to a concurrent change: answer with the todo as it is now
+function sendConflict(res, status, todo) {
+  res.set('ETag', etagFor(todo));
+  return res.status(status).json({
+    success: false,
+    error: 'Todo was changed by someone else',
+    data: todo
+  });
+}
+
+// Get one todo, with its ETag
+todoRoutes.get('/:id', async (req, res) => {
+  try {
+    const todo = await todoService.getTodoById(req.params.id, req.todoScope);
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    res.set('ETag', etagFor(todo));
+    res.json({
+      success: true,
+      data: todo
+    });
+  } catch (error) {
+    logger.error('Error fetching todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch todo'
+    });
+  }
+});
+
+// What happened to a todo, newest first. Todos in the trash keep their history.
+todoRoutes.get('/:id/history', async (req, res) => {
+  try {
+    const entries = await todoService.getTodoHistory(req.params.id, req.todoScope);
+
+    // Todos from before history was recorded have none yet
+    if (entries.length === 0 && !(await todoService.getTodoById(req.params.id, req.todoScope))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    logger.error('Error fetching todo history', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch todo history'
+    });
+  }
+});
+
+// Create a new todo. Clients may choose its id (a UUID), which makes retrying
+// the request safe: a todo that already exists is returned as it is.
+todoRoutes.post('/', requireEditor, async (req, res) => {
+  try {
+    const { id } = req.body;
+
+    const { text, error: textError } = parseTodoText(req.body.text);
+    if (textError) {
+      return res.status(400).json({
+        success: false,
+        error: textError
+      });
+    }
+
+    if (id !== undefined && (typeof id !== 'string' || !isUuid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Todo id must be a UUID'
+      });
+    }
+
+    const { details, error } = parseTodoDetails(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const existingTodo = id ? await todoService.getTodoById(id, req.todoScope) : null;
+    if (existingTodo) {
+      res.set('ETag', etagFor(existingTodo));
+      return res.json({
+        success: true,
+        data: existingTodo
+      });
+    }
+
+    const newTodo = applyTodoDetails({
+      id: id || uuidv4(),
+      text,
+      completed: false,
+      createdAt: new Date().toISOString(),
+      version: 1
+    }, details);
+
+    const createdTodo = await todoService.createTodo(newTodo, req.todoScope);
+
+    res.set('ETag', etagFor(createdTodo));
+    res.status(201).json({
+      success: true,
+      data: createdTodo
+    });
+  } catch (error) {
+    logger.error('Error creating todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create todo'
+    });
+  }
+});
+
+// Update a todo's text, completion or details. Conditional on the todo's
+// version when the request carries If-Match or a `version`.
+todoRoutes.put('/:id', requireEditor, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const precondition = parsePrecondition(req);
+    if (precondition.error) {
+      return res.status(400).json({
+        success: false,
+        error: precondition.error
+      });
+    }
+
+    const { updates, error } = parseTodoUpdates(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const updatedTodo = await todoService.updateTodo(id, updates, req.todoScope, precondition.version);
+    
+    if (!updatedTodo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    if (updatedTodo.conflict) {
+      return sendConflict(res, precondition.status, updatedTodo.todo);
+    }
+
+    // Completing a recurring todo hands its rule on to the next occurrence
+    const advanced = await todoService.advanceIfCompleted(updatedTodo, req.todoScope);
+    const todo = advanced ? advanced.todo : updatedTodo;
+    res.set('ETag', etagFor(todo));
+    res.json({
+      success: true,
+      data: todo,
+      ...(advanced && { next: advanced.next })
+    });
+  } catch (error) {
+    logger.error('Error updating todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update todo'
+    });
+  }
+});
+
+// Delete todo, conditionally like updates
+todoRoutes.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const precondition = parsePrecondition(req);
+    if (precondition.error) {
+      return res.status(400).json({
+        success: false,
+        error: precondition.error
+      });
+    }
+    
+    const deletedTodo = await todoService.deleteTodo(id, req.todoScope, precondition.version);
+    
+    if (!deletedTodo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    if (deletedTodo.conflict) {
+      return sendConflict(res, precondition.status, deletedTodo.todo);
+    }
+
+    res.json({
+      success: true,
+      data: deletedTodo
+    });
+  } catch (error) {
+    logger.error('Error deleting todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete todo'
+    });
+  }
+});
+
+// Answer a subtask request with the changed subtask, its todo and the todo's progress
+async function sendSubtaskChange(req, res, change, status = 200) {
+  const outcome = await todoService.changeSubtasks(req.params.id, req.todoScope, change);
+
+  if (!outcome) {
+    return res.status(404).json({
+      success: false,
+      error: 'Todo not found'
+    });
+  }
+
+  if (outcome.error) {
+    return res.status(outcome.status).json({
+      success: false,
+      error: outcome.error
+    });
+  }
+
+  res.set('ETag', etagFor(outcome.todo));
+  res.status(status).json({
+    success: true,
+    data: outcome.subtask,
+    todo: outcome.todo,
+    progress: subtasks.subtaskProgress(outcome.todo.subtasks)
+  });
+}
+
+// Add a subtask to the end of a todo's checklist, or at `position`
+todoRoutes.post('/:id/subtasks', requireEditor, async (req, res) => {
+  try {
+    const { fields, error } = subtasks.parseSubtaskInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    await sendSubtaskChange(req, res, current => subtasks.addSubtask(current, fields), 201);
+  } catch (error) {
+    logger.error('Error adding subtask', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add subtask'
+    });
+  }
+});
+
+// Rename, tick off or move a subtask
+todoRoutes.put('/:id/subtasks/:subtaskId', requireEditor, async (req, res) => {
+  try {
+    const { fields, error } = subtasks.parseSubtaskInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    await sendSubtaskChange(req, res, current => subtasks.updateSubtask(current, req.params.subtaskId, fields));
+  } catch (error) {
+    logger.error('Error updating subtask', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subtask'
+    });
+  }
+});
+
+todoRoutes.delete('/:id/subtasks/:subtaskId', requireEditor, async (req, res) => {
+  try {
+    await sendSubtaskChange(req, res, current => subtasks.removeSubtask(current, req.params.subtaskId));
+  } catch (error) {
+    logger.error('Error deleting subtask', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subtask'
+    });
+  }
+});
+
+// Validate a reorder body: the `id` of the todo to move and exactly one of
+// `after` and `before`, each a todo id or null. Returns { id, move } or { error }.
+function parseMove(body = {}) {
+  const { id, after, before } = body;
+  if (typeof id !== 'string' || id === '') {
+    return { error: 'Todo id is required' };
+  }
+  if ((after === undefined) === (before === undefined)) {
+    return { error: 'Give either after or before (the id of a todo, or null for the top or bottom)' };
+  }
+
+  const anchor = after !== undefined ? after : before;
+  if (anchor !== null && (typeof anchor !== 'string' || anchor === '')) {
+    return { error: 'after and before must be a todo id or null' };
+  }
+  if (anchor === id) {
+    return { error: 'A todo cannot be moved next to itself' };
+  }
+  return { id, move: { after, before } };
+}
+
+// Move a todo in the list's manual order (GET /api/todos?sort=position).
+// Conditional on the moved todo's version like updates.
+todoRoutes.patch('/reorder', requireEditor, async (req, res) => {
+  try {
+    const { id, move, error } = parseMove(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const precondition = parsePrecondition(req);
+    if (precondition.error) {
+      return res.status(400).json({
+        success: false,
+        error: precondition.error
+      });
+    }
+
+    const movedTodo = await todoService.moveTodo(id, move, req.todoScope, precondition.version);
+
+    if (!movedTodo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found'
+      });
+    }
+
+    if (movedTodo.error) {
+      return res.status(movedTodo.status).json({
+        success: false,
+        error: movedTodo.error
+      });
+    }
+
+    if (movedTodo.conflict) {
+      return sendConflict(res, precondition.status, movedTodo.todo);
+    }
+
+    res.set('ETag', etagFor(movedTodo));
+    res.json({
+      success: true,
+      data: movedTodo
+    });
+  } catch (error) {
+    logger.error('Error moving todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move todo'
+    });
+  }
+});
+
+// Validate the fields an update (PUT or a batch 'update') sets. Returns
+// { updates } holding only those fields, or { error }.
+function parseTodoUpdates(body) {
+  const updates = {};
+  if (body.text !== undefined) {
+    const { text, error } = parseTodoText(body.text);
+    if (error) {
+      return { error };
+    }
+    updates.text = text;
+  }
+  if (body.completed !== undefined) {
+    if (typeof body.completed !== 'boolean') {
+      return { error: 'Completed must be a boolean' };
+    }
+    updates.completed = body.completed;
+  }
+
+  const { details, error } = parseTodoDetails(body);
+  if (error) {
+    return { error };
+  }
+  return { updates: { ...updates, ...details } };
+}
+
+// Validate a raw batch operation and turn it into the shape TodoService expects
+function parseBatchOperation(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'Operation must be an object' };
+  }
+
+  switch (raw.op) {
+    case 'create': {
+      const { text, error: textError } = parseTodoText(raw.text);
+      if (textError) {
+        return { error: textError };
+      }
+      const { details, error } = parseTodoDetails(raw);
+      if (error) {
+        return { error };
+      }
+      return {
+        operation: {
+          op: 'create',
+          todo: applyTodoDetails({
+            id: uuidv4(),
+            text,
+            completed: false,
+            createdAt: new Date().toISOString(),
+            version: 1
+          }, details)
+        }
+      };
+    }
+
+    case 'update': {
+      if (!raw.id) {
+        return { error: 'Todo id is required' };
+      }
+      const { updates, error } = parseTodoUpdates(raw);
+      if (error) {
+        return { error };
+      }
+      if (Object.keys(updates).length === 0) {
+        return { error: 'Nothing to update' };
+      }
+      return { operation: { op: 'update', id: raw.id, updates } };
+    }
+
+    case 'delete':
+      if (!raw.id) {
+        return { error: 'Todo id is required' };
+      }
+      return { operation: { op: 'delete', id: raw.id } };
+
+    default:
+      return { error: 'Unknown operation (expected create, update or delete)' };
+  }
+}
+
+// Apply several create/update/delete operations, all or nothing
+todoRoutes.post('/batch', requireEditor, async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Operations must be a non-empty array'
+      });
+    }
+
+    if (operations.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch may contain at most ${MAX_BATCH_SIZE} operations`
+      });
+    }
+
+    const parsed = [];
+    for (const [index, raw] of operations.entries()) {
+      const { operation, error } = parseBatchOperation(raw);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Operation ${index}: ${error}`,
+          index
+        });
+      }
+      parsed.push(operation);
+    }
+
+    const outcome = await todoService.applyBatch(parsed, req.todoScope);
+
+    if (!outcome.committed) {
+      return res.status(409).json({
+        success: false,
+        error: `Batch rejected: operation ${outcome.failedIndex} failed`,
+        results: parsed.map((operation, index) => ({
+          index,
+          op: operation.op,
+          success: false,
+          error: index === outcome.failedIndex ? outcome.error : 'Not applied'
+        }))
+      });
+    }
+
+    res.json({
+      success: true,
+      data: outcome.results.map((todo, index) => ({
+        index,
+        op: parsed[index].op,
+        success: true,
+        data: todo
+      })),
+      count: outcome.results.length
+    });
+  } catch (error) {
+    logger.error('Error applying batch', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply batch'
+    });
+  }
+});
+
+// Clear all completed todos in one atomic step
+todoRoutes.delete('/', requireEditor, async (req, res) => {
+  try {
+    if (req.query.completed !== 'true') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed todos can be cleared (use ?completed=true)'
+      });
+    }
+
+    const deletedTodos = await todoService.clearCompleted(req.todoScope);
+
+    res.json({
+      success: true,
+      data: deletedTodos,
+      count: deletedTodos.length
+    });
+  } catch (error) {
+    logger.error('Error clearing completed todos', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear completed todos'
+    });
+  }
+});
+
+app.use('/api/todos', todoRoutes);
+app.use('/api/lists/:listId/todos', todoRoutes);
+
+// Trash routes: deleted todos wait here until they are restored or purged
+const trashRoutes = express.Router();
+
+trashRoutes.use(idempotent(todoService));
+
+// The list's deleted todos, most recently deleted first
+trashRoutes.get('/', async (req, res) => {
+  try {
+    const todos = await todoService.getTrash(req.todoScope);
+    res.json({
+      success: true,
+      data: todos,
+      count: todos.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    logger.error('Error fetching trash', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+// Put a deleted todo back in the list
+trashRoutes.post('/:id/restore', requireEditor, async (req, res) => {
+  try {
+    const restoredTodo = await todoService.restoreTodo(req.params.id, req.todoScope);
+
+    if (!restoredTodo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found in trash'
+      });
+    }
+
+    if (restoredTodo.conflict) {
+      return res.status(409).json({
+        success: false,
+        error: 'A todo with this id is already in the list',
+        data: restoredTodo.todo
+      });
+    }
+
+    res.json({
+      success: true,
+      data: restoredTodo
+    });
+  } catch (error) {
+    logger.error('Error restoring todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore todo'
+    });
+  }
+});
+
+// Delete a todo for good, before its retention period is up
+trashRoutes.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const purgedTodo = await todoService.purgeTodo(req.params.id, req.todoScope);
+
+    if (!purgedTodo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: purgedTodo
+    });
+  } catch (error) {
+    logger.error('Error purging todo', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge todo'
+    });
+  }
+});
+
+app.use('/api/trash', trashRoutes);
+app.use('/api/lists/:listId/trash', trashRoutes);
+
+// The list's audit log: every change to its todos, newest first, optionally
+// between ?from= and ?to=
+app.get(['/api/audit', '/api/lists/:listId/audit'], async (req, res) => {
+  try {
+    const { query, error } = history.parseAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const entries = await todoService.getAuditLog(query, req.todoScope);
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    logger.error('Error fetching audit log', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Download the list's todos as a file in ?format= (json, csv, md or ics)
+app.get(['/api/export', '/api/lists/:listId/export'], async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+
+    const todos = await todoService.exportTodos(req.todoScope);
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`todos-${date}.${FORMATS[format].extension}`);
+    res.type(FORMATS[format].type);
+    res.send(formatTodos(format, todos));
+  } catch (error) {
+    logger.error('Error exporting todos', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export todos'
+    });
+  }
+});
+
+// Add todos from a file sent as the body, in the format its content type or
+// ?format= names. ?dryRun=true previews what would be imported; ?match=id only
+// treats todos with the same id as duplicates, not ones with the same text.
+app.post(IMPORT_PATHS, requireEditor, idempotent(todoService), async (req, res) => {
+  try {
+    const contentTypeFormat = Object.keys(FORMATS).find(format => req.is(FORMATS[format].type));
+    const { options, error: optionsError } = parseImportOptions(req.query, contentTypeFormat);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+
+    const { rows, error } = parseImport(options.format, req.body);
+    if (error || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: error || 'No todos found to import'
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `An import may contain at most ${MAX_IMPORT_ROWS} todos`
+      });
+    }
+
+    const outcome = await todoService.importTodos(rows, req.todoScope, options);
+    if (!outcome.committed) {
+      return res.status(409).json({
+        success: false,
+        error: 'The list changed during the import; nothing was imported'
+      });
+    }
+
+    const count = status => outcome.rows.filter(row => row.status === status).length;
+    res.json({
+      success: true,
+      dryRun: options.dryRun,
+      data: outcome.rows,
+      summary: {
+        total: outcome.rows.length,
+        imported: count('imported'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid')
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing todos', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import todos'
+    });
+  }
+});
+
+// The shared lists the signed-in user is a member of, with their role on each
+app.get('/api/lists', async (req, res) => {
+  try {
+    const lists = await todoService.getListsForUser(req.user.id);
+    res.json({
+      success: true,
+      data: lists,
+      count: lists.length
+    });
+  } catch (error) {
+    logger.error('Error fetching lists', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lists'
+    });
+  }
+});
+
+// Create a shared list owned by the signed-in user
+app.post('/api/lists', async (req, res) => {
+  try {
+    const { name, error } = parseListName(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const list = await todoService.createList({
+      id: uuidv4(),
+      name,
+      ownerId: req.user.id,
+      createdAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...list, role: 'owner' }
+    });
+  } catch (error) {
+    logger.error('Error creating list', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create list'
+    });
+  }
+});
+
+// A shared list with its members
+app.get('/api/lists/:listId', async (req, res) => {
+  try {
+    const list = await todoService.getList(req.params.listId);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...list,
+        role: req.listRole,
+        members: await todoService.getListMembers(list.id)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching list', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch list'
+    });
+  }
+});
+
+// Rename a shared list
+app.put('/api/lists/:listId', requireOwner, async (req, res) => {
+  try {
+    const { name, error } = parseListName(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const list = await todoService.renameList(req.params.listId, name);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...list, role: req.listRole }
+    });
+  } catch (error) {
+    logger.error('Error renaming list', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename list'
+    });
+  }
+});
+
+// Delete a shared list together with its todos
+app.delete('/api/lists/:listId', requireOwner, async (req, res) => {
+  try {
+    const list = await todoService.deleteList(req.params.listId);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    logger.error('Error deleting list', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete list'
+    });
+  }
+});
+
+// Change a member's role (members join through invitations)
+app.put('/api/lists/:listId/members/:userId', requireOwner, async (req, res) => {
+  try {
+    const { listId, userId } = req.params;
+    const { role, error } = parseMemberRole(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const currentRole = await todoService.getListRole(listId, userId);
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        error: 'The owner\'s role cannot be changed'
+      });
+    }
+
+    const member = await todoService.setListMember(listId, userId, role);
+    res.json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    logger.error('Error updating member', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member'
+    });
+  }
+});
+
+// Remove a member. Any member may remove themselves to leave the list.
+app.delete('/api/lists/:listId/members/:userId', async (req, res) => {
+  try {
+    const { listId, userId } = req.params;
+    if (userId !== req.user.id && !hasRole(req.listRole, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the list owner can do that'
+      });
+    }
+
+    const role = await todoService.getListRole(listId, userId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+    if (role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        error: 'The owner cannot leave the list; delete it instead'
+      });
+    }
+
+    await todoService.removeListMember(listId, userId);
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    logger.error('Error removing member', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+// Open invitation links for a list
+app.get('/api/lists/:listId/invites', requireOwner, async (req, res) => {
+  try {
+    const invites = await todoService.getInvites(req.params.listId);
+    res.json({
+      success: true,
+      data: invites,
+      count: invites.length
+    });
+  } catch (error) {
+    logger.error('Error fetching invitations', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations'
+    });
+  }
+});
+
+// Create a single-use invitation link that grants `role` on the list
+app.post('/api/lists/:listId/invites', requireOwner, async (req, res) => {
+  try {
+    const { role, error } = parseMemberRole(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const invite = await todoService.createInvite({
+      token: crypto.randomBytes(INVITE_TOKEN_BYTES).toString('base64url'),
+      listId: req.params.listId,
+      role,
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString()
+    });
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    logger.error('Error creating invitation', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invitation'
+    });
+  }
+});
+
+// Revoke an invitation link before it is used
+app.delete('/api/lists/:listId/invites/:token', requireOwner, async (req, res) => {
+  try {
+    const invite = await todoService.revokeInvite(req.params.listId, req.params.token);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    logger.error('Error revoking invitation', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invitation'
+    });
+  }
+});
+
+// Join the list an invitation link is for
+app.post('/api/invites/:token/accept', async (req, res) => {
+  try {
+    const membership = await todoService.acceptInvite(req.params.token, req.user.id);
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found or already used'
+      });
+    }
+
+    const list = await todoService.getList(membership.listId);
+    res.json({
+      success: true,
+      data: { ...list, role: membership.role }
+    });
+  } catch (error) {
+    logger.error('Error accepting invitation', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation'
+    });
+  }
+});
+
+// A user's notification settings as the API shows them, with what the browser
+// needs to subscribe to push and the channels this server offers
+function notificationSettingsView(settings) {
+  return {
+    email: settings.email || null,
+    webhook: settings.webhook || null,
+    push: {
+      publicKey: notifier.vapidPublicKey,
+      subscriptions: (settings.push || []).map(subscription => subscription.endpoint)
+    },
+    channels: notifier.channelNames
+  };
+}
+
+// Where the signed-in user's reminders go
+app.get('/api/notifications', async (req, res) => {
+  try {
+    const settings = await todoService.getNotificationSettings(req.user.id);
+    res.json({
+      success: true,
+      data: notificationSettingsView(settings)
+    });
+  } catch (error) {
+    logger.error('Error fetching notification settings', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification settings'
+    });
+  }
+});
+
+// Set or clear the email address and webhook URL
+app.put('/api/notifications', async (req, res) => {
+  try {
+    if (req.body.email && !notifier.channelNames.includes('email')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email notifications are not available on this server'
+      });
+    }
+
+    const current = await todoService.getNotificationSettings(req.user.id);
+    const { settings, error } = reminders.parseNotificationSettings(req.body, current);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Sending checks the webhook's host again, in case it resolves elsewhere later
+    if (req.body.webhookUrl && settings.webhook) {
+      const { error: urlError } = await notifier.channel('webhook').checkUrl(settings.webhook.url);
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          error: urlError
+        });
+      }
+    }
+
+    await todoService.setNotificationSettings(req.user.id, settings);
+    res.json({
+      success: true,
+      data: notificationSettingsView(settings)
+    });
+  } catch (error) {
+    logger.error('Error updating notification settings', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification settings'
+    });
+  }
+});
+
+// Add a browser's push subscription (the JSON of its PushSubscription)
+app.post('/api/notifications/push', async (req, res) => {
+  try {
+    const { subscription, error } = reminders.parsePushSubscription(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Sending checks the endpoint's host again, in case it resolves elsewhere later
+    const { error: endpointError } = await notifier.channel('push').checkUrl(subscription.endpoint);
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        error: endpointError
+      });
+    }
+
+    const current = await todoService.getNotificationSettings(req.user.id);
+    const settings = await todoService.setNotificationSettings(req.user.id, reminders.withPushSubscription(current, subscription));
+    res.status(201).json({
+      success: true,
+      data: notificationSettingsView(settings)
+    });
+  } catch (error) {
+    logger.error('Error adding push subscription', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add push subscription'
+    });
+  }
+});
+
+// Remove a browser's push subscription by its endpoint
+app.delete('/api/notifications/push', async (req, res) => {
+  try {
+    const current = await todoService.getNotificationSettings(req.user.id);
+    if (!(current.push || []).some(subscription => subscription.endpoint === req.body.endpoint)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Push subscription not found'
+      });
+    }
+
+    const settings = await todoService.setNotificationSettings(req.user.id, reminders.withoutPushSubscriptions(current, [req.body.endpoint]));
+    res.json({
+      success: true,
+      data: notificationSettingsView(settings)
+    });
+  } catch (error) {
+    logger.error('Error removing push subscription', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove push subscription'
+    });
+  }
+});
+
+// Send a test notification through every channel the user has set up
+app.post('/api/notifications/test', async (req, res) => {
+  try {
+    const outcome = await todoService.notify(req.user.id, {
+      type: 'test',
+      title: 'Test notification',
+      body: 'Reminders for your todos will arrive like this.',
+      url: '/'
+    });
+
+    if (outcome.delivered.length === 0 && outcome.failed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No notification channels are set up'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: outcome
+    });
+  } catch (error) {
+    logger.error('Error sending test notification', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test notification'
+    });
   }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  
-  // Close Redis connection
-  if (useRedis) {
-    await redisService.disconnect();
+// Admin routes (behind ADMIN_TOKEN, see requireAdmin): backups of the whole store
+
+// Restore a checked snapshot with the mode the request names
+async function restoreFrom(req, res, snapshot) {
+  const restored = await todoService.restoreSnapshot(snapshot, req.query.mode);
+  if (!restored) {
+    return res.status(503).json({
+      success: false,
+      error: 'Redis is unavailable; snapshots can be restored once it is back'
+    });
   }
-  
-  server.close(() => {
-    console.log('Process terminated');
+
+  logger.info('Restored snapshot', { createdAt: snapshot.createdAt, mode: req.query.mode, restored });
+  res.json({
+    success: true,
+    data: {
+      mode: req.query.mode,
+      snapshot: { createdAt: snapshot.createdAt, driver: snapshot.driver },
+      restored
+    }
   });
+}
+
+// Middleware: rejects restores without a valid ?mode=
+function requireRestoreMode(req, res, next) {
+  const { error } = snapshots.parseRestoreMode(req.query.mode);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  next();
+}
+
+// The snapshots in the backup directory, newest first
+app.get('/api/admin/snapshots', async (req, res) => {
+  try {
+    const files = await snapshotArchive.list();
+    res.json({
+      success: true,
+      data: files,
+      count: files.length
+    });
+  } catch (error) {
+    logger.error('Error listing snapshots', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list snapshots'
+    });
+  }
+});
+
+// Take a snapshot now and save it to the backup directory
+app.post('/api/admin/snapshots', async (req, res) => {
+  try {
+    const snapshot = await todoService.createSnapshot();
+    const file = await snapshotArchive.save(snapshot);
+    res.status(201).json({
+      success: true,
+      data: { ...file, driver: snapshot.driver, checksum: snapshot.checksum, contents: snapshots.summarize(snapshot) }
+    });
+  } catch (error) {
+    logger.error('Error taking snapshot', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to take snapshot'
+    });
+  }
+});
+
+// Download a snapshot file
+app.get('/api/admin/snapshots/:name', async (req, res) => {
+  try {
+    const contents = await snapshotArchive.read(req.params.name);
+    if (contents === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+
+    res.attachment(req.params.name);
+    res.type('application/json');
+    res.send(contents);
+  } catch (error) {
+    logger.error('Error reading snapshot', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read snapshot'
+    });
+  }
+});
+
+// Restore a snapshot from the backup directory. ?mode=replace swaps the whole
+// store for it; ?mode=merge only adds what the store lacks.
+app.post('/api/admin/snapshots/:name/restore', requireRestoreMode, async (req, res) => {
+  try {
+    const contents = await snapshotArchive.read(req.params.name);
+    if (contents === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+
+    const { snapshot, error } = snapshots.parseSnapshot(contents);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    await restoreFrom(req, res, snapshot);
+  } catch (error) {
+    logger.error('Error restoring snapshot', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore snapshot'
+    });
+  }
 });
 
-process.on('SIGINT', async () => {
-  console.log('\nSIGINT received. Shutting down gracefully...');
-  
-  // Close Redis connection
-  if (useRedis) {
-    await redisService.disconnect();
+// Restore a snapshot sent as the body, such as one taken on another server or
+// with another storage driver
+app.post('/api/admin/restore', requireRestoreMode, async (req, res) => {
+  try {
+    const { snapshot, error } = snapshots.parseSnapshot(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    await restoreFrom(req, res, snapshot);
+  } catch (error) {
+    logger.error('Error restoring snapshot', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore snapshot'
+    });
   }
-  
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
+});
+
+// Serve the frontend
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Route not found'
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({
+    success: false,
+    error: 'Something went wrong!'
   });
 });
 
-module.exports = app;
+let server = null;
+
+// Start server: listen on `port`, connect the configured store and start the
+// schedulers. Resolves with the HTTP server once the store is ready.
+async function start(port = PORT) {
+  server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, '0.0.0.0', () => resolve(listening));
+    listening.on('error', reject);
+  });
+  const { port: listeningPort } = server.address();
+  logger.info('Todo App running', {
+    port: listeningPort,
+    url: `http://localhost:${listeningPort}`,
+    health: `http://localhost:${listeningPort}/health`
+  });
+
+  // Try to connect to the configured store
+  logger.info('Connecting to storage', { driver: configuredStore.driver });
+  const connected = await configuredStore.connect();
+
+  if (connected) {
+    todoService.store = configuredStore;
+    logger.info('Storage ready', { driver: configuredStore.driver });
+
+    try {
+      await changeFeed.attach(configuredStore);
+    } catch (error) {
+      logger.warn('Live updates will not reach other instances', { error: error.message });
+    }
+  } else {
+    logger.warn('Using in-memory storage (data will not persist)');
+  }
+
+  try {
+    await todoService.handOverLegacyTodos();
+  } catch (error) {
+    logger.error('Error handing over legacy todos', { error });
+  }
+
+  healthChecks.start();
+  recurrenceScheduler.start();
+  reminderScheduler.start();
+  trashScheduler.start();
+  if (BACKUP_INTERVAL_HOURS > 0) {
+    backupScheduler.start();
+  }
+  return server;
+}
+
+// Stop scheduling, end live update streams, close the storage connection and
+// stop listening
+async function stop() {
+  healthChecks.stop();
+  recurrenceScheduler.stop();
+  reminderScheduler.stop();
+  trashScheduler.stop();
+  backupScheduler.stop();
+  eventStreams.forEach(stream => stream.end());
+  await todoService.store.disconnect();
+
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+}
+
+// Graceful shutdown: report not ready, keep serving for SHUTDOWN_DRAIN_SECONDS,
+// then stop
+async function shutdown(signal) {
+  logger.info('Shutting down gracefully', { signal, drainMs: SHUTDOWN_DRAIN_MS });
+  healthChecks.drain();
+  if (SHUTDOWN_DRAIN_MS > 0) {
+    await new Promise(resolve => setTimeout(resolve, SHUTDOWN_DRAIN_MS));
+  }
+
+  await stop();
+  logger.info('Process terminated');
+  if (signal === 'SIGINT') process.exit(0);
+}
+
+// Tests require the app and start and stop it themselves
+if (require.main === module) {
+  start().catch((error) => {
+    logger.error('Error starting the server', { error });
+    process.exit(1);
+  });
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { app, start, stop };
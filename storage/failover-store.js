@@ -0,0 +1,702 @@
+const fs = require('fs');
+const path = require('path');
+const { sharedListScope } = require('./lists');
+const { DETAIL_FIELDS } = require('./todo-fields');
+const { HistoryRing } = require('./history');
+const logger = require('../logger');
+
+const MAX_FAILOVER_EVENTS = 20;
+
+// Append-only log (one JSON change per line) of writes made while the primary
+// store was unavailable. It is kept on disk so a restart does not lose them.
+class WriteJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = this.load();
+    this.fileQueue = Promise.resolve();
+  }
+
+  load() {
+    if (!this.filePath) return [];
+
+    try {
+      return fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read write journal', { error: error.message });
+      }
+      return [];
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  append(changes) {
+    this.entries.push(...changes);
+    const lines = changes.map(change => `${JSON.stringify(change)}\n`).join('');
+    return this.writeFile(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, lines);
+    });
+  }
+
+  // Drop the first `count` entries once they have been replayed
+  discard(count) {
+    this.entries = this.entries.slice(count);
+    const lines = this.entries.map(change => `${JSON.stringify(change)}\n`).join('');
+    return this.writeFile(() => fs.promises.writeFile(this.filePath, lines));
+  }
+
+  // File operations are queued so an append never races a rewrite
+  writeFile(operation) {
+    if (!this.filePath) return Promise.resolve();
+
+    const write = this.fileQueue.then(operation);
+    this.fileQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+// An update as it is journaled: the fields it changed and the version it was
+// made on, so that replaying it does not undo other changes made in Redis
+function updateChange(scope, todo, updates) {
+  return { op: 'update', scope, todo, updates, baseVersion: todo.version - 1 };
+}
+
+// Journals written before updates carried their fields hold only the todo as
+// the fallback left it: all of it is written back, and details it no longer
+// has are cleared
+function wholeTodoUpdates(todo) {
+  const { text, completed, position } = todo;
+  const updates = { text, completed, position };
+  for (const field of DETAIL_FIELDS) {
+    updates[field] = todo[field] === undefined ? null : todo[field];
+  }
+  return updates;
+}
+
+// Supervises a primary store (Redis) that may come and go. Traffic goes to the
+// primary while it is connected and to an in-memory fallback otherwise. While on
+// the fallback, writes are journaled and replayed once the primary is back, and
+// reconnection is retried with exponential backoff.
+//
+// The fallback is loaded from Redis when it connects and afterwards only
+// follows this instance's own writes. With several instances it falls behind
+// what the others write, so reads during an outage can be stale, and updates
+// made on a stale todo are rejected when they are replayed.
+class FailoverStore {
+  constructor(primary, fallback, options = {}) {
+    this.driver = primary.driver;
+    this.primary = primary;
+    this.fallback = fallback;
+    this.active = fallback;
+    this.journal = new WriteJournal(options.journalFile);
+    this.minRetryDelay = options.minRetryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+    this.attempts = 0;
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.stopped = false;
+    this.events = [];
+    this.rejectedWrites = [];
+
+    if (typeof primary.on === 'function') {
+      primary.on('disconnected', () => this.failover('Redis connection lost'));
+    }
+  }
+
+  async connect() {
+    this.stopped = false;
+    if (!(await this.tryPrimary())) {
+      logger.warn('Redis unavailable, serving from in-memory storage until it reconnects');
+      this.scheduleReconnect();
+    }
+    // The fallback keeps the store usable while the primary is away
+    return true;
+  }
+
+  async disconnect() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    await this.primary.disconnect();
+    await this.fallback.disconnect();
+  }
+
+  async tryPrimary() {
+    this.attempts++;
+    if (!(await this.primary.connect())) {
+      return false;
+    }
+
+    try {
+      // Start the fallback from current data so a later outage serves fresh reads
+      await this.warmFallback();
+      await this.replayJournal();
+    } catch (error) {
+      logger.error('Failed to resynchronise with Redis', { error: error.message });
+      return false;
+    }
+
+    this.attempts = 0;
+    this.switchTo(this.primary, 'Redis connected');
+    return true;
+  }
+
+  // Copy every account with its notification settings, shared list and todo
+  // list (with its trash) from the primary into the fallback. Audit logs start
+  // over empty.
+  async warmFallback() {
+    const users = await this.primary.getAllUsers();
+    const lists = await this.primary.getAllLists();
+    this.fallback.users = users;
+    this.fallback.sharedLists = lists.map(({ members, invites, ...list }) => list);
+    this.fallback.memberships = lists.flatMap(list => list.members.map(member => ({ listId: list.id, ...member })));
+    this.fallback.invites = lists.flatMap(list => list.invites);
+
+    this.fallback.notificationSettings = new Map();
+    for (const user of users) {
+      const settings = await this.primary.getNotificationSettings(user.id);
+      if (settings) this.fallback.notificationSettings.set(user.id, settings);
+    }
+
+    this.fallback.todos = await this.primary.getAllTodos();
+    this.fallback.trash = await this.primary.getTrash();
+    this.fallback.audit = new HistoryRing();
+    this.fallback.todoLists = new Map();
+    const scopes = [...users.map(user => user.id), ...lists.map(list => sharedListScope(list.id))];
+    for (const scope of scopes) {
+      const list = this.fallback.listFor(scope);
+      list.todos = await this.primary.getAllTodos(scope);
+      list.trash = await this.primary.getTrash(scope);
+    }
+  }
+
+  // Apply journaled writes to the primary, oldest first. Writes that arrive
+  // during the replay land in the journal too and are picked up by the loop.
+  async replayJournal() {
+    while (this.journal.size > 0) {
+      const changes = [...this.journal.entries];
+      for (const change of changes) {
+        const result = await this.replayChange(change);
+        this.mirror([result]);
+      }
+      await this.journal.discard(changes.length);
+      logger.info('Replayed journaled writes to Redis', { writes: changes.length });
+    }
+  }
+
+  async replayChange(change) {
+    // Journals written before shared lists existed name the scope userId
+    const scope = change.scope || change.userId;
+    if (change.op === 'user') {
+      if (!(await this.primary.createUser(change.user))) {
+        logger.error('Username was taken in Redis while it was away', { username: change.user.username });
+      }
+      return change;
+    }
+    if (change.op === 'list') {
+      const exists = await this.primary.getList(change.list.id);
+      return {
+        op: 'list',
+        list: exists
+          ? await this.primary.renameList(change.list.id, change.list.name)
+          : await this.primary.createList(change.list)
+      };
+    }
+    if (change.op === 'list-delete') {
+      await this.primary.deleteList(change.id);
+      return change;
+    }
+    if (change.op === 'member') {
+      const applied = change.role
+        ? await this.primary.setListMember(change.listId, change.userId, change.role)
+        : await this.primary.removeListMember(change.listId, change.userId);
+      // Changed on the fallback but the list was deleted on the primary meanwhile
+      return change.role && !applied ? { op: 'list-delete', id: change.listId } : change;
+    }
+    if (change.op === 'invite') {
+      const invite = await this.primary.createInvite(change.invite);
+      return invite ? change : { op: 'list-delete', id: change.invite.listId };
+    }
+    if (change.op === 'invite-delete') {
+      await this.primary.revokeInvite(change.listId, change.token);
+      return change;
+    }
+    if (change.op === 'notifications') {
+      await this.primary.setNotificationSettings(change.userId, change.settings);
+      return change;
+    }
+    if (change.op === 'history') {
+      await this.primary.appendHistory(change.entries, scope);
+      return change;
+    }
+    if (change.op === 'create') {
+      return { op: 'create', scope, todo: await this.primary.createTodo(change.todo, scope) };
+    }
+    if (change.op === 'update') {
+      const todo = change.updates
+        ? await this.replayUpdate(change, scope)
+        : await this.primary.updateTodo(change.todo.id, wholeTodoUpdates(change.todo), scope);
+      // Updated on the fallback but deleted on the primary meanwhile: the delete wins
+      return todo ? { op: 'update', scope, todo } : { op: 'delete', scope, id: change.todo.id };
+    }
+    if (change.op === 'restore') {
+      const todo = await this.primary.restoreTodo(change.todo.id, scope);
+      // Restored on the fallback but purged from the primary meanwhile: it is gone
+      if (!todo) return { op: 'purge', scope, id: change.todo.id };
+      return { op: 'restore', scope, todo: todo.conflict ? todo.todo : todo };
+    }
+    if (change.op === 'purge') {
+      await this.primary.purgeTodo(change.id, scope);
+      return change;
+    }
+    const todo = await this.primary.deleteTodo(change.id, scope);
+    return { op: 'delete', scope, id: change.id, todo: todo || change.todo };
+  }
+
+  // Apply the fields a journaled update changed, expecting the todo at the
+  // version the fallback had. If another instance changed it in Redis
+  // meanwhile, the newer version stays: the journaled update is dropped,
+  // logged and listed under rejectedWrites in the health report.
+  async replayUpdate(change, scope) {
+    const { id } = change.todo;
+    const todo = await this.primary.updateTodo(id, change.updates, scope, change.baseVersion);
+    if (!todo || !todo.conflict) return todo;
+
+    const rejected = {
+      at: new Date().toISOString(),
+      todoId: id,
+      scope: scope || null,
+      journaledVersion: change.baseVersion,
+      redisVersion: todo.todo.version,
+      fields: Object.keys(change.updates)
+    };
+    this.rejectedWrites = [...this.rejectedWrites, rejected].slice(-MAX_FAILOVER_EVENTS);
+    logger.error('Journaled update rejected, the todo changed in Redis meanwhile', rejected);
+    return todo.todo;
+  }
+
+  scheduleReconnect() {
+    if (this.stopped || this.retryTimer) return;
+
+    const delay = Math.min(this.maxRetryDelay, this.minRetryDelay * 2 ** Math.max(this.attempts - 1, 0));
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      if (!(await this.tryPrimary())) {
+        this.scheduleReconnect();
+      }
+    }, delay);
+    // Never keep the process alive just to retry Redis
+    this.retryTimer.unref();
+  }
+
+  failover(reason) {
+    if (this.active === this.primary) {
+      this.switchTo(this.fallback, reason);
+    }
+    this.scheduleReconnect();
+  }
+
+  switchTo(store, reason) {
+    if (this.active === store) return;
+
+    const event = {
+      at: new Date().toISOString(),
+      from: this.active.driver,
+      to: store.driver,
+      reason
+    };
+    this.active = store;
+    this.events = [...this.events, event].slice(-MAX_FAILOVER_EVENTS);
+    logger.warn('Storage switched', event);
+  }
+
+  // Run a store method on the active store, failing over if the primary drops mid-call
+  async run(method, args = []) {
+    if (this.active === this.primary) {
+      try {
+        return { store: this.primary, result: await this.primary[method](...args) };
+      } catch (error) {
+        if (this.primary.isConnected) throw error;
+        this.failover(error.message);
+      }
+    }
+    return { store: this.fallback, result: await this.fallback[method](...args) };
+  }
+
+  // After a write: keep the fallback in step with the primary, or journal the
+  // change if it only reached the fallback
+  async record(store, changes) {
+    if (changes.length === 0) return;
+
+    if (store === this.primary) {
+      this.mirror(changes);
+    } else {
+      await this.journal.append(changes);
+    }
+  }
+
+  mirror(changes) {
+    for (const change of changes) {
+      if (change.op === 'user') {
+        const others = this.fallback.users.filter(user => user.id !== change.user.id);
+        this.fallback.users = [...others, { ...change.user }];
+        continue;
+      }
+      if (!['create', 'update', 'delete', 'restore', 'purge'].includes(change.op)) {
+        this.mirrorListChange(change);
+        continue;
+      }
+
+      // Deletes carry the trashed todo, except in journals from before the trash
+      const list = this.fallback.listFor(change.scope);
+      const id = change.id || change.todo.id;
+      const rest = list.todos.filter(todo => todo.id !== id);
+      const restOfTrash = list.trash.filter(todo => todo.id !== id);
+      list.todos = ['delete', 'purge'].includes(change.op) ? rest : [...rest, { ...change.todo }];
+      list.trash = change.op === 'delete' && change.todo ? [...restOfTrash, { ...change.todo }] : restOfTrash;
+    }
+  }
+
+  // Shared list, membership, invitation, settings and history changes, and
+  // restored snapshots
+  mirrorListChange(change) {
+    const fallback = this.fallback;
+    switch (change.op) {
+      case 'list':
+        fallback.sharedLists = [...fallback.sharedLists.filter(list => list.id !== change.list.id), { ...change.list }];
+        break;
+      case 'list-delete':
+        fallback.sharedLists = fallback.sharedLists.filter(list => list.id !== change.id);
+        fallback.memberships = fallback.memberships.filter(membership => membership.listId !== change.id);
+        fallback.invites = fallback.invites.filter(invite => invite.listId !== change.id);
+        fallback.todoLists.delete(sharedListScope(change.id));
+        break;
+      case 'member': {
+        const { listId, userId, role } = change;
+        const others = fallback.memberships.filter(membership => !(membership.listId === listId && membership.userId === userId));
+        fallback.memberships = role ? [...others, { listId, userId, role }] : others;
+        break;
+      }
+      case 'invite':
+        fallback.invites = [...fallback.invites.filter(invite => invite.token !== change.invite.token), { ...change.invite }];
+        break;
+      case 'invite-delete':
+        fallback.invites = fallback.invites.filter(invite => invite.token !== change.token);
+        break;
+      case 'notifications':
+        fallback.notificationSettings.set(change.userId, change.settings);
+        break;
+      case 'history':
+        fallback.listFor(change.scope).audit.push(change.entries);
+        break;
+      case 'snapshot':
+        fallback.applySnapshot(change.data, change.mode);
+        break;
+    }
+  }
+
+  async createUser(user) {
+    const { store, result } = await this.run('createUser', [user]);
+    await this.record(store, result ? [{ op: 'user', user: result }] : []);
+    return result;
+  }
+
+  async getUserByUsername(username) {
+    return (await this.run('getUserByUsername', [username])).result;
+  }
+
+  async getUserById(id) {
+    return (await this.run('getUserById', [id])).result;
+  }
+
+  async getAllUsers() {
+    return (await this.run('getAllUsers')).result;
+  }
+
+  async createList(list) {
+    const { store, result } = await this.run('createList', [list]);
+    await this.record(store, [
+      { op: 'list', list: result },
+      { op: 'member', listId: result.id, userId: result.ownerId, role: 'owner' }
+    ]);
+    return result;
+  }
+
+  async getList(id) {
+    return (await this.run('getList', [id])).result;
+  }
+
+  async renameList(id, name) {
+    const { store, result } = await this.run('renameList', [id, name]);
+    await this.record(store, result ? [{ op: 'list', list: result }] : []);
+    return result;
+  }
+
+  async deleteList(id) {
+    const { store, result } = await this.run('deleteList', [id]);
+    await this.record(store, result ? [{ op: 'list-delete', id }] : []);
+    return result;
+  }
+
+  async getListsForUser(userId) {
+    return (await this.run('getListsForUser', [userId])).result;
+  }
+
+  async getListRole(id, userId) {
+    return (await this.run('getListRole', [id, userId])).result;
+  }
+
+  async getListMembers(id) {
+    return (await this.run('getListMembers', [id])).result;
+  }
+
+  async setListMember(id, userId, role) {
+    const { store, result } = await this.run('setListMember', [id, userId, role]);
+    await this.record(store, result ? [{ op: 'member', listId: id, userId, role }] : []);
+    return result;
+  }
+
+  async removeListMember(id, userId) {
+    const { store, result } = await this.run('removeListMember', [id, userId]);
+    await this.record(store, result ? [{ op: 'member', listId: id, userId, role: null }] : []);
+    return result;
+  }
+
+  async createInvite(invite) {
+    const { store, result } = await this.run('createInvite', [invite]);
+    await this.record(store, result ? [{ op: 'invite', invite: result }] : []);
+    return result;
+  }
+
+  async getInvites(listId) {
+    return (await this.run('getInvites', [listId])).result;
+  }
+
+  async revokeInvite(listId, token) {
+    const { store, result } = await this.run('revokeInvite', [listId, token]);
+    await this.record(store, result ? [{ op: 'invite-delete', listId, token }] : []);
+    return result;
+  }
+
+  async acceptInvite(token, userId) {
+    const { store, result } = await this.run('acceptInvite', [token, userId]);
+    await this.record(store, result ? [
+      { op: 'invite-delete', listId: result.listId, token },
+      { op: 'member', listId: result.listId, userId, role: result.role }
+    ] : []);
+    return result;
+  }
+
+  async getAllLists() {
+    return (await this.run('getAllLists')).result;
+  }
+
+  async getAllTodos(scope) {
+    return (await this.run('getAllTodos', [scope])).result;
+  }
+
+  async listTodos(query, scope) {
+    return (await this.run('listTodos', [query, scope])).result;
+  }
+
+  async searchTodos(text, limit, scope) {
+    return (await this.run('searchTodos', [text, limit, scope])).result;
+  }
+
+  async getTodoById(id, scope) {
+    return (await this.run('getTodoById', [id, scope])).result;
+  }
+
+  async createTodo(todo, scope) {
+    const { store, result } = await this.run('createTodo', [todo, scope]);
+    await this.record(store, [{ op: 'create', scope, todo: result }]);
+    return result;
+  }
+
+  async updateTodo(id, updates, scope, expectedVersion) {
+    const { store, result } = await this.run('updateTodo', [id, updates, scope, expectedVersion]);
+    await this.record(store, result && !result.conflict ? [updateChange(scope, result, updates)] : []);
+    return result;
+  }
+
+  async deleteTodo(id, scope, expectedVersion) {
+    const { store, result } = await this.run('deleteTodo', [id, scope, expectedVersion]);
+    await this.record(store, result && !result.conflict ? [{ op: 'delete', scope, id, todo: result }] : []);
+    return result;
+  }
+
+  async clearCompleted(scope) {
+    const { store, result } = await this.run('clearCompleted', [scope]);
+    await this.record(store, result.map(todo => ({ op: 'delete', scope, id: todo.id, todo })));
+    return result;
+  }
+
+  async applyBatch(operations, scope) {
+    const { store, result } = await this.run('applyBatch', [operations, scope]);
+    if (result.committed) {
+      await this.record(store, result.results.map((todo, index) => (
+        operations[index].op === 'delete' ? { op: 'delete', scope, id: todo.id, todo }
+          : operations[index].op === 'update' ? updateChange(scope, todo, operations[index].updates)
+            : { op: operations[index].op, scope, todo }
+      )));
+    }
+    return result;
+  }
+
+  async getTrash(scope) {
+    return (await this.run('getTrash', [scope])).result;
+  }
+
+  async restoreTodo(id, scope) {
+    const { store, result } = await this.run('restoreTodo', [id, scope]);
+    await this.record(store, result && !result.conflict ? [{ op: 'restore', scope, todo: result }] : []);
+    return result;
+  }
+
+  async purgeTodo(id, scope) {
+    const { store, result } = await this.run('purgeTodo', [id, scope]);
+    await this.record(store, result ? [{ op: 'purge', scope, id }] : []);
+    return result;
+  }
+
+  async expiredTrash(before, limit) {
+    return (await this.run('expiredTrash', [before, limit])).result;
+  }
+
+  // History written while Redis is away is journaled like the writes it
+  // describes. The fallback only keeps the entries made since it was last
+  // warmed, so during an outage older history is out of reach.
+  async appendHistory(entries, scope) {
+    const { store } = await this.run('appendHistory', [entries, scope]);
+    await this.record(store, [{ op: 'history', scope, entries }]);
+  }
+
+  async getTodoHistory(id, limit, scope) {
+    return (await this.run('getTodoHistory', [id, limit, scope])).result;
+  }
+
+  async getAuditLog(query, scope) {
+    return (await this.run('getAuditLog', [query, scope])).result;
+  }
+
+  async getStats(scope) {
+    return (await this.run('getStats', [scope])).result;
+  }
+
+  // Idempotency records are short-lived, so they are not journaled: while on
+  // the fallback they only protect retries that reach this instance
+  async claimIdempotencyKey(key, fingerprint, ttlMs) {
+    return (await this.run('claimIdempotencyKey', [key, fingerprint, ttlMs])).result;
+  }
+
+  async saveIdempotentResponse(key, fingerprint, response, ttlMs) {
+    await this.run('saveIdempotentResponse', [key, fingerprint, response, ttlMs]);
+  }
+
+  async releaseIdempotencyKey(key) {
+    await this.run('releaseIdempotencyKey', [key]);
+  }
+
+  // The recurrence schedule only tells the scheduler when to look (advancing a
+  // series never depends on it), so it is not journaled either: entries made
+  // on the fallback are lost when Redis returns, and those series move on
+  // when their todo is next completed
+  async scheduleRecurrence(scope, id, at) {
+    await this.run('scheduleRecurrence', [scope, id, at]);
+  }
+
+  async unscheduleRecurrence(scope, id) {
+    await this.run('unscheduleRecurrence', [scope, id]);
+  }
+
+  async dueRecurrences(now, limit) {
+    return (await this.run('dueRecurrences', [now, limit])).result;
+  }
+
+  // Reminders are not journaled for the same reason: ones scheduled on the
+  // fallback are lost when Redis returns, and ones scheduled in Redis before it
+  // went away wait there until it is back
+  async scheduleReminder(reminder, at) {
+    await this.run('scheduleReminder', [reminder, at]);
+  }
+
+  async dueReminders(now, limit) {
+    return (await this.run('dueReminders', [now, limit])).result;
+  }
+
+  async claimReminder(reminder) {
+    return (await this.run('claimReminder', [reminder])).result;
+  }
+
+  async getNotificationSettings(userId) {
+    return (await this.run('getNotificationSettings', [userId])).result;
+  }
+
+  async setNotificationSettings(userId, settings) {
+    const { store } = await this.run('setNotificationSettings', [userId, settings]);
+    await this.record(store, [{ op: 'notifications', userId, settings }]);
+  }
+
+  // While on the fallback this is a snapshot of what the fallback has, which
+  // may be behind Redis
+  async exportSnapshot() {
+    return (await this.run('exportSnapshot')).result;
+  }
+
+  // Restores go to Redis only, and are refused (null) while on the fallback:
+  // replaying a whole snapshot once Redis is back would undo everything other
+  // instances wrote to it in between
+  async restoreSnapshot(data, mode) {
+    if (this.active !== this.primary) return null;
+
+    let result;
+    try {
+      result = await this.primary.restoreSnapshot(data, mode);
+    } catch (error) {
+      if (this.primary.isConnected) throw error;
+      this.failover(error.message);
+      return null;
+    }
+    this.mirror([{ op: 'snapshot', data, mode }]);
+    return result;
+  }
+
+  // Pub/sub needs the primary; while on the fallback, messages only reach
+  // this instance
+  async publish(channel, message) {
+    if (this.active === this.primary) {
+      await this.primary.publish(channel, message);
+    }
+  }
+
+  async subscribe(channel, listener) {
+    await this.primary.subscribe(channel, listener);
+  }
+
+  async healthCheck() {
+    const health = await this.active.healthCheck();
+    return {
+      ...health,
+      mode: this.active === this.primary ? 'primary' : 'fallback',
+      failover: {
+        activeDriver: this.active.driver,
+        journaledWrites: this.journal.size,
+        reconnectAttempts: this.attempts,
+        nextRetryAt: this.nextRetryAt,
+        events: this.events,
+        rejectedWrites: this.rejectedWrites
+      }
+    };
+  }
+}
+
+module.exports = { FailoverStore, WriteJournal };
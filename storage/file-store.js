@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+const { defaultRank } = require('./ranks');
+const { HistoryRing } = require('./history');
+const logger = require('../logger');
+
+// Version 1 files only hold the pre-accounts list, version 2 adds users and
+// their lists, version 3 adds shared lists with their members and invitations,
+// version 4 gives every todo a version number and version 5 a position, version
+// 6 adds the recurrence schedule, version 7 reminders and notification settings,
+// version 8 the trash of every todo list and version 9 their audit logs
+const FILE_FORMAT_VERSION = 9;
+
+// Todos from files before version 4 start at version 1; before version 5 they
+// keep their newest-first order as their position
+function withDefaults(todos) {
+  return Array.isArray(todos)
+    ? todos.map(todo => ({ version: 1, position: defaultRank(todo), ...todo }))
+    : [];
+}
+
+// Keeps the todo list in a JSON file on local disk, for small deployments that
+// do not run Redis. Reads are served from memory; every mutation rewrites the file.
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super([]);
+    this.driver = 'file';
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      this.todos = withDefaults(data.todos);
+      this.users = Array.isArray(data.users) ? data.users : [];
+      this.todoLists = new Map(Object.entries(data.lists || {})
+        .map(([scope, todos]) => [scope, new MemoryStore(withDefaults(todos), this)]));
+      this.trash = Array.isArray(data.trash) ? data.trash : [];
+      for (const [scope, trash] of Object.entries(data.listTrash || {})) {
+        this.listFor(scope).trash = trash;
+      }
+      this.audit = new HistoryRing(undefined, Array.isArray(data.audit) ? data.audit : []);
+      for (const [scope, audit] of Object.entries(data.listAudit || {})) {
+        this.listFor(scope).audit = new HistoryRing(undefined, audit);
+      }
+      this.sharedLists = Array.isArray(data.sharedLists) ? data.sharedLists : [];
+      this.memberships = Array.isArray(data.memberships) ? data.memberships : [];
+      this.invites = Array.isArray(data.invites) ? data.invites : [];
+      this.recurrences = new Map(Array.isArray(data.recurrences) ? data.recurrences : []);
+      this.reminders = new Map(Array.isArray(data.reminders) ? data.reminders : []);
+      this.notificationSettings = new Map(Object.entries(data.notificationSettings || {}));
+      logger.info('Loaded todo file', { file: this.filePath, users: this.users.length });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read todo file', { file: this.filePath, error: error.message });
+        return false;
+      }
+
+      logger.info('Creating todo file', { file: this.filePath });
+      await this.persist();
+    }
+    return true;
+  }
+
+  async disconnect() {
+    await this.writeQueue;
+  }
+
+  // Writes are queued so they land in order, and each one goes through a
+  // temporary file plus rename so a crash never leaves a half-written file
+  persist() {
+    const lists = {};
+    const listTrash = {};
+    const listAudit = {};
+    this.todoLists.forEach((list, scope) => {
+      lists[scope] = list.todos;
+      listTrash[scope] = list.trash;
+      listAudit[scope] = list.audit;
+    });
+    const contents = JSON.stringify({
+      version: FILE_FORMAT_VERSION,
+      todos: this.todos,
+      trash: this.trash,
+      audit: this.audit,
+      users: this.users,
+      lists,
+      listTrash,
+      listAudit,
+      sharedLists: this.sharedLists,
+      memberships: this.memberships,
+      invites: this.invites,
+      recurrences: [...this.recurrences],
+      reminders: [...this.reminders],
+      notificationSettings: Object.fromEntries(this.notificationSettings)
+    }, null, 2);
+    const write = this.writeQueue.then(() => this.writeFile(contents));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async writeFile(contents) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async healthCheck() {
+    try {
+      await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+      return {
+        status: 'healthy',
+        message: `File storage at ${this.filePath}`
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        message: error.message
+      };
+    }
+  }
+}
+
+module.exports = { FileStore };
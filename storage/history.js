@@ -0,0 +1,150 @@
+// Change history of todos: who changed what, and when.
+//
+// Every write to a todo appends an entry to its list's audit log:
+//
+//   { id, todoId, action, actor, requestId, at, changes }
+//
+// action is created, updated, completed, deleted, restored or purged. actor is
+// the signed-in user as { id, username }, or null for changes the app makes by
+// itself (the next occurrence of a recurring todo, purging expired trash).
+// requestId names the request that made the change. changes maps each field
+// that changed to { from, to }, with null for a field the todo did not have.
+// Entries are never changed once written.
+
+const crypto = require('crypto');
+const { DETAIL_FIELDS } = require('./todo-fields');
+
+// Fields whose changes are recorded; updatedAt and version change with every write
+const HISTORY_FIELDS = ['text', 'completed', 'position', ...DETAIL_FIELDS];
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+// Entries kept per todo, and in each list's audit log
+const MAX_TODO_HISTORY = 100;
+const MAX_AUDIT_ENTRIES = 10000;
+
+function valueOf(todo, field) {
+  return todo && todo[field] !== undefined ? todo[field] : null;
+}
+
+// The fields that differ between two versions of a todo (either may be null)
+function diffTodos(before, after, fields = HISTORY_FIELDS) {
+  const changes = {};
+  for (const field of fields) {
+    const from = valueOf(before, field);
+    const to = valueOf(after, field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// What a write did to a todo, as { action, todo, changes } for historyEntry
+function created(todo) {
+  return { action: 'created', todo, changes: diffTodos(null, todo) };
+}
+
+// An update only accounts for the fields it set, so a write that got in
+// between reading `before` and this one does not show up as part of it.
+// Completing an open todo is an action of its own; reopening it is a plain
+// update. Returns null when the update changed nothing.
+function updated(before, after, updates) {
+  const changes = diffTodos(before, after, HISTORY_FIELDS.filter(field => updates[field] !== undefined));
+  if (Object.keys(changes).length === 0) return null;
+
+  const action = changes.completed && after.completed ? 'completed' : 'updated';
+  return { action, todo: after, changes };
+}
+
+// Deletes, restores and purges move the todo as it is
+function removed(action, todo) {
+  return { action, todo, changes: {} };
+}
+
+// A history entry for a change to `todo` made in `context` ({ actor, requestId })
+function historyEntry(action, todo, changes, context = {}) {
+  return {
+    id: crypto.randomUUID(),
+    todoId: todo.id,
+    action,
+    actor: context.actor || null,
+    requestId: context.requestId || null,
+    at: new Date().toISOString(),
+    changes
+  };
+}
+
+// Validate ?from=&to=&limit= for the audit log. Returns { query } with from and
+// to in ms (null when open-ended), or { error }.
+function parseAuditQuery(params) {
+  const query = { from: null, to: null, limit: DEFAULT_AUDIT_LIMIT };
+
+  for (const bound of ['from', 'to']) {
+    if (params[bound] === undefined) continue;
+    const at = Date.parse(params[bound]);
+    if (Number.isNaN(at)) {
+      return { error: `${bound} must be an ISO 8601 date` };
+    }
+    query[bound] = at;
+  }
+  if (query.from !== null && query.to !== null && query.from > query.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+      return { error: `limit must be an integer from 1 to ${MAX_AUDIT_LIMIT}` };
+    }
+    query.limit = limit;
+  }
+  return { query };
+}
+
+// Whether an entry was written within the query's time range
+function inRange(entry, { from, to }) {
+  const at = Date.parse(entry.at);
+  return (from === null || at >= from) && (to === null || at <= to);
+}
+
+// Keeps the last `capacity` entries, dropping the oldest ones
+class HistoryRing {
+  constructor(capacity = MAX_AUDIT_ENTRIES, entries = []) {
+    this.capacity = capacity;
+    this.entries = entries.slice(-capacity);
+  }
+
+  push(entries) {
+    this.entries.push(...entries);
+    if (this.entries.length > this.capacity) {
+      this.entries.splice(0, this.entries.length - this.capacity);
+    }
+  }
+
+  // Newest first
+  newest(filter, limit) {
+    const found = [];
+    for (let index = this.entries.length - 1; index >= 0 && found.length < limit; index--) {
+      if (filter(this.entries[index])) found.push(this.entries[index]);
+    }
+    return found;
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  MAX_TODO_HISTORY,
+  MAX_AUDIT_ENTRIES,
+  diffTodos,
+  created,
+  updated,
+  removed,
+  historyEntry,
+  parseAuditQuery,
+  inRange,
+  HistoryRing
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+const { FileStore } = require('./file-store');
+const { FailoverStore } = require('./failover-store');
+
+/*
+ * Storage adapter contract
+ *
+ * TodoService talks to exactly one store at a time. A store is any object with
+ * the async methods below; the Redis service, MemoryStore and FileStore are the
+ * built-in implementations. A todo is { id, text, completed, createdAt, updatedAt?,
+ * version, position?, dueDate?, priority?, notes?, tags?, ... }; version starts at 1
+ * and every update bumps it. position is the todo's rank in the manual order
+ * (storage/ranks.js). The optional details are described in storage/todo-fields.js.
+ * The Redis service is always wrapped in a FailoverStore, which falls back to a
+ * MemoryStore while Redis is unreachable and switches back once it returns.
+ *
+ * Every todo method takes an optional trailing scope naming the todo list it
+ * works on: a user id for that user's own list, or sharedListScope(listId) from
+ * storage/lists.js for a shared list. Without one it works on the list from
+ * before accounts existed, which is handed to the account LEGACY_TODOS_OWNER
+ * names (see storage/legacy-todos.js).
+ *
+ *   driver                    'redis' | 'memory' | 'file'
+ *   connect()              -> true when the store is usable, false otherwise
+ *   disconnect()           -> release connections / flush pending writes
+ *   createUser(user)       -> the stored user, or null when the username is taken;
+ *                             a user is { id, username, passwordHash, createdAt }
+ *   getUserByUsername(name)-> user | null
+ *   getUserById(id)        -> user | null
+ *   getAllUsers()          -> user[]
+ *   createList(list)       -> the stored shared list, with list.ownerId as its
+ *                             owner; a list is { id, name, ownerId, createdAt }
+ *   getList(id)            -> list | null
+ *   renameList(id, name)   -> the renamed list | null
+ *   deleteList(id)         -> the deleted list | null; its todos, members and
+ *                             invitations go with it
+ *   getListsForUser(userId)-> [list with the user's `role`] oldest first
+ *   getListRole(id, userId)-> 'owner' | 'editor' | 'viewer' | null
+ *   getListMembers(id)     -> [{ userId, role }]
+ *   setListMember(id, userId, role) -> { userId, role } | null for unknown lists
+ *   removeListMember(id, userId)    -> true when the user was a member
+ *   createInvite(invite)   -> invite | null for unknown lists; an invitation is
+ *                             { token, listId, role, createdBy, createdAt }
+ *   getInvites(listId)     -> invite[]
+ *   revokeInvite(listId, token)     -> the revoked invite | null
+ *   acceptInvite(token, userId)     -> { listId, role } | null; uses the
+ *                             invitation up, and never lowers an existing role
+ *   getAllLists()          -> every list with its `members` and `invites`
+ *   getAllTodos()          -> todo[] sorted newest first
+ *   listTodos(query)       -> { items, total, nextCursor } for a query built by
+ *                             parseListQuery() in storage/todo-query.js; stores
+ *                             without native support can return applyQuery(todos, query)
+ *   searchTodos(text, limit)-> [{ todo, score }] best match first; see
+ *                             storage/search-index.js for tokenising and ranking
+ *   getTodoById(id)        -> todo | null
+ *   createTodo(todo)       -> the stored todo (the caller assigns id/createdAt/version)
+ *   updateTodo(id, updates, scope, expectedVersion)
+ *                          -> the updated todo | null; updates holds text/completed,
+ *                             position and details, undefined fields are left
+ *                             alone, null details are removed, updatedAt and
+ *                             version are bumped. With expectedVersion, a todo at
+ *                             any other version is left alone and
+ *                             { conflict: true, todo } is returned; the check and
+ *                             the write must be atomic.
+ *   deleteTodo(id, scope, expectedVersion)
+ *                          -> the deleted todo | null | { conflict: true, todo },
+ *                             with the same version check. Deleted todos move to
+ *                             the list's trash, stamped with `deletedAt`
+ *   clearCompleted()       -> the deleted todos; must move them atomically
+ *   applyBatch(operations) -> { committed: true, results } or
+ *                             { committed: false, failedIndex, error }; all or nothing,
+ *                             with deletes moving todos to the trash like deleteTodo
+ *   getTrash()             -> the trashed todos, most recently deleted first
+ *   restoreTodo(id)        -> the todo moved back to the list, with its version
+ *                             bumped | null when it is not in the trash |
+ *                             { conflict: true, todo } when the list has a todo with its id
+ *   purgeTodo(id)          -> the todo removed from the trash for good | null
+ *   expiredTrash(before, limit)      -> up to `limit` { scope, id, at } for todos deleted
+ *                                       by `before` (ms) in every list, earliest first
+ *   appendHistory(entries) -> adds entries (storage/history.js) to the list's
+ *                             audit log, oldest first; the log and each todo's
+ *                             history may drop their oldest entries
+ *   getTodoHistory(id, limit)        -> up to `limit` entries for the todo, newest first;
+ *                                       purging the todo ends its history
+ *   getAuditLog(query)     -> up to query.limit entries written from query.from to
+ *                             query.to (ms, null for open-ended), newest first
+ *   getStats()             -> { total, completed, pending }
+ *   healthCheck()          -> { status, message }
+ *   claimIdempotencyKey(key, fingerprint, ttlMs)
+ *                          -> null when the key was free and is now claimed, or
+ *                             the stored { fingerprint, response } record (response
+ *                             is null while the first request is still running);
+ *                             checking and claiming must be atomic
+ *   saveIdempotentResponse(key, fingerprint, response, ttlMs) -> resolves once stored
+ *   releaseIdempotencyKey(key) -> forgets the key so it can be used again
+ *   scheduleRecurrence(scope, id, at) -> sets when a recurring todo is next due (ms)
+ *   unscheduleRecurrence(scope, id)   -> drops its entry, if any
+ *   dueRecurrences(now, limit)        -> up to `limit` { scope, id, at } entries due
+ *                                        by now, earliest first
+ *   scheduleReminder(reminder, at)    -> schedules a reminder { scope, id, dueDate, lead }
+ *                                        (see storage/reminders.js) for `at` (ms)
+ *   dueReminders(now, limit)          -> up to `limit` reminders due by now, with
+ *                                        their `at`, earliest first
+ *   claimReminder(reminder)           -> true when this call took the reminder off the
+ *                                        schedule; only one caller ever gets true
+ *   getNotificationSettings(userId)   -> the user's settings | null
+ *   setNotificationSettings(userId, settings) -> resolves once stored
+ *   exportSnapshot()       -> the data of a snapshot (storage/snapshots.js): every
+ *                             account, list, todo list with its trash and schedule;
+ *                             the todos must be read at a single point in time
+ *   restoreSnapshot(data, mode)      -> { users, lists, todos, trash } added. 'replace'
+ *                             empties the store first (audit logs stay), 'merge'
+ *                             only adds what has an id the store does not know;
+ *                             null when the store cannot take a restore now
+ *
+ * Stores shared by several server instances also offer pub/sub, which the
+ * change feed (change-feed.js) uses to reach clients on every instance:
+ *
+ *   publish(channel, message)       -> resolves once sent
+ *   subscribe(channel, listener)    -> listener(message) for each message
+ */
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', 'data', 'todos.json');
+const DEFAULT_JOURNAL_FILE = path.join(__dirname, '..', 'data', 'redis-journal.log');
+
+// Build the store selected by STORAGE_DRIVER (defaults to Redis)
+function createStore(driver = process.env.STORAGE_DRIVER || 'redis') {
+  switch (driver) {
+    case 'redis':
+      return new FailoverStore(require('../redis-service'), new MemoryStore(), {
+        journalFile: process.env.JOURNAL_FILE || DEFAULT_JOURNAL_FILE,
+        maxRetryDelay: Number(process.env.REDIS_MAX_RETRY_DELAY_MS) || undefined
+      });
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected redis, memory or file)`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, FailoverStore };
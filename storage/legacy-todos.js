@@ -0,0 +1,30 @@
+// The todos created before accounts existed.
+//
+// They stay in the store's unscoped list, which no account can reach, until
+// the account LEGACY_TODOS_OWNER names takes them over: when it registers, or
+// when the server starts if the account exists already. Nobody else ever gets
+// them, however early they sign up.
+
+// The username in LEGACY_TODOS_OWNER (usernames are case-insensitive), or null
+function legacyTodosOwner(env = process.env) {
+  return (env.LEGACY_TODOS_OWNER || '').trim().toLowerCase() || null;
+}
+
+// Move every legacy todo into the list of `userId`. Returns how many moved.
+async function adoptLegacyTodos(store, userId) {
+  const unowned = await store.getAllTodos();
+  if (unowned.length === 0) return 0;
+
+  // Deleting first claims the todos, so two adoptions cannot both take them
+  const claimed = await store.applyBatch(unowned.map(todo => ({ op: 'delete', id: todo.id })));
+  if (!claimed.committed) return 0;
+
+  await store.applyBatch(claimed.results.map(({ deletedAt, ...todo }) => ({ op: 'create', todo })), userId);
+  // They moved rather than being deleted, so they do not stay in the trash
+  for (const todo of claimed.results) {
+    await store.purgeTodo(todo.id);
+  }
+  return claimed.results.length;
+}
+
+module.exports = { legacyTodosOwner, adoptLegacyTodos };
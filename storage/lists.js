@@ -0,0 +1,55 @@
+// Roles and validation for shared todo lists.
+//
+// Every member of a shared list has one role. Viewers can read its todos,
+// editors can also change them, and the owner can also rename or delete the
+// list and manage its members and invitation links.
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const INVITE_ROLES = ['viewer', 'editor'];
+const MAX_LIST_NAME_LENGTH = 100;
+
+// True when `role` allows everything `required` does
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The store scope a shared list's todos live under. Personal lists are scoped
+// by their user's id (see the storage adapter contract).
+function sharedListScope(listId) {
+  return `list:${listId}`;
+}
+
+// The shared list a scope names, or null for a personal list's scope
+function sharedListId(scope) {
+  return typeof scope === 'string' && scope.startsWith('list:') ? scope.slice('list:'.length) : null;
+}
+
+// Validate a list name from a request body. Returns { name } or { error }.
+function parseListName(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'List name is required' };
+  }
+  if (name.length > MAX_LIST_NAME_LENGTH) {
+    return { error: `List name must be at most ${MAX_LIST_NAME_LENGTH} characters` };
+  }
+  return { name };
+}
+
+// Validate the role given to an invitation or a member. Owners cannot be
+// created this way, so a list always has exactly one. Returns { role } or { error }.
+function parseMemberRole(body = {}) {
+  if (!INVITE_ROLES.includes(body.role)) {
+    return { error: `Role must be one of: ${INVITE_ROLES.join(', ')}` };
+  }
+  return { role: body.role };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  sharedListScope,
+  sharedListId,
+  parseListName,
+  parseMemberRole
+};
@@ -0,0 +1,652 @@
+const { v4: uuidv4 } = require('uuid');
+const { applyQuery } = require('./todo-query');
+const { MemorySearchIndex } = require('./search-index');
+const { hasRole, sharedListScope } = require('./lists');
+const { applyTodoDetails } = require('./todo-fields');
+const { rankBetween } = require('./ranks');
+const { scheduleEntry, parseScheduleEntry } = require('./recurrence');
+const { reminderEntry, parseReminderEntry } = require('./reminders');
+const { HistoryRing, inRange } = require('./history');
+
+// Idempotency records kept before the least recently used are dropped
+const MAX_IDEMPOTENCY_RECORDS = 10000;
+
+// Seed data for a new account
+function createDefaultTodos() {
+  const first = rankBetween(null, null);
+  return [
+    {
+      id: uuidv4(),
+      text: 'Welcome to your DevOps To-Do App!',
+      completed: false,
+      createdAt: new Date().toISOString(),
+      version: 1,
+      position: first
+    },
+    {
+      id: uuidv4(),
+      text: 'Set up CI/CD pipeline',
+      completed: true,
+      createdAt: new Date().toISOString(),
+      version: 1,
+      position: rankBetween(first, null)
+    }
+  ];
+}
+
+// Todos stored before versions existed count as version 1
+function versionOf(todo) {
+  return todo.version || 1;
+}
+
+// A deleted todo as it is kept in the trash
+function trashed(todo, deletedAt) {
+  return { ...todo, deletedAt };
+}
+
+// Keeps todos in a plain array. Every mutation runs synchronously, so each one
+// is atomic with respect to other requests; subclasses persist via persist().
+//
+// this.todos is the list from before accounts existed. Every other todo list (a
+// user's own, or a shared one) is a MemoryStore of its own (see listFor); todo
+// methods called with a scope are handed to it. Each list keeps the todos
+// deleted from it in this.trash, and the latest entries of its audit log in
+// this.audit.
+class MemoryStore {
+  constructor(todos = [], owner = null) {
+    this.driver = 'memory';
+    this.owner = owner;
+    this.searchIndex = new MemorySearchIndex();
+    this.todos = todos;
+    this.trash = [];
+    this.audit = new HistoryRing();
+    this.users = [];
+    this.todoLists = new Map();
+    this.sharedLists = [];
+    this.memberships = [];
+    this.invites = [];
+    // Idempotency key -> { record, expiresAt }, least recently used first
+    this.idempotencyRecords = new Map();
+    // Schedule entry of a recurring todo -> when it is due (ms)
+    this.recurrences = new Map();
+    // Reminder entry -> when it is due (ms)
+    this.reminders = new Map();
+    // User id -> notification settings
+    this.notificationSettings = new Map();
+  }
+
+  get todos() {
+    return this.todoList;
+  }
+
+  // Replacing the whole list (a load, a batch, a failover resync) marks the
+  // search index stale; it is rebuilt on the next search
+  set todos(todos) {
+    this.todoList = todos;
+    this.searchIndexStale = true;
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async disconnect() {}
+
+  // Hook for subclasses that keep a durable copy of this.todos. A scoped list
+  // is saved by the store that owns it.
+  async persist() {
+    if (this.owner) {
+      await this.owner.persist();
+    }
+  }
+
+  // The todo list for a scope, or the pre-accounts list when there is none
+  listFor(scope) {
+    if (!scope) return this;
+
+    if (!this.todoLists.has(scope)) {
+      this.todoLists.set(scope, new MemoryStore([], this));
+    }
+    return this.todoLists.get(scope);
+  }
+
+  async createUser(user) {
+    if (this.users.some(existing => existing.username === user.username)) {
+      return null;
+    }
+
+    this.users.push(user);
+    this.listFor(user.id);
+    await this.persist();
+    return user;
+  }
+
+  async getUserByUsername(username) {
+    return this.users.find(user => user.username === username) || null;
+  }
+
+  async getUserById(id) {
+    return this.users.find(user => user.id === id) || null;
+  }
+
+  async getAllUsers() {
+    return [...this.users];
+  }
+
+  async createList(list) {
+    this.sharedLists.push(list);
+    this.memberships.push({ listId: list.id, userId: list.ownerId, role: 'owner' });
+    await this.persist();
+    return list;
+  }
+
+  async getList(id) {
+    return this.sharedLists.find(list => list.id === id) || null;
+  }
+
+  async renameList(id, name) {
+    const list = this.sharedLists.find(list => list.id === id);
+    if (!list) return null;
+
+    list.name = name;
+    await this.persist();
+    return list;
+  }
+
+  // Removes the list together with its todos, members and invitations
+  async deleteList(id) {
+    const list = this.sharedLists.find(list => list.id === id);
+    if (!list) return null;
+
+    this.sharedLists = this.sharedLists.filter(other => other !== list);
+    this.memberships = this.memberships.filter(membership => membership.listId !== id);
+    this.invites = this.invites.filter(invite => invite.listId !== id);
+    this.todoLists.delete(sharedListScope(id));
+    await this.persist();
+    return list;
+  }
+
+  async getListsForUser(userId) {
+    return this.memberships
+      .filter(membership => membership.userId === userId)
+      .map(membership => ({ ...this.sharedLists.find(list => list.id === membership.listId), role: membership.role }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async getListRole(id, userId) {
+    const membership = this.memberships.find(membership => membership.listId === id && membership.userId === userId);
+    return membership ? membership.role : null;
+  }
+
+  async getListMembers(id) {
+    return this.memberships
+      .filter(membership => membership.listId === id)
+      .map(({ userId, role }) => ({ userId, role }));
+  }
+
+  async setListMember(id, userId, role) {
+    if (!this.sharedLists.some(list => list.id === id)) return null;
+
+    const others = this.memberships.filter(membership => !(membership.listId === id && membership.userId === userId));
+    this.memberships = [...others, { listId: id, userId, role }];
+    await this.persist();
+    return { userId, role };
+  }
+
+  async removeListMember(id, userId) {
+    const remaining = this.memberships.filter(membership => !(membership.listId === id && membership.userId === userId));
+    if (remaining.length === this.memberships.length) return false;
+
+    this.memberships = remaining;
+    await this.persist();
+    return true;
+  }
+
+  async createInvite(invite) {
+    if (!this.sharedLists.some(list => list.id === invite.listId)) return null;
+
+    this.invites.push(invite);
+    await this.persist();
+    return invite;
+  }
+
+  async getInvites(listId) {
+    return this.invites.filter(invite => invite.listId === listId);
+  }
+
+  async revokeInvite(listId, token) {
+    const invite = this.invites.find(invite => invite.listId === listId && invite.token === token);
+    if (!invite) return null;
+
+    this.invites = this.invites.filter(other => other !== invite);
+    await this.persist();
+    return invite;
+  }
+
+  // Invitations are single use. A member keeps their role if it is already at
+  // least the invited one.
+  async acceptInvite(token, userId) {
+    const invite = this.invites.find(invite => invite.token === token);
+    if (!invite) return null;
+
+    this.invites = this.invites.filter(other => other !== invite);
+    const membership = this.memberships.find(membership => membership.listId === invite.listId && membership.userId === userId);
+    if (!membership) {
+      this.memberships.push({ listId: invite.listId, userId, role: invite.role });
+    } else if (!hasRole(membership.role, invite.role)) {
+      membership.role = invite.role;
+    }
+
+    await this.persist();
+    return { listId: invite.listId, role: membership ? membership.role : invite.role };
+  }
+
+  async getAllLists() {
+    return this.listsWithMembers();
+  }
+
+  listsWithMembers() {
+    return this.sharedLists.map(list => ({
+      ...list,
+      members: this.memberships
+        .filter(membership => membership.listId === list.id)
+        .map(({ userId, role }) => ({ userId, role })),
+      invites: this.invites.filter(invite => invite.listId === list.id)
+    }));
+  }
+
+  async getAllTodos(scope) {
+    if (scope) return this.listFor(scope).getAllTodos();
+
+    return [...this.todos].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async listTodos(query, scope) {
+    if (scope) return this.listFor(scope).listTodos(query);
+
+    return applyQuery(this.todos, query);
+  }
+
+  async searchTodos(text, limit, scope) {
+    if (scope) return this.listFor(scope).searchTodos(text, limit);
+
+    if (this.searchIndexStale) {
+      this.searchIndex.rebuild(this.todos);
+      this.searchIndexStale = false;
+    }
+    return this.searchIndex.search(text, this.todos, limit);
+  }
+
+  async getTodoById(id, scope) {
+    if (scope) return this.listFor(scope).getTodoById(id);
+
+    return this.todos.find(todo => todo.id === id) || null;
+  }
+
+  async createTodo(todo, scope) {
+    if (scope) return this.listFor(scope).createTodo(todo);
+
+    this.todos.push(todo);
+    this.searchIndex.add(todo);
+    await this.persist();
+    return todo;
+  }
+
+  async updateTodo(id, updates, scope, expectedVersion) {
+    if (scope) return this.listFor(scope).updateTodo(id, updates, null, expectedVersion);
+
+    const todo = this.todos.find(todo => todo.id === id);
+    if (!todo) return null;
+    if (expectedVersion !== undefined && versionOf(todo) !== expectedVersion) {
+      return { conflict: true, todo: { ...todo } };
+    }
+
+    if (updates.text !== undefined) {
+      todo.text = updates.text;
+      this.searchIndex.add(todo);
+    }
+    if (updates.completed !== undefined) {
+      todo.completed = updates.completed;
+    }
+    if (updates.position !== undefined) {
+      todo.position = updates.position;
+    }
+    applyTodoDetails(todo, updates);
+    todo.updatedAt = new Date().toISOString();
+    todo.version = versionOf(todo) + 1;
+
+    await this.persist();
+    return todo;
+  }
+
+  async deleteTodo(id, scope, expectedVersion) {
+    if (scope) return this.listFor(scope).deleteTodo(id, null, expectedVersion);
+
+    const todoIndex = this.todos.findIndex(todo => todo.id === id);
+    if (todoIndex === -1) return null;
+    if (expectedVersion !== undefined && versionOf(this.todos[todoIndex]) !== expectedVersion) {
+      return { conflict: true, todo: { ...this.todos[todoIndex] } };
+    }
+
+    const [deletedTodo] = this.todos.splice(todoIndex, 1);
+    this.searchIndex.remove(id);
+    const trashedTodo = trashed(deletedTodo, new Date().toISOString());
+    this.moveToTrash([trashedTodo]);
+    await this.persist();
+    return trashedTodo;
+  }
+
+  async clearCompleted(scope) {
+    if (scope) return this.listFor(scope).clearCompleted();
+
+    // Partition synchronously so no other request can interleave
+    const deletedAt = new Date().toISOString();
+    const completedTodos = this.todos.filter(todo => todo.completed).map(todo => trashed(todo, deletedAt));
+    this.todos = this.todos.filter(todo => !todo.completed);
+    this.moveToTrash(completedTodos);
+
+    await this.persist();
+    return completedTodos;
+  }
+
+  // Put deleted todos in the trash, replacing any older entry with the same id
+  moveToTrash(todos) {
+    const ids = new Set(todos.map(todo => todo.id));
+    this.trash = [...this.trash.filter(todo => !ids.has(todo.id)), ...todos];
+  }
+
+  async getTrash(scope) {
+    if (scope) return this.listFor(scope).getTrash();
+
+    return [...this.trash].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  async restoreTodo(id, scope) {
+    if (scope) return this.listFor(scope).restoreTodo(id);
+
+    const trashIndex = this.trash.findIndex(todo => todo.id === id);
+    if (trashIndex === -1) return null;
+    const current = this.todos.find(todo => todo.id === id);
+    if (current) {
+      return { conflict: true, todo: { ...current } };
+    }
+
+    const [{ deletedAt, ...todo }] = this.trash.splice(trashIndex, 1);
+    todo.updatedAt = new Date().toISOString();
+    todo.version = versionOf(todo) + 1;
+    this.todos.push(todo);
+    this.searchIndex.add(todo);
+    await this.persist();
+    return todo;
+  }
+
+  async purgeTodo(id, scope) {
+    if (scope) return this.listFor(scope).purgeTodo(id);
+
+    const trashIndex = this.trash.findIndex(todo => todo.id === id);
+    if (trashIndex === -1) return null;
+
+    const [purgedTodo] = this.trash.splice(trashIndex, 1);
+    await this.persist();
+    return purgedTodo;
+  }
+
+  // Every list's trash is checked, the pre-accounts list's included
+  async expiredTrash(before, limit) {
+    const lists = [[null, this], ...this.todoLists];
+    return lists
+      .flatMap(([scope, list]) => list.trash.map(todo => ({ scope, id: todo.id, at: Date.parse(todo.deletedAt) })))
+      .filter(entry => entry.at <= before)
+      .sort((a, b) => a.at - b.at)
+      .slice(0, limit);
+  }
+
+  async appendHistory(entries, scope) {
+    if (scope) return this.listFor(scope).appendHistory(entries);
+
+    this.audit.push(entries);
+    await this.persist();
+  }
+
+  async getTodoHistory(id, limit, scope) {
+    if (scope) return this.listFor(scope).getTodoHistory(id, limit);
+
+    // Purging a todo ends its history; a todo created again with its id starts afresh
+    let purged = false;
+    return this.audit.newest(entry => {
+      if (purged || entry.todoId !== id) return false;
+      purged = entry.action === 'purged';
+      return !purged;
+    }, limit);
+  }
+
+  async getAuditLog(query, scope) {
+    if (scope) return this.listFor(scope).getAuditLog(query);
+
+    return this.audit.newest(entry => inRange(entry, query), query.limit);
+  }
+
+  async applyBatch(operations, scope) {
+    if (scope) return this.listFor(scope).applyBatch(operations);
+
+    // Apply to a working copy and only swap it in once every operation succeeded
+    const workingCopy = this.todos.map(todo => ({ ...todo }));
+    const results = [];
+    const deleted = [];
+    const deletedAt = new Date().toISOString();
+
+    for (const [index, operation] of operations.entries()) {
+      if (operation.op === 'create') {
+        const todo = { ...operation.todo };
+        workingCopy.push(todo);
+        results.push({ ...todo });
+        continue;
+      }
+
+      const todoIndex = workingCopy.findIndex(todo => todo.id === operation.id);
+      if (todoIndex === -1) {
+        return { committed: false, failedIndex: index, error: 'Todo not found' };
+      }
+
+      if (operation.op === 'delete') {
+        const trashedTodo = trashed(workingCopy.splice(todoIndex, 1)[0], deletedAt);
+        deleted.push(trashedTodo);
+        results.push(trashedTodo);
+        continue;
+      }
+
+      const todo = workingCopy[todoIndex];
+      if (operation.updates.text !== undefined) {
+        todo.text = operation.updates.text;
+      }
+      if (operation.updates.completed !== undefined) {
+        todo.completed = operation.updates.completed;
+      }
+      if (operation.updates.position !== undefined) {
+        todo.position = operation.updates.position;
+      }
+      applyTodoDetails(todo, operation.updates);
+      todo.updatedAt = new Date().toISOString();
+      todo.version = versionOf(todo) + 1;
+      results.push({ ...todo });
+    }
+
+    this.todos = workingCopy;
+    this.moveToTrash(deleted);
+    await this.persist();
+    return { committed: true, results };
+  }
+
+  async getStats(scope) {
+    if (scope) return this.listFor(scope).getStats();
+
+    const completed = this.todos.filter(todo => todo.completed).length;
+    return {
+      total: this.todos.length,
+      completed,
+      pending: this.todos.length - completed
+    };
+  }
+
+  async claimIdempotencyKey(key, fingerprint, ttlMs) {
+    const entry = this.idempotencyRecords.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move it to the most recently used end
+      this.idempotencyRecords.delete(key);
+      this.idempotencyRecords.set(key, entry);
+      return entry.record;
+    }
+
+    this.rememberIdempotencyRecord(key, { fingerprint, response: null }, ttlMs);
+    return null;
+  }
+
+  async saveIdempotentResponse(key, fingerprint, response, ttlMs) {
+    this.rememberIdempotencyRecord(key, { fingerprint, response }, ttlMs);
+  }
+
+  async releaseIdempotencyKey(key) {
+    this.idempotencyRecords.delete(key);
+  }
+
+  rememberIdempotencyRecord(key, record, ttlMs) {
+    this.idempotencyRecords.delete(key);
+    this.idempotencyRecords.set(key, { record, expiresAt: Date.now() + ttlMs });
+    while (this.idempotencyRecords.size > MAX_IDEMPOTENCY_RECORDS) {
+      this.idempotencyRecords.delete(this.idempotencyRecords.keys().next().value);
+    }
+  }
+
+  async scheduleRecurrence(scope, id, at) {
+    this.recurrences.set(scheduleEntry(scope, id), at);
+    await this.persist();
+  }
+
+  async unscheduleRecurrence(scope, id) {
+    if (this.recurrences.delete(scheduleEntry(scope, id))) {
+      await this.persist();
+    }
+  }
+
+  async dueRecurrences(now, limit) {
+    return [...this.recurrences]
+      .filter(([, at]) => at <= now)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, limit)
+      .map(([entry, at]) => parseScheduleEntry(entry, at));
+  }
+
+  async scheduleReminder(reminder, at) {
+    this.reminders.set(reminderEntry(reminder), at);
+    await this.persist();
+  }
+
+  async dueReminders(now, limit) {
+    return [...this.reminders]
+      .filter(([, at]) => at <= now)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, limit)
+      .map(([entry, at]) => parseReminderEntry(entry, at));
+  }
+
+  async claimReminder(reminder) {
+    const claimed = this.reminders.delete(reminderEntry(reminder));
+    if (claimed) {
+      await this.persist();
+    }
+    return claimed;
+  }
+
+  async getNotificationSettings(userId) {
+    return this.notificationSettings.get(userId) || null;
+  }
+
+  async setNotificationSettings(userId, settings) {
+    this.notificationSettings.set(userId, settings);
+    await this.persist();
+  }
+
+  // A copy of everything but idempotency records and audit logs, taken in one
+  // go so no other request can change it halfway (see storage/snapshots.js)
+  async exportSnapshot() {
+    return structuredClone({
+      users: this.users,
+      lists: this.listsWithMembers(),
+      notificationSettings: Object.fromEntries(this.notificationSettings),
+      todoLists: [[null, this], ...this.todoLists].map(([scope, list]) => ({ scope, todos: list.todos, trash: list.trash })),
+      recurrences: [...this.recurrences],
+      reminders: [...this.reminders]
+    });
+  }
+
+  async restoreSnapshot(data, mode) {
+    const restored = this.applySnapshot(data, mode);
+    await this.persist();
+    return restored;
+  }
+
+  // Replacing empties the store first, keeping only the audit logs. Merging
+  // adds what the store lacks: accounts whose id and username are both free,
+  // lists and todos with unknown ids (a todo counts as known in its list or
+  // its trash), and settings and schedule entries it has none of.
+  applySnapshot(data, mode) {
+    if (mode === 'replace') {
+      this.users = [];
+      this.sharedLists = [];
+      this.memberships = [];
+      this.invites = [];
+      this.notificationSettings = new Map();
+      this.recurrences = new Map();
+      this.reminders = new Map();
+      for (const list of [this, ...this.todoLists.values()]) {
+        list.todos = [];
+        list.trash = [];
+      }
+    }
+
+    const { users, lists, notificationSettings, todoLists, recurrences, reminders } = structuredClone(data);
+    const restored = { users: 0, lists: 0, todos: 0, trash: 0 };
+    for (const user of users) {
+      if (this.users.some(existing => existing.id === user.id || existing.username === user.username)) continue;
+      this.users.push(user);
+      this.listFor(user.id);
+      restored.users++;
+    }
+    for (const { members, invites, ...list } of lists) {
+      if (this.sharedLists.some(existing => existing.id === list.id)) continue;
+      this.sharedLists.push(list);
+      this.memberships.push(...members.map(({ userId, role }) => ({ listId: list.id, userId, role })));
+      this.invites.push(...invites);
+      restored.lists++;
+    }
+    for (const [userId, settings] of Object.entries(notificationSettings)) {
+      if (!this.notificationSettings.has(userId)) this.notificationSettings.set(userId, settings);
+    }
+    for (const { scope, todos, trash } of todoLists) {
+      const list = this.listFor(scope);
+      const known = new Set([...list.todos, ...list.trash].map(todo => todo.id));
+      const newTodos = todos.filter(todo => !known.has(todo.id));
+      newTodos.forEach(todo => known.add(todo.id));
+      const newTrash = trash.filter(todo => !known.has(todo.id));
+      list.todos = [...list.todos, ...newTodos];
+      list.trash = [...list.trash, ...newTrash];
+      restored.todos += newTodos.length;
+      restored.trash += newTrash.length;
+    }
+    for (const [schedule, entries] of [[this.recurrences, recurrences], [this.reminders, reminders]]) {
+      for (const [entry, at] of entries) {
+        if (!schedule.has(entry)) schedule.set(entry, at);
+      }
+    }
+    return restored;
+  }
+
+  async healthCheck() {
+    return {
+      status: 'in-memory',
+      message: 'Using in-memory storage'
+    };
+  }
+}
+
+module.exports = { MemoryStore, createDefaultTodos };
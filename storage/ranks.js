@@ -0,0 +1,103 @@
+// Rank keys for the manual order of todos.
+//
+// A todo's `position` is a string of base-36 digits, and the manual order of a
+// list is the plain string order of these keys. There is always a key between
+// two others, so moving a todo only changes that todo. Keys never end in "0",
+// which keeps the room between two keys from running out.
+
+const crypto = require('crypto');
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+// The key of the only todo in a list
+const FIRST_RANK = 'i';
+// Random digits added to new keys, so two writers putting a todo into the same
+// gap at once (two devices adding a todo, say) still get different keys
+const JITTER_DIGITS = 4;
+// Todos stored before positions existed sort newest first: the digits of
+// (MAX_TIME - createdAt) sort the other way round from the creation times
+const MAX_TIME = 36 ** 9 - 1;
+
+// A key between `before` and `after`; either may be null for the top or the
+// bottom of the list. Moving to the top or bottom steps one digit past the
+// first or last key, so doing it over and over only grows keys slowly.
+function rankBetween(before, after) {
+  let rank;
+  if (before === null && after === null) {
+    rank = FIRST_RANK;
+  } else if (before === null) {
+    rank = rankBefore(after);
+  } else if (after === null) {
+    rank = rankAfter(before);
+  } else if (before < after) {
+    rank = midpoint(before, after);
+  } else {
+    throw new Error(`Rank ${before} does not come before ${after}`);
+  }
+
+  // Anything starting with the key still sorts before `after`, unless the key
+  // is the start of `after` itself
+  if (after !== null && after.startsWith(rank)) {
+    return rank;
+  }
+  return rank + jitter();
+}
+
+function rankBefore(key) {
+  const index = [...key].findIndex(digit => digit !== '0');
+  const digit = DIGITS.indexOf(key[index]);
+  // "1" steps down to "0z", as keys cannot end in 0
+  return key.slice(0, index) + (digit > 1 ? DIGITS[digit - 1] : '0z');
+}
+
+function rankAfter(key) {
+  const index = [...key].findIndex(digit => digit !== 'z');
+  if (index === -1) {
+    return key + FIRST_RANK;
+  }
+  return key.slice(0, index) + DIGITS[DIGITS.indexOf(key[index]) + 1];
+}
+
+// The shortest key between a and b, digit by digit; b === null has no upper bound
+function midpoint(a, b) {
+  if (b !== null) {
+    let common = 0;
+    while ((a[common] || '0') === b[common]) common++;
+    if (common > 0) {
+      return b.slice(0, common) + midpoint(a.slice(common), b.slice(common));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Neighbouring digits: b's first digit on its own is between when b goes on
+  if (b !== null && b.length > 1) {
+    return b[0];
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function jitter() {
+  let digits = '';
+  for (let i = 0; i < JITTER_DIGITS; i++) {
+    // The last digit is never 0
+    digits += DIGITS[crypto.randomInt(i === JITTER_DIGITS - 1 ? 1 : 0, DIGITS.length)];
+  }
+  return digits;
+}
+
+// Where a todo stored without a position sorts: by creation date, newest
+// first, then by id (UUID digits are base-36 digits too)
+function defaultRank(todo) {
+  const time = Date.parse(todo.createdAt) || 0;
+  const id = String(todo.id || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+  return (MAX_TIME - time).toString(36).padStart(9, '0') + id + FIRST_RANK;
+}
+
+function positionOf(todo) {
+  return todo.position || defaultRank(todo);
+}
+
+module.exports = { rankBetween, defaultRank, positionOf };
@@ -0,0 +1,178 @@
+// Recurrence rules for todos that come back on a schedule.
+//
+// A rule is a subset of the iCalendar RRULE format (RFC 5545), stored
+// normalized, e.g. "FREQ=WEEKLY;BYDAY=MO,TH" or "FREQ=DAILY;INTERVAL=3":
+//
+//   FREQ        DAILY, WEEKLY, MONTHLY or YEARLY
+//   INTERVAL    every N days/weeks/months/years (default 1)
+//   BYDAY       weekly only: the weekdays, MO to SU
+//   BYMONTHDAY  monthly only: the day of the month, 1 to 31 or -1 for the last;
+//               months without that day use their last one
+//   UNTIL       the last date (YYYYMMDD) or time (YYYYMMDDTHHMMSSZ) it can fall on
+//
+// "daily", "weekly", "monthly" and "yearly" are accepted as shorthands.
+// Occurrences are counted from the todo's due date and keep its time of day (in UTC).
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 999;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+// Validate a recurrence rule. Returns { rule } (normalized) or { error }.
+function parseRecurrence(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { error: 'Recurrence must be a rule such as FREQ=WEEKLY;BYDAY=MO' };
+  }
+
+  const text = value.trim().replace(/^RRULE:/i, '').toUpperCase();
+  const parts = FREQUENCIES.includes(text) ? { FREQ: text } : {};
+  if (!parts.FREQ) {
+    for (const part of text.split(';')) {
+      const [name, partValue, extra] = part.split('=');
+      if (!name || partValue === undefined || extra !== undefined || parts[name] !== undefined) {
+        return { error: `Invalid recurrence rule part "${part}"` };
+      }
+      parts[name] = partValue;
+    }
+  }
+
+  const unknown = Object.keys(parts).find(name => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL'].includes(name));
+  if (unknown) {
+    return { error: `Recurrence rules do not support ${unknown}` };
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  const normalized = [`FREQ=${parts.FREQ}`];
+  if (parts.INTERVAL !== undefined) {
+    const interval = Number(parts.INTERVAL);
+    if (!/^\d+$/.test(parts.INTERVAL) || interval < 1 || interval > MAX_INTERVAL) {
+      return { error: `INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}` };
+    }
+    if (interval > 1) normalized.push(`INTERVAL=${interval}`);
+  }
+
+  if (parts.BYDAY !== undefined) {
+    const days = parts.BYDAY.split(',');
+    if (parts.FREQ !== 'WEEKLY' || days.some(day => !WEEKDAYS.includes(day))) {
+      return { error: 'BYDAY is a list of weekdays (MO to SU) for weekly rules' };
+    }
+    // Monday first, as RRULE weeks start on Monday
+    const ordered = [...WEEKDAYS.slice(1), WEEKDAYS[0]].filter(day => days.includes(day));
+    normalized.push(`BYDAY=${ordered.join(',')}`);
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    const day = Number(parts.BYMONTHDAY);
+    if (parts.FREQ !== 'MONTHLY' || !/^-?\d+$/.test(parts.BYMONTHDAY) || !(day === -1 || (day >= 1 && day <= 31))) {
+      return { error: 'BYMONTHDAY is a day of the month (1 to 31, or -1 for the last) for monthly rules' };
+    }
+    normalized.push(`BYMONTHDAY=${day}`);
+  }
+
+  if (parts.UNTIL !== undefined) {
+    if (untilTime(parts.UNTIL) === null) {
+      return { error: 'UNTIL must be a date (YYYYMMDD) or UTC time (YYYYMMDDTHHMMSSZ)' };
+    }
+    normalized.push(`UNTIL=${parts.UNTIL}`);
+  }
+
+  return { rule: normalized.join(';') };
+}
+
+// The ms timestamp of an UNTIL value; a date alone lasts until the end of its day
+function untilTime(value) {
+  const match = String(value).match(UNTIL_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  const time = Number.isNaN(hours)
+    ? Date.UTC(year, month - 1, day + 1) - 1
+    : Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? time : null;
+}
+
+function ruleParts(rule) {
+  return Object.fromEntries(rule.split(';').map(part => part.split('=')));
+}
+
+// `anchor` moved by whole months, on `day` (or -1 for the last day), clamped
+// to the length of the month
+function addMonths(anchor, months, day) {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, day === -1 ? lastDay : Math.min(day, lastDay),
+    anchor.getUTCHours(), anchor.getUTCMinutes(), anchor.getUTCSeconds(), anchor.getUTCMilliseconds()));
+}
+
+// The first occurrence of `rule` after both the due date `anchor` and `after`
+// (ms, defaulting to now), counted from anchor; missed ones are skipped.
+// Returns an ISO timestamp, or null once the rule has run out (UNTIL).
+function nextOccurrence(rule, anchorIso, after = Date.now()) {
+  const parts = ruleParts(rule);
+  const interval = Number(parts.INTERVAL || 1);
+  const anchor = new Date(anchorIso);
+  const from = Math.max(anchor.getTime(), after);
+  let next;
+
+  if (parts.FREQ === 'DAILY' || (parts.FREQ === 'WEEKLY' && !parts.BYDAY)) {
+    const step = interval * (parts.FREQ === 'DAILY' ? 1 : 7) * DAY_MS;
+    const steps = Math.floor((from - anchor.getTime()) / step) + 1;
+    next = new Date(anchor.getTime() + steps * step);
+  } else if (parts.FREQ === 'WEEKLY') {
+    // Weeks run Monday to Sunday; only every interval-th week counts
+    const days = parts.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day));
+    const anchorWeek = Math.floor((anchor.getTime() / DAY_MS + 3) / 7);
+    const firstDay = Math.max(1, Math.floor((from - anchor.getTime()) / DAY_MS) - 7);
+    for (let offset = firstDay; offset <= firstDay + 7 * interval + 14; offset++) {
+      const candidate = new Date(anchor.getTime() + offset * DAY_MS);
+      const week = Math.floor((candidate.getTime() / DAY_MS + 3) / 7);
+      if (candidate.getTime() > from && days.includes(candidate.getUTCDay()) && (week - anchorWeek) % interval === 0) {
+        next = candidate;
+        break;
+      }
+    }
+  } else {
+    const months = interval * (parts.FREQ === 'YEARLY' ? 12 : 1);
+    const day = parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : anchor.getUTCDate();
+    const fromDate = new Date(from);
+    const elapsed = (fromDate.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + fromDate.getUTCMonth() - anchor.getUTCMonth();
+    let steps = Math.max(0, Math.floor(elapsed / months) - 1);
+    do {
+      next = addMonths(anchor, steps * months, day);
+      steps++;
+    } while (next.getTime() <= from);
+  }
+
+  if (parts.UNTIL && next.getTime() > untilTime(parts.UNTIL)) {
+    return null;
+  }
+  return next.toISOString();
+}
+
+// The rule an occurrence hands on to the next one. Monthly rules keep the day
+// of the month of the first due date, so a todo due on the 31st comes back on
+// the 31st after a shorter month.
+function pinRule(rule, anchorIso) {
+  const parts = ruleParts(rule);
+  if (parts.FREQ !== 'MONTHLY' || parts.BYMONTHDAY) {
+    return rule;
+  }
+  return parseRecurrence(`${rule};BYMONTHDAY=${new Date(anchorIso).getUTCDate()}`).rule;
+}
+
+// Schedule entries name a todo by its list's scope and its id
+function scheduleEntry(scope, id) {
+  return JSON.stringify([scope || null, id]);
+}
+
+function parseScheduleEntry(entry, at) {
+  const [scope, id] = JSON.parse(entry);
+  return { scope, id, at };
+}
+
+module.exports = { parseRecurrence, nextOccurrence, pinRule, scheduleEntry, parseScheduleEntry };
@@ -0,0 +1,165 @@
+// Reminders for todos coming due, and where they are delivered.
+//
+// A todo's `reminders` are lead times in minutes before its due date, e.g.
+// [1440, 15] for a day and a quarter of an hour before (0 is "when it is due").
+// Each one is a schedule entry naming the todo and the due date and lead time
+// it was set for, so an entry left behind by a changed due date, a removed lead
+// time or a completed todo is recognised and dropped when it comes up.
+//
+// Notification settings belong to a user:
+//
+//   { email?, webhook?: { url, secret }, push?: [PushSubscription] }
+//
+// where a PushSubscription is what the browser's PushManager hands out:
+// { endpoint, keys: { p256dh, auth } }.
+
+const crypto = require('crypto');
+
+const MAX_REMINDERS = 5;
+// Four weeks
+const MAX_LEAD_MINUTES = 4 * 7 * 24 * 60;
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+const MAX_URL_LENGTH = 2048;
+const EMAIL_PATTERN = /^[^\s@<>()",;]+@[^\s@<>()",;]+\.[^\s@<>()",;]+$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+={0,2}$/;
+const WEBHOOK_SECRET_BYTES = 24;
+
+// Validate a todo's lead times. Returns { reminders } (unique, the earliest
+// reminder first) or { error }.
+function parseReminders(value) {
+  if (!Array.isArray(value) || value.some(lead => !Number.isInteger(lead) || lead < 0 || lead > MAX_LEAD_MINUTES)) {
+    return { error: `Reminders must be an array of minutes before the due date, from 0 to ${MAX_LEAD_MINUTES}` };
+  }
+
+  const reminders = [...new Set(value)].sort((a, b) => b - a);
+  if (reminders.length > MAX_REMINDERS) {
+    return { error: `A todo can have at most ${MAX_REMINDERS} reminders` };
+  }
+  return { reminders };
+}
+
+// When each of a todo's reminders is due (ms), for open todos with a due date
+function reminderTimes(todo) {
+  if (todo.completed || !todo.dueDate || !todo.reminders) return [];
+
+  const due = Date.parse(todo.dueDate);
+  return todo.reminders.map(lead => ({ lead, at: due - lead * 60 * 1000 }));
+}
+
+// Schedule entries name the todo by its list's scope and its id, with the due
+// date and lead time the reminder is for
+function reminderEntry({ scope, id, dueDate, lead }) {
+  return JSON.stringify([scope || null, id, dueDate, lead]);
+}
+
+function parseReminderEntry(entry, at) {
+  const [scope, id, dueDate, lead] = JSON.parse(entry);
+  return { scope, id, dueDate, lead, at };
+}
+
+// Whether a reminder taken off the schedule is still wanted by its todo
+function isCurrentReminder(reminder, todo) {
+  return Boolean(todo) &&
+    !todo.completed &&
+    todo.dueDate === reminder.dueDate &&
+    (todo.reminders || []).includes(reminder.lead);
+}
+
+// "Due in 15 minutes" and the like
+function describeLead(lead) {
+  if (lead === 0) return 'Due now';
+
+  const [amount, unit] = lead % (24 * 60) === 0 ? [lead / (24 * 60), 'day']
+    : lead % 60 === 0 ? [lead / 60, 'hour']
+      : [lead, 'minute'];
+  return `Due in ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+// Validate a change to a user's email and webhook settings, applied to their
+// current settings. Returns { settings } or { error }. A new webhook URL gets a
+// new signing secret; null (or '') turns a channel off.
+function parseNotificationSettings(body = {}, current = {}) {
+  const settings = { ...current };
+
+  if (body.email !== undefined) {
+    if (body.email === null || body.email === '') {
+      delete settings.email;
+    } else if (typeof body.email !== 'string' || body.email.length > 254 || !EMAIL_PATTERN.test(body.email.trim())) {
+      return { error: 'Email must be an email address' };
+    } else {
+      settings.email = body.email.trim();
+    }
+  }
+
+  if (body.webhookUrl !== undefined) {
+    if (body.webhookUrl === null || body.webhookUrl === '') {
+      delete settings.webhook;
+    } else {
+      const url = parseHttpUrl(body.webhookUrl);
+      if (!url) {
+        return { error: 'Webhook URL must be an http or https URL' };
+      }
+      if (!settings.webhook || settings.webhook.url !== url) {
+        settings.webhook = { url, secret: crypto.randomBytes(WEBHOOK_SECRET_BYTES).toString('base64url') };
+      }
+    }
+  }
+
+  return { settings };
+}
+
+function parseHttpUrl(value) {
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return null;
+
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate a browser push subscription. Returns { subscription } or { error }.
+function parsePushSubscription(body = {}) {
+  const keys = body.keys || {};
+  const endpoint = parseHttpUrl(body.endpoint);
+  if (!endpoint || !endpoint.startsWith('https:')) {
+    return { error: 'Push subscriptions need an https endpoint' };
+  }
+  if (![keys.p256dh, keys.auth].every(key => typeof key === 'string' && BASE64URL_PATTERN.test(key))) {
+    return { error: 'Push subscriptions need their p256dh and auth keys' };
+  }
+  if (Buffer.from(keys.p256dh, 'base64url').length !== 65 || Buffer.from(keys.auth, 'base64url').length !== 16) {
+    return { error: 'Push subscription keys have the wrong length' };
+  }
+  return { subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } };
+}
+
+// Settings with `subscription` added (replacing one for the same endpoint);
+// the oldest are dropped past the limit
+function withPushSubscription(settings, subscription) {
+  const others = (settings.push || []).filter(existing => existing.endpoint !== subscription.endpoint);
+  return { ...settings, push: [...others, subscription].slice(-MAX_PUSH_SUBSCRIPTIONS) };
+}
+
+function withoutPushSubscriptions(settings, endpoints) {
+  const remaining = { ...settings, push: (settings.push || []).filter(subscription => !endpoints.includes(subscription.endpoint)) };
+  if (remaining.push.length === 0) {
+    delete remaining.push;
+  }
+  return remaining;
+}
+
+module.exports = {
+  MAX_LEAD_MINUTES,
+  parseReminders,
+  reminderTimes,
+  reminderEntry,
+  parseReminderEntry,
+  isCurrentReminder,
+  describeLead,
+  parseNotificationSettings,
+  parsePushSubscription,
+  withPushSubscription,
+  withoutPushSubscriptions
+};
@@ -0,0 +1,136 @@
+// Tokenising and ranking shared by the in-memory and Redis search indexes.
+//
+// Every token of a todo's text is indexed under the token itself (an exact
+// term) and under each of its prefixes, so "dep" finds "deploy". A todo must
+// match every query token; exact word matches rank above prefix matches and
+// newer todos win ties.
+
+const EXACT_MATCH_SCORE = 2;
+const PREFIX_MATCH_SCORE = 1;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Validate GET /api/todos/search query parameters. Returns { search } or { error }.
+function parseSearchQuery(params = {}) {
+  const text = typeof params.q === 'string' ? params.q.trim() : '';
+  if (tokenize(text).length === 0) {
+    return { error: 'Search query (q) is required' };
+  }
+
+  let limit = DEFAULT_SEARCH_LIMIT;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}` };
+    }
+  }
+
+  return { search: { text, limit } };
+}
+
+// Lower-case words with accents folded away: "Déploy v2!" -> ["deploy", "v2"]
+function tokenize(text) {
+  const words = String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return [...new Set(words)];
+}
+
+function prefixesOf(token) {
+  const prefixes = [];
+  for (let length = 1; length <= token.length; length++) {
+    prefixes.push(token.slice(0, length));
+  }
+  return prefixes;
+}
+
+// The terms and prefixes a piece of text is indexed under
+function indexEntries(text) {
+  const terms = tokenize(text);
+  const prefixes = new Set(terms.flatMap(prefixesOf));
+  return { terms, prefixes: [...prefixes] };
+}
+
+// Order matching ids by score, newest first among equals. exactMatchesPerToken
+// holds, for each query token, the ids containing it as a whole word.
+function rank(candidates, exactMatchesPerToken, createdAtOf) {
+  return candidates
+    .map(id => ({
+      id,
+      score: exactMatchesPerToken.reduce(
+        (score, exact) => score + (exact.has(id) ? EXACT_MATCH_SCORE : PREFIX_MATCH_SCORE), 0),
+      createdAt: createdAtOf(id)
+    }))
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt || (a.id < b.id ? -1 : 1));
+}
+
+// Inverted index over an in-memory todo list
+class MemorySearchIndex {
+  constructor() {
+    this.terms = new Map();
+    this.prefixes = new Map();
+    this.documents = new Map();
+  }
+
+  add(todo) {
+    this.remove(todo.id);
+    const entries = indexEntries(todo.text);
+    entries.terms.forEach(term => addTo(this.terms, term, todo.id));
+    entries.prefixes.forEach(prefix => addTo(this.prefixes, prefix, todo.id));
+    this.documents.set(todo.id, entries);
+  }
+
+  remove(id) {
+    const entries = this.documents.get(id);
+    if (!entries) return;
+
+    entries.terms.forEach(term => removeFrom(this.terms, term, id));
+    entries.prefixes.forEach(prefix => removeFrom(this.prefixes, prefix, id));
+    this.documents.delete(id);
+  }
+
+  rebuild(todos) {
+    this.terms.clear();
+    this.prefixes.clear();
+    this.documents.clear();
+    todos.forEach(todo => this.add(todo));
+  }
+
+  search(text, todos, limit = DEFAULT_SEARCH_LIMIT) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return [];
+
+    const [first, ...rest] = tokens.map(token => this.prefixes.get(token) || new Set());
+    const candidates = [...first].filter(id => rest.every(ids => ids.has(id)));
+    const exact = tokens.map(token => this.terms.get(token) || new Set());
+
+    const todosById = new Map(todos.map(todo => [todo.id, todo]));
+    return rank(candidates, exact, id => Date.parse(todosById.get(id).createdAt) || 0)
+      .slice(0, limit)
+      .map(({ id, score }) => ({ todo: todosById.get(id), score }));
+  }
+}
+
+function addTo(map, key, id) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(id);
+}
+
+function removeFrom(map, key, id) {
+  const ids = map.get(key);
+  if (!ids) return;
+  ids.delete(id);
+  if (ids.size === 0) map.delete(key);
+}
+
+module.exports = {
+  parseSearchQuery,
+  tokenize,
+  indexEntries,
+  rank,
+  MemorySearchIndex,
+  DEFAULT_SEARCH_LIMIT
+};
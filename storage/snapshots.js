@@ -0,0 +1,190 @@
+// Backups of a whole store, as one JSON file:
+//
+//   { format, version, createdAt, driver, checksum, data }
+//
+// data holds every account, shared list (with its members and invitations),
+// user's notification settings, todo list (with its trash) and the recurrence
+// and reminder schedules:
+//
+//   { users, lists, notificationSettings: { userId: settings },
+//     todoLists: [{ scope, todos, trash }], recurrences: [[entry, at]],
+//     reminders: [[entry, at]] }
+//
+// It looks the same whichever store it came from, so a snapshot taken from
+// Redis restores into memory or a file and the other way round. driver only
+// says where it came from. checksum is the SHA-256 of JSON.stringify(data); a
+// file whose data does not match it is refused. Audit logs and todo history are
+// not part of a snapshot, and a restore leaves them as they are.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FORMAT = 'todo-app-snapshot';
+const SNAPSHOT_VERSION = 1;
+const RESTORE_MODES = ['replace', 'merge'];
+const DEFAULT_BACKUP_DIR = path.join(__dirname, '..', 'data', 'backups');
+const DEFAULT_KEEP = 7;
+// Names the archive gives its files: snapshot-<createdAt with : and . as ->.json
+const SNAPSHOT_NAME = /^snapshot-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+function checksumOf(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+// A snapshot of `data` exported from a store with the given driver
+function createSnapshot(data, driver, now = new Date()) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: now.toISOString(),
+    driver,
+    checksum: checksumOf(data),
+    data
+  };
+}
+
+// What is wrong with a snapshot's data, or null when it has the expected shape
+function dataError(data) {
+  if (!data || typeof data !== 'object') return 'data is missing';
+  for (const field of ['users', 'lists', 'todoLists', 'recurrences', 'reminders']) {
+    if (!Array.isArray(data[field])) return `data.${field} must be an array`;
+  }
+  if (!data.notificationSettings || typeof data.notificationSettings !== 'object') {
+    return 'data.notificationSettings must be an object';
+  }
+  if (data.todoLists.some(list => (
+    !list || !(list.scope === null || typeof list.scope === 'string') || !Array.isArray(list.todos) || !Array.isArray(list.trash)
+  ))) {
+    return 'every entry of data.todoLists needs a scope, todos and trash';
+  }
+  if (data.lists.some(list => !list || !Array.isArray(list.members) || !Array.isArray(list.invites))) {
+    return 'every entry of data.lists needs members and invites';
+  }
+  return null;
+}
+
+// Check a snapshot read from a file (a string) or a request (an object).
+// Returns { snapshot } or { error }.
+function parseSnapshot(contents) {
+  let snapshot = contents;
+  if (typeof contents === 'string') {
+    try {
+      snapshot = JSON.parse(contents);
+    } catch (error) {
+      return { error: 'Snapshot is not valid JSON' };
+    }
+  }
+
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    return { error: 'Not a snapshot file' };
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    return { error: 'Snapshot has no valid version' };
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    return { error: `Snapshot version ${snapshot.version} is newer than this app supports (${SNAPSHOT_VERSION})` };
+  }
+  if (typeof snapshot.checksum !== 'string' || checksumOf(snapshot.data) !== snapshot.checksum) {
+    return { error: 'Snapshot checksum does not match its data' };
+  }
+  const error = dataError(snapshot.data);
+  return error ? { error: `Snapshot is malformed: ${error}` } : { snapshot };
+}
+
+// Validate ?mode= for a restore. Returns { mode } or { error }.
+function parseRestoreMode(mode) {
+  if (mode === undefined) return { error: `mode is required (${RESTORE_MODES.join(' or ')})` };
+  if (!RESTORE_MODES.includes(mode)) return { error: `mode must be ${RESTORE_MODES.join(' or ')}` };
+  return { mode };
+}
+
+// How many accounts, shared lists and todos a snapshot holds
+function summarize(snapshot) {
+  const { data } = snapshot;
+  return {
+    users: data.users.length,
+    lists: data.lists.length,
+    todos: data.todoLists.reduce((sum, list) => sum + list.todos.length, 0),
+    trash: data.todoLists.reduce((sum, list) => sum + list.trash.length, 0)
+  };
+}
+
+// A directory of snapshot files, keeping the newest `keep` of them
+class SnapshotArchive {
+  constructor(dir, { keep = DEFAULT_KEEP } = {}) {
+    this.dir = dir;
+    this.keep = keep;
+  }
+
+  // The path of a snapshot in the archive, or null for names it would not give
+  pathOf(name) {
+    return SNAPSHOT_NAME.test(name) ? path.join(this.dir, name) : null;
+  }
+
+  // [{ name, createdAt, size }] newest first
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names.filter(name => SNAPSHOT_NAME.test(name)).sort().reverse()) {
+      const [, stamp] = name.match(SNAPSHOT_NAME);
+      const createdAt = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+      const { size } = await fs.promises.stat(path.join(this.dir, name));
+      files.push({ name, createdAt, size });
+    }
+    return files;
+  }
+
+  async latest() {
+    return (await this.list())[0] || null;
+  }
+
+  // Write the snapshot through a temporary file plus rename, so a crash never
+  // leaves half a snapshot, then drop the oldest ones past `keep`
+  async save(snapshot) {
+    const name = `snapshot-${snapshot.createdAt.replace(/[:.]/g, '-')}.json`;
+    const filePath = path.join(this.dir, name);
+    const contents = JSON.stringify(snapshot);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(`${filePath}.tmp`, contents);
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+
+    for (const old of (await this.list()).slice(this.keep)) {
+      await fs.promises.unlink(path.join(this.dir, old.name));
+    }
+    return { name, createdAt: snapshot.createdAt, size: Buffer.byteLength(contents) };
+  }
+
+  // The contents of a snapshot file, or null when there is none by that name
+  async read(name) {
+    const filePath = this.pathOf(name);
+    if (!filePath) return null;
+
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  RESTORE_MODES,
+  DEFAULT_BACKUP_DIR,
+  DEFAULT_KEEP,
+  createSnapshot,
+  parseSnapshot,
+  parseRestoreMode,
+  summarize,
+  SnapshotArchive
+};
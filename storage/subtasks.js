@@ -0,0 +1,101 @@
+// Subtasks: an ordered checklist stored on its todo.
+//
+// A subtask is { id, text, completed }. They live in the todo's `subtasks`
+// array, so deleting a todo deletes its subtasks with it, and every change to
+// them is an update of the todo (which bumps its version). The helpers below
+// take the current array and return a new one; they never modify it.
+
+const crypto = require('crypto');
+
+const MAX_SUBTASKS = 100;
+const MAX_SUBTASK_TEXT_LENGTH = 200;
+
+// Validate a subtask body. Creating one needs text; an update may set any of
+// text, completed and position. Returns { fields } or { error }.
+function parseSubtaskInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.text !== undefined || !partial) {
+    if (typeof body.text !== 'string' || body.text.trim() === '') {
+      return { error: 'Subtask text is required' };
+    }
+    if (body.text.trim().length > MAX_SUBTASK_TEXT_LENGTH) {
+      return { error: `Subtask text must be at most ${MAX_SUBTASK_TEXT_LENGTH} characters` };
+    }
+    fields.text = body.text.trim();
+  }
+
+  if (body.completed !== undefined) {
+    if (typeof body.completed !== 'boolean') {
+      return { error: 'Completed must be a boolean' };
+    }
+    fields.completed = body.completed;
+  }
+
+  if (body.position !== undefined) {
+    if (!Number.isInteger(body.position) || body.position < 0) {
+      return { error: 'Position must be a non-negative integer' };
+    }
+    fields.position = body.position;
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+  return { fields };
+}
+
+// Put `subtask` at `position` (clamped to the list), or at the end
+function placeAt(subtasks, subtask, position) {
+  const index = position === undefined ? subtasks.length : Math.min(position, subtasks.length);
+  return [...subtasks.slice(0, index), subtask, ...subtasks.slice(index)];
+}
+
+// Returns { subtasks, subtask } or { error, status }
+function addSubtask(subtasks, fields) {
+  if (subtasks.length >= MAX_SUBTASKS) {
+    return { error: `A todo can have at most ${MAX_SUBTASKS} subtasks`, status: 400 };
+  }
+
+  const subtask = { id: crypto.randomUUID(), text: fields.text, completed: fields.completed || false };
+  return { subtasks: placeAt(subtasks, subtask, fields.position), subtask };
+}
+
+// Returns { subtasks, subtask } or { error, status }
+function updateSubtask(subtasks, subtaskId, fields) {
+  const current = subtasks.find(subtask => subtask.id === subtaskId);
+  if (!current) {
+    return { error: 'Subtask not found', status: 404 };
+  }
+
+  const subtask = { ...current };
+  if (fields.text !== undefined) subtask.text = fields.text;
+  if (fields.completed !== undefined) subtask.completed = fields.completed;
+
+  const others = subtasks.filter(other => other.id !== subtaskId);
+  const position = fields.position !== undefined ? fields.position : subtasks.indexOf(current);
+  return { subtasks: placeAt(others, subtask, position), subtask };
+}
+
+// Returns { subtasks, subtask } or { error, status }
+function removeSubtask(subtasks, subtaskId) {
+  const subtask = subtasks.find(other => other.id === subtaskId);
+  if (!subtask) {
+    return { error: 'Subtask not found', status: 404 };
+  }
+  return { subtasks: subtasks.filter(other => other.id !== subtaskId), subtask };
+}
+
+// "x of y done" for a todo's checklist
+function subtaskProgress(subtasks = []) {
+  return { done: subtasks.filter(subtask => subtask.completed).length, total: subtasks.length };
+}
+
+module.exports = {
+  MAX_SUBTASKS,
+  parseSubtaskInput,
+  addSubtask,
+  updateSubtask,
+  removeSubtask,
+  subtaskProgress
+};
@@ -0,0 +1,147 @@
+// The optional details of a todo and their validation.
+//
+// Besides its text, a todo can have a `dueDate` (an ISO 8601 timestamp), a
+// `priority`, multi-line `notes` and `tags`. A detail that is not set is left
+// out of the todo. Updates clear one by setting it to null.
+//
+// `subtasks` (see storage/subtasks.js) and `autoComplete`, which completes the
+// todo once all of them are done, are stored the same way, as are `recurrence`
+// (see storage/recurrence.js) and the lead times of its `reminders` (see
+// storage/reminders.js).
+
+const { parseRecurrence } = require('./recurrence');
+const { parseReminders } = require('./reminders');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const DETAIL_FIELDS = ['dueDate', 'priority', 'notes', 'tags', 'subtasks', 'autoComplete', 'recurrence', 'reminders'];
+const MAX_TEXT_LENGTH = 500;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+// A date, or a date and time with its offset; a date alone is midnight UTC
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// Tags are compared lower-case, without a leading "#"
+function normalizeTag(tag) {
+  return tag.trim().replace(/^#/, '').toLowerCase();
+}
+
+// Validate a todo's text. Returns { text } (trimmed) or { error }.
+function parseTodoText(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { error: 'Todo text is required' };
+  }
+  if (value.trim().length > MAX_TEXT_LENGTH) {
+    return { error: `Todo text must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  return { text: value.trim() };
+}
+
+// Validate the details in a create or update body. Returns { details } holding
+// only the fields the body sets (null for ones it clears), or { error }.
+function parseTodoDetails(body = {}) {
+  const details = {};
+  const cleared = value => value === null || value === '';
+
+  if (body.dueDate !== undefined) {
+    if (cleared(body.dueDate)) {
+      details.dueDate = null;
+    } else if (typeof body.dueDate !== 'string' || !DUE_DATE_PATTERN.test(body.dueDate) || Number.isNaN(Date.parse(body.dueDate))) {
+      return { error: 'Due date must be an ISO 8601 date, e.g. 2024-05-01 or 2024-05-01T17:00:00Z' };
+    } else {
+      details.dueDate = new Date(body.dueDate).toISOString();
+    }
+  }
+
+  if (body.priority !== undefined) {
+    if (cleared(body.priority)) {
+      details.priority = null;
+    } else if (!PRIORITIES.includes(body.priority)) {
+      return { error: `Priority must be one of: ${PRIORITIES.join(', ')}` };
+    } else {
+      details.priority = body.priority;
+    }
+  }
+
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== 'string') {
+      return { error: 'Notes must be a string' };
+    }
+    const notes = body.notes === null ? '' : body.notes.trim();
+    if (notes.length > MAX_NOTES_LENGTH) {
+      return { error: `Notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    details.notes = notes || null;
+  }
+
+  if (body.tags !== undefined) {
+    if (body.tags !== null && (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string'))) {
+      return { error: 'Tags must be an array of strings' };
+    }
+    const tags = [...new Set((body.tags || []).map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS) {
+      return { error: `A todo can have at most ${MAX_TAGS} tags` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH || /[\s,]/.test(tag))) {
+      return { error: `Tags must be single words of at most ${MAX_TAG_LENGTH} characters` };
+    }
+    details.tags = tags.length > 0 ? tags : null;
+  }
+
+  if (body.autoComplete !== undefined) {
+    if (typeof body.autoComplete !== 'boolean') {
+      return { error: 'autoComplete must be a boolean' };
+    }
+    details.autoComplete = body.autoComplete || null;
+  }
+
+  if (body.recurrence !== undefined) {
+    if (cleared(body.recurrence)) {
+      details.recurrence = null;
+    } else {
+      const { rule, error } = parseRecurrence(body.recurrence);
+      if (error) {
+        return { error };
+      }
+      details.recurrence = rule;
+    }
+  }
+
+  if (body.reminders !== undefined) {
+    const { reminders, error } = parseReminders(body.reminders === null ? [] : body.reminders);
+    if (error) {
+      return { error };
+    }
+    details.reminders = reminders.length > 0 ? reminders : null;
+  }
+
+  return { details };
+}
+
+// Copy the details an update sets onto a todo, dropping the ones it clears
+function applyTodoDetails(todo, details) {
+  for (const field of DETAIL_FIELDS) {
+    if (details[field] === null) {
+      delete todo[field];
+    } else if (details[field] !== undefined) {
+      todo[field] = details[field];
+    }
+  }
+  return todo;
+}
+
+// Past its due date and not done yet
+function isOverdue(todo, now = Date.now()) {
+  return !todo.completed && todo.dueDate !== undefined && Date.parse(todo.dueDate) < now;
+}
+
+module.exports = {
+  PRIORITIES,
+  DETAIL_FIELDS,
+  MAX_TEXT_LENGTH,
+  normalizeTag,
+  parseTodoText,
+  parseTodoDetails,
+  applyTodoDetails,
+  isOverdue
+};
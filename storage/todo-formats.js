@@ -0,0 +1,479 @@
+// Todos in and out of the app: JSON, CSV, Markdown checklists and iCalendar.
+//
+// Exports hold every todo of a list. JSON keeps everything; CSV has one row per
+// todo with the columns in CSV_COLUMNS; Markdown is a checklist ("- [ ]" open,
+// "- [x]" done) with subtasks indented below their todo; iCalendar has a VTODO
+// per todo, with its recurrence as the RRULE.
+//
+// Imports read the same formats. Parsing a file gives one row per todo in it,
+// { row, line, fields } with fields shaped like a create request body, or
+// { row, line, error } when the row cannot be read; `line` is where the todo
+// starts in text formats. importedTodo() then validates the fields like the API
+// does for a new todo.
+
+const crypto = require('crypto');
+const { validate: isUuid } = require('uuid');
+const { parseTodoText, parseTodoDetails, applyTodoDetails } = require('./todo-fields');
+const { MAX_SUBTASKS, parseSubtaskInput } = require('./subtasks');
+
+const FORMATS = {
+  json: { type: 'application/json', extension: 'json' },
+  csv: { type: 'text/csv', extension: 'csv' },
+  md: { type: 'text/markdown', extension: 'md' },
+  ics: { type: 'text/calendar', extension: 'ics' }
+};
+const CSV_COLUMNS = ['id', 'text', 'completed', 'dueDate', 'priority', 'tags', 'notes', 'recurrence', 'createdAt'];
+const MAX_IMPORT_ROWS = 1000;
+const MATCH_MODES = ['id', 'text'];
+// iCalendar priorities run from 1 (highest) to 9 (lowest), 0 for none
+const ICS_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+const ICS_LINE_OCTETS = 75;
+const CHECKLIST_LINE = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/;
+const ICS_DATE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/;
+
+// Validate ?format=&dryRun=&match= for an import. The format may also come from
+// the request's content type. Returns { options } or { error }.
+function parseImportOptions(params, contentTypeFormat) {
+  const format = params.format || contentTypeFormat;
+  if (!FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(FORMATS).join(', ')}` };
+  }
+  const match = params.match || 'text';
+  if (!MATCH_MODES.includes(match)) {
+    return { error: 'match must be id or text' };
+  }
+  return { options: { format, match, dryRun: params.dryRun === 'true' } };
+}
+
+// ---- Export ----
+
+function formatTodos(format, todos, now = new Date()) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ exportedAt: now.toISOString(), count: todos.length, todos }, null, 2);
+    case 'csv':
+      return toCsv(todos);
+    case 'md':
+      return toMarkdown(todos);
+    case 'ics':
+      return toICalendar(todos, now);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(todos) {
+  const rows = todos.map(todo => CSV_COLUMNS.map(column => csvCell(todo[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Checklist items are one line each
+function oneLine(text) {
+  return text.replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+function toMarkdown(todos) {
+  const lines = ['# Todos', ''];
+  for (const todo of todos) {
+    lines.push(`- [${todo.completed ? 'x' : ' '}] ${oneLine(todo.text)}`);
+    for (const subtask of todo.subtasks || []) {
+      lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${oneLine(subtask.text)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function icsText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsTime(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toICalendar(todos, now) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//DevOps To-Do App//Todos//EN'];
+  for (const todo of todos) {
+    lines.push(
+      'BEGIN:VTODO',
+      `UID:${todo.id}`,
+      `DTSTAMP:${icsTime(now.toISOString())}`,
+      `CREATED:${icsTime(todo.createdAt)}`,
+      `SUMMARY:${icsText(todo.text)}`
+    );
+    if (todo.updatedAt) lines.push(`LAST-MODIFIED:${icsTime(todo.updatedAt)}`);
+    if (todo.notes) lines.push(`DESCRIPTION:${icsText(todo.notes)}`);
+    if (todo.dueDate) lines.push(`DUE:${icsTime(todo.dueDate)}`);
+    if (todo.priority) lines.push(`PRIORITY:${ICS_PRIORITIES[todo.priority]}`);
+    if (todo.tags) lines.push(`CATEGORIES:${todo.tags.map(icsText).join(',')}`);
+    if (todo.recurrence) lines.push(`RRULE:${todo.recurrence}`);
+    if (todo.completed) {
+      lines.push('STATUS:COMPLETED', `COMPLETED:${icsTime(todo.updatedAt || todo.createdAt)}`);
+    } else {
+      lines.push('STATUS:NEEDS-ACTION');
+    }
+    lines.push('END:VTODO');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ---- Import ----
+
+// Split a file into rows. Returns { rows } or { error } when it cannot be read at all.
+function parseImport(format, body) {
+  if (format === 'json') {
+    return fromJson(body);
+  }
+  if (typeof body !== 'string') {
+    return { error: `Send the ${format} file as the request body` };
+  }
+  const text = body.replace(/^\uFEFF/, '');
+  if (format === 'csv') return fromCsv(text);
+  if (format === 'md') return fromMarkdown(text);
+  return fromICalendar(text);
+}
+
+function fromJson(body) {
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      return { error: 'The file is not valid JSON' };
+    }
+  }
+
+  // An array of todos, or an export with them in `todos`
+  const todos = Array.isArray(data) ? data : data && data.todos;
+  if (!Array.isArray(todos)) {
+    return { error: 'JSON imports must be an array of todos or an object with a todos array' };
+  }
+  return {
+    rows: todos.map((fields, index) => (
+      fields && typeof fields === 'object' && !Array.isArray(fields)
+        ? { row: index + 1, fields }
+        : { row: index + 1, error: 'Todo must be an object' }
+    ))
+  };
+}
+
+// RFC 4180 records, each with the line it starts on
+function csvRecords(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      record.push(cell);
+      records.push({ line: start, cells: record });
+      record = [];
+      cell = '';
+      start = ++line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: start, cells: record });
+  }
+  return records.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+}
+
+function csvBoolean(value) {
+  const text = value.trim().toLowerCase();
+  if (['true', 'yes', 'x', '1', 'done'].includes(text)) return true;
+  if (['false', 'no', '', '0'].includes(text)) return false;
+  return undefined;
+}
+
+function fromCsv(text) {
+  const [header, ...records] = csvRecords(text);
+  const columns = header ? header.cells.map(name => name.trim()) : [];
+  const known = CSV_COLUMNS.map(name => name.toLowerCase());
+  if (!columns.some(name => name.toLowerCase() === 'text')) {
+    return { error: 'The first CSV row must name the columns, including text' };
+  }
+
+  return {
+    rows: records.map(({ line, cells }, index) => {
+      const row = index + 1;
+      const fields = {};
+      for (const [column, value] of cells.entries()) {
+        const name = CSV_COLUMNS[known.indexOf((columns[column] || '').toLowerCase())];
+        // Unknown columns and empty cells leave the field unset
+        if (!name || value.trim() === '') continue;
+        fields[name] = value;
+      }
+
+      if (fields.completed !== undefined) {
+        fields.completed = csvBoolean(fields.completed);
+        if (fields.completed === undefined) {
+          return { row, line, error: 'completed must be true or false' };
+        }
+      }
+      if (fields.tags !== undefined) {
+        fields.tags = fields.tags.split(/[\s,]+/).filter(Boolean);
+      }
+      return { row, line, fields };
+    })
+  };
+}
+
+// Top-level checklist items are todos, indented ones subtasks of the todo above
+function fromMarkdown(text) {
+  const rows = [];
+  for (const [index, content] of text.split(/\r?\n/).entries()) {
+    const item = CHECKLIST_LINE.exec(content);
+    if (!item) continue;
+
+    const [, indent, mark, itemText] = item;
+    const entry = { text: itemText.trim(), completed: mark !== ' ' };
+    if (indent === '') {
+      rows.push({ row: rows.length + 1, line: index + 1, fields: entry });
+    } else if (rows.length > 0 && rows[rows.length - 1].fields) {
+      const { fields } = rows[rows.length - 1];
+      fields.subtasks = [...(fields.subtasks || []), entry];
+    } else if (rows.length === 0) {
+      rows.push({ row: 1, line: index + 1, error: 'Subtask without a todo above it' });
+    }
+  }
+  return { rows };
+}
+
+function icsUnescape(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// A DATE or DATE-TIME as ISO 8601. Times without a Z are taken as UTC.
+function icsDate(value) {
+  const parts = ICS_DATE.exec(value.trim());
+  if (!parts) return value;
+  const [, year, month, day, hours, minutes, seconds] = parts;
+  const date = `${year}-${month}-${day}`;
+  return hours === undefined ? date : `${date}T${hours}:${minutes}:${seconds}Z`;
+}
+
+function icsPriority(value) {
+  const level = Number(value);
+  if (level >= 1 && level <= 2) return 'urgent';
+  if (level >= 3 && level <= 4) return 'high';
+  if (level === 5) return 'medium';
+  if (level >= 6 && level <= 9) return 'low';
+  return undefined;
+}
+
+// The property name and value of a content line, skipping its parameters
+function icsProperty(content) {
+  let quoted = false;
+  for (let index = 0; index < content.length; index++) {
+    if (content[index] === '"') quoted = !quoted;
+    if (content[index] === ':' && !quoted) {
+      return { name: content.slice(0, index).split(';')[0].toUpperCase(), value: content.slice(index + 1) };
+    }
+  }
+  return null;
+}
+
+function fromICalendar(text) {
+  // Unfold continuation lines, remembering where each line started
+  const lines = [];
+  for (const [index, content] of text.split(/\r?\n/).entries()) {
+    if (/^[ \t]/.test(content) && lines.length > 0) {
+      lines[lines.length - 1].content += content.slice(1);
+    } else {
+      lines.push({ line: index + 1, content });
+    }
+  }
+  if (!lines.some(({ content }) => content.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { error: 'The file is not an iCalendar file (no BEGIN:VCALENDAR)' };
+  }
+
+  const rows = [];
+  let todo = null;
+  for (const { line, content } of lines) {
+    const property = icsProperty(content);
+    if (!property) continue;
+    const { name, value } = property;
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VTODO') {
+      todo = { row: rows.length + 1, line, fields: {} };
+    } else if (name === 'END' && value.toUpperCase() === 'VTODO' && todo) {
+      rows.push(todo);
+      todo = null;
+    } else if (todo) {
+      const { fields } = todo;
+      switch (name) {
+        case 'UID':
+          // Only ids this app could have made are kept
+          if (isUuid(value)) fields.id = value;
+          break;
+        case 'SUMMARY':
+          fields.text = icsUnescape(value);
+          break;
+        case 'DESCRIPTION':
+          fields.notes = icsUnescape(value);
+          break;
+        case 'DUE':
+          fields.dueDate = icsDate(value);
+          break;
+        case 'CREATED':
+          fields.createdAt = icsDate(value);
+          break;
+        case 'PRIORITY':
+          fields.priority = icsPriority(value);
+          break;
+        case 'CATEGORIES':
+          fields.tags = [...(fields.tags || []), ...value.split(/(?<!\\),/).map(icsUnescape)];
+          break;
+        case 'RRULE':
+          fields.recurrence = value;
+          break;
+        case 'STATUS':
+          fields.completed = fields.completed || value.toUpperCase() === 'COMPLETED';
+          break;
+        case 'COMPLETED':
+          fields.completed = true;
+          break;
+      }
+    }
+  }
+  return { rows };
+}
+
+// Validate an imported row's fields as a new todo. Returns { todo } or { error }.
+function importedTodo(fields) {
+  const { text, error: textError } = parseTodoText(fields.text);
+  if (textError) {
+    return { error: textError };
+  }
+  const id = fields.id === undefined || fields.id === null || fields.id === '' ? crypto.randomUUID() : fields.id;
+  if (typeof id !== 'string' || !isUuid(id)) {
+    return { error: 'Todo id must be a UUID' };
+  }
+  if (fields.completed !== undefined && typeof fields.completed !== 'boolean') {
+    return { error: 'Completed must be a boolean' };
+  }
+  let createdAt = new Date().toISOString();
+  if (fields.createdAt !== undefined) {
+    if (typeof fields.createdAt !== 'string' || Number.isNaN(Date.parse(fields.createdAt))) {
+      return { error: 'createdAt must be an ISO 8601 date' };
+    }
+    createdAt = new Date(fields.createdAt).toISOString();
+  }
+
+  const { details, error } = parseTodoDetails(fields);
+  if (error) {
+    return { error };
+  }
+
+  if (fields.subtasks !== undefined && fields.subtasks !== null) {
+    if (!Array.isArray(fields.subtasks)) {
+      return { error: 'Subtasks must be an array' };
+    }
+    if (fields.subtasks.length > MAX_SUBTASKS) {
+      return { error: `A todo can have at most ${MAX_SUBTASKS} subtasks` };
+    }
+    const subtasks = [];
+    for (const subtask of fields.subtasks) {
+      const parsed = parseSubtaskInput(subtask && typeof subtask === 'object' ? subtask : {});
+      if (parsed.error) {
+        return { error: parsed.error };
+      }
+      subtasks.push({ id: crypto.randomUUID(), text: parsed.fields.text, completed: parsed.fields.completed || false });
+    }
+    details.subtasks = subtasks.length > 0 ? subtasks : null;
+  }
+
+  return {
+    todo: applyTodoDetails({
+      id,
+      text,
+      completed: fields.completed || false,
+      createdAt,
+      version: 1
+    }, details)
+  };
+}
+
+// Tells whether a todo repeats one already in the list or earlier in the
+// import: one with its id, or with match 'text' also one with the same text
+// (ignoring case and surrounding spaces). Todos that are not duplicates are
+// remembered for the rows after them.
+function duplicateChecker(existing, match) {
+  const ids = new Set();
+  const texts = new Map();
+  const remember = (todo) => {
+    ids.add(todo.id);
+    const key = todo.text.trim().toLowerCase();
+    if (!texts.has(key)) texts.set(key, todo.id);
+  };
+  existing.forEach(remember);
+
+  return (todo) => {
+    if (ids.has(todo.id)) {
+      return { duplicateOf: todo.id, matchedBy: 'id' };
+    }
+    const key = todo.text.trim().toLowerCase();
+    if (match === 'text' && texts.has(key)) {
+      return { duplicateOf: texts.get(key), matchedBy: 'text' };
+    }
+    remember(todo);
+    return null;
+  };
+}
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseImportOptions,
+  formatTodos,
+  parseImport,
+  importedTodo,
+  duplicateChecker
+};
@@ -0,0 +1,152 @@
+// Filtering, sorting and cursor pagination for todo lists. Stores that cannot
+// answer a query natively load their todos and hand them to applyQuery().
+
+const { PRIORITIES, normalizeTag, isOverdue } = require('./todo-fields');
+const { positionOf } = require('./ranks');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'text', 'position'];
+const STATUSES = ['completed', 'pending'];
+const MAX_PAGE_SIZE = 100;
+
+// Validate GET /api/todos query parameters. Returns { query } or { error }.
+function parseListQuery(params = {}) {
+  const sort = params.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+  }
+
+  // Dates default to newest first, text to alphabetical and the manual order
+  // (position) to top to bottom
+  const order = params.order || (['text', 'position'].includes(sort) ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  if (params.status !== undefined && !STATUSES.includes(params.status)) {
+    return { error: `status must be one of ${STATUSES.join(', ')}` };
+  }
+
+  let limit = null;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let cursor = null;
+  if (params.cursor !== undefined) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (cursor.sort !== sort || cursor.order !== order) {
+      return { error: 'Cursor does not match the requested sort order' };
+    }
+  }
+
+  const q = typeof params.q === 'string' && params.q.trim() !== '' ? params.q.trim() : null;
+  const tag = typeof params.tag === 'string' && normalizeTag(params.tag) !== '' ? normalizeTag(params.tag) : null;
+
+  if (params.priority !== undefined && !PRIORITIES.includes(params.priority)) {
+    return { error: `priority must be one of ${PRIORITIES.join(', ')}` };
+  }
+
+  if (params.overdue !== undefined && !['true', 'false'].includes(params.overdue)) {
+    return { error: 'overdue must be true or false' };
+  }
+  const overdue = params.overdue === undefined ? null : params.overdue === 'true';
+
+  return {
+    query: { status: params.status || null, q, tag, priority: params.priority || null, overdue, sort, order, limit, cursor }
+  };
+}
+
+// True when the query narrows the list down, rather than just ordering it
+function hasFilters(query) {
+  return Boolean(query.status || query.q || query.tag || query.priority || typeof query.overdue === 'boolean');
+}
+
+function sortValue(todo, sort) {
+  if (sort === 'text') return todo.text.toLowerCase();
+  if (sort === 'updatedAt') return todo.updatedAt || todo.createdAt;
+  if (sort === 'position') return positionOf(todo);
+  return todo.createdAt;
+}
+
+// Compare (value, id) pairs; the id breaks ties so the order is total
+function compareKeys(valueA, idA, valueB, idB, order) {
+  let result = 0;
+  if (valueA < valueB) result = -1;
+  else if (valueA > valueB) result = 1;
+  else if (idA < idB) result = -1;
+  else if (idA > idB) result = 1;
+  return order === 'desc' ? -result : result;
+}
+
+// Cursors are opaque to clients: they point just past the last item returned
+function encodeCursor(todo, query) {
+  const position = { sort: query.sort, order: query.order, value: sortValue(todo, query.sort), id: todo.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof position.value !== 'string' || typeof position.id !== 'string') return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+function matchesFilter(todo, query) {
+  if (query.status === 'completed' && !todo.completed) return false;
+  if (query.status === 'pending' && todo.completed) return false;
+  if (query.q && !todo.text.toLowerCase().includes(query.q.toLowerCase())) return false;
+  if (query.tag && !(todo.tags || []).includes(query.tag)) return false;
+  if (query.priority && todo.priority !== query.priority) return false;
+  if (typeof query.overdue === 'boolean' && isOverdue(todo) !== query.overdue) return false;
+  return true;
+}
+
+// Turn a page of items into the { items, total, nextCursor } list result
+function toPage(items, total, offset, query) {
+  const hasMore = query.limit !== null && offset + items.length < total;
+  return {
+    items,
+    total,
+    nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1], query) : null
+  };
+}
+
+function applyQuery(todos, query) {
+  const { sort, order, cursor } = query;
+  const matches = todos
+    .filter(todo => matchesFilter(todo, query))
+    .sort((a, b) => compareKeys(sortValue(a, sort), a.id, sortValue(b, sort), b.id, order));
+
+  let offset = 0;
+  if (cursor) {
+    offset = matches.findIndex(todo => compareKeys(sortValue(todo, sort), todo.id, cursor.value, cursor.id, order) > 0);
+    if (offset === -1) offset = matches.length;
+  }
+
+  const end = query.limit === null ? matches.length : offset + query.limit;
+  return toPage(matches.slice(offset, end), matches.length, offset, query);
+}
+
+// The query used when a caller just wants everything, newest first
+const DEFAULT_QUERY = {
+  status: null, q: null, tag: null, priority: null, overdue: null, sort: 'createdAt', order: 'desc', limit: null, cursor: null
+};
+
+module.exports = {
+  parseListQuery,
+  hasFilters,
+  applyQuery,
+  toPage,
+  encodeCursor,
+  DEFAULT_QUERY,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,87 @@
+const { ChangeFeed, CHANNEL } = require('../change-feed');
+
+// A pub/sub bus shared by several feeds, standing in for Redis
+function createBus() {
+  const listeners = [];
+  return {
+    published: [],
+    async subscribe(channel, listener) {
+      listeners.push({ channel, listener });
+    },
+    async publish(channel, message) {
+      this.published.push({ channel, message });
+      listeners
+        .filter(subscription => subscription.channel === channel)
+        .forEach(subscription => subscription.listener(message));
+    }
+  };
+}
+
+describe('ChangeFeed', () => {
+  const change = { type: 'deleted', id: 'todo-1' };
+
+  test('delivers changes to watchers of the same scope only', () => {
+    const feed = new ChangeFeed();
+    const alice = [];
+    const bob = [];
+    feed.watch('alice', changes => alice.push(changes));
+    feed.watch('bob', changes => bob.push(changes));
+
+    feed.publish('alice', [change]);
+
+    expect(alice).toEqual([[change]]);
+    expect(bob).toEqual([]);
+  });
+
+  test('stops delivering once unwatched, and skips empty batches', () => {
+    const feed = new ChangeFeed();
+    const received = [];
+    const unwatch = feed.watch('alice', changes => received.push(changes));
+
+    feed.publish('alice', []);
+    unwatch();
+    feed.publish('alice', [change]);
+
+    expect(received).toEqual([]);
+  });
+
+  test('fans changes out to other instances through the bus exactly once', async () => {
+    const bus = createBus();
+    const first = new ChangeFeed();
+    const second = new ChangeFeed();
+    await first.attach(bus);
+    await second.attach(bus);
+
+    const onFirst = [];
+    const onSecond = [];
+    first.watch('list:1', changes => onFirst.push(changes));
+    second.watch('list:1', changes => onSecond.push(changes));
+
+    first.publish('list:1', [change]);
+
+    expect(bus.published).toHaveLength(1);
+    expect(bus.published[0].channel).toBe(CHANNEL);
+    expect(onFirst).toEqual([[change]]);
+    expect(onSecond).toEqual([[change]]);
+  });
+
+  test('stays local for stores without pub/sub', async () => {
+    const feed = new ChangeFeed();
+    await feed.attach({});
+    const received = [];
+    feed.watch('alice', changes => received.push(changes));
+
+    feed.publish('alice', [change]);
+
+    expect(received).toEqual([[change]]);
+  });
+
+  test('ignores malformed bus messages', () => {
+    const feed = new ChangeFeed();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => feed.receive('not json')).not.toThrow();
+
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,322 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FailoverStore } = require('../storage');
+const { WriteJournal } = require('../storage/failover-store');
+const { sharedListScope } = require('../storage/lists');
+const { historyEntry } = require('../storage/history');
+const logger = require('../logger');
+
+// Stands in for the Redis service: rejects every call while "down", and like
+// Redis hands out copies rather than the todos it keeps
+class FlakyStore extends MemoryStore {
+  constructor() {
+    super([]);
+    this.driver = 'redis';
+    this.available = false;
+    this.isConnected = false;
+    this.events = new EventEmitter();
+
+    for (const method of ['getAllTodos', 'getTodoById', 'createTodo', 'updateTodo', 'deleteTodo',
+      'getTrash', 'restoreTodo', 'purgeTodo', 'appendHistory', 'getTodoHistory', 'clearCompleted', 'applyBatch', 'getStats', 'createUser', 'getUserById', 'getAllUsers',
+      'createList', 'getList', 'getListRole', 'setListMember', 'createInvite', 'acceptInvite', 'getAllLists']) {
+      const original = this[method].bind(this);
+      this[method] = async (...args) => {
+        if (!this.isConnected) throw new Error('Redis not connected');
+        return structuredClone(await original(...args));
+      };
+    }
+  }
+
+  on(event, listener) {
+    this.events.on(event, listener);
+  }
+
+  async connect() {
+    this.isConnected = this.available;
+    return this.available;
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+  }
+
+  drop() {
+    this.available = false;
+    this.isConnected = false;
+    this.events.emit('disconnected');
+  }
+}
+
+const makeTodo = (text) => ({
+  id: `${text}-id`,
+  text,
+  completed: false,
+  createdAt: new Date().toISOString(),
+  version: 1
+});
+
+describe('FailoverStore', () => {
+  let primary;
+  let store;
+
+  beforeEach(() => {
+    primary = new FlakyStore();
+    store = new FailoverStore(primary, new MemoryStore([]), { minRetryDelay: 10, maxRetryDelay: 40 });
+  });
+
+  afterEach(async () => {
+    await store.disconnect();
+  });
+
+  test('serves from the fallback and journals writes while Redis is down', async () => {
+    await store.connect();
+    await store.createTodo(makeTodo('offline'));
+    await store.updateTodo('offline-id', { completed: true });
+    // A write refused for a stale version is not journaled
+    expect(await store.updateTodo('offline-id', { text: 'stale' }, undefined, 1)).toMatchObject({ conflict: true });
+
+    const health = await store.healthCheck();
+    expect(health.mode).toBe('fallback');
+    expect(health.failover.journaledWrites).toBe(2);
+    expect(health.failover.nextRetryAt).not.toBeNull();
+    expect(await store.getTodoById('offline-id')).toMatchObject({ completed: true });
+  });
+
+  test('replays the journal and switches back when Redis returns', async () => {
+    await store.connect();
+    await store.createTodo(makeTodo('kept'));
+    await store.createTodo(makeTodo('removed'));
+    await store.deleteTodo('removed-id');
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    expect(store.active).toBe(primary);
+    expect(store.journal.size).toBe(0);
+    expect((await primary.getAllTodos()).map(todo => todo.id)).toEqual(['kept-id']);
+    const health = await store.healthCheck();
+    expect(health.mode).toBe('primary');
+    expect(health.failover.events.map(event => event.to)).toEqual(['redis']);
+  });
+
+  test('replays the trash: deletes, restores and purges made while Redis was down', async () => {
+    primary.available = true;
+    await primary.connect();
+    await primary.createTodo(makeTodo('restored'));
+    await primary.createTodo(makeTodo('binned'));
+    await primary.createTodo(makeTodo('purged'));
+    await store.connect();
+    primary.drop();
+
+    await store.deleteTodo('restored-id');
+    await store.restoreTodo('restored-id');
+    await store.deleteTodo('binned-id');
+    await store.deleteTodo('purged-id');
+    await store.purgeTodo('purged-id');
+    expect((await store.getTrash()).map(todo => todo.id)).toEqual(['binned-id']);
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    expect((await primary.getAllTodos()).map(todo => todo.id)).toEqual(['restored-id']);
+    expect((await primary.getTrash()).map(todo => todo.id)).toEqual(['binned-id']);
+    expect((await store.getTrash()).map(todo => todo.id)).toEqual(['binned-id']);
+  });
+
+  test('replays history written while Redis was down', async () => {
+    await store.connect();
+    const entry = historyEntry('created', makeTodo('audited'), {}, { requestId: 'req-1' });
+    await store.appendHistory([entry], 'user-1');
+    expect(await store.getTodoHistory('audited-id', 10, 'user-1')).toEqual([entry]);
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    expect(await primary.getTodoHistory('audited-id', 10, 'user-1')).toEqual([entry]);
+    // The fallback starts over from the replayed entries, without repeating them
+    expect(await store.fallback.getTodoHistory('audited-id', 10, 'user-1')).toEqual([entry]);
+  });
+
+  test('replays updates with their details, including cleared ones', async () => {
+    await store.connect();
+    await store.createTodo({ ...makeTodo('detailed'), priority: 'low', tags: ['home'] });
+    await store.updateTodo('detailed-id', { priority: 'high', tags: null, recurrence: 'FREQ=DAILY', position: 'h' });
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    const todo = await primary.getTodoById('detailed-id');
+    expect(todo).toMatchObject({ priority: 'high', recurrence: 'FREQ=DAILY', position: 'h' });
+    expect(todo).not.toHaveProperty('tags');
+  });
+
+  test('rejects journaled updates to a todo that changed in Redis meanwhile', async () => {
+    primary.available = true;
+    await primary.connect();
+    await primary.createTodo(makeTodo('shared'));
+    await primary.createTodo(makeTodo('mine'));
+    await store.connect();
+    primary.drop();
+
+    await store.updateTodo('shared-id', { completed: true });
+    await store.updateTodo('mine-id', { priority: 'high' });
+    // Another instance, still connected, changes one of them in Redis
+    primary.isConnected = true;
+    await primary.updateTodo('shared-id', { text: 'renamed' });
+    primary.isConnected = false;
+
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    try {
+      primary.available = true;
+      expect(await store.tryPrimary()).toBe(true);
+
+      // Only the fields it changed are replayed, onto the version it was made on
+      expect(await primary.getTodoById('mine-id')).toMatchObject({ priority: 'high', version: 2 });
+      expect(await primary.getTodoById('shared-id')).toMatchObject({ text: 'renamed', completed: false, version: 2 });
+      expect(await store.getTodoById('shared-id')).toMatchObject({ text: 'renamed', completed: false });
+
+      const rejected = { todoId: 'shared-id', scope: null, journaledVersion: 1, redisVersion: 2, fields: ['completed'] };
+      expect(error).toHaveBeenCalledWith('Journaled update rejected, the todo changed in Redis meanwhile', expect.objectContaining(rejected));
+      expect((await store.healthCheck()).failover.rejectedWrites).toEqual([expect.objectContaining(rejected)]);
+    } finally {
+      error.mockRestore();
+    }
+  });
+
+  test('replays updates journaled as the whole todo', async () => {
+    await store.connect();
+    await store.createTodo({ ...makeTodo('legacy'), tags: ['home'] });
+    await store.journal.append([{ op: 'update', todo: { ...makeTodo('legacy'), completed: true, version: 2 } }]);
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    const todo = await primary.getTodoById('legacy-id');
+    expect(todo).toMatchObject({ completed: true });
+    expect(todo).not.toHaveProperty('tags');
+  });
+
+  test('replays accounts and their todos made while Redis was down', async () => {
+    await store.connect();
+    const user = { id: 'user-1', username: 'offline', passwordHash: 'hash', createdAt: new Date().toISOString() };
+    await store.createUser(user);
+    await store.createTodo(makeTodo('personal'), user.id);
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    expect(await primary.getUserById('user-1')).toMatchObject({ username: 'offline' });
+    expect((await primary.getAllTodos(user.id)).map(todo => todo.id)).toEqual(['personal-id']);
+    expect(await primary.getAllTodos()).toEqual([]);
+  });
+
+  test('replays shared lists, members and their todos made while Redis was down', async () => {
+    await store.connect();
+    const list = { id: 'list-1', name: 'Team', ownerId: 'owner', createdAt: new Date().toISOString() };
+    await store.createList(list);
+    await store.createInvite({ token: 'token-1', listId: list.id, role: 'editor', createdBy: 'owner', createdAt: list.createdAt });
+    await store.acceptInvite('token-1', 'member');
+    await store.createTodo(makeTodo('shared'), sharedListScope(list.id));
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    expect(await primary.getList(list.id)).toMatchObject({ name: 'Team' });
+    expect(await primary.getListRole(list.id, 'owner')).toBe('owner');
+    expect(await primary.getListRole(list.id, 'member')).toBe('editor');
+    expect(await primary.getInvites(list.id)).toEqual([]);
+    expect((await primary.getAllTodos(sharedListScope(list.id))).map(todo => todo.id)).toEqual(['shared-id']);
+  });
+
+  test('replays notification settings saved while Redis was down', async () => {
+    await store.connect();
+    await store.setNotificationSettings('user-1', { webhook: { url: 'https://example.com/hook', secret: 'shh' } });
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+
+    expect(await primary.getNotificationSettings('user-1')).toEqual({ webhook: { url: 'https://example.com/hook', secret: 'shh' } });
+  });
+
+  test('refuses restores while Redis is down and mirrors the ones made on it', async () => {
+    const source = new MemoryStore([]);
+    await source.createUser({ id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: new Date().toISOString() });
+    await source.createTodo(makeTodo('snapshotted'), 'user-1');
+    const data = await source.exportSnapshot();
+
+    await store.connect();
+    expect(await store.restoreSnapshot(data, 'replace')).toBeNull();
+    expect(await store.getTodoById('snapshotted-id', 'user-1')).toBeNull();
+    expect(store.journal.size).toBe(0);
+
+    primary.available = true;
+    expect(await store.tryPrimary()).toBe(true);
+    await primary.createTodo(makeTodo('dropped'), 'user-1');
+    expect(await store.restoreSnapshot(data, 'replace')).toMatchObject({ users: 1, todos: 1 });
+    expect(await primary.getUserByUsername('alice')).toHaveProperty('id', 'user-1');
+
+    primary.drop();
+    expect((await store.getAllTodos('user-1')).map(todo => todo.id)).toEqual(['snapshotted-id']);
+  });
+
+  test('retries the connection in the background with backoff', async () => {
+    jest.useFakeTimers();
+    try {
+      await store.connect();
+      expect(store.active).toBe(store.fallback);
+
+      await jest.advanceTimersByTimeAsync(10);
+      expect(store.attempts).toBe(2);
+
+      primary.available = true;
+      await jest.advanceTimersByTimeAsync(40);
+      expect(store.active).toBe(primary);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('fails over with current data when Redis drops', async () => {
+    primary.available = true;
+    await primary.connect();
+    await primary.createUser({ id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: new Date().toISOString() });
+    await primary.createTodo(makeTodo('existing'), 'user-1');
+    await primary.createList({ id: 'list-1', name: 'Team', ownerId: 'user-1', createdAt: new Date().toISOString() });
+    await store.connect();
+    await store.createTodo(makeTodo('mirrored'));
+
+    primary.drop();
+
+    expect(store.active).toBe(store.fallback);
+    expect(await store.getTodoById('mirrored-id')).toMatchObject({ text: 'mirrored' });
+    expect(await store.getTodoById('existing-id', 'user-1')).toMatchObject({ text: 'existing' });
+    expect(await store.getListRole('list-1', 'user-1')).toBe('owner');
+    const [event] = (await store.healthCheck()).failover.events.slice(-1);
+    expect(event).toMatchObject({ from: 'redis', to: 'memory', reason: 'Redis connection lost' });
+  });
+
+  test('fails over when a call hits a dead connection', async () => {
+    primary.available = true;
+    await store.connect();
+    primary.isConnected = false;
+
+    const todo = await store.createTodo(makeTodo('rescued'));
+
+    expect(todo).toHaveProperty('id', 'rescued-id');
+    expect(store.active).toBe(store.fallback);
+    expect(store.journal.size).toBe(1);
+  });
+});
+
+describe('WriteJournal', () => {
+  test('survives a restart', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'journal-')), 'journal.log');
+    const journal = new WriteJournal(filePath);
+    await journal.append([{ op: 'delete', id: 'a' }, { op: 'delete', id: 'b' }]);
+    await journal.discard(1);
+
+    expect(new WriteJournal(filePath).entries).toEqual([{ op: 'delete', id: 'b' }]);
+  });
+});
@@ -0,0 +1,97 @@
+const { HealthChecks, EventLoopMonitor, STATUS_CODES } = require('../health');
+
+// A TodoService stand-in whose store answers health checks with `health`
+function serviceReporting(health, driver = 'redis') {
+  return {
+    store: { driver },
+    healthCheck: async () => (typeof health === 'function' ? health() : health)
+  };
+}
+
+// An event loop monitor that was `delay` ms late
+function eventLoopDelayed(delay) {
+  return { start() {}, stop() {}, takeDelay: () => delay };
+}
+
+const checksOf = (report, name) => report.checks[name][0];
+
+describe('HealthChecks', () => {
+  test('passes readiness with a healthy store, a prompt event loop and no shutdown', async () => {
+    const checks = new HealthChecks(serviceReporting({ status: 'healthy', mode: 'primary', failover: { activeDriver: 'redis' } }), {
+      eventLoop: eventLoopDelayed(3)
+    });
+
+    const report = await checks.ready();
+    expect(report).toMatchObject({ status: 'pass', version: expect.any(String), releaseId: expect.any(String) });
+    expect(checksOf(report, 'storage:connection')).toMatchObject({ componentId: 'redis', componentType: 'datastore', status: 'pass' });
+    expect(checksOf(report, 'storage:responseTime')).toMatchObject({ observedUnit: 'ms', status: 'pass' });
+    expect(checksOf(report, 'eventLoop:delay')).toMatchObject({ observedValue: 3, status: 'pass' });
+    expect(checksOf(report, 'server:draining')).toMatchObject({ observedValue: false, status: 'pass' });
+    expect(STATUS_CODES[report.status]).toBe(200);
+  });
+
+  test('warns while Redis is away and the fallback serves, or fails when Redis is required', async () => {
+    const onFallback = { status: 'in-memory', mode: 'fallback', failover: { activeDriver: 'memory', journaledWrites: 2 } };
+
+    const report = await new HealthChecks(serviceReporting(onFallback), { eventLoop: eventLoopDelayed(0) }).ready();
+    expect(report.status).toBe('warn');
+    expect(checksOf(report, 'storage:connection')).toMatchObject({
+      componentId: 'memory',
+      status: 'warn',
+      output: expect.stringContaining('2 journaled write(s)')
+    });
+
+    const strict = new HealthChecks(serviceReporting(onFallback), { requireRedis: true, eventLoop: eventLoopDelayed(0) });
+    expect((await strict.ready()).status).toBe('fail');
+  });
+
+  test('fails when the store reports an error or answers too slowly', async () => {
+    const broken = await new HealthChecks(serviceReporting({ status: 'error', message: 'EACCES' }, 'file'), {
+      eventLoop: eventLoopDelayed(0)
+    }).ready();
+    expect(broken.status).toBe('fail');
+    expect(checksOf(broken, 'storage:connection')).toMatchObject({ componentId: 'file', status: 'fail', output: 'EACCES' });
+
+    const hanging = new HealthChecks(serviceReporting(() => new Promise(() => {})), {
+      thresholds: { storageWarnMs: 5, storageFailMs: 20 },
+      eventLoop: eventLoopDelayed(0)
+    });
+    const slow = await hanging.ready();
+    expect(checksOf(slow, 'storage:connection')).toMatchObject({ status: 'fail', output: 'Storage did not answer within 20ms' });
+    expect(checksOf(slow, 'storage:responseTime').status).toBe('fail');
+  });
+
+  test('grades event loop delay against its thresholds', async () => {
+    const service = serviceReporting({ status: 'in-memory' }, 'memory');
+    const thresholds = { eventLoopWarnMs: 50, eventLoopFailMs: 500 };
+
+    const lagging = await new HealthChecks(service, { thresholds, eventLoop: eventLoopDelayed(80) }).ready();
+    expect(lagging.status).toBe('warn');
+
+    const blocked = await new HealthChecks(service, { thresholds, eventLoop: eventLoopDelayed(900) }).ready();
+    expect(blocked.status).toBe('fail');
+  });
+
+  test('reports not ready once draining, while liveness still passes', async () => {
+    const checks = new HealthChecks(serviceReporting({ status: 'in-memory' }, 'memory'), { eventLoop: eventLoopDelayed(0) });
+    checks.drain();
+
+    const ready = await checks.ready();
+    expect(ready.status).toBe('fail');
+    expect(checksOf(ready, 'server:draining')).toMatchObject({ observedValue: true, status: 'fail', output: 'Shutting down' });
+    expect(checks.live()).toMatchObject({ status: 'pass', checks: { 'process:uptime': [{ observedUnit: 's', status: 'pass' }] } });
+  });
+});
+
+describe('EventLoopMonitor', () => {
+  test('keeps the longest timer delay until it is taken', () => {
+    const monitor = new EventLoopMonitor(100);
+    monitor.last = 0;
+    monitor.tick(100);
+    monitor.tick(450);
+    monitor.tick(560);
+
+    expect(monitor.takeDelay()).toBe(250);
+    expect(monitor.takeDelay()).toBe(0);
+  });
+});
@@ -0,0 +1,74 @@
+const logger = require('../logger');
+const { requestContext, setActor } = require('../request-context');
+
+// Run `fn` and return the entries it logged, parsed
+function capture(fn) {
+  const lines = [];
+  const log = jest.spyOn(console, 'log').mockImplementation(line => lines.push(JSON.parse(line)));
+  const error = jest.spyOn(console, 'error').mockImplementation(line => lines.push(JSON.parse(line)));
+  try {
+    fn();
+  } finally {
+    log.mockRestore();
+    error.mockRestore();
+  }
+  return lines;
+}
+
+describe('logger', () => {
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_TODO_CONTENTS;
+  });
+
+  test('writes one JSON object per entry with its level and fields', () => {
+    const [entry] = capture(() => logger.info('Storage ready', { driver: 'redis' }));
+    expect(entry).toEqual({ time: expect.any(String), level: 'info', msg: 'Storage ready', driver: 'redis' });
+  });
+
+  test('skips entries below LOG_LEVEL', () => {
+    expect(capture(() => logger.debug('Redis command'))).toEqual([]);
+
+    process.env.LOG_LEVEL = 'debug';
+    expect(capture(() => logger.debug('Redis command'))).toHaveLength(1);
+
+    process.env.LOG_LEVEL = 'error';
+    expect(capture(() => {
+      logger.info('Storage ready');
+      logger.warn('Redis connection ended');
+      logger.error('Failed to connect to Redis');
+    }).map(entry => entry.level)).toEqual(['error']);
+
+    process.env.LOG_LEVEL = 'silent';
+    expect(capture(() => logger.error('Failed to connect to Redis'))).toEqual([]);
+  });
+
+  test('redacts todo contents unless LOG_TODO_CONTENTS is true, and secrets always', () => {
+    const fields = { todo: { id: 'todo-1', text: 'Buy a ring', notes: 'Do not tell', subtasks: [{ text: 'Save up' }] }, password: 'hunter22' };
+
+    const [redacted] = capture(() => logger.info('Created', fields));
+    expect(redacted.todo).toEqual({ id: 'todo-1', text: '[redacted]', notes: '[redacted]', subtasks: [{ text: '[redacted]' }] });
+    expect(redacted.password).toBe('[redacted]');
+
+    process.env.LOG_TODO_CONTENTS = 'true';
+    const [shown] = capture(() => logger.info('Created', fields));
+    expect(shown.todo.text).toBe('Buy a ring');
+    expect(shown.password).toBe('[redacted]');
+  });
+
+  test('writes errors with their message and stack', () => {
+    const [entry] = capture(() => logger.error('Error creating todo', { error: new Error('Redis not connected') }));
+    expect(entry.error).toMatchObject({ name: 'Error', message: 'Redis not connected', stack: expect.stringContaining('Redis not connected') });
+  });
+
+  test('adds the request id, method, path and user of the request being handled', () => {
+    const req = { method: 'POST', path: '/api/todos', get: () => 'trace-123' };
+    const res = { set: jest.fn() };
+
+    const [entry] = capture(() => requestContext()(req, res, () => {
+      setActor({ id: 'user-1', username: 'alice' });
+      logger.error('Error creating todo');
+    }));
+    expect(entry).toMatchObject({ requestId: 'trace-123', method: 'POST', path: '/api/todos', userId: 'user-1' });
+  });
+});
@@ -0,0 +1,93 @@
+const EventEmitter = require('events');
+const { Registry, httpMetrics, observeRedis } = require('../metrics');
+const redisService = require('../redis-service');
+
+describe('Registry', () => {
+  test('renders counters and gauges with their labels', async () => {
+    const registry = new Registry();
+    const counter = registry.counter('jobs_total', 'Jobs run.', ['queue']);
+    const gauge = registry.gauge('queue_size', 'Jobs waiting.');
+    counter.inc({ queue: 'mail' });
+    counter.inc({ queue: 'mail' }, 2);
+    counter.inc({ queue: 'say "hi"\\now' });
+    gauge.set({}, 7);
+
+    expect(await registry.render()).toBe([
+      '# HELP jobs_total Jobs run.',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="mail"} 3',
+      'jobs_total{queue="say \\"hi\\"\\\\now"} 1',
+      '# HELP queue_size Jobs waiting.',
+      '# TYPE queue_size gauge',
+      'queue_size 7',
+      ''
+    ].join('\n'));
+  });
+
+  test('renders histograms with cumulative buckets, sum and count', async () => {
+    const registry = new Registry();
+    const histogram = registry.histogram('wait_seconds', 'Time waited.', ['queue'], [1, 0.1]);
+    histogram.observe({ queue: 'mail' }, 0.05);
+    histogram.observe({ queue: 'mail' }, 0.5);
+    histogram.observe({ queue: 'mail' }, 3);
+
+    const lines = (await registry.render()).split('\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'wait_seconds_bucket{queue="mail",le="0.1"} 1',
+      'wait_seconds_bucket{queue="mail",le="1"} 2',
+      'wait_seconds_bucket{queue="mail",le="+Inf"} 3',
+      'wait_seconds_sum{queue="mail"} 3.55',
+      'wait_seconds_count{queue="mail"} 3'
+    ]));
+    expect(lines.indexOf('wait_seconds_bucket{queue="mail",le="0.1"} 1'))
+      .toBeLessThan(lines.indexOf('wait_seconds_bucket{queue="mail",le="1"} 2'));
+  });
+
+  test('runs collectors before rendering and keeps going when one fails', async () => {
+    const registry = new Registry();
+    const gauge = registry.gauge('answer', 'The answer.');
+    registry.addCollector(async () => {
+      throw new Error('store is down');
+    });
+    registry.addCollector(() => gauge.set({}, 42));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await registry.render()).toContain('answer 42');
+    console.error.mockRestore();
+  });
+});
+
+describe('httpMetrics', () => {
+  test('counts and times finished responses by method, route and status', async () => {
+    const registry = new Registry();
+    const middleware = httpMetrics(registry, req => req.route.path);
+    const res = new EventEmitter();
+    res.statusCode = 204;
+    const next = jest.fn();
+
+    middleware({ method: 'DELETE', route: { path: '/api/todos/:id' } }, res, next);
+    expect(next).toHaveBeenCalled();
+    res.emit('finish');
+
+    const text = await registry.render();
+    expect(text).toContain('http_requests_total{method="DELETE",route="/api/todos/:id",status="204"} 1');
+    expect(text).toContain('http_request_duration_seconds_count{method="DELETE",route="/api/todos/:id",status="204"} 1');
+  });
+});
+
+describe('observeRedis', () => {
+  test('times Redis operations and counts the ones that fail', async () => {
+    const registry = new Registry();
+    observeRedis(registry, redisService);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Not connected, so the operation fails straight away
+    await expect(redisService.getStats('user-1')).rejects.toThrow('Redis not connected');
+    console.error.mockRestore();
+
+    const text = await registry.render();
+    expect(text).toContain('redis_command_duration_seconds_count{command="getStats"} 1');
+    expect(text).toContain('redis_command_errors_total{command="getStats"} 1');
+    redisService.removeAllListeners('command');
+  });
+});
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const net = require('net');
+const { Notifier } = require('../notifications');
+const { WebPushChannel, generateVapidKeys, encryptPayload, vapidAuthorization } = require('../notifications/web-push');
+const { WebhookChannel, signBody } = require('../notifications/webhook');
+const { isBlockedAddress, parseAllowedHosts } = require('../notifications/outbound');
+const { sendMail } = require('../notifications/smtp');
+
+// A local HTTP server that records requests and answers with `status`
+async function listen(status = 201) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('Web Push', () => {
+  // The example from RFC 8291, section 5
+  test('encrypts payloads as RFC 8291 specifies', () => {
+    const senderKeys = crypto.createECDH('prime256v1');
+    senderKeys.setPrivateKey(Buffer.from('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw', 'base64url'));
+
+    const body = encryptPayload('When I grow up, I want to be a watermelon', {
+      p256dh: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+      auth: 'BTBZMqHH6r4Tts7J_aSIgg'
+    }, { salt: Buffer.from('DGv6ra1nlYgDCS1FRnbzlw', 'base64url'), senderKeys });
+
+    expect(body.toString('base64url')).toBe(
+      'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+    );
+  });
+
+  test('signs VAPID tokens for the push service origin', () => {
+    const keys = generateVapidKeys();
+    const header = vapidAuthorization('https://push.example.net/send/abc', { ...keys, subject: 'mailto:ops@example.com' }, 0);
+
+    const [, token, publicKey] = header.match(/^vapid t=(.+), k=(.+)$/);
+    expect(publicKey).toBe(keys.publicKey);
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+    expect(JSON.parse(Buffer.from(encodedClaims, 'base64url'))).toEqual({
+      aud: 'https://push.example.net',
+      exp: 12 * 60 * 60,
+      sub: 'mailto:ops@example.com'
+    });
+
+    const raw = Buffer.from(keys.publicKey, 'base64url');
+    const key = crypto.createPublicKey({
+      format: 'jwk',
+      key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33).toString('base64url') }
+    });
+    expect(crypto.verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  test('delivers to every subscription and reports the ones that are gone', async () => {
+    const live = await listen(201);
+    const gone = await listen(410);
+    const browser = crypto.createECDH('prime256v1');
+    browser.generateKeys();
+    const keys = { p256dh: browser.getPublicKey().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') };
+    // The push services in this test listen on loopback
+    const channel = new WebPushChannel({ ...generateVapidKeys(), subject: 'mailto:ops@example.com' }, { allowedHosts: ['127.0.0.1'] });
+
+    try {
+      const outcome = await channel.send({
+        push: [{ endpoint: `${live.url}/live`, keys }, { endpoint: `${gone.url}/gone`, keys }]
+      }, { type: 'test', title: 'Hello' });
+
+      expect(outcome).toEqual({ expired: [`${gone.url}/gone`] });
+      const [request] = live.requests;
+      expect(request.headers).toMatchObject({ 'content-encoding': 'aes128gcm', ttl: '86400' });
+      expect(request.headers.authorization).toMatch(/^vapid t=.+, k=.+$/);
+      // The sender's public key travels in the aes128gcm header
+      expect(request.body.readUInt8(20)).toBe(65);
+    } finally {
+      live.server.close();
+      gone.server.close();
+    }
+  });
+
+  test('refuses endpoints at private and link-local addresses', async () => {
+    const channel = new WebPushChannel({ ...generateVapidKeys(), subject: 'mailto:ops@example.com' });
+    const keys = { p256dh: 'unused', auth: 'unused' };
+    const error = 'Push endpoints cannot point at private, loopback or link-local addresses';
+
+    expect(await channel.checkUrl('https://10.0.0.1/send/abc')).toEqual({ error });
+    expect(await channel.checkUrl('https://169.254.169.254/send/abc')).toEqual({ error });
+    expect(await channel.checkUrl('https://203.0.113.10/send/abc')).toEqual({});
+
+    // Checked again when sending, in case the subscription was saved before
+    await expect(channel.send({
+      push: [{ endpoint: 'https://10.0.0.1/send/abc', keys }, { endpoint: 'https://169.254.169.254/send/abc', keys }]
+    }, { type: 'test' })).rejects.toThrow(`${error}; ${error}`);
+  });
+});
+
+describe('WebhookChannel', () => {
+  // The receivers in these tests listen on loopback
+  const allowedHosts = ['127.0.0.1'];
+
+  test('posts the notification signed with the webhook secret', async () => {
+    const receiver = await listen(204);
+    try {
+      await new WebhookChannel({ allowedHosts }).send({ webhook: { url: `${receiver.url}/hook`, secret: 'shh' } }, { type: 'test', title: 'Hello' });
+
+      const [request] = receiver.requests;
+      expect(JSON.parse(request.body)).toEqual({ type: 'test', title: 'Hello' });
+      expect(request.headers['x-todo-signature']).toBe(signBody(request.body, 'shh'));
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('fails when the receiver does not accept it', async () => {
+    const receiver = await listen(500);
+    try {
+      await expect(new WebhookChannel({ allowedHosts }).send({ webhook: { url: receiver.url, secret: 'shh' } }, { type: 'test' }))
+        .rejects.toThrow('webhook answered 500');
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('refuses internal addresses', async () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect(isBlockedAddress(address)).toBe(true);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+      expect(isBlockedAddress(address)).toBe(false);
+    }
+
+    const channel = new WebhookChannel();
+    expect(await channel.checkUrl('http://169.254.169.254/latest/meta-data/')).toEqual({
+      error: 'Webhook URLs cannot point at private, loopback or link-local addresses'
+    });
+    expect(await channel.checkUrl('http://[::1]:8080/hook')).toHaveProperty('error');
+    expect(await channel.checkUrl('http://localhost/hook')).toHaveProperty('error');
+    expect(await channel.checkUrl('https://93.184.216.34/hook')).toEqual({});
+  });
+
+  test('only reaches the internal hosts it is allowed to', async () => {
+    expect(parseAllowedHosts(' Hooks.internal, 127.0.0.1,,')).toEqual(['hooks.internal', '127.0.0.1']);
+
+    const receiver = await listen(204);
+    const port = new URL(receiver.url).port;
+    try {
+      // The name is checked, not just the address it resolves to
+      await expect(new WebhookChannel({ allowedHosts }).send({ webhook: { url: `http://localhost:${port}/hook`, secret: 'shh' } }, { type: 'test' }))
+        .rejects.toThrow('Webhook URLs cannot point at private, loopback or link-local addresses');
+      await new WebhookChannel({ allowedHosts: ['localhost'] }).send({ webhook: { url: `http://localhost:${port}/hook`, secret: 'shh' } }, { type: 'test' });
+      expect(receiver.requests).toHaveLength(1);
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('does not connect to a host that has come to resolve to an internal address', async () => {
+    const channel = new WebhookChannel();
+    const lookup = channel.guard.lookup('http://rebinding.example/hook');
+    const original = dns.lookup;
+    dns.lookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    try {
+      await expect(new Promise((resolve, reject) => lookup('rebinding.example', { all: true }, error => (error ? reject(error) : resolve()))))
+        .rejects.toThrow('rebinding.example resolves to an internal address');
+    } finally {
+      dns.lookup = original;
+    }
+  });
+});
+
+describe('sendMail', () => {
+  test('hands the message to the SMTP server', async () => {
+    const commands = [];
+    let data = '';
+    const server = net.createServer((socket) => {
+      let inData = false;
+      let buffer = '';
+      socket.write('220 localhost ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 2.0.0 queued\r\n');
+            } else {
+              data += `${line}\n`;
+            }
+            continue;
+          }
+          commands.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-localhost\r\n250 8BITMIME\r\n');
+          else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+          else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 ok\r\n');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      await sendMail({ host: '127.0.0.1', port: server.address().port, heloName: 'todo.test' }, {
+        from: 'todo@example.com',
+        to: 'alice@example.com',
+        subject: 'Reminder: Café',
+        text: 'Due in 15 minutes'
+      });
+
+      expect(commands).toEqual(['EHLO todo.test', 'MAIL FROM:<todo@example.com>', 'RCPT TO:<alice@example.com>', 'DATA', 'QUIT']);
+      const [headers, body] = data.split('\n\n');
+      expect(headers).toContain('To: alice@example.com');
+      expect(headers).toContain(`Subject: =?UTF-8?B?${Buffer.from('Reminder: Café').toString('base64')}?=`);
+      expect(Buffer.from(body, 'base64').toString()).toBe('Due in 15 minutes');
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('Notifier', () => {
+  test('sends through the channels a user set up, past ones that fail', async () => {
+    const sent = [];
+    const channel = (name, send) => ({ name, wants: settings => Boolean(settings[name]), send });
+    const notifier = new Notifier([
+      channel('push', async () => { throw new Error('push service down'); }),
+      channel('webhook', async () => { sent.push('webhook'); return {}; }),
+      channel('email', async () => { sent.push('email'); return {}; })
+    ]);
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const outcome = await notifier.send({ push: true, webhook: true }, { type: 'test' });
+      expect(outcome).toEqual({ delivered: ['webhook'], failed: ['push'], expired: [] });
+      expect(sent).toEqual(['webhook']);
+    } finally {
+      errors.mockRestore();
+    }
+  });
+});
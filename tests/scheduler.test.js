@@ -0,0 +1,192 @@
+const { RecurrenceScheduler, ReminderScheduler, TrashScheduler, BackupScheduler } = require('../scheduler');
+
+// Stands in for TodoService: advancing a due todo takes it off the schedule
+function createService(due) {
+  return {
+    due: [...due],
+    advanced: [],
+    async dueRecurrences(now, limit) {
+      return this.due.filter(entry => entry.at <= now).slice(0, limit);
+    },
+    async advanceRecurrence(id, scope) {
+      this.advanced.push({ scope, id });
+      this.due = this.due.filter(entry => entry.id !== id);
+      return { todo: { id }, next: { id: `${id}-next` } };
+    }
+  };
+}
+
+describe('RecurrenceScheduler', () => {
+  test('advances the todos that are due, page by page', async () => {
+    const service = createService([
+      { scope: 'alice', id: 'a', at: 100 },
+      { scope: 'list:1', id: 'b', at: 200 },
+      { scope: null, id: 'c', at: 300 },
+      { scope: 'alice', id: 'later', at: 1000 }
+    ]);
+    const scheduler = new RecurrenceScheduler(service, { batchSize: 2 });
+
+    expect(await scheduler.tick(500)).toBe(3);
+    expect(service.advanced).toEqual([
+      { scope: 'alice', id: 'a' },
+      { scope: 'list:1', id: 'b' },
+      { scope: null, id: 'c' }
+    ]);
+    expect(service.due.map(entry => entry.id)).toEqual(['later']);
+  });
+
+  test('keeps going past a todo that fails, and stops when a page makes no progress', async () => {
+    const service = createService([
+      { scope: 'alice', id: 'broken', at: 100 },
+      { scope: 'alice', id: 'fine', at: 200 }
+    ]);
+    const advance = service.advanceRecurrence;
+    service.advanceRecurrence = async function (id, scope) {
+      if (id === 'broken') throw new Error('Redis not connected');
+      return advance.call(this, id, scope);
+    };
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const scheduler = new RecurrenceScheduler(service, { batchSize: 1 });
+
+    try {
+      expect(await scheduler.tick(500)).toBe(0);
+      expect(service.due.map(entry => entry.id)).toEqual(['broken', 'fine']);
+
+      scheduler.batchSize = 2;
+      expect(await scheduler.tick(500)).toBe(1);
+      expect(service.due.map(entry => entry.id)).toEqual(['broken']);
+    } finally {
+      errors.mockRestore();
+    }
+  });
+
+  test('skips a check while the last one is still running', async () => {
+    let release;
+    const service = createService([{ scope: 'alice', id: 'a', at: 100 }]);
+    const dueRecurrences = service.dueRecurrences;
+    service.dueRecurrences = function (...args) {
+      return new Promise(resolve => { release = () => resolve(dueRecurrences.apply(this, args)); });
+    };
+    const scheduler = new RecurrenceScheduler(service);
+
+    const first = scheduler.tick(500);
+    expect(await scheduler.tick(500)).toBe(0);
+    release();
+    expect(await first).toBe(1);
+  });
+
+  test('checks on an interval until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const service = createService([]);
+      const calls = jest.spyOn(service, 'dueRecurrences');
+      const scheduler = new RecurrenceScheduler(service, { intervalMs: 1000 });
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(2500);
+      scheduler.stop();
+      await jest.advanceTimersByTimeAsync(5000);
+
+      // Once on start, then every second
+      expect(calls).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('ReminderScheduler', () => {
+  // Stands in for TodoService: claiming a reminder takes it off the schedule,
+  // and only the first claim gets the todo back
+  function createReminderService(due) {
+    return {
+      due: [...due],
+      sent: [],
+      async dueReminders(now, limit) {
+        return this.due.filter(entry => entry.at <= now).slice(0, limit);
+      },
+      async claimReminder(reminder) {
+        const claimed = this.due.includes(reminder);
+        this.due = this.due.filter(entry => entry !== reminder);
+        return claimed && reminder.id !== 'deleted' ? { id: reminder.id } : null;
+      },
+      async sendReminder(reminder, todo) {
+        this.sent.push(todo.id);
+        return true;
+      }
+    };
+  }
+
+  test('sends each due reminder once', async () => {
+    const service = createReminderService([
+      { scope: 'alice', id: 'a', lead: 15, at: 100 },
+      { scope: 'alice', id: 'deleted', lead: 0, at: 200 },
+      { scope: 'alice', id: 'later', lead: 0, at: 1000 }
+    ]);
+    const scheduler = new ReminderScheduler(service);
+
+    expect(await scheduler.tick(500)).toBe(1);
+    expect(await scheduler.tick(500)).toBe(0);
+    expect(service.sent).toEqual(['a']);
+    expect(service.due.map(entry => entry.id)).toEqual(['later']);
+  });
+
+  test('drops reminders that come up too late', async () => {
+    const service = createReminderService([{ scope: 'alice', id: 'a', lead: 0, at: 100 }]);
+    const scheduler = new ReminderScheduler(service, { maxDelayMs: 1000 });
+
+    expect(await scheduler.tick(5000)).toBe(0);
+    expect(service.sent).toEqual([]);
+    expect(service.due).toEqual([]);
+  });
+});
+
+describe('TrashScheduler', () => {
+  test('purges todos that have been in the trash longer than the retention period', async () => {
+    const service = {
+      trash: [
+        { scope: 'alice', id: 'old', at: 100 },
+        { scope: null, id: 'legacy', at: 200 },
+        { scope: 'alice', id: 'recent', at: 900 }
+      ],
+      async expiredTrash(before, limit) {
+        return this.trash.filter(entry => entry.at <= before).slice(0, limit);
+      },
+      async purgeTodo(id, scope) {
+        const entry = this.trash.find(candidate => candidate.id === id && candidate.scope === scope);
+        this.trash = this.trash.filter(candidate => candidate !== entry);
+        return entry ? { id } : null;
+      }
+    };
+    const scheduler = new TrashScheduler(service, { retentionMs: 500 });
+
+    expect(await scheduler.tick(1000)).toBe(2);
+    expect(service.trash.map(entry => entry.id)).toEqual(['recent']);
+    expect(await scheduler.tick(1000)).toBe(0);
+  });
+});
+
+describe('BackupScheduler', () => {
+  test('saves a snapshot once the newest one is old enough', async () => {
+    const archive = {
+      saved: [{ createdAt: new Date(1000).toISOString() }],
+      async latest() {
+        return this.saved[this.saved.length - 1] || null;
+      },
+      async save(snapshot) {
+        this.saved.push(snapshot);
+      }
+    };
+    const service = {
+      async createSnapshot() {
+        return { createdAt: new Date(5000).toISOString() };
+      }
+    };
+    const scheduler = new BackupScheduler(service, { archive, everyMs: 3000 });
+
+    expect(await scheduler.tick(3000)).toBe(0);
+    expect(await scheduler.tick(4000)).toBe(1);
+    expect(archive.saved).toHaveLength(2);
+    expect(await scheduler.tick(7000)).toBe(0);
+  });
+});
@@ -0,0 +1,672 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, MemoryStore, FileStore, FailoverStore } = require('../storage');
+const { parseListQuery } = require('../storage/todo-query');
+const { sharedListScope } = require('../storage/lists');
+const { rankBetween } = require('../storage/ranks');
+const { historyEntry } = require('../storage/history');
+const { SNAPSHOT_VERSION, createSnapshot, parseSnapshot, summarize, SnapshotArchive } = require('../storage/snapshots');
+const { legacyTodosOwner, adoptLegacyTodos } = require('../storage/legacy-todos');
+
+const makeTodo = (text, completed = false) => ({
+  id: `${text}-${Math.random().toString(36).slice(2)}`,
+  text,
+  completed,
+  createdAt: new Date().toISOString(),
+  version: 1
+});
+
+// Every store must satisfy the same contract
+const stores = {
+  MemoryStore: () => new MemoryStore([]),
+  FileStore: () => new FileStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json'))
+};
+
+describe.each(Object.entries(stores))('%s contract', (name, build) => {
+  let store;
+
+  beforeEach(async () => {
+    store = build();
+    await store.connect();
+    // Start from an empty list regardless of seed data
+    for (const todo of await store.getAllTodos()) {
+      await store.deleteTodo(todo.id);
+    }
+  });
+
+  afterEach(async () => {
+    await store.disconnect();
+  });
+
+  test('creates, reads, updates and deletes todos', async () => {
+    const todo = makeTodo('first');
+    await store.createTodo(todo);
+
+    expect(await store.getTodoById(todo.id)).toMatchObject({ text: 'first', completed: false });
+
+    const updated = await store.updateTodo(todo.id, { completed: true });
+    expect(updated).toMatchObject({ text: 'first', completed: true });
+    expect(updated).toHaveProperty('updatedAt');
+
+    expect(await store.deleteTodo(todo.id)).toHaveProperty('id', todo.id);
+    expect(await store.getTodoById(todo.id)).toBeNull();
+    expect(await store.updateTodo(todo.id, { text: 'gone' })).toBeNull();
+    expect(await store.deleteTodo(todo.id)).toBeNull();
+  });
+
+  test('bumps the version on every update and refuses stale writes', async () => {
+    const todo = await store.createTodo(makeTodo('versioned'), 'user-1');
+    expect(todo).toHaveProperty('version', 1);
+
+    expect(await store.updateTodo(todo.id, { completed: true }, 'user-1')).toHaveProperty('version', 2);
+
+    const stale = await store.updateTodo(todo.id, { text: 'clobbered' }, 'user-1', 1);
+    expect(stale).toEqual({ conflict: true, todo: expect.objectContaining({ text: 'versioned', version: 2 }) });
+    expect(await store.deleteTodo(todo.id, 'user-1', 1)).toMatchObject({ conflict: true });
+    expect(await store.getTodoById(todo.id, 'user-1')).toMatchObject({ text: 'versioned', version: 2 });
+
+    expect(await store.updateTodo(todo.id, { text: 'current' }, 'user-1', 2)).toMatchObject({ text: 'current', version: 3 });
+    expect(await store.deleteTodo(todo.id, 'user-1', 3)).toHaveProperty('id', todo.id);
+    expect(await store.updateTodo(todo.id, { text: 'gone' }, 'user-1', 3)).toBeNull();
+  });
+
+  test('stores todo details and removes cleared ones', async () => {
+    const todo = await store.createTodo({ ...makeTodo('detailed'), priority: 'low', tags: ['home'], notes: 'Bring keys' });
+
+    const updated = await store.updateTodo(todo.id, { priority: 'high', tags: null, dueDate: '2030-01-01T00:00:00.000Z' });
+    expect(updated).toMatchObject({ priority: 'high', notes: 'Bring keys', dueDate: '2030-01-01T00:00:00.000Z' });
+    expect(updated).not.toHaveProperty('tags');
+    expect(await store.getTodoById(todo.id)).toEqual(updated);
+
+    const subtasks = [{ id: 'step-1', text: 'Pack', completed: true }];
+    expect(await store.updateTodo(todo.id, { subtasks, autoComplete: true })).toMatchObject({ subtasks, autoComplete: true });
+    expect(await store.updateTodo(todo.id, { subtasks: null, autoComplete: null })).not.toHaveProperty('subtasks');
+  });
+
+  test('reports stats and clears completed todos', async () => {
+    await store.createTodo(makeTodo('open'));
+    const done = await store.createTodo(makeTodo('done', true));
+
+    expect(await store.getStats()).toEqual({ total: 2, completed: 1, pending: 1 });
+
+    const cleared = await store.clearCompleted();
+    expect(cleared.map(todo => todo.id)).toEqual([done.id]);
+    expect(await store.getStats()).toEqual({ total: 1, completed: 0, pending: 1 });
+  });
+
+  test('lists todos with filters and cursor pagination', async () => {
+    for (const [index, text] of ['c', 'a', 'b'].entries()) {
+      await store.createTodo({ ...makeTodo(text, index === 0), createdAt: new Date(Date.UTC(2024, 0, index + 1)).toISOString() });
+    }
+
+    const { query } = parseListQuery({ limit: '2' });
+    const first = await store.listTodos(query);
+    expect(first.items.map(todo => todo.text)).toEqual(['b', 'a']);
+    expect(first.total).toBe(3);
+
+    const next = await store.listTodos(parseListQuery({ limit: '2', cursor: first.nextCursor }).query);
+    expect(next.items.map(todo => todo.text)).toEqual(['c']);
+    expect(next.nextCursor).toBeNull();
+
+    const pending = await store.listTodos(parseListQuery({ status: 'pending', sort: 'text' }).query);
+    expect(pending.items.map(todo => todo.text)).toEqual(['a', 'b']);
+  });
+
+  test('lists todos in their manual order, newest first without a position', async () => {
+    const older = await store.createTodo({ ...makeTodo('older'), createdAt: '2024-01-01T00:00:00.000Z' });
+    const newer = await store.createTodo({ ...makeTodo('newer'), createdAt: '2024-01-02T00:00:00.000Z' });
+    const top = rankBetween(null, null);
+    await store.createTodo({ ...makeTodo('placed'), position: top });
+
+    const byPosition = () => store.listTodos(parseListQuery({ sort: 'position' }).query);
+    expect((await byPosition()).items.map(todo => todo.text)).toEqual(['placed', 'newer', 'older']);
+
+    await store.updateTodo(older.id, { position: rankBetween(null, top) });
+    await store.updateTodo(newer.id, { position: rankBetween(top, null) });
+    expect((await byPosition()).items.map(todo => todo.text)).toEqual(['older', 'placed', 'newer']);
+  });
+
+  test('searches todo text by word and prefix, best match first', async () => {
+    const checklist = await store.createTodo(makeTodo('Deployment checklist'));
+    const deploy = await store.createTodo(makeTodo('Deploy the app'));
+    await store.createTodo(makeTodo('Buy milk'));
+
+    const results = await store.searchTodos('deploy');
+    expect(results.map(result => result.todo.id)).toEqual([deploy.id, checklist.id]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+
+    expect((await store.searchTodos('DEP app')).map(result => result.todo.id)).toEqual([deploy.id]);
+    expect(await store.searchTodos('deploy', 1)).toHaveLength(1);
+
+    // The index follows edits and deletes
+    await store.updateTodo(deploy.id, { text: 'Ship the app' });
+    await store.deleteTodo(checklist.id);
+    expect(await store.searchTodos('deploy')).toEqual([]);
+    expect((await store.searchTodos('ship')).map(result => result.todo.id)).toEqual([deploy.id]);
+  });
+
+  test('keeps a separate todo list per user', async () => {
+    const alice = await store.createTodo(makeTodo('alice todo'), 'alice');
+    await store.createTodo(makeTodo('bob todo'), 'bob');
+
+    expect((await store.getAllTodos('alice')).map(todo => todo.id)).toEqual([alice.id]);
+    expect(await store.getAllTodos()).toEqual([]);
+    expect(await store.getTodoById(alice.id, 'bob')).toBeNull();
+    expect(await store.deleteTodo(alice.id, 'bob')).toBeNull();
+    expect(await store.getStats('alice')).toEqual({ total: 1, completed: 0, pending: 1 });
+    expect((await store.searchTodos('todo', 10, 'bob')).map(result => result.todo.text)).toEqual(['bob todo']);
+  });
+
+  test('stores users with unique usernames', async () => {
+    const user = { id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: new Date().toISOString() };
+
+    expect(await store.createUser(user)).toEqual(user);
+    expect(await store.createUser({ ...user, id: 'user-2' })).toBeNull();
+    expect(await store.getUserByUsername('alice')).toEqual(user);
+    expect(await store.getUserById('user-1')).toEqual(user);
+    expect(await store.getUserById('user-2')).toBeNull();
+    expect(await store.getAllUsers()).toEqual([user]);
+  });
+
+  test('shares lists with members through single-use invitations', async () => {
+    const list = { id: 'list-1', name: 'Team', ownerId: 'alice', createdAt: new Date().toISOString() };
+    const invite = { token: 'token-1', listId: list.id, role: 'editor', createdBy: 'alice', createdAt: list.createdAt };
+
+    expect(await store.createList(list)).toEqual(list);
+    expect(await store.getListRole(list.id, 'alice')).toBe('owner');
+    expect(await store.createInvite(invite)).toEqual(invite);
+    expect(await store.createInvite({ ...invite, token: 'token-2', listId: 'missing' })).toBeNull();
+
+    expect(await store.acceptInvite('token-1', 'bob')).toEqual({ listId: list.id, role: 'editor' });
+    expect(await store.acceptInvite('token-1', 'carol')).toBeNull();
+    expect(await store.getListsForUser('bob')).toEqual([{ ...list, role: 'editor' }]);
+
+    // A viewer invitation never demotes an editor
+    await store.createInvite({ ...invite, token: 'token-3', role: 'viewer' });
+    expect(await store.acceptInvite('token-3', 'bob')).toEqual({ listId: list.id, role: 'editor' });
+
+    await store.createInvite({ ...invite, token: 'token-4' });
+    expect(await store.revokeInvite('other-list', 'token-4')).toBeNull();
+    expect(await store.revokeInvite(list.id, 'token-4')).toEqual({ ...invite, token: 'token-4' });
+    expect(await store.getInvites(list.id)).toEqual([]);
+
+    expect(await store.setListMember(list.id, 'bob', 'viewer')).toEqual({ userId: 'bob', role: 'viewer' });
+    expect(await store.renameList(list.id, 'Crew')).toMatchObject({ name: 'Crew' });
+    expect(await store.removeListMember(list.id, 'bob')).toBe(true);
+    expect(await store.removeListMember(list.id, 'bob')).toBe(false);
+    expect(await store.getListMembers(list.id)).toEqual([{ userId: 'alice', role: 'owner' }]);
+  });
+
+  test('deletes a shared list with its todos', async () => {
+    const list = await store.createList({ id: 'list-1', name: 'Team', ownerId: 'alice', createdAt: new Date().toISOString() });
+    await store.createTodo(makeTodo('shared'), sharedListScope(list.id));
+
+    expect(await store.deleteList(list.id)).toMatchObject({ id: list.id });
+    expect(await store.deleteList(list.id)).toBeNull();
+    expect(await store.getAllTodos(sharedListScope(list.id))).toEqual([]);
+    expect(await store.getListsForUser('alice')).toEqual([]);
+  });
+
+  test('applies batches all or nothing', async () => {
+    const todo = await store.createTodo(makeTodo('batched'));
+
+    const rejected = await store.applyBatch([
+      { op: 'update', id: todo.id, updates: { text: 'renamed' } },
+      { op: 'delete', id: 'missing' }
+    ]);
+    expect(rejected).toEqual({ committed: false, failedIndex: 1, error: 'Todo not found' });
+    expect(await store.getTodoById(todo.id)).toHaveProperty('text', 'batched');
+
+    const applied = await store.applyBatch([
+      { op: 'update', id: todo.id, updates: { text: 'renamed' } }
+    ]);
+    expect(applied.committed).toBe(true);
+    expect(await store.getTodoById(todo.id)).toMatchObject({ text: 'renamed', version: 2 });
+  });
+
+  test('moves deleted todos to the trash until they are restored or purged', async () => {
+    const kept = await store.createTodo(makeTodo('kept'), 'user-1');
+    const done = await store.createTodo(makeTodo('done', true), 'user-1');
+    const batched = await store.createTodo(makeTodo('batched'), 'user-1');
+
+    expect(await store.deleteTodo(kept.id, 'user-1')).toMatchObject({ text: 'kept', deletedAt: expect.any(String) });
+    await store.clearCompleted('user-1');
+    await store.applyBatch([{ op: 'delete', id: batched.id }], 'user-1');
+    expect(await store.getAllTodos('user-1')).toEqual([]);
+    expect((await store.getTrash('user-1')).map(todo => todo.id).sort()).toEqual([kept.id, done.id, batched.id].sort());
+    expect(await store.getTrash('user-2')).toEqual([]);
+
+    const restored = await store.restoreTodo(kept.id, 'user-1');
+    expect(restored).toMatchObject({ text: 'kept', version: 2 });
+    expect(restored).not.toHaveProperty('deletedAt');
+    expect(await store.getTodoById(kept.id, 'user-1')).toEqual(restored);
+    expect(await store.searchTodos('kept', 10, 'user-1')).toHaveLength(1);
+    expect(await store.getStats('user-1')).toEqual({ total: 1, completed: 0, pending: 1 });
+    expect(await store.restoreTodo(kept.id, 'user-1')).toBeNull();
+
+    expect(await store.purgeTodo(done.id, 'user-1')).toMatchObject({ text: 'done' });
+    expect(await store.purgeTodo(done.id, 'user-1')).toBeNull();
+    expect((await store.getTrash('user-1')).map(todo => todo.id)).toEqual([batched.id]);
+  });
+
+  test('refuses to restore over a todo that is back in the list', async () => {
+    const todo = await store.createTodo(makeTodo('twice'), 'user-1');
+    await store.deleteTodo(todo.id, 'user-1');
+    await store.createTodo(todo, 'user-1');
+
+    expect(await store.restoreTodo(todo.id, 'user-1')).toEqual({ conflict: true, todo: expect.objectContaining({ id: todo.id }) });
+    expect(await store.getTrash('user-1')).toHaveLength(1);
+  });
+
+  test('finds trashed todos past their retention in every list', async () => {
+    const mine = await store.createTodo(makeTodo('mine'), 'user-1');
+    const shared = await store.createTodo(makeTodo('shared'), sharedListScope('list-1'));
+    await store.deleteTodo(mine.id, 'user-1');
+    const deletedAt = Date.now();
+    await store.deleteTodo(shared.id, sharedListScope('list-1'));
+
+    const expired = (await store.expiredTrash(Date.now(), 10)).filter(entry => entry.scope);
+    expect(expired).toEqual([
+      { scope: 'user-1', id: mine.id, at: expect.any(Number) },
+      { scope: sharedListScope('list-1'), id: shared.id, at: expect.any(Number) }
+    ]);
+    expect(expired[0].at).toBeLessThanOrEqual(deletedAt);
+    expect(await store.expiredTrash(expired[0].at - 1, 10)).toEqual(
+      expect.not.arrayContaining([expect.objectContaining({ id: mine.id })])
+    );
+
+    await store.purgeTodo(mine.id, 'user-1');
+    await store.restoreTodo(shared.id, sharedListScope('list-1'));
+    expect((await store.expiredTrash(Date.now(), 10)).filter(entry => entry.scope)).toEqual([]);
+  });
+
+  test('keeps the history of each todo and an audit log of each list', async () => {
+    const actor = { id: 'user-1', username: 'alice' };
+    const first = historyEntry('created', { id: 'todo-1' }, { text: { from: null, to: 'Plan' } }, { actor, requestId: 'req-1' });
+    const other = historyEntry('created', { id: 'todo-2' }, {}, { actor, requestId: 'req-1' });
+    const second = historyEntry('completed', { id: 'todo-1' }, { completed: { from: false, to: true } }, { actor, requestId: 'req-2' });
+    await store.appendHistory([first, other], 'user-1');
+    await store.appendHistory([second], 'user-1');
+
+    expect(await store.getTodoHistory('todo-1', 10, 'user-1')).toEqual([second, first]);
+    expect(await store.getTodoHistory('todo-1', 1, 'user-1')).toEqual([second]);
+    expect(await store.getTodoHistory('todo-1', 10, 'user-2')).toEqual([]);
+
+    const everything = { from: null, to: null, limit: 10 };
+    expect(await store.getAuditLog(everything, 'user-1')).toEqual([second, other, first]);
+    expect(await store.getAuditLog({ ...everything, limit: 2 }, 'user-1')).toEqual([second, other]);
+    expect(await store.getAuditLog({ ...everything, to: Date.now() - 60000 }, 'user-1')).toEqual([]);
+    expect(await store.getAuditLog({ ...everything, from: Date.now() - 60000 }, 'user-1')).toHaveLength(3);
+    expect(await store.getAuditLog(everything)).toEqual([]);
+  });
+
+  test('claims idempotency keys once and keeps their responses', async () => {
+    expect(await store.claimIdempotencyKey('key', 'print', 1000)).toBeNull();
+    expect(await store.claimIdempotencyKey('key', 'other', 1000)).toEqual({ fingerprint: 'print', response: null });
+
+    const response = { status: 201, headers: {}, body: { success: true } };
+    await store.saveIdempotentResponse('key', 'print', response, 1000);
+    expect(await store.claimIdempotencyKey('key', 'print', 1000)).toEqual({ fingerprint: 'print', response });
+
+    await store.releaseIdempotencyKey('key');
+    expect(await store.claimIdempotencyKey('key', 'print', 1000)).toBeNull();
+    // Expired keys are free again
+    expect(await store.claimIdempotencyKey('short', 'print', -1)).toBeNull();
+    expect(await store.claimIdempotencyKey('short', 'print', 1000)).toBeNull();
+  });
+
+  test('schedules recurring todos by due time', async () => {
+    await store.scheduleRecurrence('user-1', 'later', 3000);
+    await store.scheduleRecurrence(null, 'first', 1000);
+    await store.scheduleRecurrence('list:1', 'second', 2000);
+    // Scheduling again moves the entry
+    await store.scheduleRecurrence('user-1', 'later', 4000);
+
+    expect(await store.dueRecurrences(2500, 10)).toEqual([
+      { scope: null, id: 'first', at: 1000 },
+      { scope: 'list:1', id: 'second', at: 2000 }
+    ]);
+    expect(await store.dueRecurrences(5000, 1)).toEqual([{ scope: null, id: 'first', at: 1000 }]);
+
+    await store.unscheduleRecurrence(null, 'first');
+    await store.unscheduleRecurrence('user-1', 'unknown');
+    expect((await store.dueRecurrences(5000, 10)).map(entry => entry.id)).toEqual(['second', 'later']);
+  });
+
+  test('schedules reminders and lets each be claimed once', async () => {
+    const soon = { scope: 'user-1', id: 'todo-1', dueDate: '2030-01-01T10:00:00.000Z', lead: 15 };
+    const due = { scope: 'user-1', id: 'todo-1', dueDate: '2030-01-01T10:00:00.000Z', lead: 0 };
+    await store.scheduleReminder(due, 2000);
+    await store.scheduleReminder(soon, 1000);
+
+    expect(await store.dueReminders(1500, 10)).toEqual([{ ...soon, at: 1000 }]);
+    expect(await store.dueReminders(2500, 10)).toEqual([{ ...soon, at: 1000 }, { ...due, at: 2000 }]);
+
+    expect(await store.claimReminder(soon)).toBe(true);
+    expect(await store.claimReminder(soon)).toBe(false);
+    expect(await store.dueReminders(2500, 10)).toEqual([{ ...due, at: 2000 }]);
+  });
+
+  test('exports a snapshot and restores it by replacing or merging', async () => {
+    const scope = sharedListScope('list-1');
+    await store.createUser({ id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: new Date().toISOString() });
+    await store.createList({ id: 'list-1', name: 'Team', ownerId: 'user-1', createdAt: new Date().toISOString() });
+    await store.setListMember('list-1', 'user-2', 'viewer');
+    await store.setNotificationSettings('user-1', { email: 'alice@example.com' });
+    const kept = await store.createTodo(makeTodo('kept'), 'user-1');
+    const binned = await store.createTodo(makeTodo('binned'), 'user-1');
+    await store.deleteTodo(binned.id, 'user-1');
+    const shared = await store.createTodo(makeTodo('shared'), scope);
+    await store.scheduleRecurrence('user-1', kept.id, 1000);
+    await store.appendHistory([historyEntry('created', kept, {}, {})], 'user-1');
+
+    const data = await store.exportSnapshot();
+    expect(data.users.map(user => user.username)).toEqual(['alice']);
+    expect(data.lists).toEqual([expect.objectContaining({ id: 'list-1', members: expect.arrayContaining([{ userId: 'user-2', role: 'viewer' }]) })]);
+
+    // Replacing undoes everything since the snapshot but the audit log
+    await store.updateTodo(kept.id, { text: 'changed' }, 'user-1');
+    const later = await store.createTodo(makeTodo('later'), 'user-1');
+    await store.createUser({ id: 'user-3', username: 'carol', passwordHash: 'hash', createdAt: new Date().toISOString() });
+    expect(await store.restoreSnapshot(data, 'replace')).toEqual({ users: 1, lists: 1, todos: 2, trash: 1 });
+    expect(await store.getTodoById(kept.id, 'user-1')).toMatchObject({ text: 'kept' });
+    expect(await store.getTodoById(later.id, 'user-1')).toBeNull();
+    expect(await store.getUserByUsername('carol')).toBeNull();
+    expect(await store.getTrash('user-1')).toEqual([expect.objectContaining({ id: binned.id })]);
+    expect(await store.getListRole('list-1', 'user-2')).toBe('viewer');
+    expect(await store.getNotificationSettings('user-1')).toEqual({ email: 'alice@example.com' });
+    expect(await store.dueRecurrences(1000, 10)).toEqual([{ scope: 'user-1', id: kept.id, at: 1000 }]);
+    expect(await store.getTodoHistory(kept.id, 10, 'user-1')).toHaveLength(1);
+
+    // Merging only adds what the store has no id for
+    await store.updateTodo(kept.id, { text: 'changed' }, 'user-1');
+    await store.deleteTodo(shared.id, scope);
+    await store.purgeTodo(shared.id, scope);
+    expect(await store.restoreSnapshot(data, 'merge')).toEqual({ users: 0, lists: 0, todos: 1, trash: 0 });
+    expect(await store.getTodoById(kept.id, 'user-1')).toMatchObject({ text: 'changed' });
+    expect(await store.getTodoById(shared.id, scope)).toMatchObject({ text: 'shared' });
+  });
+
+  test('stores notification settings per user', async () => {
+    expect(await store.getNotificationSettings('user-1')).toBeNull();
+
+    const settings = { email: 'alice@example.com', webhook: { url: 'https://example.com/hook', secret: 'shh' } };
+    await store.setNotificationSettings('user-1', settings);
+    expect(await store.getNotificationSettings('user-1')).toEqual(settings);
+    expect(await store.getNotificationSettings('user-2')).toBeNull();
+  });
+});
+
+describe('FileStore', () => {
+  test('keeps todos across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'nested', 'todos.json');
+    const first = new FileStore(filePath);
+    await first.connect();
+    const todo = await first.createTodo(makeTodo('persisted'));
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.getTodoById(todo.id)).toMatchObject({ text: 'persisted' });
+  });
+
+  test('gives todos from older files a version and a position', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const { version, ...legacy } = makeTodo('legacy');
+    fs.writeFileSync(filePath, JSON.stringify({ version: 3, todos: [], lists: { 'user-1': [legacy] } }));
+
+    const store = new FileStore(filePath);
+    await store.connect();
+    expect(await store.getTodoById(legacy.id, 'user-1')).toMatchObject({ version: 1, position: expect.any(String) });
+    expect(await store.updateTodo(legacy.id, { completed: true }, 'user-1', 1)).toHaveProperty('version', 2);
+  });
+
+  test('keeps users and their lists across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const first = new FileStore(filePath);
+    await first.connect();
+    await first.createUser({ id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: new Date().toISOString() });
+    const todo = await first.createTodo(makeTodo('mine'), 'user-1');
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.getUserByUsername('alice')).toHaveProperty('id', 'user-1');
+    expect(await second.getTodoById(todo.id, 'user-1')).toMatchObject({ text: 'mine' });
+    expect(await second.getTodoById(todo.id)).toBeNull();
+  });
+
+  test('keeps the recurrence schedule across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const first = new FileStore(filePath);
+    await first.connect();
+    await first.scheduleRecurrence('user-1', 'todo-1', 1000);
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.dueRecurrences(1000, 10)).toEqual([{ scope: 'user-1', id: 'todo-1', at: 1000 }]);
+  });
+
+  test('keeps reminders and notification settings across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const reminder = { scope: 'user-1', id: 'todo-1', dueDate: '2030-01-01T10:00:00.000Z', lead: 60 };
+    const first = new FileStore(filePath);
+    await first.connect();
+    await first.scheduleReminder(reminder, 1000);
+    await first.setNotificationSettings('user-1', { email: 'alice@example.com' });
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.dueReminders(1000, 10)).toEqual([{ ...reminder, at: 1000 }]);
+    expect(await second.getNotificationSettings('user-1')).toEqual({ email: 'alice@example.com' });
+  });
+
+  test('keeps the trash across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const first = new FileStore(filePath);
+    await first.connect();
+    const todo = await first.createTodo(makeTodo('binned'), 'user-1');
+    await first.deleteTodo(todo.id, 'user-1');
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.getTrash('user-1')).toEqual([expect.objectContaining({ id: todo.id, deletedAt: expect.any(String) })]);
+    expect(await second.restoreTodo(todo.id, 'user-1')).toMatchObject({ text: 'binned', version: 2 });
+  });
+
+  test('keeps audit logs across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const entry = historyEntry('created', { id: 'todo-1' }, {}, {});
+    const first = new FileStore(filePath);
+    await first.connect();
+    await first.appendHistory([entry], 'user-1');
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.getTodoHistory('todo-1', 10, 'user-1')).toEqual([entry]);
+  });
+
+  test('keeps shared lists across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const first = new FileStore(filePath);
+    await first.connect();
+    await first.createList({ id: 'list-1', name: 'Team', ownerId: 'user-1', createdAt: new Date().toISOString() });
+    await first.setListMember('list-1', 'user-2', 'viewer');
+    const todo = await first.createTodo(makeTodo('shared'), sharedListScope('list-1'));
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.getListRole('list-1', 'user-2')).toBe('viewer');
+    expect(await second.getTodoById(todo.id, sharedListScope('list-1'))).toMatchObject({ text: 'shared' });
+  });
+
+  test('keeps a restored snapshot across restarts', async () => {
+    const source = new MemoryStore([]);
+    await source.createUser({ id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: new Date().toISOString() });
+    const todo = await source.createTodo(makeTodo('restored'), 'user-1');
+
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'todos-')), 'todos.json');
+    const first = new FileStore(filePath);
+    await first.connect();
+    await first.restoreSnapshot(await source.exportSnapshot(), 'replace');
+    await first.disconnect();
+
+    const second = new FileStore(filePath);
+    await second.connect();
+    expect(await second.getUserByUsername('alice')).toHaveProperty('id', 'user-1');
+    expect(await second.getTodoById(todo.id, 'user-1')).toMatchObject({ text: 'restored' });
+  });
+});
+
+describe('Snapshots', () => {
+  const data = {
+    users: [{ id: 'user-1', username: 'alice', passwordHash: 'hash', createdAt: '2024-01-01T00:00:00.000Z' }],
+    lists: [],
+    notificationSettings: {},
+    todoLists: [{ scope: 'user-1', todos: [makeTodo('saved')], trash: [] }],
+    recurrences: [],
+    reminders: []
+  };
+
+  test('checks the format, version and checksum of a snapshot file', () => {
+    const snapshot = createSnapshot(data, 'redis');
+    expect(parseSnapshot(JSON.stringify(snapshot))).toEqual({ snapshot });
+    expect(summarize(snapshot)).toEqual({ users: 1, lists: 0, todos: 1, trash: 0 });
+
+    const tampered = JSON.parse(JSON.stringify(snapshot));
+    tampered.data.todoLists[0].todos[0].text = 'changed';
+    expect(parseSnapshot(tampered).error).toMatch('checksum');
+    expect(parseSnapshot({ ...snapshot, version: SNAPSHOT_VERSION + 1 }).error).toMatch('newer');
+    expect(parseSnapshot({ todos: [] }).error).toBe('Not a snapshot file');
+    expect(parseSnapshot('{').error).toBe('Snapshot is not valid JSON');
+
+    const { todoLists, ...partial } = data;
+    expect(parseSnapshot(createSnapshot(partial, 'memory')).error).toMatch('data.todoLists');
+  });
+
+  test('keeps the newest snapshots in the archive', async () => {
+    const archive = new SnapshotArchive(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backups-')), 'nested'), { keep: 2 });
+    expect(await archive.latest()).toBeNull();
+
+    for (const at of ['2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z', '2024-01-03T00:00:00.000Z']) {
+      await archive.save(createSnapshot(data, 'file', new Date(at)));
+    }
+
+    const files = await archive.list();
+    expect(files.map(file => file.createdAt)).toEqual(['2024-01-03T00:00:00.000Z', '2024-01-02T00:00:00.000Z']);
+    expect(await archive.latest()).toEqual(files[0]);
+    expect(parseSnapshot(await archive.read(files[1].name)).snapshot.createdAt).toBe('2024-01-02T00:00:00.000Z');
+    expect(await archive.read('snapshot-2024-01-01T00-00-00-000Z.json')).toBeNull();
+    expect(await archive.read('../todos.json')).toBeNull();
+  });
+});
+
+describe('Legacy todos', () => {
+  test('are only owned by the username LEGACY_TODOS_OWNER names', () => {
+    expect(legacyTodosOwner({})).toBeNull();
+    expect(legacyTodosOwner({ LEGACY_TODOS_OWNER: ' Alice ' })).toBe('alice');
+  });
+
+  test('move into the owner\'s list without staying in the trash', async () => {
+    const store = new MemoryStore([]);
+    const todo = makeTodo('From before accounts');
+    await store.createTodo(todo);
+
+    expect(await adoptLegacyTodos(store, 'user-1')).toBe(1);
+    expect(await store.getAllTodos()).toEqual([]);
+    expect(await store.getTrash()).toEqual([]);
+    expect((await store.getAllTodos('user-1')).map(adopted => adopted.id)).toEqual([todo.id]);
+
+    // Nothing is left for anyone else
+    expect(await adoptLegacyTodos(store, 'user-2')).toBe(0);
+    expect(await store.getAllTodos('user-2')).toEqual([]);
+  });
+});
+
+describe('RedisService', () => {
+  const redisService = require('../redis-service');
+
+  // Just enough of a Redis client to list todos: sorted sets read by member,
+  // and todo hashes, whose reads are recorded in `loaded`
+  function fakeClient(sortedSets, hashes) {
+    const above = (member, bound) => bound === '-' || (bound[0] === '(' ? member > bound.slice(1) : member >= bound.slice(1));
+    const below = (member, bound) => bound === '+' || (bound[0] === '(' ? member < bound.slice(1) : member <= bound.slice(1));
+    const inRange = (key, min, max) => [...(sortedSets[key] || [])].sort().filter(member => above(member, min) && below(member, max));
+    const loaded = [];
+    return {
+      loaded,
+      zCard: async key => (sortedSets[key] || []).length,
+      zLexCount: async (key, min, max) => inRange(key, min, max).length,
+      zRange: async (key, start, stop, { BY, REV, LIMIT } = {}) => {
+        if (BY !== 'LEX') throw new Error('Only ranges by member are faked');
+        const members = REV ? inRange(key, stop, start).reverse() : inRange(key, start, stop);
+        return LIMIT ? members.slice(LIMIT.offset, LIMIT.offset + LIMIT.count) : members;
+      },
+      multi() {
+        const keys = [];
+        return {
+          hGetAll(key) {
+            keys.push(key);
+            return this;
+          },
+          exec: async () => {
+            loaded.push(...keys);
+            return keys.map(key => hashes[key] || {});
+          }
+        };
+      }
+    };
+  }
+
+  afterEach(() => {
+    Object.assign(redisService, { client: null, isConnected: false });
+  });
+
+  test('pages through the manual order from its index without loading the whole list', async () => {
+    const positions = { a: 'i5', b: 'i', c: 'k', d: 'h', e: 'i' };
+    const hashes = {};
+    for (const [id, position] of Object.entries(positions)) {
+      hashes[`user:user-1:todo:${id}`] = { id, text: id, completed: 'false', createdAt: '2024-01-01T00:00:00.000Z', position };
+    }
+    // "i" sorts before "i5", and the id breaks the tie between b and e
+    const client = fakeClient({ 'user:user-1:positions': Object.entries(positions).map(([id, position]) => `${position}/${id}`) }, hashes);
+    Object.assign(redisService, { client, isConnected: true });
+
+    const pages = async (params) => {
+      const ids = [];
+      let cursor;
+      do {
+        const page = await redisService.listTodos(parseListQuery({ ...params, limit: '2', cursor }).query, 'user-1');
+        expect(page.total).toBe(5);
+        ids.push(page.items.map(todo => todo.id));
+        cursor = page.nextCursor || undefined;
+      } while (cursor);
+      return ids;
+    };
+
+    const first = await redisService.listTodos(parseListQuery({ sort: 'position', limit: '2' }).query, 'user-1');
+    expect(first.items.map(todo => todo.id)).toEqual(['d', 'b']);
+    expect(client.loaded).toEqual(['user:user-1:todo:d', 'user:user-1:todo:b']);
+
+    expect(await pages({ sort: 'position' })).toEqual([['d', 'b'], ['e', 'a'], ['c']]);
+    expect(await pages({ sort: 'position', order: 'desc' })).toEqual([['c', 'a'], ['e', 'b'], ['d']]);
+  });
+});
+
+describe('createStore', () => {
+  test('picks the driver by name', () => {
+    expect(createStore('memory')).toBeInstanceOf(MemoryStore);
+    expect(createStore('file')).toBeInstanceOf(FileStore);
+    expect(createStore('redis')).toBeInstanceOf(FailoverStore);
+  });
+
+  test('rejects unknown drivers', () => {
+    expect(() => createStore('mongo')).toThrow('Unknown STORAGE_DRIVER');
+  });
+});